@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const { revokeUserSessions } = require('./sessions');
 
 const normalizeUsername = (value) => String(value || '').trim().toLowerCase();
 const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
@@ -35,7 +36,7 @@ const ensureBootstrapAdmin = async () => {
     const passwordHash = await bcrypt.hash(password, rounds);
     const existing = await User.findOne({
         $or: [{ username }, { email }],
-    }).select('+password role projects username email name');
+    }).select('+password role orgId projects groups active username email name');
 
     if (!existing) {
         await User.create({
@@ -82,13 +83,14 @@ const ensureBootstrapAdmin = async () => {
     if (forcePasswordSync) {
         existing.password = passwordHash;
         existing.tokenVersion = (Number(existing.tokenVersion) || 0) + 1;
-        existing.refreshTokenHash = null;
-        existing.refreshTokenExpiresAt = null;
         changed = true;
     }
 
     if (changed) {
         await existing.save();
+        if (forcePasswordSync) {
+            await revokeUserSessions(existing._id, 'admin password synced from environment');
+        }
         console.log(`[admin-bootstrap] Updated admin '${existing.username}'`);
     } else {
         console.log(`[admin-bootstrap] Admin '${existing.username}' already configured`);
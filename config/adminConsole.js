@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const ConsoleSession = require('../models/ConsoleSession');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const {
+    ADMIN_CONSOLE_APP_ID,
+    ADMIN_CONSOLE_APP,
+    ADMIN_CONSOLE_PATH,
+} = require('./apps');
+const { OIDC_ISSUER, hashToken } = require('./tokens');
+const { safeCompare, getRequestIp } = require('./safety');
+const { createSession, revokeSession } = require('./sessions');
+const { parseCookies } = require('./cookies');
+const { DEFAULT_ORG_ID } = require('./organizations');
+const { resolveUserAccess } = require('./permissions');
+
+const ADMIN_CONSOLE_IDLE_TIMEOUT_MS = Math.max(1, Number(process.env.ADMIN_CONSOLE_IDLE_TIMEOUT_MINUTES || 15)) * 60 * 1000;
+const ADMIN_CONSOLE_SESSION_MAX_AGE_MS = Math.max(1, Number(process.env.ADMIN_CONSOLE_SESSION_HOURS || 8)) * 60 * 60 * 1000;
+const ADMIN_CONSOLE_REDIRECT_URI = `${OIDC_ISSUER}${ADMIN_CONSOLE_PATH}/callback`;
+
+const SESSION_COOKIE = 'consoleSession';
+const LOGIN_COOKIE = 'consoleLogin';
+const LOGIN_MAX_AGE_MS = 10 * 60 * 1000;
+// lastActiveAt is written at most this often, so idle timeouts are accurate to about a minute.
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const SECURE_COOKIES = process.env.NODE_ENV === 'production';
+
+// The session cookie has to reach /api/users as well as the console, hence path /.
+const SESSION_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: SECURE_COOKIES,
+    sameSite: 'strict',
+    path: '/',
+};
+
+// Lax so it survives the redirect back from the sign-in page.
+const LOGIN_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: SECURE_COOKIES,
+    sameSite: 'lax',
+    path: ADMIN_CONSOLE_PATH,
+};
+
+const denied = (status, message) => ({ ok: false, status, message });
+
+// The console signs in through /oauth/authorize like any other client, but it is not
+// an App document and has no /oauth/token access: only the console callback redeems
+// its codes.
+const getAdminConsoleClient = () => ({
+    appId: ADMIN_CONSOLE_APP_ID,
+    name: ADMIN_CONSOLE_APP.name,
+    status: 'active',
+    redirectUris: [ADMIN_CONSOLE_REDIRECT_URI],
+});
+
+const beginConsoleLogin = (res) => {
+    const state = crypto.randomBytes(24).toString('base64url');
+    const codeVerifier = crypto.randomBytes(48).toString('base64url');
+    res.cookie(LOGIN_COOKIE, `${state}.${codeVerifier}`, { ...LOGIN_COOKIE_OPTIONS, maxAge: LOGIN_MAX_AGE_MS });
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: ADMIN_CONSOLE_APP_ID,
+        redirect_uri: ADMIN_CONSOLE_REDIRECT_URI,
+        code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256',
+        state,
+        scope: 'openid',
+    });
+    return `/oauth/authorize?${params.toString()}`;
+};
+
+// One attempt per login cookie: it is cleared whether or not the state matches.
+const readConsoleLogin = (req, res) => {
+    const value = parseCookies(req.headers.cookie)[LOGIN_COOKIE] || '';
+    res.clearCookie(LOGIN_COOKIE, LOGIN_COOKIE_OPTIONS);
+
+    const [state, codeVerifier] = value.split('.');
+    return state && codeVerifier ? { state, codeVerifier } : null;
+};
+
+// Derived from the session secret, so it never has to be stored and changes with
+// every sign-in.
+const csrfTokenFor = (consoleSessionId) => crypto
+    .createHmac('sha256', consoleSessionId)
+    .update('admin-console-csrf')
+    .digest('base64url');
+
+const readConsoleSessionId = (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE] || '';
+
+const hasConsoleSessionCookie = (req) => Boolean(readConsoleSessionId(req));
+
+const createConsoleSession = async ({ user, req, res }) => {
+    const { session } = await createSession({ user, appId: ADMIN_CONSOLE_APP_ID, req });
+    const consoleSessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    await ConsoleSession.create({
+        idHash: hashToken(consoleSessionId),
+        userId: user._id,
+        sessionId: session.sessionId,
+        tokenVersion: user.tokenVersion || 0,
+        ip: getRequestIp(req),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        lastActiveAt: new Date(now),
+        expiresAt: new Date(now + ADMIN_CONSOLE_SESSION_MAX_AGE_MS),
+    });
+
+    res.cookie(SESSION_COOKIE, consoleSessionId, { ...SESSION_COOKIE_OPTIONS, maxAge: ADMIN_CONSOLE_SESSION_MAX_AGE_MS });
+    return session;
+};
+
+const endConsoleSession = async (consoleSession, reason) => {
+    await ConsoleSession.deleteOne({ _id: consoleSession._id });
+    await revokeSession({ sessionId: consoleSession.sessionId }, reason);
+};
+
+const clearConsoleSessionCookie = (res) => {
+    res.clearCookie(SESSION_COOKIE, SESSION_COOKIE_OPTIONS);
+};
+
+// Used by requireAuth when a request carries the console cookie instead of a bearer
+// token. Unsafe methods need the X-CSRF-Token header, and requests marked with
+// X-Console-Background (the console's own polling) do not count as activity.
+const authenticateConsoleSession = async (req) => {
+    const consoleSessionId = readConsoleSessionId(req);
+    if (!consoleSessionId) {
+        return denied(401, 'Authentication required');
+    }
+
+    const consoleSession = await ConsoleSession.findOne({ idHash: hashToken(consoleSessionId) });
+    const now = Date.now();
+    if (!consoleSession || consoleSession.expiresAt.getTime() <= now) {
+        return denied(401, 'Console session has expired. Please sign in again.');
+    }
+
+    if (now - consoleSession.lastActiveAt.getTime() > ADMIN_CONSOLE_IDLE_TIMEOUT_MS) {
+        await endConsoleSession(consoleSession, 'console idle timeout');
+        return denied(401, 'Console session timed out after inactivity. Please sign in again.');
+    }
+
+    const activeSession = await Session.exists({
+        sessionId: consoleSession.sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date(now) },
+    });
+    const user = activeSession
+        ? await User.findById(consoleSession.userId).select('username role orgId projects groups active roleGrants tokenVersion')
+        : null;
+    if (!user || user.role !== 'admin' || user.active === false || (user.tokenVersion || 0) !== consoleSession.tokenVersion) {
+        await endConsoleSession(consoleSession, 'console session invalidated');
+        return denied(401, 'Console session has expired. Please sign in again.');
+    }
+
+    const csrfToken = csrfTokenFor(consoleSessionId);
+    if (!SAFE_METHODS.includes(req.method) && !safeCompare(String(req.headers['x-csrf-token'] || ''), csrfToken)) {
+        return denied(403, 'Missing or invalid CSRF token');
+    }
+
+    const isBackground = String(req.headers['x-console-background'] || '') === '1';
+    if (!isBackground && now - consoleSession.lastActiveAt.getTime() >= ACTIVITY_WRITE_INTERVAL_MS) {
+        consoleSession.lastActiveAt = new Date(now);
+        await ConsoleSession.updateOne({ _id: consoleSession._id }, { $set: { lastActiveAt: consoleSession.lastActiveAt } });
+    }
+
+    const { apps, permissions } = await resolveUserAccess(user, ADMIN_CONSOLE_APP_ID);
+    return {
+        ok: true,
+        consoleSession,
+        csrfToken,
+        principal: {
+            id: user._id.toString(),
+            username: user.username,
+            role: user.role,
+            orgId: user.orgId || DEFAULT_ORG_ID,
+            projects: apps,
+            permissions,
+            appId: ADMIN_CONSOLE_APP_ID,
+            scope: null,
+            sessionId: consoleSession.sessionId,
+            dpopJkt: null,
+            isTrialGrant: false,
+            isPersonalAdminToken: false,
+            personalAdminTokenId: null,
+            isConsoleSession: true,
+        },
+    };
+};
+
+module.exports = {
+    ADMIN_CONSOLE_PATH,
+    ADMIN_CONSOLE_IDLE_TIMEOUT_MS,
+    ADMIN_CONSOLE_REDIRECT_URI,
+    getAdminConsoleClient,
+    beginConsoleLogin,
+    readConsoleLogin,
+    hasConsoleSessionCookie,
+    createConsoleSession,
+    endConsoleSession,
+    clearConsoleSessionCookie,
+    authenticateConsoleSession,
+};
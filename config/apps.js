@@ -0,0 +1,135 @@
+const App = require('../models/App');
+const Group = require('../models/Group');
+const { DEFAULT_ORG_ID } = require('./organizations');
+
+const ADMIN_CONSOLE_APP_ID = 'admin-console';
+const ADMIN_CONSOLE_PATH = `/${String(process.env.ADMIN_CONSOLE_PATH || '').trim().replace(/^\/+|\/+$/g, '') || '3vc17cs006'}`;
+const ADMIN_CONSOLE_APP = {
+    appId: ADMIN_CONSOLE_APP_ID,
+    name: 'Admin Console',
+    appUrl: ADMIN_CONSOLE_PATH,
+    description: 'Built-in admin console app scope',
+    status: 'active',
+};
+
+const normalizeAppId = (appId) => String(appId || '').trim().toLowerCase();
+const normalizeAppList = (appIds) => [...new Set((appIds || []).map(normalizeAppId).filter(Boolean))];
+
+const CLIENT_TYPES = ['public', 'confidential'];
+
+const isLoopbackHost = (hostname) => ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+
+// https everywhere, http only for loopback, and reverse-domain custom schemes for native apps (RFC 8252).
+const isValidRedirectUri = (value) => {
+    let parsed;
+    try {
+        parsed = new URL(value);
+    } catch {
+        return false;
+    }
+
+    if (parsed.hash) {
+        return false;
+    }
+
+    if (parsed.protocol === 'https:') {
+        return true;
+    }
+
+    if (parsed.protocol === 'http:') {
+        return isLoopbackHost(parsed.hostname);
+    }
+
+    return /^[a-z][a-z0-9+\-]*(\.[a-z0-9+\-]+)+:$/.test(parsed.protocol);
+};
+
+const normalizeRedirectUris = (values) => {
+    const list = Array.isArray(values) ? values : String(values || '').split(',');
+    const uris = [...new Set(list.map((uri) => String(uri || '').trim()).filter(Boolean))];
+    const invalid = uris.filter((uri) => !isValidRedirectUri(uri));
+    return { uris, invalid };
+};
+
+// orgId limits the map to one tenant's apps; without it every tenant's apps are included.
+const getAppsMap = async ({ includeInactive = false, orgId } = {}) => {
+    const appsMap = new Map();
+
+    const dbQuery = {
+        ...(includeInactive ? {} : { status: 'active' }),
+        ...(orgId ? { orgId } : {}),
+    };
+    const dbApps = await App.find(dbQuery)
+        .select('appId name appUrl description status orgId')
+        .lean();
+
+    dbApps.forEach((app) => {
+        appsMap.set(app.appId, {
+            appId: app.appId,
+            name: app.name,
+            appUrl: app.appUrl,
+            description: app.description || '',
+            status: app.status,
+            orgId: app.orgId || DEFAULT_ORG_ID,
+        });
+    });
+
+    return appsMap;
+};
+
+// Direct grants (User.projects) plus the apps of every group the user belongs to.
+// Groups are read on every call, so membership and group changes apply at once.
+const resolveEffectiveApps = async (user) => {
+    const directApps = normalizeAppList(user.projects);
+    const groupIds = [...new Set((user.groups || []).filter(Boolean))];
+    if (groupIds.length === 0) {
+        return directApps;
+    }
+
+    const groups = await Group.find({ groupId: { $in: groupIds }, orgId: user.orgId || DEFAULT_ORG_ID })
+        .select('apps')
+        .lean();
+    return normalizeAppList([...directApps, ...groups.flatMap((group) => group.apps || [])]);
+};
+
+// Same checks /login and /auth/refresh have always applied: admins may enter the
+// built-in console scope, everyone else needs the app assigned (directly or through a
+// group) and active. Disabled (deprovisioned) accounts get nothing. Apps of another
+// organization do not exist as far as the user is concerned, so callers must load the
+// user's orgId, groups and active.
+const resolveAppAccess = async (user, requestedAppId, { revokedMessage = "You don't have access to this app" } = {}) => {
+    const userAppIds = await resolveEffectiveApps(user);
+    if (user.active === false) {
+        return { ok: false, status: 403, message: 'Account is disabled', userAppIds };
+    }
+
+    const isAdminConsole = user.role === 'admin' && requestedAppId === ADMIN_CONSOLE_APP_ID;
+    if (isAdminConsole) {
+        return { ok: true, targetApp: ADMIN_CONSOLE_APP, userAppIds };
+    }
+
+    const appsMap = await getAppsMap({ orgId: user.orgId || DEFAULT_ORG_ID });
+    const targetApp = appsMap.get(requestedAppId);
+
+    if (user.role !== 'admin' && !userAppIds.includes(requestedAppId)) {
+        return { ok: false, status: 403, message: revokedMessage, userAppIds };
+    }
+
+    if (!targetApp || targetApp.status !== 'active') {
+        return { ok: false, status: 403, message: 'App is not available', userAppIds };
+    }
+
+    return { ok: true, targetApp, userAppIds };
+};
+
+module.exports = {
+    ADMIN_CONSOLE_APP_ID,
+    ADMIN_CONSOLE_PATH,
+    ADMIN_CONSOLE_APP,
+    CLIENT_TYPES,
+    normalizeAppId,
+    normalizeAppList,
+    normalizeRedirectUris,
+    getAppsMap,
+    resolveEffectiveApps,
+    resolveAppAccess,
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+const { getRequestIp } = require('./safety');
+
+const GENESIS_HASH = '0'.repeat(64);
+const APPEND_ATTEMPTS = 5;
+const VERIFY_BATCH_SIZE = 1000;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Entries are hashed and stored as plain JSON so a document read back from Mongo
+// hashes to the same value it was written with.
+const toJsonValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        const fields = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashAuditEntry = (entry) => crypto.createHash('sha256').update(canonicalJson({
+    seq: entry.seq,
+    at: new Date(entry.at).toISOString(),
+    action: entry.action,
+    actor: entry.actor,
+    target: entry.target,
+    before: entry.before,
+    after: entry.after,
+    details: entry.details,
+    appId: entry.appId,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    testRunId: entry.testRunId,
+    prevHash: entry.prevHash,
+})).digest('hex');
+
+// Keeps only the fields that changed, so a role change records { role } rather than
+// the whole user.
+const diffAuditValues = (before, after) => {
+    const from = toJsonValue(before);
+    const to = toJsonValue(after);
+    if (!isPlainObject(from) || !isPlainObject(to)) {
+        return { before: from, after: to };
+    }
+
+    const changed = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+        .filter((key) => canonicalJson(from[key]) !== canonicalJson(to[key]));
+    return {
+        before: Object.fromEntries(changed.map((key) => [key, from[key] === undefined ? null : from[key]])),
+        after: Object.fromEntries(changed.map((key) => [key, to[key] === undefined ? null : to[key]])),
+    };
+};
+
+const describeActor = (user) => {
+    if (!user) {
+        return { type: 'system', userId: null, username: null, role: null, tokenId: null, sessionId: null };
+    }
+
+    let type = 'user';
+    if (user.isBreakGlass) {
+        type = 'break_glass';
+    } else if (user.isPersonalAdminToken) {
+        type = 'personal_token';
+    } else if (user.isProvisioningToken) {
+        type = 'provisioning_token';
+    }
+    return {
+        type,
+        userId: user.isBreakGlass ? null : String(user.id || '') || null,
+        username: user.username || null,
+        role: user.role || null,
+        tokenId: user.personalAdminTokenId || user.provisioningTokenId || null,
+        sessionId: user.sessionId || null,
+    };
+};
+
+const appendAuditEvent = async (fields) => {
+    for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt += 1) {
+        const last = await AuditEvent.findOne({}).sort({ seq: -1 }).select('seq hash').lean();
+        const entry = {
+            ...fields,
+            seq: (last?.seq || 0) + 1,
+            at: new Date(),
+            prevHash: last?.hash || GENESIS_HASH,
+        };
+        entry.hash = hashAuditEntry(entry);
+
+        try {
+            return await AuditEvent.create(entry);
+        } catch (error) {
+            // Another writer took this seq; chain onto its entry instead.
+            if (error.code !== 11000 || attempt === APPEND_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+    return null;
+};
+
+// Like security events, a failed write is logged rather than failing the admin action
+// that was already applied.
+const recordAuditEvent = async ({
+    req,
+    action,
+    target = {},
+    before = null,
+    after = null,
+    details = {},
+}) => {
+    const diff = diffAuditValues(before, after);
+    const actor = describeActor(req?.user);
+    logger.info('Audit event', { action, actor: actor.username, target });
+
+    try {
+        return await appendAuditEvent({
+            action,
+            actor,
+            target: {
+                type: target.type || null,
+                id: target.id === undefined || target.id === null ? null : String(target.id),
+            },
+            before: diff.before,
+            after: diff.after,
+            details: toJsonValue(details) || {},
+            appId: req?.user?.appId || null,
+            ip: req ? getRequestIp(req) : '',
+            userAgent: req ? String(req.headers['user-agent'] || '').slice(0, 300) : '',
+            testRunId: req?.testRunId || null,
+        });
+    } catch (error) {
+        logger.error('Failed to record audit event', { action, error: error.message });
+        return null;
+    }
+};
+
+const parseAuditDate = (value) => {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Returns { error } for input the caller should reject with a 400.
+const buildAuditQuery = ({
+    action,
+    actor,
+    actorType,
+    targetType,
+    targetId,
+    testRunId,
+    from,
+    to,
+} = {}) => {
+    const query = {};
+    const normalizedAction = String(action || '').trim();
+    if (normalizedAction.endsWith('.*')) {
+        const prefix = normalizedAction.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.action = { $regex: `^${prefix}` };
+    } else if (normalizedAction) {
+        query.action = normalizedAction;
+    }
+    if (actor) {
+        query['actor.username'] = String(actor).trim().toLowerCase();
+    }
+    if (actorType) {
+        query['actor.type'] = String(actorType).trim();
+    }
+    if (targetType) {
+        query['target.type'] = String(targetType).trim();
+    }
+    if (targetId) {
+        query['target.id'] = String(targetId).trim();
+    }
+    if (testRunId) {
+        query.testRunId = String(testRunId).trim();
+    }
+
+    const fromDate = parseAuditDate(from);
+    const toDate = parseAuditDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (fromDate || toDate) {
+        query.at = {
+            ...(fromDate ? { $gte: fromDate } : {}),
+            ...(toDate ? { $lte: toDate } : {}),
+        };
+    }
+    return { query };
+};
+
+// Newest first; pass the smallest seq of a page as beforeSeq to get the next one.
+const listAuditEvents = (query, { limit = 100, beforeSeq } = {}) => AuditEvent.find({
+    ...query,
+    ...(Number(beforeSeq) > 0 ? { seq: { $lt: Number(beforeSeq) } } : {}),
+})
+    .sort({ seq: -1 })
+    .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+    .select('-_id')
+    .lean();
+
+// Oldest first, in batches, so an export of the whole log never sits in memory. Stops
+// early when onBatch returns false.
+const forEachAuditBatch = async (query, onBatch, { batchSize = VERIFY_BATCH_SIZE } = {}) => {
+    let afterSeq = 0;
+    for (;;) {
+        const batch = await AuditEvent.find({ ...query, seq: { $gt: afterSeq } })
+            .sort({ seq: 1 })
+            .limit(batchSize)
+            .select('-_id')
+            .lean();
+        if (batch.length === 0) {
+            return;
+        }
+        if (await onBatch(batch) === false) {
+            return;
+        }
+        afterSeq = batch[batch.length - 1].seq;
+    }
+};
+
+// Walks the whole chain. Removing entries from the end cannot be seen from the chain
+// alone, so reviewers should keep the returned head and compare it next time.
+const verifyAuditChain = async () => {
+    let checked = 0;
+    let prevHash = GENESIS_HASH;
+    let brokenAt = null;
+
+    await forEachAuditBatch({}, (batch) => {
+        for (const entry of batch) {
+            let reason = null;
+            if (entry.seq !== checked + 1) {
+                reason = `expected seq ${checked + 1}`;
+            } else if (entry.prevHash !== prevHash) {
+                reason = 'prevHash does not match the previous entry';
+            } else if (hashAuditEntry(entry) !== entry.hash) {
+                reason = 'entry content does not match its hash';
+            }
+            if (reason) {
+                brokenAt = { seq: entry.seq, reason };
+                return false;
+            }
+            checked += 1;
+            prevHash = entry.hash;
+        }
+        return true;
+    });
+
+    return {
+        ok: !brokenAt,
+        checked,
+        head: checked ? { seq: checked, hash: prevHash } : null,
+        brokenAt,
+    };
+};
+
+module.exports = {
+    GENESIS_HASH,
+    hashAuditEntry,
+    diffAuditValues,
+    recordAuditEvent,
+    buildAuditQuery,
+    listAuditEvents,
+    forEachAuditBatch,
+    verifyAuditChain,
+};
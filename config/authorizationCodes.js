@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const { hashToken } = require('./tokens');
+const { safeCompare } = require('./safety');
+
+// RFC 7636 code_verifier syntax, which base64url S256 challenges also satisfy.
+const PKCE_VALUE_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+// Single use: the code is consumed before any other check, so a failed redemption
+// cannot be retried with a different verifier.
+const redeemAuthorizationCode = async ({
+    code,
+    appId,
+    redirectUri,
+    codeVerifier,
+}) => {
+    const authorizationCode = await AuthorizationCode.findOneAndUpdate(
+        { codeHash: hashToken(code), consumedAt: null },
+        { $set: { consumedAt: new Date() } },
+        { new: true },
+    );
+
+    if (!authorizationCode) {
+        return { ok: false, message: 'Authorization code is invalid or has already been used' };
+    }
+
+    if (authorizationCode.expiresAt < new Date()) {
+        return { ok: false, message: 'Authorization code has expired' };
+    }
+
+    if (authorizationCode.appId !== appId || authorizationCode.redirectUri !== redirectUri) {
+        return { ok: false, message: 'Authorization code was not issued to this client or redirect_uri' };
+    }
+
+    const computedChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    if (!safeCompare(computedChallenge, authorizationCode.codeChallenge)) {
+        return { ok: false, message: 'PKCE verification failed' };
+    }
+
+    return { ok: true, authorizationCode };
+};
+
+module.exports = {
+    PKCE_VALUE_PATTERN,
+    redeemAuthorizationCode,
+};
@@ -0,0 +1,22 @@
+const parseCookies = (cookieHeader) => {
+    if (!cookieHeader) {
+        return {};
+    }
+
+    return cookieHeader.split(';').reduce((acc, cookie) => {
+        const [rawKey, ...rawValue] = cookie.trim().split('=');
+        if (!rawKey) {
+            return acc;
+        }
+        try {
+            acc[rawKey] = decodeURIComponent(rawValue.join('='));
+        } catch {
+            acc[rawKey] = rawValue.join('=');
+        }
+        return acc;
+    }, {});
+};
+
+module.exports = {
+    parseCookies,
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const DpopProof = require('../models/DpopProof');
+const { computeJwkThumbprint } = require('./keys');
+const { OIDC_ISSUER, hashToken } = require('./tokens');
+const { isFeatureEnabled } = require('./safety');
+const { hasTargetedRollout } = require('./featureFlags');
+
+const DPOP_SIGNING_ALGS = ['ES256', 'RS256', 'PS256'];
+const DPOP_PROOF_MAX_AGE_SECONDS = Math.max(10, Number(process.env.DPOP_PROOF_MAX_AGE_SECONDS || 300));
+const DPOP_CLOCK_SKEW_SECONDS = 60;
+
+const invalidProof = (message) => ({ ok: false, error: 'invalid_dpop_proof', message });
+
+const isDpopEnabled = (context = {}) => isFeatureEnabled('DPOP', context);
+
+// Discovery advertises DPoP while any app or user may be offered it.
+const isDpopAdvertised = () => isDpopEnabled() || hasTargetedRollout('DPOP');
+
+// htu is compared without query and fragment. Behind a proxy the public URL may differ
+// from what Express sees, so the OIDC_ISSUER-based URL is accepted as well.
+const getExpectedHtus = (req) => {
+    const path = String(req.originalUrl || req.url || '').split('?')[0];
+    return new Set([
+        `${req.protocol}://${req.get('host')}${path}`,
+        `${OIDC_ISSUER}${path}`,
+    ]);
+};
+
+const normalizeHtu = (value) => {
+    try {
+        const parsed = new URL(String(value || ''));
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+    } catch {
+        return '';
+    }
+};
+
+const rememberProof = async ({ jkt, jti, iat }) => {
+    try {
+        await DpopProof.create({
+            proofHash: hashToken(`${jkt}:${jti}`),
+            expiresAt: new Date((iat + DPOP_PROOF_MAX_AGE_SECONDS + DPOP_CLOCK_SKEW_SECONDS) * 1000),
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// RFC 9449 section 4.3. Pass accessToken when the proof accompanies a protected
+// resource request so the ath claim is checked too.
+const verifyDpopProof = async (req, { accessToken } = {}) => {
+    const proof = String(req.headers.dpop || '').trim();
+    if (!proof || proof.includes(',')) {
+        return invalidProof('Exactly one DPoP proof header is required');
+    }
+
+    const decoded = jwt.decode(proof, { complete: true });
+    const header = decoded?.header;
+    if (!header || header.typ !== 'dpop+jwt' || !DPOP_SIGNING_ALGS.includes(header.alg)) {
+        return invalidProof('DPoP proof must be a dpop+jwt signed with a supported algorithm');
+    }
+    if (!header.jwk || typeof header.jwk !== 'object' || header.jwk.d) {
+        return invalidProof('DPoP proof must carry a public jwk header');
+    }
+
+    let payload;
+    try {
+        const publicKey = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+        payload = jwt.verify(proof, publicKey, { algorithms: [header.alg], ignoreExpiration: true });
+    } catch {
+        return invalidProof('DPoP proof signature is invalid');
+    }
+
+    if (typeof payload.jti !== 'string' || !payload.jti || payload.jti.length > 256) {
+        return invalidProof('DPoP proof jti is required');
+    }
+    if (payload.htm !== req.method) {
+        return invalidProof('DPoP proof htm does not match the request method');
+    }
+    if (!getExpectedHtus(req).has(normalizeHtu(payload.htu))) {
+        return invalidProof('DPoP proof htu does not match the request URL');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(payload.iat)
+        || payload.iat > now + DPOP_CLOCK_SKEW_SECONDS
+        || payload.iat < now - DPOP_PROOF_MAX_AGE_SECONDS) {
+        return invalidProof('DPoP proof iat is outside the accepted window');
+    }
+
+    if (accessToken) {
+        const expectedAth = crypto.createHash('sha256').update(accessToken).digest('base64url');
+        if (payload.ath !== expectedAth) {
+            return invalidProof('DPoP proof ath does not match the access token');
+        }
+    }
+
+    const jkt = computeJwkThumbprint(header.jwk);
+    if (!await rememberProof({ jkt, jti: payload.jti, iat: payload.iat })) {
+        return invalidProof('DPoP proof has already been used');
+    }
+
+    return { ok: true, jkt };
+};
+
+// For /login, /auth/refresh and /oauth/token: no header means a plain bearer token,
+// a header means the caller wants a bound token and the proof must be valid.
+const resolveDpopBinding = async (req, flagContext = {}) => {
+    if (!isDpopEnabled(flagContext) || !req.headers.dpop) {
+        return { ok: true, jkt: null };
+    }
+    return verifyDpopProof(req);
+};
+
+const sendDpopChallenge = (res, status, error, message) => {
+    res.setHeader('WWW-Authenticate', `DPoP error="${error}", algs="${DPOP_SIGNING_ALGS.join(' ')}"`);
+    return res.status(status).json({ success: false, message });
+};
+
+module.exports = {
+    DPOP_SIGNING_ALGS,
+    isDpopEnabled,
+    isDpopAdvertised,
+    verifyDpopProof,
+    resolveDpopBinding,
+    sendDpopChallenge,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const FeatureFlag = require('../models/FeatureFlag');
+
+const FLAG_CACHE_TTL_MS = Math.max(1000, Number(process.env.SAFETY_STATE_CACHE_TTL_MS || 5000));
+const FLAG_KEY_PATTERN = /^[A-Z][A-Z0-9_]{1,63}$/;
+const FLAG_ROLES = ['user', 'admin'];
+const MAX_RULES_PER_FLAG = 20;
+const MAX_RULE_VALUES = 200;
+
+const flagCache = {
+    loadedAt: 0,
+    loading: null,
+    flags: new Map(),
+};
+
+const normalizeFlagKey = (key) => String(key || '').trim().toUpperCase();
+
+const normalizeList = (values, field, { lowercase = true } = {}) => {
+    if (values === undefined || values === null) {
+        return [];
+    }
+    if (!Array.isArray(values)) {
+        throw new Error(`${field} must be an array`);
+    }
+    const normalized = [...new Set(values
+        .map((value) => String(value || '').trim())
+        .map((value) => (lowercase ? value.toLowerCase() : value))
+        .filter(Boolean))];
+    if (normalized.length > MAX_RULE_VALUES) {
+        throw new Error(`${field} can hold at most ${MAX_RULE_VALUES} values`);
+    }
+    return normalized;
+};
+
+const normalizeFlagRules = (rules) => {
+    if (rules === undefined || rules === null) {
+        return [];
+    }
+    if (!Array.isArray(rules) || rules.length > MAX_RULES_PER_FLAG) {
+        throw new Error(`rules must be an array of at most ${MAX_RULES_PER_FLAG} rules`);
+    }
+
+    return rules.map((rule) => {
+        const roles = normalizeList(rule?.roles, 'roles');
+        const invalidRole = roles.find((role) => !FLAG_ROLES.includes(role));
+        if (invalidRole) {
+            throw new Error(`Unknown role ${invalidRole}`);
+        }
+        const percentage = rule?.percentage === undefined ? 100 : Number(rule.percentage);
+        if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+            throw new Error('percentage must be between 0 and 100');
+        }
+        return {
+            appIds: normalizeList(rule?.appIds, 'appIds'),
+            roles,
+            usernames: normalizeList(rule?.usernames, 'usernames'),
+            percentage,
+        };
+    });
+};
+
+// Hashing the flag key with the user id gives every flag its own 10% of users, and
+// raising the percentage only ever adds users.
+const rolloutBucket = (key, userId) => {
+    const digest = crypto.createHash('sha256').update(`${key}:${userId}`).digest();
+    return (digest.readUInt32BE(0) / 0x100000000) * 100;
+};
+
+const buildFlagContext = ({ user = null, appId = '' } = {}) => ({
+    userId: String(user?._id || user?.id || ''),
+    username: String(user?.username || '').toLowerCase(),
+    role: String(user?.role || ''),
+    appId: String(appId || user?.appId || '').toLowerCase(),
+});
+
+const matchesRule = (key, rule, context) => {
+    if (rule.appIds.length && !rule.appIds.includes(context.appId)) {
+        return false;
+    }
+    if (rule.roles.length && !rule.roles.includes(context.role)) {
+        return false;
+    }
+    if (rule.usernames.length && !rule.usernames.includes(context.username)) {
+        return false;
+    }
+    if (rule.percentage >= 100) {
+        return true;
+    }
+    return Boolean(context.userId) && rolloutBucket(key, context.userId) < rule.percentage;
+};
+
+const loadFlags = async () => {
+    const flags = await FeatureFlag.find({}).lean();
+    flagCache.flags = new Map(flags.map((flag) => [flag.key, {
+        key: flag.key,
+        enabled: Boolean(flag.enabled),
+        rules: normalizeFlagRules(flag.rules),
+    }]));
+    flagCache.loadedAt = Date.now();
+};
+
+const refreshTargetedFlags = async ({ force = false } = {}) => {
+    if (!force && flagCache.loadedAt && (Date.now() - flagCache.loadedAt) < FLAG_CACHE_TTL_MS) {
+        return;
+    }
+
+    if (!flagCache.loading) {
+        flagCache.loading = loadFlags().finally(() => {
+            flagCache.loading = null;
+        });
+    }
+    await flagCache.loading;
+};
+
+// null when no targeted flag exists for the key; an enabled flag without rules is on
+// for everybody.
+const evaluateTargetedFlag = (key, context = {}) => {
+    const flag = flagCache.flags.get(normalizeFlagKey(key));
+    if (!flag) {
+        return null;
+    }
+    if (!flag.enabled) {
+        return false;
+    }
+    const fullContext = { ...buildFlagContext(), ...context };
+    return flag.rules.length === 0 || flag.rules.some((rule) => matchesRule(flag.key, rule, fullContext));
+};
+
+const hasTargetedRollout = (key) => Boolean(flagCache.flags.get(normalizeFlagKey(key))?.enabled);
+
+const listTargetedFlagKeys = () => [...flagCache.flags.keys()];
+
+module.exports = {
+    FLAG_KEY_PATTERN,
+    normalizeFlagKey,
+    normalizeFlagRules,
+    rolloutBucket,
+    buildFlagContext,
+    refreshTargetedFlags,
+    evaluateTargetedFlag,
+    hasTargetedRollout,
+    listTargetedFlagKeys,
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { OIDC_ISSUER } = require('./tokens');
+const { getAppsMap, normalizeAppList } = require('./apps');
+
+const FEDERATION_REQUEST_TTL_MS = Math.min(1800, Math.max(60, Number(process.env.FEDERATION_REQUEST_TTL_SECONDS || 600))) * 1000;
+const FEDERATION_LOGIN_CODE_TTL_MS = 60 * 1000;
+const FEDERATION_HTTP_TIMEOUT_MS = Math.max(1000, Number(process.env.FEDERATION_HTTP_TIMEOUT_MS || 5000));
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_INTERVAL_MS = 30 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+// Asymmetric algorithms only: an HMAC-signed ID token would be keyed with the client
+// secret, and "none" is never acceptable.
+const ID_TOKEN_ALGS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const buildCallbackUrl = (providerId) => `${OIDC_ISSUER}/api/users/login/federated/${providerId}/callback`;
+
+// https, or http on a loopback host so a local mock IdP can be used in development.
+const isValidProviderUrl = (value) => {
+    try {
+        const parsed = new URL(value);
+        return !parsed.hash && (parsed.protocol === 'https:'
+            || (parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname)));
+    } catch {
+        return false;
+    }
+};
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        headers: { accept: 'application/json', ...(options.headers || {}) },
+        redirect: 'error',
+        signal: AbortSignal.timeout(FEDERATION_HTTP_TIMEOUT_MS),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body || typeof body !== 'object') {
+        const reason = body?.error_description || body?.error || `HTTP ${response.status}`;
+        throw new Error(`${new URL(url).host} answered ${reason}`);
+    }
+    return body;
+};
+
+// Discovery document of the issuer, cached per issuer. It must name the issuer it was
+// fetched for, and every endpoint used later must pass the same URL rules.
+const getProviderMetadata = async (issuer, { refresh = false } = {}) => {
+    const cached = metadataCache.get(issuer);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+    if (metadata.issuer !== issuer) {
+        throw new Error(`Discovery document names issuer ${metadata.issuer}, expected ${issuer}`);
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!isValidProviderUrl(metadata[field])) {
+            throw new Error(`Discovery document has no valid ${field}`);
+        }
+    }
+    if (metadata.userinfo_endpoint && !isValidProviderUrl(metadata.userinfo_endpoint)) {
+        throw new Error('Discovery document has an invalid userinfo_endpoint');
+    }
+
+    metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+    return metadata;
+};
+
+// Keys are refetched when a token names an unknown kid (the provider rotated), but not
+// more than once per JWKS_REFRESH_MIN_INTERVAL_MS.
+const getProviderKey = async (jwksUri, kid) => {
+    const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    let cached = jwksCache.get(jwksUri);
+    let key = cached ? findKey(cached.keys) : null;
+    if (!key && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_INTERVAL_MS)) {
+        const jwks = await fetchJson(jwksUri);
+        cached = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+        jwksCache.set(jwksUri, cached);
+        key = findKey(cached.keys);
+    }
+    if (!key) {
+        throw new Error('ID token was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    return {
+        codeVerifier,
+        codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    };
+};
+
+const buildAuthorizationUrl = ({
+    provider,
+    metadata,
+    state,
+    nonce,
+    codeChallenge,
+}) => {
+    const url = new URL(metadata.authorization_endpoint);
+    Object.entries({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: buildCallbackUrl(provider.providerId),
+        scope: provider.scopes || 'openid email profile',
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+};
+
+// client_secret_basic unless the provider only supports client_secret_post.
+const exchangeAuthorizationCode = async ({
+    provider,
+    clientSecret,
+    metadata,
+    code,
+    codeVerifier,
+}) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: buildCallbackUrl(provider.providerId),
+        code_verifier: codeVerifier,
+    });
+    const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (!authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+        body.set('client_id', provider.clientId);
+        body.set('client_secret', clientSecret);
+    } else {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (typeof tokens.id_token !== 'string') {
+        throw new Error('Token response has no id_token');
+    }
+    return tokens;
+};
+
+const verifyIdToken = async ({
+    provider,
+    metadata,
+    idToken,
+    nonce,
+}) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    const alg = decoded?.header?.alg;
+    if (!ID_TOKEN_ALGS.includes(alg)) {
+        throw new Error(`ID token algorithm ${alg || 'none'} is not accepted`);
+    }
+
+    const key = await getProviderKey(metadata.jwks_uri, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: [alg],
+        issuer: provider.issuer,
+        audience: provider.clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+    if (!claims.sub || claims.nonce !== nonce) {
+        throw new Error('ID token subject or nonce is invalid');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+        throw new Error('ID token was issued to another client');
+    }
+    return claims;
+};
+
+// Providers that keep the ID token small only return the email from userinfo.
+const readIdentityClaims = async ({ metadata, claims, accessToken }) => {
+    if (claims.email || !metadata.userinfo_endpoint || !accessToken) {
+        return claims;
+    }
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { authorization: `Bearer ${accessToken}` },
+    });
+    if (userinfo.sub !== claims.sub) {
+        throw new Error('userinfo subject does not match the ID token');
+    }
+    return { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+};
+
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+const usernameFromClaims = (claims, email) => String(claims.preferred_username || email.split('@')[0])
+    .trim()
+    .toLowerCase()
+    .replace(/@.*$/, '')
+    .replace(/[^a-z0-9._-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '0');
+
+const createFederatedUser = async ({ provider, claims, email, link }) => {
+    const appsMap = await getAppsMap({ orgId: provider.orgId });
+    const projects = normalizeAppList(provider.defaultApps).filter((appId) => appsMap.has(appId));
+    const baseUsername = usernameFromClaims(claims, email);
+    const name = String(claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || baseUsername)
+        .trim()
+        .slice(0, 100)
+        .padEnd(2, '.');
+    // The random password is never shown; the account signs in through the provider
+    // until a reset sets one.
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('base64url'), BCRYPT_ROUNDS);
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const username = attempt === 0 ? baseUsername : `${baseUsername}-${crypto.randomBytes(2).toString('hex')}`;
+        if (await User.exists({ username })) {
+            continue;
+        }
+        try {
+            return await User.create({
+                name,
+                username,
+                email,
+                password,
+                role: 'user',
+                orgId: provider.orgId,
+                projects,
+                federatedIdentities: [link],
+            });
+        } catch (error) {
+            if (error.code !== 11000 || await User.exists({ email })) {
+                throw error;
+            }
+        }
+    }
+    throw new Error('Could not find a free username');
+};
+
+// Finds the local account for a verified upstream identity: first by an earlier link,
+// then by verified email (linking it), then by creating one when the provider allows.
+// Admin accounts never sign in this way; an upstream account must not be able to take
+// over an admin by asserting their email.
+const resolveFederatedUser = async ({ provider, claims }) => {
+    const linked = await User.findOne({
+        federatedIdentities: { $elemMatch: { issuer: provider.issuer, subject: String(claims.sub) } },
+    }).select('_id username role orgId');
+    if (linked) {
+        if ((linked.orgId || 'default') !== provider.orgId) {
+            return { ok: false, message: 'This account belongs to another organization' };
+        }
+        if (linked.role === 'admin') {
+            return { ok: false, message: 'Admin accounts cannot sign in with an identity provider' };
+        }
+        return { ok: true, user: linked, outcome: 'signed_in' };
+    }
+
+    const email = String(claims.email || '').trim().toLowerCase();
+    if (!email || !isEmailVerified(claims)) {
+        return { ok: false, message: 'The identity provider did not return a verified email' };
+    }
+    const domain = email.split('@')[1] || '';
+    if ((provider.allowedDomains || []).length > 0 && !provider.allowedDomains.includes(domain)) {
+        return { ok: false, message: 'This email domain cannot sign in with this provider' };
+    }
+
+    const link = {
+        providerId: provider.providerId,
+        issuer: provider.issuer,
+        subject: String(claims.sub),
+        linkedAt: new Date(),
+    };
+    const existing = await User.findOne({ email }).select('_id username role orgId');
+    if (existing) {
+        if ((existing.orgId || 'default') !== provider.orgId) {
+            return { ok: false, message: 'This account belongs to another organization' };
+        }
+        if (existing.role === 'admin') {
+            return { ok: false, message: 'Admin accounts cannot sign in with an identity provider' };
+        }
+        await User.updateOne({ _id: existing._id }, { $push: { federatedIdentities: link } });
+        return { ok: true, user: existing, outcome: 'linked' };
+    }
+
+    if (!provider.createUsers) {
+        return { ok: false, message: 'No account exists for this email' };
+    }
+    const created = await createFederatedUser({ provider, claims, email, link });
+    return { ok: true, user: created, outcome: 'created' };
+};
+
+module.exports = {
+    FEDERATION_REQUEST_TTL_MS,
+    FEDERATION_LOGIN_CODE_TTL_MS,
+    PROVIDER_ID_PATTERN,
+    buildCallbackUrl,
+    isValidProviderUrl,
+    getProviderMetadata,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeAuthorizationCode,
+    verifyIdToken,
+    readIdentityClaims,
+    resolveFederatedUser,
+};
@@ -0,0 +1,48 @@
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Sign-in pages served by the auth server itself (/oauth/authorize, /saml/sso). Inline
+// scripts only run with the page's scriptNonce.
+const renderPage = (res, status, title, body, { scriptNonce = '' } = {}) => {
+    res.status(status);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader(
+        'Content-Security-Policy',
+        `default-src 'none'; style-src 'unsafe-inline';${scriptNonce ? ` script-src 'nonce-${scriptNonce}';` : ''} frame-ancestors 'none'`,
+    );
+    return res.send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #020617; color: #f1f5f9; font-family: system-ui, sans-serif; }
+    main { width: 100%; max-width: 22rem; padding: 2rem; background: #0f172a; border: 1px solid #1e293b; border-radius: 0.75rem; }
+    h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+    p { color: #94a3b8; font-size: 0.875rem; }
+    label { display: block; font-size: 0.875rem; margin: 1rem 0 0.25rem; }
+    input { box-sizing: border-box; width: 100%; padding: 0.5rem 0.75rem; background: #020617; color: #f1f5f9; border: 1px solid #334155; border-radius: 0.5rem; }
+    button { width: 100%; margin-top: 1.5rem; padding: 0.5rem; background: #06b6d4; color: #020617; border: 0; border-radius: 0.5rem; font-weight: 600; cursor: pointer; }
+    .error { color: #fda4af; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`);
+};
+
+module.exports = {
+    escapeHtml,
+    renderPage,
+};
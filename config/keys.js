@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+const logger = require('./logger');
+
+const SUPPORTED_SIGNING_ALGS = ['RS256', 'ES256'];
+const SIGNING_ALG = SUPPORTED_SIGNING_ALGS.includes(String(process.env.JWT_SIGNING_ALG || '').trim().toUpperCase())
+    ? String(process.env.JWT_SIGNING_ALG).trim().toUpperCase()
+    : 'RS256';
+const KEY_CACHE_TTL_MS = Math.max(5_000, Number(process.env.SIGNING_KEY_CACHE_TTL_MS || 30_000));
+const UNKNOWN_KID_REFRESH_MS = 5_000;
+const PORTFOLIO_DEMO_TRIAL_DAYS = Math.max(1, Number(process.env.PORTFOLIO_DEMO_TRIAL_DAYS || 30));
+// Trial license tokens are the longest-lived expiring tokens, so the default overlap outlives them.
+const DEFAULT_OVERLAP_SECONDS = Math.max(0, Number(process.env.SIGNING_KEY_OVERLAP_HOURS || PORTFOLIO_DEMO_TRIAL_DAYS * 24)) * 3600;
+const KEY_ENCRYPTION_SECRET = String(process.env.SIGNING_KEY_ENCRYPTION_SECRET || '').trim();
+
+const base64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+const computeJwkThumbprint = (jwk) => {
+    const members = jwk.kty === 'EC'
+        ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+        : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+    return base64Url(crypto.createHash('sha256').update(JSON.stringify(members)).digest());
+};
+
+const generateKeyPair = (alg) => (alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+
+// Stored secrets get a key of their own: whoever holds the refresh token secret must
+// not also be able to decrypt signing keys and TOTP seeds. Checked at startup.
+const assertKeyEncryptionSecret = () => {
+    if (!KEY_ENCRYPTION_SECRET) {
+        throw new Error('SIGNING_KEY_ENCRYPTION_SECRET must be set to store encrypted secrets');
+    }
+    if (KEY_ENCRYPTION_SECRET === String(process.env.JWT_REFRESH_SECRET || '').trim()) {
+        throw new Error('SIGNING_KEY_ENCRYPTION_SECRET must differ from JWT_REFRESH_SECRET');
+    }
+};
+
+const getEncryptionKey = () => {
+    assertKeyEncryptionSecret();
+    return crypto.createHash('sha256').update(KEY_ENCRYPTION_SECRET).digest();
+};
+
+// AES-256-GCM for secrets kept in MongoDB (signing keys, TOTP seeds).
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ['v1', base64Url(iv), base64Url(cipher.getAuthTag()), base64Url(ciphertext)].join(':');
+};
+
+const decryptSecret = (encrypted) => {
+    const [version, iv, tag, ciphertext] = String(encrypted || '').split(':');
+    if (version !== 'v1') {
+        throw new Error('Unsupported secret encryption format');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+};
+
+const encryptPrivateKey = (privateKey) => encryptSecret(privateKey.export({ format: 'pem', type: 'pkcs8' }));
+
+const decryptPrivateKey = (encrypted) => crypto.createPrivateKey(decryptSecret(encrypted));
+
+const loadConfiguredPrivateKey = () => {
+    const pem = String(process.env.JWT_SIGNING_PRIVATE_KEY || '').replace(/\\n/g, '\n').trim();
+    if (!pem) {
+        return null;
+    }
+    return crypto.createPrivateKey(pem);
+};
+
+const buildKeyDocument = ({ privateKey, alg, kid }) => {
+    const expectedType = alg === 'ES256' ? 'ec' : 'rsa';
+    if (privateKey.asymmetricKeyType !== expectedType) {
+        throw new Error(`Signing key must be an ${expectedType.toUpperCase()} key for ${alg}`);
+    }
+
+    const publicJwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    const resolvedKid = kid || computeJwkThumbprint(publicJwk);
+    return {
+        kid: resolvedKid,
+        alg,
+        publicJwk: {
+            ...publicJwk,
+            kid: resolvedKid,
+            alg,
+            use: 'sig',
+        },
+        privateKeyEncrypted: encryptPrivateKey(privateKey),
+    };
+};
+
+const cache = {
+    loadedAt: 0,
+    keys: [],
+    signingKey: null,
+    loading: null,
+};
+
+// Promotes due pending keys, demotes every active key but the newest, and retires
+// verify-only keys whose overlap window has passed. Safe to run from any instance.
+const applyScheduledTransitions = async (now = new Date()) => {
+    const due = await SigningKey.find({ status: 'pending', activatesAt: { $lte: now } }).sort({ activatesAt: 1 });
+    for (const key of due) {
+        await SigningKey.updateOne(
+            { _id: key._id, status: 'pending' },
+            { $set: { status: 'active', activatedAt: now } },
+        );
+    }
+
+    const activeKeys = await SigningKey.find({ status: 'active' }).sort({ activatedAt: -1, createdAt: -1 });
+    const [newest, ...superseded] = activeKeys;
+    for (const key of superseded) {
+        const overlapSeconds = Number.isFinite(newest.overlapSeconds) ? newest.overlapSeconds : DEFAULT_OVERLAP_SECONDS;
+        await SigningKey.updateOne(
+            { _id: key._id, status: 'active' },
+            { $set: { status: 'verify-only', verifyUntil: new Date(now.getTime() + (overlapSeconds * 1000)) } },
+        );
+    }
+
+    await SigningKey.updateMany(
+        { status: 'verify-only', verifyUntil: { $lte: now } },
+        { $set: { status: 'retired', retiredAt: now } },
+    );
+};
+
+const ensureSigningKeys = async () => {
+    const existingCount = await SigningKey.countDocuments();
+    if (existingCount > 0) {
+        return;
+    }
+
+    let privateKey = loadConfiguredPrivateKey();
+    const imported = Boolean(privateKey);
+    const kid = imported ? String(process.env.JWT_SIGNING_KEY_ID || '').trim() : '';
+    if (!privateKey) {
+        ({ privateKey } = generateKeyPair(SIGNING_ALG));
+    }
+
+    try {
+        await SigningKey.create({
+            ...buildKeyDocument({ privateKey, alg: SIGNING_ALG, kid }),
+            status: 'active',
+            activatedAt: new Date(),
+            overlapSeconds: DEFAULT_OVERLAP_SECONDS,
+            reason: imported ? 'imported from JWT_SIGNING_PRIVATE_KEY' : 'initial key',
+        });
+        logger.info('Created initial signing key', { alg: SIGNING_ALG, imported });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+const loadKeys = async () => {
+    await ensureSigningKeys();
+    await applyScheduledTransitions();
+
+    const keys = await SigningKey.find({})
+        .select('kid alg status publicJwk activatedAt verifyUntil +privateKeyEncrypted')
+        .sort({ activatedAt: -1, createdAt: -1 })
+        .lean();
+
+    const active = keys.find((key) => key.status === 'active');
+    cache.keys = keys.map((key) => ({
+        kid: key.kid,
+        alg: key.alg,
+        status: key.status,
+        publicJwk: key.publicJwk,
+        publicKey: crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }),
+    }));
+    cache.signingKey = active
+        ? {
+            kid: active.kid,
+            alg: active.alg,
+            privateKey: decryptPrivateKey(active.privateKeyEncrypted),
+        }
+        : null;
+    cache.loadedAt = Date.now();
+};
+
+const refreshKeys = async ({ force = false } = {}) => {
+    if (!force && cache.loadedAt && (Date.now() - cache.loadedAt) < KEY_CACHE_TTL_MS) {
+        return;
+    }
+
+    if (!cache.loading) {
+        cache.loading = loadKeys().finally(() => {
+            cache.loading = null;
+        });
+    }
+    await cache.loading;
+};
+
+const getSigningKey = async () => {
+    await refreshKeys();
+    if (!cache.signingKey) {
+        await refreshKeys({ force: true });
+    }
+    if (!cache.signingKey) {
+        throw new Error('No active signing key is available');
+    }
+    return cache.signingKey;
+};
+
+// Retired keys only verify tokens the caller re-checks against a stored record (persistent admin tokens).
+const getVerificationKey = async (kid, { allowRetired = false } = {}) => {
+    await refreshKeys();
+    let key = cache.keys.find((candidate) => candidate.kid === kid);
+    if (!key && (Date.now() - cache.loadedAt) >= UNKNOWN_KID_REFRESH_MS) {
+        await refreshKeys({ force: true });
+        key = cache.keys.find((candidate) => candidate.kid === kid);
+    }
+
+    if (!key || key.status === 'pending') {
+        return null;
+    }
+    if (key.status === 'retired' && !allowRetired) {
+        return null;
+    }
+    return key;
+};
+
+const getJwks = async () => {
+    await refreshKeys();
+    return {
+        keys: cache.keys
+            .filter((key) => ['pending', 'active', 'verify-only'].includes(key.status))
+            .map((key) => key.publicJwk),
+    };
+};
+
+const listSigningKeys = () => SigningKey.find({})
+    .select('kid alg status activatesAt activatedAt overlapSeconds verifyUntil retiredAt createdBy reason createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+const scheduleKeyRotation = async ({
+    alg = SIGNING_ALG,
+    activateAt,
+    overlapSeconds = DEFAULT_OVERLAP_SECONDS,
+    createdBy = 'system',
+    reason = '',
+}) => {
+    const normalizedAlg = String(alg || '').trim().toUpperCase();
+    if (!SUPPORTED_SIGNING_ALGS.includes(normalizedAlg)) {
+        throw new Error(`alg must be one of ${SUPPORTED_SIGNING_ALGS.join(', ')}`);
+    }
+
+    const { privateKey } = generateKeyPair(normalizedAlg);
+    const created = await SigningKey.create({
+        ...buildKeyDocument({ privateKey, alg: normalizedAlg }),
+        status: 'pending',
+        activatesAt: activateAt,
+        overlapSeconds,
+        createdBy,
+        reason,
+    });
+
+    await refreshKeys({ force: true });
+    return created;
+};
+
+const retireSigningKey = async (kid) => {
+    const updated = await SigningKey.findOneAndUpdate(
+        { kid, status: { $in: ['pending', 'verify-only'] } },
+        { $set: { status: 'retired', retiredAt: new Date() } },
+        { new: true },
+    );
+    await refreshKeys({ force: true });
+    return updated;
+};
+
+module.exports = {
+    SUPPORTED_SIGNING_ALGS,
+    DEFAULT_OVERLAP_SECONDS,
+    computeJwkThumbprint,
+    assertKeyEncryptionSecret,
+    encryptSecret,
+    decryptSecret,
+    ensureSigningKeys,
+    getSigningKey,
+    getVerificationKey,
+    getJwks,
+    listSigningKeys,
+    scheduleKeyRotation,
+    retireSigningKey,
+};
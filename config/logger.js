@@ -0,0 +1,26 @@
+const winston = require('winston');
+const LokiTransport = require('winston-loki');
+
+const lokiHost = String(process.env.LOKI_HOST || '').trim();
+const loggerTransports = [
+    new winston.transports.Console({
+        level: 'info',
+    }),
+];
+
+if (lokiHost && lokiHost !== '#') {
+    loggerTransports.push(
+        new LokiTransport({
+            host: lokiHost,
+            json: true,
+            level: 'info',
+        }),
+    );
+}
+
+const logger = winston.createLogger({
+    level: 'info',
+    transports: loggerTransports,
+});
+
+module.exports = logger;
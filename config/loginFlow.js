@@ -0,0 +1,113 @@
+const { ADMIN_CONSOLE_APP_ID, normalizeAppList, resolveAppAccess } = require('./apps');
+const {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_MAX_AGE_MS,
+    issueAccessToken,
+    issueIdToken,
+} = require('./tokens');
+const { createSession } = require('./sessions');
+const { resolveDpopBinding } = require('./dpop');
+const { buildFlagContext } = require('./featureFlags');
+const { recordLoginAttempt } = require('./throttle');
+const { recordLoginEvent } = require('./risk');
+
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/users/auth/refresh',
+};
+
+const setRefreshTokenCookie = (res, refreshToken) => {
+    res.cookie('refreshToken', refreshToken, {
+        ...REFRESH_COOKIE_OPTIONS,
+        maxAge: REFRESH_TOKEN_MAX_AGE_MS,
+    });
+};
+
+const clearRefreshTokenCookie = (res) => {
+    res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
+};
+
+// Everything /login does once the user has proven who they are, so every sign-in
+// method (password, passkey, MFA, ...) yields the same app checks, session and tokens.
+const completeLogin = async ({
+    req,
+    res,
+    user,
+    requestedAppId: requestedAppInput,
+    grantType = 'password',
+    attemptType = 'login',
+    extraResponse = {},
+    riskAssessment = null,
+    identityProviderId = null,
+}) => {
+    const requestedAppId = requestedAppInput || (user.role === 'admin' ? ADMIN_CONSOLE_APP_ID : '');
+    if (!requestedAppId) {
+        return res.status(400).json({ success: false, message: 'appId is required for non-admin users' });
+    }
+
+    const access = await resolveAppAccess(user, requestedAppId);
+    if (!access.ok) {
+        return res.status(access.status).json({ success: false, message: access.message });
+    }
+    const { targetApp, userAppIds } = access;
+
+    const dpop = await resolveDpopBinding(req, buildFlagContext({ user, appId: requestedAppId }));
+    if (!dpop.ok) {
+        return res.status(400).json({ success: false, message: dpop.message });
+    }
+
+    const { session, refreshToken } = await createSession({
+        user,
+        appId: requestedAppId,
+        req,
+        dpopJkt: dpop.jkt,
+        identityProviderId,
+    });
+    const accessToken = await issueAccessToken(user, requestedAppId, {
+        grantType,
+        sessionId: session.sessionId,
+        jkt: dpop.jkt,
+    });
+    const idToken = await issueIdToken({ user, appId: requestedAppId });
+
+    setRefreshTokenCookie(res, refreshToken);
+    await recordLoginAttempt(req, true, attemptType);
+    await recordLoginEvent({
+        user,
+        appId: requestedAppId,
+        req,
+        type: attemptType,
+        outcome: 'success',
+        assessment: riskAssessment,
+        sessionId: session.sessionId,
+    });
+
+    const effectiveApps = user.role === 'admin' ? normalizeAppList([ADMIN_CONSOLE_APP_ID, ...userAppIds]) : userAppIds;
+    return res.json({
+        success: true,
+        accessToken,
+        idToken,
+        tokenType: dpop.jkt ? 'DPoP' : 'Bearer',
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        username: user.username,
+        app_id: targetApp.appId,
+        app: targetApp,
+        project_url: targetApp.appUrl,
+        user: {
+            id: user._id,
+            username: user.username,
+            role: user.role,
+            apps: effectiveApps,
+            projects: effectiveApps,
+        },
+        ...extraResponse,
+    });
+};
+
+module.exports = {
+    setRefreshTokenCookie,
+    clearRefreshTokenCookie,
+    completeLogin,
+};
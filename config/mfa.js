@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const MfaFactor = require('../models/MfaFactor');
+const MfaChallenge = require('../models/MfaChallenge');
+const { encryptSecret, decryptSecret } = require('./keys');
+const { hashToken } = require('./tokens');
+const { isFeatureEnabled } = require('./safety');
+
+const MFA_TOTP_ISSUER = String(process.env.MFA_TOTP_ISSUER || 'Oauth4.0').trim();
+const MFA_CHALLENGE_TTL_SECONDS = Math.max(60, Number(process.env.MFA_CHALLENGE_TTL_SECONDS || 300));
+const MFA_MAX_CHALLENGE_ATTEMPTS = 5;
+const MFA_METHODS = ['totp', 'recovery_code'];
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step as well to absorb authenticator clock drift.
+const TOTP_WINDOW_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (value) => {
+    const bits = String(value || '')
+        .toUpperCase()
+        .replace(/[\s=]/g, '')
+        .split('')
+        .map((char) => {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index < 0) {
+                throw new Error('Invalid base32 secret');
+            }
+            return index.toString(2).padStart(5, '0');
+        })
+        .join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// RFC 6238 with the defaults every authenticator app supports: SHA-1, 6 digits, 30s.
+const computeTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const findTotpStep = (secret, code, now = Date.now()) => {
+    const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+    for (let drift = -TOTP_WINDOW_STEPS; drift <= TOTP_WINDOW_STEPS; drift += 1) {
+        const candidate = computeTotp(secret, currentStep + drift);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+            return currentStep + drift;
+        }
+    }
+    return null;
+};
+
+const buildOtpauthUrl = ({ secret, username }) => {
+    const label = encodeURIComponent(`${MFA_TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: MFA_TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Codes are only returned once; the factor keeps their hashes.
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+        codes,
+        hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+    };
+};
+
+const isMfaRequiredForRole = (role) => role === 'admin' && isFeatureEnabled('ADMIN_MFA');
+
+const getMfaStatus = async (userId) => {
+    const factor = await MfaFactor.findOne({ userId }).select('+recoveryCodeHashes').lean();
+    const enabled = factor?.status === 'active';
+    return {
+        enabled,
+        pendingEnrollment: factor?.status === 'pending',
+        methods: enabled ? MFA_METHODS : [],
+        enabledAt: enabled ? factor.enabledAt : null,
+        lastUsedAt: factor?.lastUsedAt || null,
+        recoveryCodesRemaining: enabled ? (factor.recoveryCodeHashes || []).length : 0,
+    };
+};
+
+// Replaces any unfinished enrollment so a lost QR code can simply be requested again.
+const beginTotpEnrollment = async (user) => {
+    const existing = await MfaFactor.findOne({ userId: user._id }).select('status').lean();
+    if (existing?.status === 'active') {
+        return { ok: false, status: 409, message: 'MFA is already enabled' };
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await MfaFactor.updateOne(
+        { userId: user._id },
+        {
+            $set: {
+                type: 'totp',
+                status: 'pending',
+                secretEncrypted: encryptSecret(secret),
+                lastUsedStep: 0,
+                recoveryCodeHashes: [],
+                recoveryCodesGeneratedAt: null,
+                enabledAt: null,
+            },
+        },
+        { upsert: true },
+    );
+
+    return {
+        ok: true,
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, username: user.username }),
+        period: TOTP_PERIOD_SECONDS,
+        digits: TOTP_DIGITS,
+    };
+};
+
+// TOTP codes are single use: lastUsedStep only moves forward, atomically. Recovery
+// codes are pulled from the factor as they are used. Pending factors only accept
+// TOTP, which is how enrollment is confirmed.
+const verifyMfaCode = async (userId, rawCode, { allowPending = false } = {}) => {
+    const factor = await MfaFactor.findOne({ userId }).select('+secretEncrypted +recoveryCodeHashes');
+    if (!factor || (factor.status !== 'active' && !(allowPending && factor.status === 'pending'))) {
+        return { ok: false, message: 'MFA is not enabled' };
+    }
+
+    const code = String(rawCode || '').replace(/\s/g, '');
+    const now = new Date();
+
+    if (/^\d{6}$/.test(code)) {
+        const step = findTotpStep(decryptSecret(factor.secretEncrypted), code);
+        if (step === null) {
+            return { ok: false, message: 'Invalid MFA code' };
+        }
+        const result = await MfaFactor.updateOne(
+            { _id: factor._id, lastUsedStep: { $lt: step } },
+            { $set: { lastUsedStep: step, lastUsedAt: now } },
+        );
+        if (!result.matchedCount) {
+            return { ok: false, message: 'MFA code has already been used' };
+        }
+        return { ok: true, method: 'totp', factor };
+    }
+
+    const normalized = normalizeRecoveryCode(code);
+    if (factor.status !== 'active' || !normalized) {
+        return { ok: false, message: 'Invalid MFA code' };
+    }
+    const codeHash = hashToken(normalized);
+    const recoveryCodesRemaining = factor.recoveryCodeHashes.length - 1;
+    const result = await MfaFactor.updateOne(
+        { _id: factor._id, recoveryCodeHashes: codeHash },
+        { $pull: { recoveryCodeHashes: codeHash }, $set: { lastUsedAt: now } },
+    );
+    if (!result.matchedCount) {
+        return { ok: false, message: 'Invalid MFA code' };
+    }
+    return {
+        ok: true,
+        method: 'recovery_code',
+        factor,
+        recoveryCodesRemaining,
+    };
+};
+
+const activateTotpFactor = async (factor) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const result = await MfaFactor.updateOne(
+        { _id: factor._id, status: 'pending' },
+        {
+            $set: {
+                status: 'active',
+                enabledAt: new Date(),
+                recoveryCodeHashes: hashes,
+                recoveryCodesGeneratedAt: new Date(),
+            },
+        },
+    );
+    return result.matchedCount ? codes : null;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const result = await MfaFactor.updateOne(
+        { userId, status: 'active' },
+        { $set: { recoveryCodeHashes: hashes, recoveryCodesGeneratedAt: new Date() } },
+    );
+    return result.matchedCount ? codes : null;
+};
+
+const disableMfa = (userId) => MfaFactor.deleteOne({ userId });
+
+// Called once the password checks out. Returns null when the user can be signed in
+// straight away, otherwise the opaque challenge token for /login/mfa.
+const startMfaChallenge = async ({ user, appId, identityProviderId = null }) => {
+    const factor = await MfaFactor.findOne({ userId: user._id }).select('status').lean();
+    const enrolled = factor?.status === 'active';
+    if (!enrolled && !isMfaRequiredForRole(user.role)) {
+        return null;
+    }
+
+    const mfaToken = crypto.randomBytes(32).toString('base64url');
+    await MfaChallenge.create({
+        challengeHash: hashToken(mfaToken),
+        userId: user._id,
+        appId: appId || '',
+        identityProviderId,
+        enrollmentRequired: !enrolled,
+        expiresAt: new Date(Date.now() + MFA_CHALLENGE_TTL_SECONDS * 1000),
+    });
+
+    return {
+        mfaToken,
+        enrollmentRequired: !enrolled,
+        methods: enrolled ? MFA_METHODS : ['totp'],
+        expiresIn: MFA_CHALLENGE_TTL_SECONDS,
+    };
+};
+
+const findMfaChallenge = async (mfaToken) => {
+    if (!mfaToken) {
+        return null;
+    }
+    const challenge = await MfaChallenge.findOne({
+        challengeHash: hashToken(String(mfaToken)),
+        consumedAt: null,
+    });
+    if (!challenge || challenge.expiresAt < new Date() || challenge.attempts >= MFA_MAX_CHALLENGE_ATTEMPTS) {
+        return null;
+    }
+    return challenge;
+};
+
+// Each wrong code burns an attempt; the challenge dies after MFA_MAX_CHALLENGE_ATTEMPTS
+// so the password has to be proven again before guessing can continue.
+const recordFailedMfaAttempt = (challenge) => MfaChallenge.updateOne(
+    { _id: challenge._id },
+    { $inc: { attempts: 1 } },
+);
+
+const consumeMfaChallenge = async (challenge) => {
+    const result = await MfaChallenge.updateOne(
+        { _id: challenge._id, consumedAt: null },
+        { $set: { consumedAt: new Date() } },
+    );
+    return result.matchedCount > 0;
+};
+
+module.exports = {
+    MFA_CHALLENGE_TTL_SECONDS,
+    MFA_METHODS,
+    isMfaRequiredForRole,
+    getMfaStatus,
+    beginTotpEnrollment,
+    verifyMfaCode,
+    activateTotpFactor,
+    regenerateRecoveryCodes,
+    disableMfa,
+    startMfaChallenge,
+    findMfaChallenge,
+    recordFailedMfaAttempt,
+    consumeMfaChallenge,
+};
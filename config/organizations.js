@@ -0,0 +1,89 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const App = require('../models/App');
+const TrialLicenseGrant = require('../models/TrialLicenseGrant');
+const logger = require('./logger');
+
+const DEFAULT_ORG_ID = 'default';
+const ORG_ID_PATTERN = /^[a-z][a-z0-9-]{1,47}$/;
+
+const normalizeOrgId = (orgId) => String(orgId || '').trim().toLowerCase();
+
+// Rows written before tenancy have no orgId; they belong to the default organization.
+const ensureDefaultOrganization = async () => {
+    await Organization.updateOne(
+        { orgId: DEFAULT_ORG_ID },
+        { $setOnInsert: { orgId: DEFAULT_ORG_ID, name: 'Default' } },
+        { upsert: true },
+    );
+
+    const backfill = { orgId: { $exists: false } };
+    const update = { $set: { orgId: DEFAULT_ORG_ID } };
+    const results = await Promise.all([
+        User.updateMany(backfill, update),
+        App.updateMany(backfill, update),
+        TrialLicenseGrant.updateMany(backfill, update),
+    ]);
+    const moved = results.reduce((total, result) => total + (result.modifiedCount || 0), 0);
+    if (moved > 0) {
+        logger.info('Moved records without an orgId into the default organization', { moved, orgId: DEFAULT_ORG_ID });
+    }
+};
+
+// Admins of the default organization (and break-glass) run the platform; admins of
+// any other organization only manage their own tenant.
+const isPlatformAdmin = (user) => Boolean(user)
+    && user.role === 'admin'
+    && (user.isBreakGlass === true || (user.orgId || DEFAULT_ORG_ID) === DEFAULT_ORG_ID);
+
+// The organization an admin request is limited to, or null for all of them. Platform
+// admins can narrow a request to one tenant with X-Org-Id.
+const getAdminOrgScope = (req) => {
+    if (!isPlatformAdmin(req.user)) {
+        return req.user.orgId || DEFAULT_ORG_ID;
+    }
+    return normalizeOrgId(req.headers['x-org-id']) || null;
+};
+
+const orgScopeFilter = (req) => {
+    const orgId = getAdminOrgScope(req);
+    return orgId ? { orgId } : {};
+};
+
+const isInAdminOrgScope = (req, orgId) => {
+    const scope = getAdminOrgScope(req);
+    return !scope || scope === (orgId || DEFAULT_ORG_ID);
+};
+
+// Where something an admin creates should live: their own tenant, or for platform
+// admins the requested one (falling back to X-Org-Id, then the default).
+const resolveTargetOrg = async (req, requestedOrgId) => {
+    const orgId = isPlatformAdmin(req.user)
+        ? normalizeOrgId(requestedOrgId) || getAdminOrgScope(req) || DEFAULT_ORG_ID
+        : req.user.orgId || DEFAULT_ORG_ID;
+    if (!await Organization.exists({ orgId })) {
+        return { ok: false, message: `Organization '${orgId}' does not exist` };
+    }
+    return { ok: true, orgId };
+};
+
+// Goes after requireRole(['admin']) on endpoints that change the whole deployment.
+const requirePlatformAdmin = (req, res, next) => {
+    if (!isPlatformAdmin(req.user)) {
+        return res.status(403).json({ success: false, message: 'Only platform admins can do this' });
+    }
+    return next();
+};
+
+module.exports = {
+    DEFAULT_ORG_ID,
+    ORG_ID_PATTERN,
+    normalizeOrgId,
+    ensureDefaultOrganization,
+    isPlatformAdmin,
+    getAdminOrgScope,
+    orgScopeFilter,
+    isInAdminOrgScope,
+    resolveTargetOrg,
+    requirePlatformAdmin,
+};
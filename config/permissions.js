@@ -0,0 +1,151 @@
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const {
+    ADMIN_CONSOLE_APP_ID,
+    normalizeAppId,
+    normalizeAppList,
+    resolveEffectiveApps,
+} = require('./apps');
+
+const ROLE_CACHE_TTL_MS = Math.max(1000, Number(process.env.SAFETY_STATE_CACHE_TTL_MS || 5000));
+const PERMISSION_KEY_PATTERN = /^[a-z][a-z0-9-]{0,31}:[a-z][a-z0-9-]{0,31}$/;
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9-]{1,47}$/;
+// User.role values; a custom role with the same key would read as the coarse role.
+const RESERVED_ROLE_KEYS = ['user', 'admin'];
+const ALL_APPS = '*';
+const MAX_ROLE_GRANTS = 100;
+
+const BUILT_IN_PERMISSIONS = [
+    { key: 'products:write', description: 'Create, bulk create and update products' },
+    { key: 'products:delete', description: 'Delete products' },
+];
+
+const roleCache = {
+    loadedAt: 0,
+    loading: null,
+    roles: new Map(),
+};
+
+const normalizePermissionKey = (key) => String(key || '').trim().toLowerCase();
+const normalizeRoleKey = (key) => String(key || '').trim().toLowerCase();
+
+const loadRoles = async () => {
+    const roles = await Role.find({}).select('key permissions').lean();
+    roleCache.roles = new Map(roles.map((role) => [role.key, role.permissions || []]));
+    roleCache.loadedAt = Date.now();
+};
+
+const refreshRoles = async ({ force = false } = {}) => {
+    if (!force && roleCache.loadedAt && (Date.now() - roleCache.loadedAt) < ROLE_CACHE_TTL_MS) {
+        return;
+    }
+
+    if (!roleCache.loading) {
+        roleCache.loading = loadRoles().finally(() => {
+            roleCache.loading = null;
+        });
+    }
+    await roleCache.loading;
+};
+
+// Union of the permissions of every role granted in this app or in all apps. Grants of
+// a role that no longer exists count for nothing.
+const resolvePermissions = async (roleGrants, appId) => {
+    const normalizedAppId = normalizeAppId(appId);
+    const grants = (roleGrants || []).filter((grant) => grant.appId === ALL_APPS || grant.appId === normalizedAppId);
+    if (!normalizedAppId || normalizedAppId === ALL_APPS || grants.length === 0) {
+        return [];
+    }
+
+    await refreshRoles();
+    const permissions = new Set();
+    grants.forEach((grant) => {
+        (roleCache.roles.get(grant.role) || []).forEach((permission) => permissions.add(permission));
+    });
+    return [...permissions].sort();
+};
+
+// The apps a user can reach and their permissions in appId, as requireAuth and the admin
+// console see them. Callers load the user's role, orgId, projects, groups and roleGrants.
+const resolveUserAccess = async (user, appId) => {
+    const userAppIds = await resolveEffectiveApps(user);
+    return {
+        apps: user.role === 'admin'
+            ? normalizeAppList([ADMIN_CONSOLE_APP_ID, ...userAppIds])
+            : normalizeAppList(userAppIds),
+        permissions: await resolvePermissions(user.roleGrants, appId),
+    };
+};
+
+const listPermissions = async () => {
+    const custom = await Permission.find({}).sort({ key: 1 }).lean();
+    return [
+        ...BUILT_IN_PERMISSIONS.map((permission) => ({ ...permission, builtIn: true })),
+        ...custom.map((permission) => ({
+            key: permission.key,
+            description: permission.description,
+            builtIn: false,
+            updatedBy: permission.updatedBy,
+            createdAt: permission.createdAt,
+        })),
+    ];
+};
+
+// Throws on the first unknown permission so the route can answer 400.
+const normalizePermissionList = async (values) => {
+    if (values === undefined || values === null) {
+        return [];
+    }
+    if (!Array.isArray(values)) {
+        throw new Error('permissions must be an array');
+    }
+
+    const keys = [...new Set(values.map(normalizePermissionKey).filter(Boolean))];
+    const known = new Set((await listPermissions()).map((permission) => permission.key));
+    const unknown = keys.find((key) => !known.has(key));
+    if (unknown) {
+        throw new Error(`Unknown permission ${unknown}`);
+    }
+    return keys.sort();
+};
+
+const normalizeRoleGrants = async (grants) => {
+    if (!Array.isArray(grants) || grants.length > MAX_ROLE_GRANTS) {
+        throw new Error(`grants must be an array of at most ${MAX_ROLE_GRANTS} { appId, role } entries`);
+    }
+
+    const seen = new Map();
+    grants.forEach((grant) => {
+        const appId = normalizeAppId(grant?.appId);
+        const role = normalizeRoleKey(grant?.role);
+        if (!appId || !role) {
+            throw new Error('Every grant needs an appId and a role');
+        }
+        seen.set(`${appId} ${role}`, { appId, role });
+    });
+
+    const normalized = [...seen.values()];
+    const roleKeys = [...new Set(normalized.map((grant) => grant.role))];
+    const existing = await Role.find({ key: { $in: roleKeys } }).select('key').lean();
+    const existingKeys = new Set(existing.map((role) => role.key));
+    const unknown = roleKeys.find((key) => !existingKeys.has(key));
+    if (unknown) {
+        throw new Error(`Unknown role ${unknown}`);
+    }
+    return normalized;
+};
+
+module.exports = {
+    PERMISSION_KEY_PATTERN,
+    ROLE_KEY_PATTERN,
+    RESERVED_ROLE_KEYS,
+    BUILT_IN_PERMISSIONS,
+    normalizePermissionKey,
+    normalizeRoleKey,
+    refreshRoles,
+    resolvePermissions,
+    resolveUserAccess,
+    listPermissions,
+    normalizePermissionList,
+    normalizeRoleGrants,
+};
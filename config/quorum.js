@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AdminDevice = require('../models/AdminDevice');
+const QuorumRequest = require('../models/QuorumRequest');
+const { computeJwkThumbprint } = require('./keys');
+const { isFeatureEnabled } = require('./safety');
+const { buildFlagContext } = require('./featureFlags');
+
+const QUORUM_ACTIONS = {
+    'role.update': 'Change a user role',
+    'user.delete': 'Delete a user',
+    'personal_token.rotate': 'Rotate the persistent admin token',
+    'device.register': 'Register another trusted device',
+    'device.remove': 'Remove a trusted device',
+    'provisioning_token.create': 'Create a SCIM provisioning token',
+    'identity_provider.create': 'Add an upstream identity provider',
+    'identity_provider.update': 'Change who can sign in through an upstream identity provider',
+    'identity_provider.delete': 'Remove an upstream identity provider',
+};
+const DEVICE_QUORUM_APPROVALS = Math.max(1, Number(process.env.DEVICE_QUORUM_APPROVALS || 2));
+const QUORUM_REQUEST_TTL_MS = Math.max(60, Number(process.env.QUORUM_REQUEST_TTL_SECONDS || 600)) * 1000;
+const APPROVAL_MAX_AGE_SECONDS = 300;
+const MAX_DEVICES_PER_ADMIN = 10;
+const APPROVAL_TYP = 'quorum-approval+jwt';
+const REGISTRATION_TYP = 'device-registration+jwt';
+
+const isDeviceQuorumEnabled = (user) => isFeatureEnabled('DEVICE_QUORUM', buildFlagContext({ user }));
+
+const getSigningAlgs = (jwk) => (jwk.kty === 'EC' ? ['ES256'] : ['RS256', 'PS256']);
+
+// Devices hold P-256 or RSA (2048+) keys; only the public members are kept.
+const parseDevicePublicKey = (input) => {
+    const jwk = input && typeof input === 'object' ? input : {};
+    if (jwk.d) {
+        throw new Error('publicKeyJwk must not contain private key material');
+    }
+
+    let publicJwk;
+    if (jwk.kty === 'EC' && jwk.crv === 'P-256') {
+        publicJwk = { kty: 'EC', crv: 'P-256', x: jwk.x, y: jwk.y };
+    } else if (jwk.kty === 'RSA') {
+        publicJwk = { kty: 'RSA', n: jwk.n, e: jwk.e };
+    } else {
+        throw new Error('publicKeyJwk must be an EC P-256 or RSA public key');
+    }
+
+    const keyObject = crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+    if (publicJwk.kty === 'RSA' && keyObject.asymmetricKeyDetails.modulusLength < 2048) {
+        throw new Error('RSA device keys must be at least 2048 bits');
+    }
+
+    return { jwk: publicJwk, jkt: computeJwkThumbprint(publicJwk) };
+};
+
+const verifyDeviceJwt = (token, jwk, typ, { ignoreIat = false } = {}) => {
+    const decoded = jwt.decode(String(token || ''), { complete: true });
+    if (!decoded || decoded.header.typ !== typ) {
+        throw new Error(`Signature must be a ${typ}`);
+    }
+    let payload;
+    try {
+        payload = jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+            algorithms: getSigningAlgs(jwk),
+            ignoreExpiration: true,
+        });
+    } catch {
+        throw new Error('Signature is invalid');
+    }
+    const now = Math.floor(Date.now() / 1000);
+    if (!ignoreIat && (!Number.isFinite(payload.iat)
+        || payload.iat > now + 60
+        || payload.iat < now - APPROVAL_MAX_AGE_SECONDS)) {
+        throw new Error('Signature iat is outside the accepted window');
+    }
+    return payload;
+};
+
+// Proves the caller holds the private key. iat is not checked because a registration
+// that needs quorum is replayed with the same body once it is approved.
+const verifyDeviceRegistrationProof = ({ proof, jwk, username }) => {
+    const payload = verifyDeviceJwt(proof, jwk, REGISTRATION_TYP, { ignoreIat: true });
+    if (payload.purpose !== 'device_registration' || payload.sub !== username) {
+        throw new Error('Registration proof must be for device_registration by this admin');
+    }
+};
+
+const hashQuorumParams = ({ action, target, params }) => crypto.createHash('sha256')
+    .update(JSON.stringify([action, target, params]))
+    .digest('hex');
+
+const serializeQuorumRequest = (request) => ({
+    requestId: request.requestId,
+    action: request.action,
+    description: QUORUM_ACTIONS[request.action] || request.action,
+    target: request.target,
+    params: request.params,
+    paramsHash: request.paramsHash,
+    requestedBy: request.username,
+    status: request.status === 'pending' && request.expiresAt < new Date() ? 'expired' : request.status,
+    requiredApprovals: request.requiredApprovals,
+    approvals: (request.approvals || []).map((approval) => ({
+        deviceId: approval.deviceId,
+        approvedAt: approval.approvedAt,
+    })),
+    rejectedBy: request.rejectedBy || undefined,
+    createdAt: request.createdAt,
+    expiresAt: request.expiresAt,
+    executedAt: request.executedAt,
+});
+
+// Always the configured number of approvals: requireDeviceQuorum refuses admins with
+// fewer devices, and adding one past that point is itself a quorum action.
+const createQuorumRequest = async ({
+    user,
+    action,
+    target,
+    params,
+    paramsHash,
+}) => QuorumRequest.create({
+    requestId: `qr-${crypto.randomUUID()}`,
+    userId: user.id,
+    username: user.username,
+    action,
+    target,
+    params,
+    paramsHash,
+    requiredApprovals: DEVICE_QUORUM_APPROVALS,
+    expiresAt: new Date(Date.now() + QUORUM_REQUEST_TTL_MS),
+});
+
+// The device signs the request id, the action and the params hash it was shown, so an
+// approval cannot be moved to another request or to different parameters.
+const recordDeviceDecision = async ({ requestId, signature, decision }) => {
+    const request = await QuorumRequest.findOne({ requestId });
+    if (!request || request.status !== 'pending' || request.expiresAt < new Date()) {
+        return { ok: false, status: 404, message: 'Quorum request not found or no longer pending' };
+    }
+
+    const deviceId = String(jwt.decode(String(signature || ''), { complete: true })?.header?.kid || '');
+    const device = deviceId
+        ? await AdminDevice.findOne({ deviceId, userId: request.userId }).lean()
+        : null;
+    if (!device) {
+        return { ok: false, status: 401, message: 'Signature kid is not a trusted device of the requesting admin' };
+    }
+
+    let payload;
+    try {
+        payload = verifyDeviceJwt(signature, device.publicKeyJwk, APPROVAL_TYP);
+    } catch (error) {
+        return { ok: false, status: 401, message: error.message };
+    }
+    if (payload.rid !== request.requestId
+        || payload.act !== request.action
+        || payload.ph !== request.paramsHash
+        || payload.decision !== decision) {
+        return { ok: false, status: 401, message: 'Signature does not match this request' };
+    }
+
+    await AdminDevice.updateOne({ _id: device._id }, { $set: { lastUsedAt: new Date() } });
+
+    if (decision === 'reject') {
+        await QuorumRequest.updateOne(
+            { _id: request._id, status: 'pending' },
+            { $set: { status: 'rejected', rejectedBy: device.deviceId } },
+        );
+        return { ok: true, request: await QuorumRequest.findById(request._id).lean(), device };
+    }
+
+    if (!request.approvals.some((approval) => approval.deviceId === device.deviceId)) {
+        await QuorumRequest.updateOne(
+            { _id: request._id, status: 'pending', 'approvals.deviceId': { $ne: device.deviceId } },
+            { $push: { approvals: { deviceId: device.deviceId, approvedAt: new Date() } } },
+        );
+    }
+
+    const updated = await QuorumRequest.findById(request._id).lean();
+    if (updated.status === 'pending' && updated.approvals.length >= updated.requiredApprovals) {
+        await QuorumRequest.updateOne(
+            { _id: updated._id, status: 'pending' },
+            { $set: { status: 'approved', approvedAt: new Date() } },
+        );
+        updated.status = 'approved';
+    }
+    return { ok: true, request: updated, device };
+};
+
+// Single use: the approved request flips to executed as the replayed call goes through.
+const consumeApprovedRequest = ({
+    requestId,
+    userId,
+    action,
+    paramsHash,
+}) => QuorumRequest.findOneAndUpdate(
+    {
+        requestId,
+        userId,
+        action,
+        paramsHash,
+        status: 'approved',
+        expiresAt: { $gt: new Date() },
+    },
+    { $set: { status: 'executed', executedAt: new Date() } },
+    { new: true },
+);
+
+module.exports = {
+    QUORUM_ACTIONS,
+    DEVICE_QUORUM_APPROVALS,
+    MAX_DEVICES_PER_ADMIN,
+    isDeviceQuorumEnabled,
+    parseDevicePublicKey,
+    verifyDeviceRegistrationProof,
+    hashQuorumParams,
+    serializeQuorumRequest,
+    createQuorumRequest,
+    recordDeviceDecision,
+    consumeApprovedRequest,
+};
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const AdminPersonalToken = require('../models/AdminPersonalToken');
+const TrialLicenseGrant = require('../models/TrialLicenseGrant');
+const RevokedToken = require('../models/RevokedToken');
+const { ADMIN_CONSOLE_APP_ID, normalizeAppList } = require('./apps');
+const { REFRESH_TOKEN_SECRET, hashToken, verifyAccessToken } = require('./tokens');
+const { findActiveSession, revokeSession, isSessionActive } = require('./sessions');
+
+const readRefreshToken = (token) => {
+    try {
+        const payload = jwt.verify(token, REFRESH_TOKEN_SECRET, { algorithms: ['HS256'] });
+        return payload.type === 'refresh' ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+const readAccessToken = async (token) => {
+    try {
+        return await verifyAccessToken(token);
+    } catch {
+        return null;
+    }
+};
+
+const isAccessTokenRevoked = async (payload) => Boolean(
+    (payload.jti && await RevokedToken.exists({ jti: payload.jti }))
+    || (payload.sid && !await isSessionActive(payload.sid)),
+);
+
+// RFC 7009 only lets a client revoke tokens issued to it. Trial licenses span apps, so
+// any app in the license scope may revoke it; PATs belong to the built-in console.
+const isIssuedToClient = (payload, clientAppId) => {
+    if (payload.pat === true) {
+        return clientAppId === ADMIN_CONSOLE_APP_ID;
+    }
+    if (payload.trialGrant === true) {
+        return normalizeAppList(payload.projects).includes(clientAppId);
+    }
+    return payload.appId === clientAppId;
+};
+
+const revokeRefreshToken = async (token, payload, reason) => {
+    const { ok, session } = await findActiveSession(payload, token);
+    if (ok) {
+        await revokeSession({ _id: session._id }, reason);
+    }
+    return 'refresh';
+};
+
+const revokeTrialToken = async (payload) => {
+    await TrialLicenseGrant.updateOne(
+        { userId: payload.sub, tokenId: String(payload.trialTokenId || ''), revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+    );
+    return 'trial';
+};
+
+const revokePersonalAdminToken = async (token, payload, reason) => {
+    await AdminPersonalToken.updateOne(
+        {
+            userId: payload.sub,
+            tokenId: String(payload.patId || '').trim(),
+            tokenHash: hashToken(token),
+            revokedAt: null,
+        },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+    return 'pat';
+};
+
+const denyAccessToken = async (payload, reason) => {
+    if (!payload.jti || !Number.isFinite(payload.exp)) {
+        // Tokens minted before jti was added cannot be denylisted; they expire on their own.
+        return 'access';
+    }
+
+    await RevokedToken.updateOne(
+        { jti: payload.jti },
+        {
+            $setOnInsert: {
+                jti: payload.jti,
+                userId: payload.sub,
+                appId: payload.appId || '',
+                reason,
+                expiresAt: new Date(payload.exp * 1000),
+            },
+        },
+        { upsert: true },
+    );
+    return 'access';
+};
+
+// Unknown, expired or already revoked tokens resolve to { ok: true, tokenType: null }
+// so the endpoint stays idempotent and does not reveal whether a token ever existed.
+const revokeToken = async (token, { hint = '', clientAppId, reason = 'revoked via /oauth/revoke' } = {}) => {
+    const readers = hint === 'refresh_token'
+        ? [['refresh', readRefreshToken], ['access', readAccessToken]]
+        : [['access', readAccessToken], ['refresh', readRefreshToken]];
+
+    for (const [kind, read] of readers) {
+        const payload = await read(token);
+        if (!payload) {
+            continue;
+        }
+
+        if (!isIssuedToClient(payload, clientAppId)) {
+            return { ok: false, message: 'Token was not issued to this client' };
+        }
+
+        if (kind === 'refresh') {
+            return { ok: true, tokenType: await revokeRefreshToken(token, payload, reason) };
+        }
+        if (payload.pat === true) {
+            return { ok: true, tokenType: await revokePersonalAdminToken(token, payload, reason) };
+        }
+        if (payload.trialGrant === true) {
+            return { ok: true, tokenType: await revokeTrialToken(payload) };
+        }
+        return { ok: true, tokenType: await denyAccessToken(payload, reason) };
+    }
+
+    return { ok: true, tokenType: null };
+};
+
+module.exports = {
+    isAccessTokenRevoked,
+    revokeToken,
+};
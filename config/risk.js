@@ -0,0 +1,261 @@
+const LoginEvent = require('../models/LoginEvent');
+const logger = require('./logger');
+const { getRequestIp, isFeatureEnabled } = require('./safety');
+const { buildFlagContext } = require('./featureFlags');
+
+const RISK_STEP_UP_SCORE = Math.max(1, Number(process.env.RISK_STEP_UP_SCORE || 50));
+const RISK_DENY_SCORE = Math.max(RISK_STEP_UP_SCORE, Number(process.env.RISK_DENY_SCORE || 90));
+const HISTORY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+const VELOCITY_WINDOW_MS = 10 * 60 * 1000;
+const VELOCITY_MAX_ATTEMPTS = 10;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_TRAVEL_SPEED_KMH = 1000;
+const MIN_TRAVEL_DISTANCE_KM = 500;
+// What every interactive sign-in answers when the assessment denies or steps up.
+const RISK_DENY_MESSAGE = 'Sign-in blocked for security reasons, please contact an administrator';
+const RISK_STEP_UP_MESSAGE = 'This sign-in needs a second factor. Enable MFA or contact an administrator.';
+
+const isRiskEngineEnabled = ({ user, appId }) => isFeatureEnabled('RISK_ENGINE', buildFlagContext({ user, appId }));
+
+const decodeHeader = (value) => {
+    try {
+        return decodeURIComponent(String(value || '')).trim();
+    } catch {
+        return String(value || '').trim();
+    }
+};
+
+const parseCoordinate = (value) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Vercel geolocates every request at the edge and forwards the result as headers.
+const getRequestGeo = (req) => ({
+    country: decodeHeader(req.headers['x-vercel-ip-country']).slice(0, 8),
+    region: decodeHeader(req.headers['x-vercel-ip-country-region']).slice(0, 16),
+    city: decodeHeader(req.headers['x-vercel-ip-city']).slice(0, 100),
+    latitude: parseCoordinate(req.headers['x-vercel-ip-latitude']),
+    longitude: parseCoordinate(req.headers['x-vercel-ip-longitude']),
+});
+
+const hasCoordinates = (geo) => Number.isFinite(geo?.latitude) && Number.isFinite(geo?.longitude);
+
+const distanceKm = (from, to) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// A signal gets the assessment context and returns null or { score, detail }.
+// Register more with registerRiskSignal; scores add up across signals.
+const riskSignals = [
+    {
+        name: 'new_ip',
+        evaluate: ({ ip, history }) => {
+            if (!history.length || !ip || history.some((event) => event.ip === ip)) {
+                return null;
+            }
+            return { score: 20, detail: `First sign-in from ${ip}` };
+        },
+    },
+    {
+        name: 'new_user_agent',
+        evaluate: ({ userAgent, history }) => {
+            if (!history.length || !userAgent || history.some((event) => event.userAgent === userAgent)) {
+                return null;
+            }
+            return { score: 10, detail: 'First sign-in from this user agent' };
+        },
+    },
+    {
+        name: 'velocity',
+        evaluate: ({ recentAttempts }) => {
+            if (recentAttempts < VELOCITY_MAX_ATTEMPTS) {
+                return null;
+            }
+            return { score: 30, detail: `${recentAttempts} sign-in attempts in the last ${VELOCITY_WINDOW_MS / 60000} minutes` };
+        },
+    },
+    {
+        name: 'impossible_travel',
+        evaluate: ({ geo, history, now }) => {
+            const previous = history.find((event) => hasCoordinates(event.geo));
+            if (!previous || !hasCoordinates(geo)) {
+                return null;
+            }
+            const distance = distanceKm(previous.geo, geo);
+            const hours = Math.max((now - new Date(previous.createdAt).getTime()) / 3_600_000, 1 / 60);
+            const speed = distance / hours;
+            if (distance < MIN_TRAVEL_DISTANCE_KM || speed < MAX_TRAVEL_SPEED_KMH) {
+                return null;
+            }
+            const from = previous.geo.city || previous.geo.country || 'previous location';
+            const to = geo.city || geo.country || 'current location';
+            return { score: 60, detail: `${Math.round(distance)} km from ${from} to ${to} at ${Math.round(speed)} km/h` };
+        },
+    },
+    {
+        name: 'recent_failures',
+        // Not applied to refreshes, or failing passwords would sign the real user out.
+        evaluate: ({ type, recentFailures }) => {
+            if (type === 'refresh' || recentFailures < 3) {
+                return null;
+            }
+            return {
+                score: Math.min(40, recentFailures * 10),
+                detail: `${recentFailures} failed attempts in the last ${FAILURE_WINDOW_MS / 60000} minutes`,
+            };
+        },
+    },
+];
+
+const registerRiskSignal = ({ name, evaluate }) => {
+    if (!name || typeof evaluate !== 'function') {
+        throw new Error('Risk signals need a name and an evaluate function');
+    }
+    const existing = riskSignals.findIndex((signal) => signal.name === name);
+    if (existing >= 0) {
+        riskSignals.splice(existing, 1);
+    }
+    riskSignals.push({ name, evaluate });
+};
+
+const decide = (score) => {
+    if (score >= RISK_DENY_SCORE) {
+        return 'deny';
+    }
+    if (score >= RISK_STEP_UP_SCORE) {
+        return 'step_up';
+    }
+    return 'allow';
+};
+
+// Compares the attempt with the account's own recent history. A signal that throws
+// is logged and skipped so a scoring bug cannot lock everybody out.
+const assessLoginRisk = async ({ user, appId = '', req, type = 'login' }) => {
+    const geo = getRequestGeo(req);
+    if (!isRiskEngineEnabled({ user, appId })) {
+        return { enabled: false, decision: 'allow', score: 0, reasons: [], geo };
+    }
+
+    const now = Date.now();
+    const [history, recentAttempts, recentFailures] = await Promise.all([
+        LoginEvent.find({
+            userId: user._id,
+            outcome: 'success',
+            createdAt: { $gt: new Date(now - HISTORY_WINDOW_MS) },
+        })
+            .sort({ createdAt: -1 })
+            .limit(HISTORY_LIMIT)
+            .lean(),
+        LoginEvent.countDocuments({
+            userId: user._id,
+            type: { $in: ['login', 'passkey', 'saml', 'authorize', 'federated'] },
+            createdAt: { $gt: new Date(now - VELOCITY_WINDOW_MS) },
+        }),
+        LoginEvent.countDocuments({
+            userId: user._id,
+            outcome: 'failure',
+            createdAt: { $gt: new Date(now - FAILURE_WINDOW_MS) },
+        }),
+    ]);
+
+    const context = {
+        user,
+        appId,
+        type,
+        req,
+        now,
+        geo,
+        ip: getRequestIp(req),
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+        history,
+        recentAttempts,
+        recentFailures,
+    };
+
+    const reasons = [];
+    for (const signal of riskSignals) {
+        try {
+            const result = await signal.evaluate(context);
+            if (result && result.score > 0) {
+                reasons.push({ signal: signal.name, score: result.score, detail: result.detail || '' });
+            }
+        } catch (error) {
+            logger.error('Risk signal failed', { signal: signal.name, error: error.message });
+        }
+    }
+
+    const score = reasons.reduce((total, reason) => total + reason.score, 0);
+    return {
+        enabled: true,
+        decision: decide(score),
+        score,
+        reasons,
+        geo,
+    };
+};
+
+// Like security events, recording must never break the sign-in itself.
+const recordLoginEvent = async ({
+    user,
+    appId = '',
+    req,
+    type,
+    outcome,
+    assessment = null,
+    sessionId = '',
+}) => {
+    if (!isRiskEngineEnabled({ user, appId })) {
+        return;
+    }
+    try {
+        await LoginEvent.create({
+            userId: user._id,
+            appId,
+            type,
+            outcome,
+            decision: assessment?.decision || 'allow',
+            score: assessment?.score || 0,
+            reasons: assessment?.reasons || [],
+            sessionId,
+            ip: getRequestIp(req),
+            userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+            geo: assessment?.geo || getRequestGeo(req),
+        });
+    } catch (error) {
+        logger.error('Failed to record login event', { type, outcome, error: error.message });
+    }
+};
+
+const listLoginEvents = ({
+    userId,
+    type,
+    outcome,
+    decision,
+    limit = 100,
+} = {}) => LoginEvent.find({
+    ...(userId ? { userId } : {}),
+    ...(type ? { type } : {}),
+    ...(outcome ? { outcome } : {}),
+    ...(decision ? { decision } : {}),
+})
+    .sort({ createdAt: -1 })
+    .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+    .lean();
+
+module.exports = {
+    RISK_STEP_UP_SCORE,
+    RISK_DENY_SCORE,
+    RISK_DENY_MESSAGE,
+    RISK_STEP_UP_MESSAGE,
+    registerRiskSignal,
+    assessLoginRisk,
+    recordLoginEvent,
+    listLoginEvents,
+};
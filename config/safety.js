@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const logger = require('./logger');
+const { createMongoSafetyStore, createMemorySafetyStore } = require('./safetyStore');
+const { refreshTargetedFlags, evaluateTargetedFlag, listTargetedFlagKeys } = require('./featureFlags');
 
 const parseBoolean = (value, defaultValue = false) => {
     if (value === undefined || value === null || value === '') {
@@ -46,6 +49,7 @@ const FEATURE_KEYS = [
     'RISK_ENGINE',
     'FACE_AUTH',
     'DEVICE_QUORUM',
+    'ADMIN_MFA',
 ];
 
 const featureDefaults = {
@@ -54,8 +58,17 @@ const featureDefaults = {
     RISK_ENGINE: parseBoolean(process.env.FEATURE_RISK_ENGINE, true),
     FACE_AUTH: parseBoolean(process.env.FEATURE_FACE_AUTH, false),
     DEVICE_QUORUM: parseBoolean(process.env.FEATURE_DEVICE_QUORUM, false),
+    ADMIN_MFA: parseBoolean(process.env.FEATURE_ADMIN_MFA, false),
 };
 
+const SAFETY_STATE_CACHE_TTL_MS = Math.max(1000, parseNumber(process.env.SAFETY_STATE_CACHE_TTL_MS, 5000));
+
+let stateStore = String(process.env.SAFETY_STATE_STORE || 'mongo').trim().toLowerCase() === 'memory'
+    ? createMemorySafetyStore()
+    : createMongoSafetyStore();
+
+// Local copy of the store's state; sync readers such as isFeatureEnabled use it and
+// refreshSafetyState reloads it once it is older than SAFETY_STATE_CACHE_TTL_MS.
 const featureOverrides = {};
 
 const guardState = {
@@ -67,6 +80,11 @@ const guardState = {
     pausedAt: null,
 };
 
+const stateCache = {
+    loadedAt: 0,
+    loading: null,
+};
+
 const safeCompare = (left, right) => {
     if (!left || !right) {
         return false;
@@ -85,16 +103,96 @@ const getRequestIp = (req) => {
     return normalizeIp(candidate);
 };
 
+const applyState = (state) => {
+    guardState.windowStartAt = state.windowStartAt;
+    guardState.totalAttempts = state.totalAttempts;
+    guardState.failedAttempts = state.failedAttempts;
+    guardState.paused = state.paused;
+    guardState.pauseReason = state.pauseReason;
+    guardState.pausedAt = state.pausedAt;
+
+    FEATURE_KEYS.forEach((key) => {
+        if (typeof state.featureOverrides[key] === 'boolean') {
+            featureOverrides[key] = state.featureOverrides[key];
+        } else {
+            delete featureOverrides[key];
+        }
+    });
+    stateCache.loadedAt = Date.now();
+};
+
+const loadState = async () => {
+    let state = await stateStore.load();
+    const now = Date.now();
+    if (state.paused && state.pausedAt && (now - state.pausedAt >= SAFETY_CONFIG.cooldownMs)) {
+        state = await stateStore.reset({
+            reason: 'automatic cooldown reset',
+            now,
+            pausedBefore: now - SAFETY_CONFIG.cooldownMs,
+        });
+    }
+    applyState(state);
+};
+
+const refreshStoreState = async ({ force = false } = {}) => {
+    if (!force && stateCache.loadedAt && (Date.now() - stateCache.loadedAt) < SAFETY_STATE_CACHE_TTL_MS) {
+        return;
+    }
+
+    if (!stateCache.loading) {
+        stateCache.loading = loadState().finally(() => {
+            stateCache.loading = null;
+        });
+    }
+    await stateCache.loading;
+};
+
+const refreshSafetyState = async ({ force = false } = {}) => {
+    await Promise.all([
+        refreshStoreState({ force }),
+        refreshTargetedFlags({ force }),
+    ]);
+};
+
+// Requests keep going on the last known state when the store cannot be reached.
+const syncSafetyState = async (_req, _res, next) => {
+    try {
+        await refreshSafetyState();
+    } catch (error) {
+        logger.error('Safety state refresh failed', { store: stateStore.name, error: error.message });
+    }
+    return next();
+};
+
+const setSafetyStateStore = (store) => {
+    stateStore = store;
+    stateCache.loadedAt = 0;
+};
+
+const getSafetyStateStore = () => stateStore;
+
 const getFeatureFlags = () => ({ ...featureDefaults, ...featureOverrides });
 
-const isFeatureEnabled = (key) => Boolean(getFeatureFlags()[String(key || '').toUpperCase()]);
+// A flag that is on globally is on for everyone; otherwise a targeted flag can turn
+// it on for the context built by buildFlagContext in config/featureFlags.js.
+const isFeatureEnabled = (key, context = {}) => {
+    const normalizedKey = String(key || '').toUpperCase();
+    return Boolean(getFeatureFlags()[normalizedKey]) || evaluateTargetedFlag(normalizedKey, context) === true;
+};
+
+const evaluateFeatureFlags = (context = {}) => Object.fromEntries(
+    [...new Set([...FEATURE_KEYS, ...listTargetedFlagKeys()])]
+        .sort()
+        .map((key) => [key, isFeatureEnabled(key, context)]),
+);
 
-const setFeatureFlag = (key, enabled) => {
+const setFeatureFlag = async (key, enabled) => {
     const normalizedKey = String(key || '').toUpperCase();
     if (!FEATURE_KEYS.includes(normalizedKey)) {
         return false;
     }
     featureOverrides[normalizedKey] = Boolean(enabled);
+    applyState(await stateStore.setFeatureOverride(normalizedKey, enabled));
     return true;
 };
 
@@ -110,57 +208,39 @@ const hasBreakGlassToken = (req) => {
     return safeCompare(token, BREAK_GLASS_ADMIN_TOKEN);
 };
 
-const resetSafetyGuard = (reason = 'manual reset') => {
-    guardState.windowStartAt = Date.now();
-    guardState.totalAttempts = 0;
-    guardState.failedAttempts = 0;
-    guardState.paused = false;
-    guardState.pauseReason = reason;
-    guardState.pausedAt = null;
+const resetSafetyGuard = async (reason = 'manual reset') => {
+    applyState(await stateStore.reset({ reason, now: Date.now() }));
 };
 
-const maybeRotateWindow = (now) => {
-    if (now - guardState.windowStartAt >= SAFETY_CONFIG.windowMs) {
-        guardState.windowStartAt = now;
-        guardState.totalAttempts = 0;
-        guardState.failedAttempts = 0;
-    }
-
-    if (guardState.paused && guardState.pausedAt && (now - guardState.pausedAt >= SAFETY_CONFIG.cooldownMs)) {
-        resetSafetyGuard('automatic cooldown reset');
+// Counters are incremented in the shared store, so the failure rate covers the whole
+// deployment. Like security events, a store error must not fail the sign-in.
+const recordAuthAttempt = async (isSuccess, routeLabel = 'unknown') => {
+    try {
+        await refreshSafetyState();
+        const now = Date.now();
+        if (now - guardState.windowStartAt >= SAFETY_CONFIG.windowMs) {
+            applyState(await stateStore.rotateWindow({ startedBefore: now - SAFETY_CONFIG.windowMs, now }));
+        }
+        if (guardState.paused) {
+            return;
+        }
+
+        let state = await stateStore.recordAttempt({ failed: !isSuccess });
+        const shouldEvaluate = !state.paused && state.totalAttempts >= SAFETY_CONFIG.minRequests;
+        if (shouldEvaluate && (state.failedAttempts / state.totalAttempts) >= SAFETY_CONFIG.maxFailureRate) {
+            state = await stateStore.pause({
+                reason: `Guard paused due to elevated auth failures on ${routeLabel}`,
+                now,
+            });
+        }
+        applyState(state);
+    } catch (error) {
+        logger.error('Failed to record auth attempt', { store: stateStore.name, routeLabel, error: error.message });
     }
 };
 
-const recordAuthAttempt = (isSuccess, routeLabel = 'unknown') => {
-    const now = Date.now();
-    maybeRotateWindow(now);
-
-    if (guardState.paused) {
-        return;
-    }
-
-    guardState.totalAttempts += 1;
-    if (!isSuccess) {
-        guardState.failedAttempts += 1;
-    }
-
-    const shouldEvaluate = guardState.totalAttempts >= SAFETY_CONFIG.minRequests;
-    if (!shouldEvaluate) {
-        return;
-    }
-
-    const failureRate = guardState.failedAttempts / guardState.totalAttempts;
-    if (failureRate >= SAFETY_CONFIG.maxFailureRate) {
-        guardState.paused = true;
-        guardState.pausedAt = now;
-        guardState.pauseReason = `Guard paused due to elevated auth failures on ${routeLabel}`;
-    }
-};
-
-const isGuardPaused = () => {
-    maybeRotateWindow(Date.now());
-    return guardState.paused;
-};
+const isGuardPaused = () => guardState.paused
+    && !(guardState.pausedAt && (Date.now() - guardState.pausedAt >= SAFETY_CONFIG.cooldownMs));
 
 const getSafetySnapshot = () => ({
     testMode: AUTH_TEST_MODE,
@@ -176,9 +256,17 @@ const getSafetySnapshot = () => ({
         ...SAFETY_CONFIG,
     },
     features: getFeatureFlags(),
+    stateStore: stateStore.name,
+    stateLoadedAt: stateCache.loadedAt ? new Date(stateCache.loadedAt) : null,
 });
 
-const authGuardMiddleware = (req, res, next) => {
+const authGuardMiddleware = async (req, res, next) => {
+    try {
+        await refreshSafetyState();
+    } catch (error) {
+        logger.error('Safety state refresh failed', { store: stateStore.name, error: error.message });
+    }
+
     if (!isGuardPaused() || hasBreakGlassToken(req)) {
         return next();
     }
@@ -223,16 +311,25 @@ const attachTestRunId = (req, _res, next) => {
 
 module.exports = {
     AUTH_TEST_MODE,
+    FEATURE_KEYS,
     BREAK_GLASS_USERNAME,
     BREAK_GLASS_APP_ID,
+    safeCompare,
+    normalizeIp,
+    getRequestIp,
     hasBreakGlassToken,
     adminIpGuard,
     authGuardMiddleware,
     recordAuthAttempt,
     resetSafetyGuard,
+    refreshSafetyState,
+    syncSafetyState,
+    setSafetyStateStore,
+    getSafetyStateStore,
     getSafetySnapshot,
     getFeatureFlags,
     setFeatureFlag,
     isFeatureEnabled,
+    evaluateFeatureFlags,
     attachTestRunId,
 };
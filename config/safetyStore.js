@@ -0,0 +1,233 @@
+const SafetyState = require('../models/SafetyState');
+const ThrottleBucket = require('../models/ThrottleBucket');
+
+const STATE_KEY = 'global';
+const THROTTLE_UPDATE_ATTEMPTS = 5;
+const MAX_MEMORY_THROTTLE_KEYS = 50_000;
+
+// A safety store holds the auth guard counters, feature overrides and login throttle
+// buckets shared by all instances. The guard and flag methods resolve to the full
+// state after their change, and each change is applied atomically so concurrent
+// instances cannot lose updates:
+//   load()                                     state, created on first use
+//   rotateWindow({ startedBefore, now })       zero the counters if the window began before startedBefore
+//   recordAttempt({ failed })                  count one attempt unless the guard is paused
+//   pause({ reason, now })                     pause unless already paused
+//   reset({ reason, now, pausedBefore })       unpause and zero; with pausedBefore, only if paused that long
+//   setFeatureOverride(key, enabled)           override one feature flag
+//   loadThrottleBuckets(keys)                  the stored buckets among keys
+//   updateThrottleBucket(key, change)          store change(bucket or null), rerun if another instance wrote first
+//   deleteThrottleBucket(key)                  remove a bucket, true if there was one
+//   listThrottleBuckets({ scope, now, limit }) unexpired buckets, latest failure first
+// A bucket is { key, scope, value, failures, windowStartAt, lastFailureAt, lockouts,
+// lockedUntil, expiresAt }, with times in epoch milliseconds and lockedUntil 0 when
+// the key is not locked.
+const toState = (doc = {}) => {
+    const overrides = doc.featureOverrides instanceof Map
+        ? Object.fromEntries(doc.featureOverrides)
+        : { ...(doc.featureOverrides || {}) };
+    return {
+        windowStartAt: doc.windowStartAt ? new Date(doc.windowStartAt).getTime() : Date.now(),
+        totalAttempts: doc.totalAttempts || 0,
+        failedAttempts: doc.failedAttempts || 0,
+        paused: Boolean(doc.paused),
+        pauseReason: doc.pauseReason || null,
+        pausedAt: doc.pausedAt ? new Date(doc.pausedAt).getTime() : null,
+        featureOverrides: overrides,
+    };
+};
+
+const resetFields = (reason, now) => ({
+    windowStartAt: new Date(now),
+    totalAttempts: 0,
+    failedAttempts: 0,
+    paused: false,
+    pauseReason: reason,
+    pausedAt: null,
+});
+
+const toBucket = (doc) => ({
+    key: doc.key,
+    scope: doc.scope,
+    value: doc.value,
+    failures: doc.failures || 0,
+    windowStartAt: new Date(doc.windowStartAt).getTime(),
+    lastFailureAt: new Date(doc.lastFailureAt).getTime(),
+    lockouts: doc.lockouts || 0,
+    lockedUntil: doc.lockedUntil ? new Date(doc.lockedUntil).getTime() : 0,
+    expiresAt: new Date(doc.expiresAt).getTime(),
+});
+
+const toBucketFields = (bucket) => ({
+    scope: bucket.scope,
+    value: bucket.value,
+    failures: bucket.failures,
+    windowStartAt: new Date(bucket.windowStartAt),
+    lastFailureAt: new Date(bucket.lastFailureAt),
+    lockouts: bucket.lockouts,
+    lockedUntil: bucket.lockedUntil ? new Date(bucket.lockedUntil) : null,
+    expiresAt: new Date(bucket.expiresAt),
+});
+
+const createMongoSafetyStore = () => {
+    const load = async () => {
+        const doc = await SafetyState.findOneAndUpdate(
+            { key: STATE_KEY },
+            { $setOnInsert: { key: STATE_KEY } },
+            { upsert: true, new: true },
+        ).lean();
+        return toState(doc);
+    };
+
+    // A condition that no longer holds means another instance got there first.
+    const update = async (condition, changes) => {
+        const doc = await SafetyState.findOneAndUpdate(
+            { key: STATE_KEY, ...condition },
+            changes,
+            { new: true },
+        ).lean();
+        return doc ? toState(doc) : load();
+    };
+
+    return {
+        name: 'mongo',
+        load,
+        rotateWindow: ({ startedBefore, now }) => update(
+            { windowStartAt: { $lte: new Date(startedBefore) } },
+            { $set: { windowStartAt: new Date(now), totalAttempts: 0, failedAttempts: 0 } },
+        ),
+        recordAttempt: ({ failed }) => update(
+            { paused: { $ne: true } },
+            { $inc: { totalAttempts: 1, failedAttempts: failed ? 1 : 0 } },
+        ),
+        pause: ({ reason, now }) => update(
+            { paused: { $ne: true } },
+            { $set: { paused: true, pauseReason: reason, pausedAt: new Date(now) } },
+        ),
+        reset: ({ reason, now, pausedBefore }) => update(
+            pausedBefore ? { paused: true, pausedAt: { $lte: new Date(pausedBefore) } } : {},
+            { $set: resetFields(reason, now) },
+        ),
+        setFeatureOverride: (key, enabled) => update(
+            {},
+            { $set: { [`featureOverrides.${key}`]: Boolean(enabled) } },
+        ),
+        loadThrottleBuckets: async (keys) => {
+            const docs = await ThrottleBucket.find({ key: { $in: keys } }).lean();
+            return docs.map(toBucket);
+        },
+        // Compare-and-set on revision: the write only lands if nobody else updated or
+        // created the bucket since it was read, otherwise change runs again.
+        updateThrottleBucket: async (key, change) => {
+            for (let attempt = 0; attempt < THROTTLE_UPDATE_ATTEMPTS; attempt += 1) {
+                const doc = await ThrottleBucket.findOne({ key }).lean();
+                const next = change(doc ? toBucket(doc) : null);
+                if (!doc) {
+                    try {
+                        await ThrottleBucket.create({ key, ...toBucketFields(next) });
+                        return next;
+                    } catch (error) {
+                        if (error.code !== 11000) {
+                            throw error;
+                        }
+                        continue;
+                    }
+                }
+                const result = await ThrottleBucket.updateOne(
+                    { key, revision: doc.revision || 0 },
+                    { $set: toBucketFields(next), $inc: { revision: 1 } },
+                );
+                if (result.matchedCount === 1) {
+                    return next;
+                }
+            }
+            throw new Error(`Throttle bucket ${key} kept changing during update`);
+        },
+        deleteThrottleBucket: async (key) => {
+            const result = await ThrottleBucket.deleteOne({ key });
+            return result.deletedCount > 0;
+        },
+        listThrottleBuckets: async ({ scope, now, limit }) => {
+            const docs = await ThrottleBucket.find({
+                ...(scope ? { scope } : {}),
+                expiresAt: { $gt: new Date(now) },
+            })
+                .sort({ lastFailureAt: -1 })
+                .limit(limit)
+                .lean();
+            return docs.map(toBucket);
+        },
+    };
+};
+
+// Per-process state for local development and single-instance deploys.
+const createMemorySafetyStore = () => {
+    const state = toState();
+    const buckets = new Map();
+    const snapshot = async () => ({ ...state, featureOverrides: { ...state.featureOverrides } });
+
+    const pruneBuckets = (now) => {
+        for (const [key, bucket] of buckets) {
+            if (bucket.expiresAt <= now) {
+                buckets.delete(key);
+            }
+        }
+    };
+
+    return {
+        name: 'memory',
+        load: snapshot,
+        rotateWindow: ({ startedBefore, now }) => {
+            if (state.windowStartAt <= startedBefore) {
+                Object.assign(state, { windowStartAt: now, totalAttempts: 0, failedAttempts: 0 });
+            }
+            return snapshot();
+        },
+        recordAttempt: ({ failed }) => {
+            if (!state.paused) {
+                state.totalAttempts += 1;
+                state.failedAttempts += failed ? 1 : 0;
+            }
+            return snapshot();
+        },
+        pause: ({ reason, now }) => {
+            if (!state.paused) {
+                Object.assign(state, { paused: true, pauseReason: reason, pausedAt: now });
+            }
+            return snapshot();
+        },
+        reset: ({ reason, now, pausedBefore }) => {
+            if (!pausedBefore || (state.paused && state.pausedAt <= pausedBefore)) {
+                Object.assign(state, resetFields(reason, now), { windowStartAt: now });
+            }
+            return snapshot();
+        },
+        setFeatureOverride: (key, enabled) => {
+            state.featureOverrides[key] = Boolean(enabled);
+            return snapshot();
+        },
+        loadThrottleBuckets: async (keys) => keys
+            .filter((key) => buckets.has(key))
+            .map((key) => ({ ...buckets.get(key) })),
+        updateThrottleBucket: async (key, change) => {
+            const current = buckets.get(key);
+            const next = change(current ? { ...current } : null);
+            if (!current && buckets.size >= MAX_MEMORY_THROTTLE_KEYS) {
+                pruneBuckets(Date.now());
+            }
+            buckets.set(key, { ...next, key });
+            return next;
+        },
+        deleteThrottleBucket: async (key) => buckets.delete(key),
+        listThrottleBuckets: async ({ scope, now, limit }) => [...buckets.values()]
+            .filter((bucket) => (!scope || bucket.scope === scope) && bucket.expiresAt > now)
+            .sort((a, b) => b.lastFailureAt - a.lastFailureAt)
+            .slice(0, limit)
+            .map((bucket) => ({ ...bucket })),
+    };
+};
+
+module.exports = {
+    createMongoSafetyStore,
+    createMemorySafetyStore,
+};
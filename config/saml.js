@@ -0,0 +1,522 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const SamlCredential = require('../models/SamlCredential');
+const logger = require('./logger');
+const { OIDC_ISSUER } = require('./tokens');
+const { encryptSecret, decryptSecret } = require('./keys');
+
+const SAML_IDP_ENTITY_ID = `${OIDC_ISSUER}/saml/metadata`;
+const SAML_SSO_URL = `${OIDC_ISSUER}/saml/sso`;
+const SAML_ASSERTION_TTL_SECONDS = Math.min(3600, Math.max(60, Number(process.env.SAML_ASSERTION_TTL_SECONDS || 300)));
+const CLOCK_SKEW_SECONDS = 60;
+const CERTIFICATE_VALIDITY_DAYS = 3650;
+const MAX_REQUEST_BYTES = 64 * 1024;
+const MAX_RELAY_STATE_LENGTH = 1024;
+
+const NS = {
+    protocol: 'urn:oasis:names:tc:SAML:2.0:protocol',
+    assertion: 'urn:oasis:names:tc:SAML:2.0:assertion',
+    metadata: 'urn:oasis:names:tc:SAML:2.0:metadata',
+    ds: 'http://www.w3.org/2000/09/xmldsig#',
+};
+const BINDINGS = {
+    redirect: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+    post: 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST',
+};
+const NAME_ID_FORMATS = {
+    emailAddress: 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+    persistent: 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent',
+    unspecified: 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified',
+};
+const SAML_STATUS = {
+    success: 'urn:oasis:names:tc:SAML:2.0:status:Success',
+    requester: 'urn:oasis:names:tc:SAML:2.0:status:Requester',
+    responder: 'urn:oasis:names:tc:SAML:2.0:status:Responder',
+    requestDenied: 'urn:oasis:names:tc:SAML:2.0:status:RequestDenied',
+    noPassive: 'urn:oasis:names:tc:SAML:2.0:status:NoPassive',
+};
+const EXC_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+const RSA_SHA256 = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+const SHA256 = 'http://www.w3.org/2001/04/xmlenc#sha256';
+const BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const PASSWORD_PROTECTED_TRANSPORT = 'urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport';
+const ATTRIBUTE_NAME_FORMAT_BASIC = 'urn:oasis:names:tc:SAML:2.0:attrname-format:basic';
+
+// Escaping as Exclusive XML Canonicalization writes text and attributes. Together with
+// sorted attributes, explicit end tags and no whitespace between elements, every
+// element built here is already in canonical form, so its digest is taken directly.
+const escapeXmlText = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#xD;');
+
+const escapeXmlAttribute = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;')
+    .replace(/\n/g, '&#xA;')
+    .replace(/\r/g, '&#xD;');
+
+const byName = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+
+// children are element strings or text already passed through escapeXmlText.
+const xmlElement = (name, attributes = {}, children = []) => {
+    const entries = Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const namespaces = entries.filter(([key]) => key.startsWith('xmlns')).sort(byName);
+    const plain = entries.filter(([key]) => !key.startsWith('xmlns')).sort(byName);
+    const renderedAttributes = [...namespaces, ...plain]
+        .map(([key, value]) => ` ${key}="${escapeXmlAttribute(value)}"`)
+        .join('');
+    const content = (Array.isArray(children) ? children : [children]).filter(Boolean).join('');
+    return `<${name}${renderedAttributes}>${content}</${name}>`;
+};
+
+const newSamlId = () => `_${crypto.randomBytes(20).toString('hex')}`;
+
+const samlInstant = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// Minimal DER writer, enough for a self-signed X.509 certificate.
+const derLength = (length) => {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const bytes = [];
+    for (let remaining = length; remaining > 0; remaining >>= 8) {
+        bytes.unshift(remaining & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const der = (tag, ...parts) => {
+    const body = Buffer.concat(parts);
+    return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+
+const derSequence = (...parts) => der(0x30, ...parts);
+
+const derInteger = (bytes) => der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+
+const derOid = (oid) => {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    rest.forEach((value) => {
+        const chunk = [value & 0x7f];
+        for (let remaining = value >> 7; remaining > 0; remaining >>= 7) {
+            chunk.unshift((remaining & 0x7f) | 0x80);
+        }
+        bytes.push(...chunk);
+    });
+    return der(0x06, Buffer.from(bytes));
+};
+
+const derTime = (date) => {
+    const text = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d{3}Z$/, 'Z');
+    return date.getUTCFullYear() < 2050
+        ? der(0x17, Buffer.from(text.slice(2)))
+        : der(0x18, Buffer.from(text));
+};
+
+const derName = (commonName) => derSequence(der(0x31, derSequence(
+    derOid('2.5.4.3'),
+    der(0x0c, Buffer.from(commonName, 'utf8')),
+)));
+
+const toPem = (label, derBytes) => `-----BEGIN ${label}-----\n${derBytes.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+
+const createSelfSignedCertificate = (privateKey, commonName) => {
+    const notBefore = new Date(Date.now() - (CLOCK_SKEW_SECONDS * 1000));
+    const notAfter = new Date(notBefore.getTime() + (CERTIFICATE_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+    const serial = crypto.randomBytes(16);
+    serial[0] &= 0x7f;
+    const signatureAlgorithm = derSequence(derOid('1.2.840.113549.1.1.11'), Buffer.from([0x05, 0x00]));
+    const tbsCertificate = derSequence(
+        der(0xa0, derInteger(Buffer.from([2]))),
+        derInteger(serial),
+        signatureAlgorithm,
+        derName(commonName),
+        derSequence(derTime(notBefore), derTime(notAfter)),
+        derName(commonName),
+        crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }),
+    );
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    return toPem('CERTIFICATE', derSequence(tbsCertificate, signatureAlgorithm, der(0x03, Buffer.from([0]), signature)));
+};
+
+const buildCredential = (privateKey, certificatePem) => {
+    if (privateKey.asymmetricKeyType !== 'rsa') {
+        throw new Error('The SAML signing key must be an RSA key');
+    }
+    const certificate = new crypto.X509Certificate(certificatePem);
+    if (!certificate.checkPrivateKey(privateKey)) {
+        throw new Error('The SAML certificate does not match its private key');
+    }
+    return {
+        privateKey,
+        certificatePem: certificate.toString(),
+        certificateBase64: certificate.raw.toString('base64'),
+        notAfter: new Date(certificate.validTo),
+    };
+};
+
+const readPemEnv = (name) => String(process.env[name] || '').replace(/\\n/g, '\n').trim();
+
+const loadCredential = async () => {
+    const configuredKey = readPemEnv('SAML_IDP_PRIVATE_KEY');
+    const configuredCertificate = readPemEnv('SAML_IDP_CERTIFICATE');
+    if (configuredKey || configuredCertificate) {
+        if (!configuredKey || !configuredCertificate) {
+            throw new Error('SAML_IDP_PRIVATE_KEY and SAML_IDP_CERTIFICATE must be set together');
+        }
+        return buildCredential(crypto.createPrivateKey(configuredKey), configuredCertificate);
+    }
+
+    let stored = await SamlCredential.findOne({ name: 'idp' }).select('+privateKeyEncrypted').lean();
+    if (!stored) {
+        const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const certificatePem = createSelfSignedCertificate(privateKey, new URL(OIDC_ISSUER).hostname);
+        try {
+            await SamlCredential.create({
+                name: 'idp',
+                certificatePem,
+                privateKeyEncrypted: encryptSecret(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+                notAfter: new Date(new crypto.X509Certificate(certificatePem).validTo),
+            });
+            logger.info('Created SAML IdP signing certificate');
+        } catch (error) {
+            // Another instance created it first.
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+        stored = await SamlCredential.findOne({ name: 'idp' }).select('+privateKeyEncrypted').lean();
+    }
+    return buildCredential(crypto.createPrivateKey(decryptSecret(stored.privateKeyEncrypted)), stored.certificatePem);
+};
+
+const credentialCache = {
+    credential: null,
+    loading: null,
+};
+
+const getSamlCredential = async () => {
+    if (credentialCache.credential) {
+        return credentialCache.credential;
+    }
+    if (!credentialCache.loading) {
+        credentialCache.loading = loadCredential()
+            .then((credential) => {
+                credentialCache.credential = credential;
+                return credential;
+            })
+            .finally(() => {
+                credentialCache.loading = null;
+            });
+    }
+    return credentialCache.loading;
+};
+
+const keyInfo = (credential) => xmlElement('ds:KeyInfo', {}, xmlElement('ds:X509Data', {}, xmlElement(
+    'ds:X509Certificate',
+    {},
+    credential.certificateBase64,
+)));
+
+// Enveloped RSA-SHA256 signature over the element with the given ID, placed right after
+// its Issuer as the schema requires.
+const signElement = ({ xml, id, issuer, credential }) => {
+    const digest = crypto.createHash('sha256').update(xml).digest('base64');
+    const signedInfo = xmlElement('ds:SignedInfo', { 'xmlns:ds': NS.ds }, [
+        xmlElement('ds:CanonicalizationMethod', { Algorithm: EXC_C14N }),
+        xmlElement('ds:SignatureMethod', { Algorithm: RSA_SHA256 }),
+        xmlElement('ds:Reference', { URI: `#${id}` }, [
+            xmlElement('ds:Transforms', {}, [
+                xmlElement('ds:Transform', { Algorithm: ENVELOPED_SIGNATURE }),
+                xmlElement('ds:Transform', { Algorithm: EXC_C14N }),
+            ]),
+            xmlElement('ds:DigestMethod', { Algorithm: SHA256 }),
+            xmlElement('ds:DigestValue', {}, digest),
+        ]),
+    ]);
+    const signatureValue = crypto.sign('sha256', Buffer.from(signedInfo), credential.privateKey).toString('base64');
+    const signature = xmlElement('ds:Signature', { 'xmlns:ds': NS.ds }, [
+        signedInfo,
+        xmlElement('ds:SignatureValue', {}, signatureValue),
+        keyInfo(credential),
+    ]);
+    const insertAt = xml.indexOf(issuer) + issuer.length;
+    return `${xml.slice(0, insertAt)}${signature}${xml.slice(insertAt)}`;
+};
+
+const buildIdpMetadata = (credential) => `<?xml version="1.0" encoding="UTF-8"?>${xmlElement('md:EntityDescriptor', {
+    'xmlns:md': NS.metadata,
+    'xmlns:ds': NS.ds,
+    entityID: SAML_IDP_ENTITY_ID,
+}, xmlElement('md:IDPSSODescriptor', {
+    protocolSupportEnumeration: NS.protocol,
+    WantAuthnRequestsSigned: 'false',
+}, [
+    xmlElement('md:KeyDescriptor', { use: 'signing' }, keyInfo(credential)),
+    ...Object.values(NAME_ID_FORMATS).map((format) => xmlElement('md:NameIDFormat', {}, escapeXmlText(format))),
+    xmlElement('md:SingleSignOnService', { Binding: BINDINGS.redirect, Location: SAML_SSO_URL }),
+    xmlElement('md:SingleSignOnService', { Binding: BINDINGS.post, Location: SAML_SSO_URL }),
+]))}`;
+
+const samlStatus = (code, subCode, message) => xmlElement('samlp:Status', {}, [
+    xmlElement('samlp:StatusCode', { Value: code }, subCode ? xmlElement('samlp:StatusCode', { Value: subCode }) : []),
+    message ? xmlElement('samlp:StatusMessage', {}, escapeXmlText(message)) : null,
+]);
+
+const samlResponse = ({ acsUrl, inResponseTo, issuer, content }) => `<?xml version="1.0" encoding="UTF-8"?>${xmlElement('samlp:Response', {
+    'xmlns:samlp': NS.protocol,
+    'xmlns:saml': NS.assertion,
+    Destination: acsUrl,
+    ID: newSamlId(),
+    InResponseTo: inResponseTo,
+    IssueInstant: samlInstant(new Date()),
+    Version: '2.0',
+}, [issuer, ...content])}`;
+
+// attributes maps names to a value or a list of values.
+const buildAssertionResponse = ({
+    credential,
+    audience,
+    acsUrl,
+    inResponseTo,
+    nameId,
+    nameIdFormat,
+    attributes,
+    authnInstant,
+}) => {
+    const now = new Date();
+    const notOnOrAfter = samlInstant(new Date(now.getTime() + (SAML_ASSERTION_TTL_SECONDS * 1000)));
+    const assertionId = newSamlId();
+    const issuer = xmlElement('saml:Issuer', {}, escapeXmlText(SAML_IDP_ENTITY_ID));
+
+    const assertion = xmlElement('saml:Assertion', {
+        'xmlns:saml': NS.assertion,
+        ID: assertionId,
+        IssueInstant: samlInstant(now),
+        Version: '2.0',
+    }, [
+        issuer,
+        xmlElement('saml:Subject', {}, [
+            xmlElement('saml:NameID', { Format: NAME_ID_FORMATS[nameIdFormat] }, escapeXmlText(nameId)),
+            xmlElement('saml:SubjectConfirmation', { Method: BEARER }, xmlElement('saml:SubjectConfirmationData', {
+                InResponseTo: inResponseTo,
+                NotOnOrAfter: notOnOrAfter,
+                Recipient: acsUrl,
+            })),
+        ]),
+        xmlElement('saml:Conditions', {
+            NotBefore: samlInstant(new Date(now.getTime() - (CLOCK_SKEW_SECONDS * 1000))),
+            NotOnOrAfter: notOnOrAfter,
+        }, xmlElement('saml:AudienceRestriction', {}, xmlElement('saml:Audience', {}, escapeXmlText(audience)))),
+        xmlElement('saml:AuthnStatement', {
+            AuthnInstant: samlInstant(authnInstant || now),
+            SessionIndex: assertionId,
+        }, xmlElement('saml:AuthnContext', {}, xmlElement(
+            'saml:AuthnContextClassRef',
+            {},
+            escapeXmlText(PASSWORD_PROTECTED_TRANSPORT),
+        ))),
+        xmlElement('saml:AttributeStatement', {}, Object.entries(attributes).map(([name, values]) => xmlElement(
+            'saml:Attribute',
+            { Name: name, NameFormat: ATTRIBUTE_NAME_FORMAT_BASIC },
+            (Array.isArray(values) ? values : [values])
+                .filter((value) => value !== undefined && value !== null)
+                .map((value) => xmlElement('saml:AttributeValue', {}, escapeXmlText(value))),
+        ))),
+    ]);
+
+    return samlResponse({
+        acsUrl,
+        inResponseTo,
+        issuer,
+        content: [
+            samlStatus(SAML_STATUS.success),
+            signElement({ xml: assertion, id: assertionId, issuer, credential }),
+        ],
+    });
+};
+
+const buildErrorResponse = ({ acsUrl, inResponseTo, statusCode, subStatusCode, message }) => samlResponse({
+    acsUrl,
+    inResponseTo,
+    issuer: xmlElement('saml:Issuer', {}, escapeXmlText(SAML_IDP_ENTITY_ID)),
+    content: [samlStatus(statusCode, subStatusCode, message)],
+});
+
+// Persistent NameIDs are opaque and differ per SP, so two apps cannot correlate users.
+const resolveNameId = (user, sp) => {
+    if (sp.nameIdFormat === 'persistent') {
+        return crypto.createHash('sha256').update(`${sp.entityId}|${user._id}`).digest('base64url');
+    }
+    return sp.nameIdFormat === 'unspecified' ? user.username : user.email;
+};
+
+const decodeXmlEntities = (value) => String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_match, hex) => String.fromCodePoint(Number.parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_match, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+
+const readXmlAttributes = (tag) => {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+    }
+    return attributes;
+};
+
+// The HTTP-Redirect binding deflates the request; HTTP-POST only base64-encodes it.
+const decodeSamlRequest = (encoded, binding) => {
+    const bytes = Buffer.from(String(encoded || ''), 'base64');
+    if (bytes.length === 0 || bytes.length > MAX_REQUEST_BYTES) {
+        throw new Error('SAMLRequest is missing or too large');
+    }
+    const xml = binding === 'redirect'
+        ? zlib.inflateRawSync(bytes, { maxOutputLength: MAX_REQUEST_BYTES })
+        : bytes;
+    return xml.toString('utf8');
+};
+
+// Reads what the IdP needs from an AuthnRequest. Not a general XML parser: DTDs are
+// refused and only the root element's attributes and its Issuer are read. The request
+// itself is never trusted for where to send the assertion.
+const parseAuthnRequest = (xml) => {
+    if (/<!(DOCTYPE|ENTITY)/i.test(xml)) {
+        throw new Error('AuthnRequest must not contain a DTD');
+    }
+    const root = xml.match(/<(?:[\w.-]+:)?AuthnRequest\b([^>]*)>/);
+    if (!root) {
+        throw new Error('SAMLRequest is not an AuthnRequest');
+    }
+    const attributes = readXmlAttributes(root[1]);
+    if (!/^[A-Za-z_][\w.-]{0,255}$/.test(attributes.ID || '')) {
+        throw new Error('AuthnRequest ID is missing or invalid');
+    }
+    const issuer = xml.match(/<(?:[\w.-]+:)?Issuer\b[^>]*>([^<]*)<\/(?:[\w.-]+:)?Issuer>/);
+
+    return {
+        id: attributes.ID,
+        issuer: issuer ? decodeXmlEntities(issuer[1]).trim() : '',
+        acsUrl: attributes.AssertionConsumerServiceURL || '',
+        isPassive: attributes.IsPassive === 'true' || attributes.IsPassive === '1',
+    };
+};
+
+// The HTTP-Redirect signature covers the parameters exactly as the SP encoded them, so
+// they are taken from the raw query string. Only RSA-SHA256 is accepted.
+const verifyRedirectSignature = (rawQuery, certificatePem) => {
+    const raw = new Map();
+    String(rawQuery || '').split('&').forEach((pair) => {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            raw.set(pair.slice(0, separator), pair.slice(separator + 1));
+        }
+    });
+    const decoded = new URLSearchParams(String(rawQuery || ''));
+    if (decoded.get('SigAlg') !== RSA_SHA256 || !decoded.get('Signature')) {
+        return false;
+    }
+
+    const signedContent = ['SAMLRequest', 'RelayState', 'SigAlg']
+        .filter((name) => raw.has(name))
+        .map((name) => `${name}=${raw.get(name)}`)
+        .join('&');
+    try {
+        const { publicKey } = new crypto.X509Certificate(certificatePem);
+        return crypto.verify('sha256', Buffer.from(signedContent), publicKey, Buffer.from(decoded.get('Signature'), 'base64'));
+    } catch {
+        return false;
+    }
+};
+
+const normalizeCertificatePem = (value) => {
+    const text = String(value || '').replace(/\\n/g, '\n').trim();
+    if (!text) {
+        return '';
+    }
+    const pem = text.includes('-----BEGIN CERTIFICATE-----')
+        ? text
+        : toPem('CERTIFICATE', Buffer.from(text.replace(/\s+/g, ''), 'base64'));
+    let certificate;
+    try {
+        certificate = new crypto.X509Certificate(pem);
+    } catch {
+        throw new Error('signingCert must be a PEM or base64 X.509 certificate');
+    }
+    if (certificate.publicKey.asymmetricKeyType !== 'rsa') {
+        throw new Error('signingCert must hold an RSA key');
+    }
+    return certificate.toString();
+};
+
+const isValidAcsUrl = (value) => {
+    try {
+        const parsed = new URL(value);
+        return !parsed.hash && (parsed.protocol === 'https:'
+            || (parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname)));
+    } catch {
+        return false;
+    }
+};
+
+// Merges a settings update into the app's current SAML settings.
+const parseSamlSettings = (body = {}, current = null) => {
+    const settings = {
+        entityId: current?.entityId || '',
+        acsUrl: current?.acsUrl || '',
+        signingCert: current?.signingCert || '',
+        nameIdFormat: current?.nameIdFormat || 'emailAddress',
+        allowIdpInitiated: current ? current.allowIdpInitiated !== false : true,
+    };
+    if (body.entityId !== undefined) {
+        settings.entityId = String(body.entityId || '').trim().slice(0, 500);
+    }
+    if (body.acsUrl !== undefined) {
+        settings.acsUrl = String(body.acsUrl || '').trim();
+    }
+    if (body.signingCert !== undefined) {
+        settings.signingCert = normalizeCertificatePem(body.signingCert);
+    }
+    if (body.nameIdFormat !== undefined) {
+        settings.nameIdFormat = String(body.nameIdFormat || '').trim();
+    }
+    if (body.allowIdpInitiated !== undefined) {
+        settings.allowIdpInitiated = body.allowIdpInitiated === true || body.allowIdpInitiated === 'true';
+    }
+
+    if (!settings.entityId) {
+        throw new Error('entityId is required');
+    }
+    if (!isValidAcsUrl(settings.acsUrl)) {
+        throw new Error('acsUrl must be an https URL (http only for localhost)');
+    }
+    if (!Object.keys(NAME_ID_FORMATS).includes(settings.nameIdFormat)) {
+        throw new Error(`nameIdFormat must be one of ${Object.keys(NAME_ID_FORMATS).join(', ')}`);
+    }
+    return settings;
+};
+
+module.exports = {
+    SAML_IDP_ENTITY_ID,
+    SAML_SSO_URL,
+    SAML_STATUS,
+    MAX_RELAY_STATE_LENGTH,
+    getSamlCredential,
+    buildIdpMetadata,
+    buildAssertionResponse,
+    buildErrorResponse,
+    resolveNameId,
+    decodeSamlRequest,
+    parseAuthnRequest,
+    verifyRedirectSignature,
+    parseSamlSettings,
+};
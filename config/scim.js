@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ProvisioningToken = require('../models/ProvisioningToken');
+const logger = require('./logger');
+const { OIDC_ISSUER, hashToken } = require('./tokens');
+const { getRequestIp } = require('./safety');
+const { normalizeAppList } = require('./apps');
+const { DEFAULT_ORG_ID } = require('./organizations');
+
+const SCIM_CONTENT_TYPE = 'application/scim+json';
+const SCIM_BASE_URL = `${OIDC_ISSUER}/scim/v2`;
+const SCHEMAS = {
+    user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+    group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+    listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+    patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+    error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+    serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+    resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+};
+const PROVISIONING_TOKEN_PREFIX = 'scim_';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+// lastUsedAt is written at most this often.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const sendScim = (res, status, body) => res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+
+const sendScimError = (res, status, detail, scimType) => sendScim(res, status, {
+    schemas: [SCHEMAS.error],
+    status: String(status),
+    ...(scimType ? { scimType } : {}),
+    detail,
+});
+
+// Thrown by the parsers below; routes answer with its status and scimType.
+const scimError = (status, detail, scimType) => Object.assign(new Error(detail), { status, scimType });
+
+const createProvisioningToken = () => ({
+    tokenId: `prov-${crypto.randomUUID()}`,
+    token: `${PROVISIONING_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`,
+});
+
+// The principal on req.user only feeds the audit log; SCIM handlers read req.scim.
+const requireProvisioningToken = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
+        if (!token.startsWith(PROVISIONING_TOKEN_PREFIX)) {
+            return sendScimError(res, 401, 'A provisioning token is required');
+        }
+
+        const record = await ProvisioningToken.findOne({ tokenHash: hashToken(token), revokedAt: null }).lean();
+        if (!record) {
+            return sendScimError(res, 401, 'Provisioning token is invalid or has been revoked');
+        }
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_WRITE_INTERVAL_MS) {
+            await ProvisioningToken.updateOne(
+                { _id: record._id },
+                { $set: { lastUsedAt: new Date(now), lastUsedIp: getRequestIp(req) } },
+            );
+        }
+
+        req.scim = {
+            tokenId: record.tokenId,
+            orgId: record.orgId || DEFAULT_ORG_ID,
+            appId: record.appId || null,
+        };
+        req.user = {
+            id: null,
+            username: `scim:${record.label}`,
+            role: null,
+            orgId: req.scim.orgId,
+            appId: req.scim.appId,
+            isProvisioningToken: true,
+            provisioningTokenId: record.tokenId,
+        };
+        return next();
+    } catch (error) {
+        logger.error('Provisioning token check error', { error: error.message });
+        return sendScimError(res, 500, 'Server error');
+    }
+};
+
+const readPage = (query = {}) => {
+    const startIndex = Math.max(1, Number.parseInt(query.startIndex, 10) || 1);
+    const requestedCount = Number.parseInt(query.count, 10);
+    const count = Number.isFinite(requestedCount)
+        ? Math.min(MAX_PAGE_SIZE, Math.max(0, requestedCount))
+        : DEFAULT_PAGE_SIZE;
+    return { startIndex, count };
+};
+
+const listResponse = ({ resources, totalResults, startIndex }) => ({
+    schemas: [SCHEMAS.listResponse],
+    totalResults,
+    startIndex,
+    itemsPerPage: resources.length,
+    Resources: resources,
+});
+
+// Attribute names are case-insensitive and may carry the schema URN as a prefix.
+const normalizeAttributePath = (path) => String(path || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^urn:ietf:params:scim:schemas:core:2\.0:(user|group):/, '');
+
+const USER_FILTER_ATTRIBUTES = {
+    id: { field: '_id', type: 'id' },
+    username: { field: 'username', type: 'lowercase' },
+    externalid: { field: 'externalId' },
+    emails: { field: 'email', type: 'lowercase' },
+    'emails.value': { field: 'email', type: 'lowercase' },
+    displayname: { field: 'name' },
+    'name.formatted': { field: 'name' },
+    active: { field: 'active', type: 'boolean' },
+    'meta.created': { field: 'createdAt', type: 'date' },
+    'meta.lastmodified': { field: 'updatedAt', type: 'date' },
+};
+
+const GROUP_FILTER_ATTRIBUTES = {
+    id: { field: '_id', type: 'id' },
+    displayname: { field: 'name' },
+    externalid: { field: 'externalId' },
+    'meta.created': { field: 'createdAt', type: 'date' },
+    'meta.lastmodified': { field: 'updatedAt', type: 'date' },
+};
+
+const FILTER_TERM = /\s*([A-Za-z][\w.:-]*)\s+(eq|ne|co|sw|ew|gt|ge|lt|le|pr)\b(?:\s+("(?:[^"\\]|\\.)*"|true|false|null|-?\d+(?:\.\d+)?))?\s*(?:(and|or)\s+|$)/iy;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const filterCondition = (attribute, operator, rawValue) => {
+    if (operator === 'pr') {
+        return { [attribute.field]: { $exists: true, $nin: [null, ''] } };
+    }
+    if (rawValue === undefined) {
+        throw scimError(400, `Operator ${operator} needs a value`, 'invalidFilter');
+    }
+
+    let value = rawValue.startsWith('"') ? JSON.parse(rawValue) : JSON.parse(rawValue.toLowerCase());
+    if (attribute.type === 'lowercase' && typeof value === 'string') {
+        value = value.toLowerCase();
+    }
+    if (attribute.type === 'date') {
+        value = new Date(value);
+        if (Number.isNaN(value.getTime())) {
+            throw scimError(400, 'Invalid date in filter', 'invalidFilter');
+        }
+    }
+    if (attribute.type === 'id') {
+        if (operator !== 'eq') {
+            throw scimError(400, 'id only supports eq', 'invalidFilter');
+        }
+        return mongoose.isValidObjectId(value) ? { _id: value } : { _id: { $in: [] } };
+    }
+    // Users created before deprovisioning existed have no active field.
+    if (attribute.type === 'boolean' && (operator === 'eq' || operator === 'ne')) {
+        const wanted = operator === 'eq' ? value === true : value !== true;
+        return { [attribute.field]: wanted ? { $ne: false } : false };
+    }
+
+    switch (operator) {
+    case 'eq':
+        return { [attribute.field]: value };
+    case 'ne':
+        return { [attribute.field]: { $ne: value } };
+    case 'co':
+        return { [attribute.field]: { $regex: escapeRegex(value), $options: 'i' } };
+    case 'sw':
+        return { [attribute.field]: { $regex: `^${escapeRegex(value)}`, $options: 'i' } };
+    case 'ew':
+        return { [attribute.field]: { $regex: `${escapeRegex(value)}$`, $options: 'i' } };
+    default:
+        return { [attribute.field]: { [`$${operator === 'ge' ? 'gte' : operator === 'le' ? 'lte' : operator}`]: value } };
+    }
+};
+
+// Supports `attr op value` terms joined by all-and or all-or. Grouping with parentheses
+// and complex attribute filters are rejected as invalidFilter.
+const parseScimFilter = (filter, attributes) => {
+    const text = String(filter || '').trim();
+    if (!text) {
+        return {};
+    }
+
+    const conditions = [];
+    const joins = new Set();
+    FILTER_TERM.lastIndex = 0;
+    while (FILTER_TERM.lastIndex < text.length) {
+        const match = FILTER_TERM.exec(text);
+        if (!match) {
+            throw scimError(400, 'Unsupported filter', 'invalidFilter');
+        }
+        const [, path, operator, value, join] = match;
+        const attribute = attributes[normalizeAttributePath(path)];
+        if (!attribute) {
+            throw scimError(400, `Filtering on ${path} is not supported`, 'invalidFilter');
+        }
+        conditions.push(filterCondition(attribute, operator.toLowerCase(), value));
+        if (join) {
+            joins.add(join.toLowerCase());
+        }
+    }
+
+    if (joins.size > 1) {
+        throw scimError(400, 'Mixing and with or is not supported', 'invalidFilter');
+    }
+    if (conditions.length === 1) {
+        return conditions[0];
+    }
+    return joins.has('or') ? { $or: conditions } : { $and: conditions };
+};
+
+// With an app-scoped token, active means "provisioned to this app".
+const serializeScimUser = (user, { appId = null } = {}) => {
+    const id = String(user._id);
+    return {
+        schemas: [SCHEMAS.user],
+        id,
+        ...(user.externalId ? { externalId: user.externalId } : {}),
+        userName: user.username,
+        name: { formatted: user.name },
+        displayName: user.name,
+        emails: [{ value: user.email, type: 'work', primary: true }],
+        active: user.active !== false && (!appId || normalizeAppList(user.projects).includes(appId)),
+        meta: {
+            resourceType: 'User',
+            created: user.createdAt,
+            lastModified: user.updatedAt,
+            location: `${SCIM_BASE_URL}/Users/${id}`,
+        },
+    };
+};
+
+const serializeScimGroup = (group, members) => {
+    const id = String(group._id);
+    return {
+        schemas: [SCHEMAS.group],
+        id,
+        ...(group.externalId ? { externalId: group.externalId } : {}),
+        displayName: group.name,
+        ...(members ? {
+            members: members.map((member) => ({
+                value: String(member._id),
+                display: member.username,
+                $ref: `${SCIM_BASE_URL}/Users/${member._id}`,
+            })),
+        } : {}),
+        meta: {
+            resourceType: 'Group',
+            created: group.createdAt,
+            lastModified: group.updatedAt,
+            location: `${SCIM_BASE_URL}/Groups/${id}`,
+        },
+    };
+};
+
+// PATCH operations as sent by common clients: op names in any case, and either a path
+// with a value or no path with an object of attribute values.
+const readPatchOperations = (body = {}) => {
+    const operations = body.Operations || body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw scimError(400, 'Operations must be a non-empty array', 'invalidSyntax');
+    }
+    return operations.flatMap((operation) => {
+        const op = String(operation?.op || '').trim().toLowerCase();
+        if (!['add', 'replace', 'remove'].includes(op)) {
+            throw scimError(400, `Unsupported op ${operation?.op}`, 'invalidSyntax');
+        }
+        if (operation.path) {
+            return [{ op, path: String(operation.path).trim(), value: operation.value }];
+        }
+        if (op === 'remove') {
+            throw scimError(400, 'remove needs a path', 'noTarget');
+        }
+        if (!operation.value || typeof operation.value !== 'object' || Array.isArray(operation.value)) {
+            throw scimError(400, 'An operation without a path needs an object value', 'invalidValue');
+        }
+        return Object.entries(operation.value).map(([path, value]) => ({ op, path, value }));
+    });
+};
+
+// SCIM clients send booleans as true or as "True".
+const readScimBoolean = (value) => value === true || String(value).trim().toLowerCase() === 'true';
+
+module.exports = {
+    SCIM_CONTENT_TYPE,
+    SCIM_BASE_URL,
+    SCHEMAS,
+    MAX_PAGE_SIZE,
+    USER_FILTER_ATTRIBUTES,
+    GROUP_FILTER_ATTRIBUTES,
+    sendScim,
+    sendScimError,
+    scimError,
+    createProvisioningToken,
+    requireProvisioningToken,
+    readPage,
+    listResponse,
+    normalizeAttributePath,
+    parseScimFilter,
+    serializeScimUser,
+    serializeScimGroup,
+    readPatchOperations,
+    readScimBoolean,
+};
@@ -0,0 +1,47 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('./logger');
+const { getRequestIp } = require('./safety');
+
+// Recording must never break the request that detected the problem.
+const recordSecurityEvent = async ({
+    type,
+    severity = 'warning',
+    userId = null,
+    appId = '',
+    sessionId = '',
+    req,
+    details = {},
+}) => {
+    logger.warn('Security event', { type, severity, userId: userId ? String(userId) : null, appId, sessionId });
+    try {
+        await SecurityEvent.create({
+            type,
+            severity,
+            userId,
+            appId,
+            sessionId,
+            ip: req ? getRequestIp(req) : '',
+            userAgent: req ? String(req.headers['user-agent'] || '').slice(0, 300) : '',
+            details,
+        });
+    } catch (error) {
+        logger.error('Failed to record security event', { type, error: error.message });
+    }
+};
+
+const listSecurityEvents = ({
+    type,
+    userId,
+    limit = 100,
+} = {}) => SecurityEvent.find({
+    ...(type ? { type } : {}),
+    ...(userId ? { userId } : {}),
+})
+    .sort({ createdAt: -1 })
+    .limit(Math.min(500, Math.max(1, Number(limit) || 100)))
+    .lean();
+
+module.exports = {
+    recordSecurityEvent,
+    listSecurityEvents,
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { REFRESH_TOKEN_MAX_AGE_MS, hashToken, issueRefreshToken } = require('./tokens');
+const { safeCompare, getRequestIp } = require('./safety');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const SESSION_FIELDS = 'sessionId appId identityProviderId generation userAgent ip createdAt lastRefreshedAt expiresAt';
+const SESSION_CACHE_TTL_MS = Math.max(1000, Number(process.env.SAFETY_STATE_CACHE_TTL_MS || 5000));
+const MAX_CACHED_SESSIONS = 10_000;
+
+// Live session ids and when they were last confirmed. Only live sessions are cached, and
+// any revocation on this instance clears the cache, so other instances lag by the TTL.
+const liveSessionCache = new Map();
+
+const describeClient = (req) => ({
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: getRequestIp(req),
+});
+
+// One row per login: each device and app keeps its own refresh token. The session is
+// also the refresh token family, every rotation stays in it and bumps its generation.
+const createSession = async ({
+    user,
+    appId,
+    req,
+    dpopJkt = null,
+    identityProviderId = null,
+}) => {
+    const sessionId = `sess-${crypto.randomUUID()}`;
+    const refreshToken = issueRefreshToken(user, appId, { sessionId });
+    const session = await Session.create({
+        sessionId,
+        userId: user._id,
+        appId,
+        refreshTokenHash: hashToken(refreshToken),
+        dpopJkt,
+        identityProviderId,
+        ...describeClient(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS),
+    });
+    return { session, refreshToken };
+};
+
+const findActiveSession = async (payload, refreshToken) => {
+    if (!payload?.sid) {
+        return { ok: false, message: 'Session expired. Login again.' };
+    }
+
+    const session = await Session.findOne({ sessionId: payload.sid, userId: payload.sub })
+        .select('+refreshTokenHash');
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return { ok: false, message: 'Refresh token expired' };
+    }
+
+    // A correctly signed token for a live family that is not the current one has
+    // already been rotated away, so someone is replaying it.
+    if (!safeCompare(hashToken(refreshToken), session.refreshTokenHash)) {
+        return { ok: false, reused: true, session, message: 'Invalid refresh token' };
+    }
+
+    return { ok: true, session };
+};
+
+// Conditional on the current hash so two concurrent refreshes cannot both rotate;
+// returns null when the token was already rotated by someone else.
+const rotateSession = async (session, user, req) => {
+    const generation = (session.generation || 0) + 1;
+    const refreshToken = issueRefreshToken(user, session.appId, { sessionId: session.sessionId, generation });
+    const result = await Session.updateOne(
+        { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: hashToken(refreshToken),
+                generation,
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS),
+                lastRefreshedAt: new Date(),
+                ...describeClient(req),
+            },
+        },
+    );
+    return result.matchedCount ? refreshToken : null;
+};
+
+const revokeSession = (filter, reason) => {
+    liveSessionCache.clear();
+    return Session.updateOne(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+};
+
+const revokeUserSessions = (userId, reason, { appId } = {}) => {
+    liveSessionCache.clear();
+    return Session.updateMany(
+        { userId, revokedAt: null, ...(appId ? { appId } : {}) },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+    );
+};
+
+// Access tokens name their session in sid and die with it, so logging out or a
+// replayed refresh token ends them before they expire.
+const isSessionActive = async (sessionId) => {
+    const confirmedAt = liveSessionCache.get(sessionId);
+    if (confirmedAt && Date.now() - confirmedAt < SESSION_CACHE_TTL_MS) {
+        return true;
+    }
+
+    liveSessionCache.delete(sessionId);
+    const active = await Session.exists({ sessionId, revokedAt: null });
+    if (active) {
+        if (liveSessionCache.size >= MAX_CACHED_SESSIONS) {
+            liveSessionCache.delete(liveSessionCache.keys().next().value);
+        }
+        liveSessionCache.set(sessionId, Date.now());
+    }
+    return Boolean(active);
+};
+
+const revokeFamilyOnReuse = async ({ session, payload, req }) => {
+    await revokeSession({ _id: session._id }, 'refresh token reuse detected');
+    await recordSecurityEvent({
+        type: 'refresh_token_reuse',
+        severity: 'critical',
+        userId: session.userId,
+        appId: session.appId,
+        sessionId: session.sessionId,
+        req,
+        details: {
+            presentedGeneration: Number.isFinite(payload?.gen) ? payload.gen : null,
+            currentGeneration: session.generation || 0,
+            familyCreatedAt: session.createdAt,
+            familyUserAgent: session.userAgent,
+            familyIp: session.ip,
+        },
+    });
+};
+
+const listUserSessions = (userId) => Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+})
+    .select(SESSION_FIELDS)
+    .sort({ lastRefreshedAt: -1, createdAt: -1 })
+    .lean();
+
+module.exports = {
+    createSession,
+    findActiveSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    revokeFamilyOnReuse,
+    isSessionActive,
+    listUserSessions,
+};
@@ -0,0 +1,292 @@
+const logger = require('./logger');
+const {
+    normalizeIp,
+    hasBreakGlassToken,
+    recordAuthAttempt,
+    getSafetyStateStore,
+} = require('./safety');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const readNumber = (value, defaultValue, min = 0) => {
+    const parsed = Number(value);
+    return Math.max(min, Number.isFinite(parsed) ? parsed : defaultValue);
+};
+
+const THROTTLE_BASE_DELAY_MS = readNumber(process.env.THROTTLE_BASE_DELAY_MS, 1000, 100);
+const THROTTLE_MAX_DELAY_MS = readNumber(process.env.THROTTLE_MAX_DELAY_MS, 60_000, THROTTLE_BASE_DELAY_MS);
+const THROTTLE_LOCKOUT_MS = readNumber(process.env.THROTTLE_LOCKOUT_MS, 900_000, 60_000);
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// delayAfter failures start the progressive delay, lockAfter failures lock the key
+// (0 never delays or locks). Failures are counted per window; lockouts grow until a
+// quiet window. The app scope never blocks: anyone who knows a client_id could
+// otherwise lock every user of that app out. It raises an alert at alertAfter instead.
+const THROTTLE_SCOPES = {
+    account: {
+        windowMs: 24 * 60 * 60 * 1000,
+        delayAfter: readNumber(process.env.THROTTLE_ACCOUNT_DELAY_AFTER, 3, 1),
+        lockAfter: readNumber(process.env.THROTTLE_ACCOUNT_LOCK_AFTER, 10),
+    },
+    ip: {
+        windowMs: 60 * 60 * 1000,
+        delayAfter: readNumber(process.env.THROTTLE_IP_DELAY_AFTER, 10, 1),
+        lockAfter: readNumber(process.env.THROTTLE_IP_LOCK_AFTER, 50),
+    },
+    app: {
+        windowMs: 5 * 60 * 1000,
+        delayAfter: 0,
+        lockAfter: 0,
+        alertAfter: readNumber(process.env.THROTTLE_APP_ALERT_AFTER, 100, 1),
+    },
+};
+
+const bucketKey = (scope, value) => `${scope}:${value}`;
+
+const bucketExpiresAt = (bucket) => Math.max(
+    bucket.lockedUntil,
+    bucket.lastFailureAt + THROTTLE_SCOPES[bucket.scope].windowMs,
+);
+
+// The bucket as it stands at now: null once it is unlocked and had a quiet window,
+// with a fresh window once the previous one is over. Stored buckets are only
+// rewritten on the next failure.
+const currentBucket = (bucket, now) => {
+    if (!bucket) {
+        return null;
+    }
+
+    const { windowMs } = THROTTLE_SCOPES[bucket.scope];
+    if (bucket.lockedUntil > now || now - bucket.windowStartAt < windowMs) {
+        return bucket;
+    }
+    if (now - bucket.lastFailureAt >= windowMs) {
+        return null;
+    }
+    return { ...bucket, windowStartAt: now, failures: 0 };
+};
+
+const getRetryAt = (scope, bucket) => {
+    if (bucket.lockedUntil) {
+        return bucket.lockedUntil;
+    }
+    const { delayAfter } = THROTTLE_SCOPES[scope];
+    if (!delayAfter || bucket.failures < delayAfter) {
+        return 0;
+    }
+    const delay = Math.min(THROTTLE_MAX_DELAY_MS, THROTTLE_BASE_DELAY_MS * 2 ** (bucket.failures - delayAfter));
+    return bucket.lastFailureAt + delay;
+};
+
+const addFailure = (scope, value, stored, now) => {
+    const bucket = currentBucket(stored, now) || {
+        key: bucketKey(scope, value),
+        scope,
+        value,
+        failures: 0,
+        windowStartAt: now,
+        lastFailureAt: now,
+        lockouts: 0,
+        lockedUntil: 0,
+    };
+    const next = {
+        ...bucket,
+        failures: bucket.failures + 1,
+        lastFailureAt: now,
+        lockedUntil: bucket.lockedUntil > now ? bucket.lockedUntil : 0,
+    };
+
+    const { lockAfter } = THROTTLE_SCOPES[scope];
+    if (lockAfter && next.failures >= lockAfter) {
+        next.lockouts += 1;
+        next.lockedUntil = now + Math.min(MAX_LOCKOUT_MS, THROTTLE_LOCKOUT_MS * 2 ** (next.lockouts - 1));
+        next.failures = 0;
+        next.windowStartAt = now;
+    }
+    return { ...next, expiresAt: bucketExpiresAt(next) };
+};
+
+// locked is set when this failure locked the key, alerted when it reached the
+// scope's alertAfter, so either is reported once per lockout or window.
+const registerFailure = async (scope, value, now) => {
+    let locked = false;
+    let alerted = false;
+    const bucket = await getSafetyStateStore().updateThrottleBucket(bucketKey(scope, value), (stored) => {
+        const next = addFailure(scope, value, stored, now);
+        locked = next.lockouts > (currentBucket(stored, now)?.lockouts || 0);
+        alerted = next.failures === THROTTLE_SCOPES[scope].alertAfter;
+        return next;
+    });
+    return { bucket, locked, alerted };
+};
+
+// req.ip honours the app's trust proxy setting, so a client cannot pick the IP it is
+// counted under by sending its own X-Forwarded-For.
+const normalizeSubject = (req, { account, appId } = {}) => ({
+    account: String(account || '').trim().toLowerCase().slice(0, 320),
+    ip: normalizeIp(req.ip || req.socket?.remoteAddress),
+    appId: String(appId || '').trim().toLowerCase().slice(0, 100),
+});
+
+const subjectKeys = (subject) => [
+    ['account', subject.account],
+    ['ip', subject.ip],
+    ['app', subject.appId],
+].filter(([, value]) => value);
+
+const blocksLogins = (scope) => Boolean(THROTTLE_SCOPES[scope].delayAfter || THROTTLE_SCOPES[scope].lockAfter);
+
+// Remembers the subject on the request so recordLoginAttempt counts the outcome
+// against the same keys that were checked. Test-mode break-glass requests pass, as
+// they do the auth guard.
+// Counters live in the safety store, so every instance enforces the same limits. A
+// store that cannot be reached lets the attempt through, like the auth guard does.
+const checkLoginThrottle = async (req, subjectInput) => {
+    const subject = normalizeSubject(req, subjectInput);
+    req.loginThrottle = subject;
+
+    if (hasBreakGlassToken(req)) {
+        return { ok: true };
+    }
+
+    const now = Date.now();
+    const keys = subjectKeys(subject).filter(([scope]) => blocksLogins(scope));
+    let stored;
+    try {
+        stored = await getSafetyStateStore().loadThrottleBuckets(keys.map(([scope, value]) => bucketKey(scope, value)));
+    } catch (error) {
+        logger.error('Login throttle check failed', { error: error.message });
+        return { ok: true };
+    }
+
+    let blocked = null;
+    for (const [scope, value] of keys) {
+        const bucket = currentBucket(stored.find((entry) => entry.key === bucketKey(scope, value)), now);
+        const retryAt = bucket ? getRetryAt(scope, bucket) : 0;
+        if (retryAt > now && (!blocked || retryAt > blocked.retryAt)) {
+            blocked = { scope, retryAt, locked: Boolean(bucket.lockedUntil) };
+        }
+    }
+    if (!blocked) {
+        return { ok: true };
+    }
+
+    const retryAfterSeconds = Math.ceil((blocked.retryAt - now) / 1000);
+    let message = `Too many failed sign-in attempts, try again in ${retryAfterSeconds} seconds`;
+    if (blocked.locked && blocked.scope === 'account') {
+        message = `This account is temporarily locked after repeated failed sign-ins, try again in ${Math.ceil(retryAfterSeconds / 60)} minutes`;
+    }
+    return {
+        ok: false,
+        scope: blocked.scope,
+        locked: blocked.locked,
+        retryAfterSeconds,
+        message,
+    };
+};
+
+const loginThrottle = (resolveSubject = () => ({})) => async (req, res, next) => {
+    const throttle = await checkLoginThrottle(req, resolveSubject(req));
+    if (throttle.ok) {
+        return next();
+    }
+    res.setHeader('Retry-After', String(throttle.retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        message: throttle.message,
+        retryAfter: throttle.retryAfterSeconds,
+    });
+};
+
+// Counts the outcome per account, IP and app, then feeds the global guard, which
+// only trips when failures are spread too widely for the per-key limits to catch.
+const recordLoginAttempt = async (req, isSuccess, routeLabel = 'unknown') => {
+    const subject = req.loginThrottle || normalizeSubject(req);
+    const now = Date.now();
+
+    if (isSuccess) {
+        if (subject.account) {
+            await getSafetyStateStore().deleteThrottleBucket(bucketKey('account', subject.account))
+                .catch((error) => logger.error('Login throttle reset failed', { error: error.message }));
+        }
+    } else {
+        for (const [scope, value] of subjectKeys(subject)) {
+            const failure = await registerFailure(scope, value, now)
+                .catch((error) => logger.error('Login throttle update failed', { scope, error: error.message }));
+            if (failure?.locked) {
+                await recordSecurityEvent({
+                    type: scope === 'account' ? 'account_locked' : 'ip_blocked',
+                    appId: subject.appId,
+                    req,
+                    details: {
+                        [scope]: value,
+                        route: routeLabel,
+                        lockouts: failure.bucket.lockouts,
+                        lockedUntil: new Date(failure.bucket.lockedUntil),
+                    },
+                });
+            } else if (failure?.alerted) {
+                await recordSecurityEvent({
+                    type: 'app_login_failures',
+                    appId: subject.appId,
+                    req,
+                    details: {
+                        route: routeLabel,
+                        failures: failure.bucket.failures,
+                        windowStartAt: new Date(failure.bucket.windowStartAt),
+                    },
+                });
+            }
+        }
+    }
+
+    await recordAuthAttempt(isSuccess, routeLabel);
+};
+
+const serializeBucket = (bucket, now) => {
+    const retryAt = getRetryAt(bucket.scope, bucket);
+    return {
+        scope: bucket.scope,
+        key: bucket.value,
+        failures: bucket.failures,
+        lockouts: bucket.lockouts,
+        lastFailureAt: new Date(bucket.lastFailureAt),
+        lockedUntil: bucket.lockedUntil > now ? new Date(bucket.lockedUntil) : null,
+        retryAfterSeconds: retryAt > now ? Math.ceil((retryAt - now) / 1000) : 0,
+    };
+};
+
+const listThrottledKeys = async ({ scope } = {}) => {
+    const now = Date.now();
+    const stored = await getSafetyStateStore().listThrottleBuckets({ scope, now, limit: 500 });
+    return stored
+        .map((bucket) => currentBucket(bucket, now))
+        .filter(Boolean)
+        .map((bucket) => serializeBucket(bucket, now));
+};
+
+const clearThrottle = (scope, value) => getSafetyStateStore()
+    .deleteThrottleBucket(bucketKey(scope, String(value || '').trim().toLowerCase()));
+
+const getThrottleSnapshot = async () => {
+    const keys = await listThrottledKeys();
+    return {
+        trackedKeys: keys.length,
+        lockedAccounts: keys.filter((key) => key.scope === 'account' && key.lockedUntil).length,
+        blockedIps: keys.filter((key) => key.scope === 'ip' && key.lockedUntil).length,
+        alertingApps: keys.filter((key) => key.scope === 'app' && key.failures >= THROTTLE_SCOPES.app.alertAfter).length,
+        baseDelayMs: THROTTLE_BASE_DELAY_MS,
+        maxDelayMs: THROTTLE_MAX_DELAY_MS,
+        lockoutMs: THROTTLE_LOCKOUT_MS,
+        scopes: THROTTLE_SCOPES,
+    };
+};
+
+module.exports = {
+    THROTTLE_SCOPES,
+    checkLoginThrottle,
+    loginThrottle,
+    recordLoginAttempt,
+    listThrottledKeys,
+    clearThrottle,
+    getThrottleSnapshot,
+};
@@ -0,0 +1,188 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ADMIN_CONSOLE_APP_ID, resolveEffectiveApps } = require('./apps');
+const { getSigningKey, getVerificationKey } = require('./keys');
+const { evaluateFeatureFlags } = require('./safety');
+const { buildFlagContext } = require('./featureFlags');
+const User = require('../models/User');
+const { resolvePermissions } = require('./permissions');
+const { DEFAULT_ORG_ID } = require('./organizations');
+
+const ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_SECRET;
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+const REFRESH_TOKEN_EXPIRES_IN = `${REFRESH_TOKEN_TTL_DAYS}d`;
+const REFRESH_TOKEN_MAX_AGE_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+const OIDC_ISSUER = String(process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3001}`).trim().replace(/\/+$/, '');
+const ACCEPT_LEGACY_HS256 = String(process.env.JWT_ACCEPT_LEGACY_HS256 || 'true').toLowerCase() !== 'false';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ACCESS_TOKEN_TYP = 'at+jwt';
+
+const signToken = async (payload, options = {}, typ = ACCESS_TOKEN_TYP) => {
+    const key = await getSigningKey();
+    return jwt.sign(payload, key.privateKey, {
+        ...options,
+        algorithm: key.alg,
+        keyid: key.kid,
+        issuer: OIDC_ISSUER,
+        header: { typ },
+    });
+};
+
+// Tokens minted before asymmetric signing carry no kid and are HS256 with JWT_ACCESS_SECRET.
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid;
+
+    if (kid) {
+        if (decoded.header.typ !== ACCESS_TOKEN_TYP) {
+            throw new Error('Token is not an access token');
+        }
+        const key = await getVerificationKey(kid, { allowRetired: decoded.payload?.pat === true });
+        if (!key) {
+            throw new Error('Unknown signing key');
+        }
+        return jwt.verify(token, key.publicKey, { algorithms: [key.alg], issuer: OIDC_ISSUER });
+    }
+
+    if (!ACCEPT_LEGACY_HS256 || !ACCESS_TOKEN_SECRET) {
+        throw new Error('Legacy token signature is not accepted');
+    }
+    return jwt.verify(token, ACCESS_TOKEN_SECRET, { algorithms: ['HS256'] });
+};
+
+// gty records how the session was obtained so introspection can report the grant source.
+// The flags on for this user in this app when the token was issued; apps re-read
+// them through GET /api/users/flags if they need changes before the token expires.
+const getEnabledFlagKeys = (user, appId) => Object.entries(evaluateFeatureFlags(buildFlagContext({ user, appId })))
+    .filter(([, enabled]) => enabled)
+    .map(([key]) => key);
+
+// org, projects (direct and group apps) and permissions (the user's role grants for
+// this app) are read fresh from the database because callers load users with differing
+// field selections.
+const issueAccessToken = async (user, appId, {
+    scope,
+    grantType = 'password',
+    sessionId,
+    jkt,
+} = {}) => {
+    const stored = await User.findById(user._id).select('orgId projects groups roleGrants').lean();
+    return signToken(
+        {
+            sub: user._id.toString(),
+            username: user.username,
+            role: user.role,
+            org: stored?.orgId || DEFAULT_ORG_ID,
+            projects: stored ? await resolveEffectiveApps(stored) : user.projects,
+            tokenVersion: user.tokenVersion,
+            appId,
+            gty: grantType,
+            flags: getEnabledFlagKeys(user, appId),
+            permissions: await resolvePermissions(stored?.roleGrants, appId),
+            ...(sessionId ? { sid: sessionId } : {}),
+            ...(jkt ? { cnf: { jkt } } : {}),
+            ...(scope ? { scope } : {}),
+        },
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN, audience: appId, jwtid: crypto.randomUUID() },
+    );
+};
+
+const issueIdToken = ({
+    user,
+    appId,
+    scope = 'openid profile email',
+    nonce,
+    authTime,
+}) => {
+    const scopes = String(scope).split(' ');
+    return signToken(
+        {
+            sub: user._id.toString(),
+            auth_time: Math.floor((authTime ? new Date(authTime).getTime() : Date.now()) / 1000),
+            ...(nonce ? { nonce } : {}),
+            ...(scopes.includes('profile') ? { name: user.name, preferred_username: user.username } : {}),
+            ...(scopes.includes('email') ? { email: user.email } : {}),
+        },
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN, audience: appId },
+        'JWT',
+    );
+};
+
+const issueRefreshToken = (user, appId, { sessionId, generation = 0 }) => jwt.sign(
+    {
+        sub: user._id.toString(),
+        tokenVersion: user.tokenVersion,
+        type: 'refresh',
+        appId,
+        sid: sessionId,
+        gen: generation,
+    },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() },
+);
+
+const issueTrialLicenseToken = ({
+    user,
+    appIds,
+    expiresIn,
+    tokenId,
+    source,
+}) => signToken(
+    {
+        sub: user._id.toString(),
+        username: user.username,
+        role: user.role,
+        org: user.orgId || DEFAULT_ORG_ID,
+        projects: appIds,
+        tokenVersion: user.tokenVersion,
+        appId: '*',
+        trialGrant: true,
+        trialSource: source,
+        trialTokenId: tokenId,
+    },
+    { expiresIn },
+);
+
+const issuePersistentAdminToken = ({
+    user,
+    tokenId,
+}) => signToken(
+    {
+        sub: user._id.toString(),
+        username: user.username,
+        role: user.role,
+        org: user.orgId || DEFAULT_ORG_ID,
+        appId: ADMIN_CONSOLE_APP_ID,
+        projects: [ADMIN_CONSOLE_APP_ID],
+        pat: true,
+        patId: tokenId,
+    },
+    { audience: ADMIN_CONSOLE_APP_ID },
+);
+
+const getTokenLifetimeSeconds = (token) => {
+    const decoded = jwt.decode(token);
+    if (!decoded || !Number.isFinite(decoded.exp)) {
+        return null;
+    }
+    return Math.max(0, decoded.exp - Math.floor(Date.now() / 1000));
+};
+
+module.exports = {
+    OIDC_ISSUER,
+    REFRESH_TOKEN_SECRET,
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_MAX_AGE_MS,
+    hashToken,
+    verifyAccessToken,
+    issueAccessToken,
+    issueIdToken,
+    issueRefreshToken,
+    issueTrialLicenseToken,
+    issuePersistentAdminToken,
+    getTokenLifetimeSeconds,
+};
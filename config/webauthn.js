@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { OIDC_ISSUER } = require('./tokens');
+
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_COSE_ALGS = [COSE_ALG_ES256, COSE_ALG_RS256];
+
+const issuerUrl = new URL(OIDC_ISSUER);
+const WEBAUTHN_RP_ID = String(process.env.WEBAUTHN_RP_ID || issuerUrl.hostname).trim().toLowerCase();
+const WEBAUTHN_RP_NAME = String(process.env.WEBAUTHN_RP_NAME || 'Oauth4.0').trim();
+const WEBAUTHN_ORIGINS = String(process.env.WEBAUTHN_ORIGINS || issuerUrl.origin)
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+const WEBAUTHN_CHALLENGE_TTL_MS = Math.max(30, Number(process.env.WEBAUTHN_CHALLENGE_TTL_SECONDS || 300)) * 1000;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+
+const toBuffer = (value) => Buffer.from(String(value || ''), 'base64url');
+
+// Minimal CBOR (RFC 8949) decoder: definite-length items only, which is all
+// authenticators emit for attestation objects and COSE keys.
+const decodeCbor = (buffer, start = 0) => {
+    let offset = start;
+
+    const readLength = (info) => {
+        if (info < 24) {
+            return info;
+        }
+        if (info === 24) {
+            offset += 1;
+            return buffer.readUInt8(offset - 1);
+        }
+        if (info === 25) {
+            offset += 2;
+            return buffer.readUInt16BE(offset - 2);
+        }
+        if (info === 26) {
+            offset += 4;
+            return buffer.readUInt32BE(offset - 4);
+        }
+        if (info === 27) {
+            offset += 8;
+            return Number(buffer.readBigUInt64BE(offset - 8));
+        }
+        throw new Error('Unsupported CBOR length encoding');
+    };
+
+    const readItem = () => {
+        const initial = buffer.readUInt8(offset);
+        offset += 1;
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        if (major === 7) {
+            if (info === 20) return false;
+            if (info === 21) return true;
+            if (info === 22 || info === 23) return null;
+            if (info === 26) {
+                offset += 4;
+                return buffer.readFloatBE(offset - 4);
+            }
+            if (info === 27) {
+                offset += 8;
+                return buffer.readDoubleBE(offset - 8);
+            }
+            throw new Error('Unsupported CBOR simple value');
+        }
+
+        const length = readLength(info);
+        switch (major) {
+        case 0:
+            return length;
+        case 1:
+            return -1 - length;
+        case 2: {
+            const bytes = buffer.subarray(offset, offset + length);
+            offset += length;
+            return Buffer.from(bytes);
+        }
+        case 3: {
+            const text = buffer.toString('utf8', offset, offset + length);
+            offset += length;
+            return text;
+        }
+        case 4:
+            return Array.from({ length }, () => readItem());
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i += 1) {
+                const key = readItem();
+                map.set(key, readItem());
+            }
+            return map;
+        }
+        default:
+            throw new Error('Unsupported CBOR major type');
+        }
+    };
+
+    const value = readItem();
+    return { value, offset };
+};
+
+const coseKeyToJwk = (coseKey) => {
+    const kty = coseKey.get(1);
+    const alg = coseKey.get(3);
+
+    if (kty === 2 && alg === COSE_ALG_ES256 && coseKey.get(-1) === 1) {
+        return {
+            alg,
+            jwk: {
+                kty: 'EC',
+                crv: 'P-256',
+                x: coseKey.get(-2).toString('base64url'),
+                y: coseKey.get(-3).toString('base64url'),
+            },
+        };
+    }
+
+    if (kty === 3 && alg === COSE_ALG_RS256) {
+        return {
+            alg,
+            jwk: {
+                kty: 'RSA',
+                n: coseKey.get(-1).toString('base64url'),
+                e: coseKey.get(-2).toString('base64url'),
+            },
+        };
+    }
+
+    throw new Error('Unsupported credential public key, only ES256 and RS256 are accepted');
+};
+
+const parseAuthenticatorData = (authData) => {
+    if (authData.length < 37) {
+        throw new Error('Authenticator data is too short');
+    }
+
+    const flags = authData.readUInt8(32);
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags,
+        userPresent: Boolean(flags & FLAG_USER_PRESENT),
+        userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+        backedUp: Boolean(flags & FLAG_BACKED_UP),
+        signCount: authData.readUInt32BE(33),
+    };
+
+    if (flags & FLAG_ATTESTED_DATA) {
+        const aaguid = authData.subarray(37, 53);
+        const credentialIdLength = authData.readUInt16BE(53);
+        const credentialId = authData.subarray(55, 55 + credentialIdLength);
+        const { value: coseKey } = decodeCbor(authData, 55 + credentialIdLength);
+        parsed.attestedCredential = {
+            aaguid: aaguid.toString('hex'),
+            credentialId: credentialId.toString('base64url'),
+            ...coseKeyToJwk(coseKey),
+        };
+    }
+
+    return parsed;
+};
+
+const parseClientData = (clientDataJSON, expectedType) => {
+    let clientData;
+    try {
+        clientData = JSON.parse(clientDataJSON.toString('utf8'));
+    } catch {
+        throw new Error('clientDataJSON is not valid JSON');
+    }
+
+    if (clientData.type !== expectedType) {
+        throw new Error(`clientDataJSON type must be ${expectedType}`);
+    }
+    if (!WEBAUTHN_ORIGINS.includes(String(clientData.origin || '').replace(/\/+$/, ''))) {
+        throw new Error('clientDataJSON origin is not allowed');
+    }
+    if (typeof clientData.challenge !== 'string' || !clientData.challenge) {
+        throw new Error('clientDataJSON challenge is missing');
+    }
+    return clientData;
+};
+
+// Lets routes look up the stored challenge before running the full verification.
+const readClientChallenge = (credential) => {
+    try {
+        const clientData = JSON.parse(toBuffer(credential?.response?.clientDataJSON).toString('utf8'));
+        return typeof clientData.challenge === 'string' ? clientData.challenge : '';
+    } catch {
+        return '';
+    }
+};
+
+const assertRpIdHash = (authenticatorData) => {
+    const expected = crypto.createHash('sha256').update(WEBAUTHN_RP_ID).digest();
+    if (!crypto.timingSafeEqual(expected, authenticatorData.rpIdHash)) {
+        throw new Error('Authenticator data rpIdHash does not match this relying party');
+    }
+    if (!authenticatorData.userPresent) {
+        throw new Error('User presence flag is not set');
+    }
+};
+
+// Attestation statements are not verified against vendor roots (attestation: 'none'
+// is requested), so any format is accepted once the credential data checks out.
+const verifyRegistrationResponse = ({ credential, expectedChallenge }) => {
+    const clientDataJSON = toBuffer(credential?.response?.clientDataJSON);
+    const clientData = parseClientData(clientDataJSON, 'webauthn.create');
+    if (clientData.challenge !== expectedChallenge) {
+        throw new Error('Challenge mismatch');
+    }
+
+    const { value: attestation } = decodeCbor(toBuffer(credential?.response?.attestationObject));
+    if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+        throw new Error('attestationObject is malformed');
+    }
+
+    const authenticatorData = parseAuthenticatorData(attestation.get('authData'));
+    assertRpIdHash(authenticatorData);
+    if (!authenticatorData.attestedCredential) {
+        throw new Error('attestationObject carries no credential');
+    }
+
+    const { attestedCredential } = authenticatorData;
+    if (attestedCredential.credentialId !== String(credential.rawId || credential.id || '')) {
+        throw new Error('Credential id mismatch');
+    }
+
+    return {
+        credentialId: attestedCredential.credentialId,
+        publicKeyJwk: attestedCredential.jwk,
+        alg: attestedCredential.alg,
+        aaguid: attestedCredential.aaguid,
+        signCount: authenticatorData.signCount,
+        backedUp: authenticatorData.backedUp,
+        attestationFormat: String(attestation.get('fmt') || 'none'),
+        userVerified: authenticatorData.userVerified,
+    };
+};
+
+const verifyAuthenticationResponse = ({ credential, expectedChallenge, storedCredential }) => {
+    const clientDataJSON = toBuffer(credential?.response?.clientDataJSON);
+    const clientData = parseClientData(clientDataJSON, 'webauthn.get');
+    if (clientData.challenge !== expectedChallenge) {
+        throw new Error('Challenge mismatch');
+    }
+
+    const authData = toBuffer(credential?.response?.authenticatorData);
+    const authenticatorData = parseAuthenticatorData(authData);
+    assertRpIdHash(authenticatorData);
+
+    const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+    const publicKey = crypto.createPublicKey({ key: storedCredential.publicKeyJwk, format: 'jwk' });
+    const signature = toBuffer(credential?.response?.signature);
+    if (!crypto.verify('sha256', signedData, publicKey, signature)) {
+        throw new Error('Assertion signature is invalid');
+    }
+
+    // Authenticators that keep a counter must always increase it; going backwards
+    // means the credential was cloned.
+    const previousCount = Number(storedCredential.signCount) || 0;
+    const cloneSuspected = (authenticatorData.signCount > 0 || previousCount > 0)
+        && authenticatorData.signCount <= previousCount;
+
+    return {
+        signCount: authenticatorData.signCount,
+        backedUp: authenticatorData.backedUp,
+        userVerified: authenticatorData.userVerified,
+        userHandle: credential?.response?.userHandle ? toBuffer(credential.response.userHandle).toString('utf8') : '',
+        cloneSuspected,
+    };
+};
+
+const generateChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+module.exports = {
+    SUPPORTED_COSE_ALGS,
+    WEBAUTHN_RP_ID,
+    WEBAUTHN_RP_NAME,
+    WEBAUTHN_CHALLENGE_TTL_MS,
+    generateChallenge,
+    readClientChallenge,
+    verifyRegistrationResponse,
+    verifyAuthenticationResponse,
+};
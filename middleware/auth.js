@@ -1,66 +1,76 @@
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const User = require('../models/User');
 const AdminPersonalToken = require('../models/AdminPersonalToken');
+const TrialLicenseGrant = require('../models/TrialLicenseGrant');
 const {
     hasBreakGlassToken,
     BREAK_GLASS_USERNAME,
     BREAK_GLASS_APP_ID,
 } = require('../config/safety');
-
-const ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_SECRET;
-const normalizeAppId = (appId) => String(appId || '').trim().toLowerCase();
-const normalizeAppList = (appIds) => [...new Set((appIds || []).map(normalizeAppId).filter(Boolean))];
-const ADMIN_CONSOLE_APP_ID = 'admin-console';
-const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
-
-const extractBearerToken = (req) => {
+const { normalizeAppId, normalizeAppList } = require('../config/apps');
+const { hashToken, verifyAccessToken } = require('../config/tokens');
+const { isAccessTokenRevoked } = require('../config/revocation');
+const { verifyDpopProof, sendDpopChallenge } = require('../config/dpop');
+const { hasConsoleSessionCookie, authenticateConsoleSession } = require('../config/adminConsole');
+const { resolveUserAccess } = require('../config/permissions');
+const { DEFAULT_ORG_ID, isPlatformAdmin } = require('../config/organizations');
+
+const extractAccessToken = (req) => {
     const authHeader = req.headers.authorization || '';
-    if (!authHeader.startsWith('Bearer ')) {
-        return null;
+    if (authHeader.startsWith('Bearer ')) {
+        return { scheme: 'Bearer', token: authHeader.slice(7).trim() };
+    }
+    if (authHeader.startsWith('DPoP ')) {
+        return { scheme: 'DPoP', token: authHeader.slice(5).trim() };
     }
-    return authHeader.slice(7).trim();
+    return { scheme: null, token: null };
 };
 
-const requireAuth = async (req, res, next) => {
-    if (hasBreakGlassToken(req)) {
-        const breakGlassProjects = BREAK_GLASS_APP_ID ? [BREAK_GLASS_APP_ID] : [];
-        req.user = {
-            id: 'break-glass',
-            username: BREAK_GLASS_USERNAME,
-            role: 'admin',
-            projects: breakGlassProjects,
-            appId: BREAK_GLASS_APP_ID || null,
-            isBreakGlass: true,
-        };
-        return next();
-    }
+const denied = (status, message) => ({ ok: false, status, message });
 
-    if (!ACCESS_TOKEN_SECRET) {
-        return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
+const getTokenType = (payload) => {
+    if (payload.pat === true) {
+        return 'pat';
     }
+    return payload.trialGrant === true ? 'trial' : 'access';
+};
 
-    const token = extractBearerToken(req);
-    if (!token) {
-        return res.status(401).json({ success: false, message: 'Authentication required' });
+const getGrantSource = (payload) => {
+    if (payload.pat === true) {
+        return 'admin_personal_token';
     }
+    if (payload.trialGrant === true) {
+        return payload.trialSource || 'trial';
+    }
+    return payload.gty || 'password';
+};
 
+// Shared decision logic for requireAuth and /oauth/introspect.
+const evaluateAccessToken = async (token, { ip = '' } = {}) => {
     try {
-        const payload = jwt.verify(token, ACCESS_TOKEN_SECRET);
-        const user = await User.findById(payload.sub).select('username role projects tokenVersion');
+        const payload = await verifyAccessToken(token);
+        if (await isAccessTokenRevoked(payload)) {
+            return denied(401, 'Token has been revoked');
+        }
+
+        const user = await User.findById(payload.sub).select('username role orgId projects groups active roleGrants tokenVersion');
 
         if (!user) {
-            return res.status(401).json({ success: false, message: 'Invalid authentication token' });
+            return denied(401, 'Invalid authentication token');
+        }
+
+        // Covers persistent admin tokens too, which do not carry tokenVersion.
+        if (user.active === false) {
+            return denied(401, 'Account is disabled');
         }
 
         const isPersonalAdminToken = payload.pat === true && typeof payload.patId === 'string' && payload.patId.trim();
         if (!isPersonalAdminToken && payload.tokenVersion !== user.tokenVersion) {
-            return res.status(401).json({ success: false, message: 'Session has expired. Please login again.' });
+            return denied(401, 'Session has expired. Please login again.');
         }
 
         if (isPersonalAdminToken) {
             if (user.role !== 'admin') {
-                return res.status(403).json({ success: false, message: 'Persistent token is only valid for admin accounts' });
+                return denied(403, 'Persistent token is only valid for admin accounts');
             }
 
             const normalizedPatId = String(payload.patId).trim();
@@ -73,7 +83,7 @@ const requireAuth = async (req, res, next) => {
             });
 
             if (!activeToken) {
-                return res.status(401).json({ success: false, message: 'Persistent admin token has been revoked or is invalid' });
+                return denied(401, 'Persistent admin token has been revoked or is invalid');
             }
 
             await AdminPersonalToken.updateOne(
@@ -81,20 +91,32 @@ const requireAuth = async (req, res, next) => {
                 {
                     $set: {
                         lastUsedAt: new Date(),
-                        lastUsedIp: String(req.ip || ''),
+                        lastUsedIp: String(ip || ''),
                     },
                 },
             );
         }
 
-        const userAppIds = (user.projects || []).map(normalizeAppId);
-        const tokenScopedApps = normalizeAppList(payload.projects || payload.apps);
         const isTrialGrant = payload.trialGrant === true;
+        if (isTrialGrant) {
+            const activeGrant = await TrialLicenseGrant.exists({
+                userId: user._id,
+                tokenId: String(payload.trialTokenId || ''),
+                revokedAt: null,
+                expiresAt: { $gt: new Date() },
+            });
+
+            if (!activeGrant) {
+                return denied(401, 'Trial license has been revoked or has expired');
+            }
+        }
+
+        // Re-resolved on every request rather than trusted from the claims, so removing an
+        // app or a grant takes effect before the token expires.
+        const userAccess = await resolveUserAccess(user, payload.appId);
         const effectiveApps = isTrialGrant
-            ? tokenScopedApps
-            : (user.role === 'admin'
-                ? normalizeAppList([ADMIN_CONSOLE_APP_ID, ...userAppIds])
-                : normalizeAppList(userAppIds));
+            ? normalizeAppList(payload.projects || payload.apps)
+            : userAccess.apps;
         const normalizedPayloadAppId = normalizeAppId(payload.appId);
 
         if (
@@ -103,24 +125,99 @@ const requireAuth = async (req, res, next) => {
             !effectiveApps.includes(normalizedPayloadAppId) &&
             !isTrialGrant
         ) {
-            return res.status(403).json({ success: false, message: 'Access to this app has been revoked' });
+            return denied(403, 'Access to this app has been revoked');
         }
 
-        req.user = {
-            id: user._id.toString(),
-            username: user.username,
-            role: user.role,
-            projects: effectiveApps,
-            appId: payload.appId || null,
-            isTrialGrant,
-            isPersonalAdminToken,
-            personalAdminTokenId: isPersonalAdminToken ? String(payload.patId).trim() : null,
+        const permissions = isTrialGrant || isPersonalAdminToken ? [] : userAccess.permissions;
+
+        return {
+            ok: true,
+            payload,
+            tokenType: getTokenType(payload),
+            grantSource: getGrantSource(payload),
+            principal: {
+                id: user._id.toString(),
+                username: user.username,
+                role: user.role,
+                orgId: user.orgId || DEFAULT_ORG_ID,
+                projects: effectiveApps,
+                permissions,
+                appId: payload.appId || null,
+                scope: payload.scope || null,
+                sessionId: payload.sid || null,
+                dpopJkt: payload.cnf?.jkt || null,
+                isTrialGrant,
+                isPersonalAdminToken,
+                personalAdminTokenId: isPersonalAdminToken ? String(payload.patId).trim() : null,
+            },
         };
+    } catch (error) {
+        return denied(401, 'Invalid or expired authentication token');
+    }
+};
 
+const requireAuth = async (req, res, next) => {
+    if (hasBreakGlassToken(req)) {
+        const breakGlassProjects = BREAK_GLASS_APP_ID ? [BREAK_GLASS_APP_ID] : [];
+        req.user = {
+            id: 'break-glass',
+            username: BREAK_GLASS_USERNAME,
+            role: 'admin',
+            orgId: DEFAULT_ORG_ID,
+            projects: breakGlassProjects,
+            appId: BREAK_GLASS_APP_ID || null,
+            isBreakGlass: true,
+        };
         return next();
-    } catch (error) {
-        return res.status(401).json({ success: false, message: 'Invalid or expired authentication token' });
     }
+
+    const { scheme, token } = extractAccessToken(req);
+    if (!token && hasConsoleSessionCookie(req)) {
+        try {
+            const consoleResult = await authenticateConsoleSession(req);
+            if (!consoleResult.ok) {
+                return res.status(consoleResult.status).json({ success: false, message: consoleResult.message });
+            }
+            req.user = consoleResult.principal;
+            return next();
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Authentication required' });
+        }
+    }
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    const result = await evaluateAccessToken(token, { ip: req.ip });
+    if (!result.ok) {
+        return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    // Binding is enforced whether or not DPOP is still enabled, otherwise turning the
+    // flag off would downgrade every bound token to a bearer token.
+    const boundJkt = result.payload.cnf?.jkt;
+    if (boundJkt && scheme !== 'DPoP') {
+        return sendDpopChallenge(res, 401, 'invalid_token', 'DPoP-bound token must be sent with the DPoP authorization scheme');
+    }
+    if (!boundJkt && scheme === 'DPoP') {
+        return sendDpopChallenge(res, 401, 'invalid_token', 'Token is not DPoP-bound, use the Bearer scheme');
+    }
+    if (boundJkt) {
+        try {
+            const proof = await verifyDpopProof(req, { accessToken: token });
+            if (!proof.ok) {
+                return sendDpopChallenge(res, 401, proof.error, proof.message);
+            }
+            if (proof.jkt !== boundJkt) {
+                return sendDpopChallenge(res, 401, 'invalid_dpop_proof', 'DPoP proof key does not match the token binding');
+            }
+        } catch (error) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired authentication token' });
+        }
+    }
+
+    req.user = result.principal;
+    return next();
 };
 
 const requireRole = (roles) => (req, res, next) => {
@@ -135,7 +232,23 @@ const requireRole = (roles) => (req, res, next) => {
     return next();
 };
 
+// Platform admins hold every permission. Everyone else, tenant admins included, needs
+// it granted through a role in the app their token was issued for.
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    if (!isPlatformAdmin(req.user) && !(req.user.permissions || []).includes(permission)) {
+        return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+    }
+
+    return next();
+};
+
 module.exports = {
+    evaluateAccessToken,
     requireAuth,
     requireRole,
+    requirePermission,
 };
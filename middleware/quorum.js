@@ -0,0 +1,90 @@
+const AdminDevice = require('../models/AdminDevice');
+const logger = require('../config/logger');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const {
+    DEVICE_QUORUM_APPROVALS,
+    isDeviceQuorumEnabled,
+    hashQuorumParams,
+    serializeQuorumRequest,
+    createQuorumRequest,
+    consumeApprovedRequest,
+} = require('../config/quorum');
+
+// Goes after requireAuth. describe(req) returns the { target, params } the devices
+// approve; the replayed call must produce the same values. Break-glass sessions are
+// not bound to a user and skip the quorum. Until an admin has DEVICE_QUORUM_APPROVALS
+// devices the action is refused, except with bootstrap: the route then runs with
+// req.quorumBootstrap set, as it does with the flag off, and makes its own
+// out-of-band check.
+const requireDeviceQuorum = (action, describe, { bootstrap = false } = {}) => async (req, res, next) => {
+    try {
+        if (req.user.isBreakGlass || !isDeviceQuorumEnabled(req.user)) {
+            req.quorumBootstrap = bootstrap && !req.user.isBreakGlass;
+            return next();
+        }
+
+        const { target = '', params = {} } = describe(req);
+        const paramsHash = hashQuorumParams({ action, target, params });
+        const requestId = String(req.headers['x-quorum-request'] || '').trim();
+
+        if (requestId) {
+            const approved = await consumeApprovedRequest({
+                requestId,
+                userId: req.user.id,
+                action,
+                paramsHash,
+            });
+            if (!approved) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Quorum request is not approved for this exact action, or was already used',
+                });
+            }
+            req.quorumRequest = approved;
+            return next();
+        }
+
+        const deviceCount = await AdminDevice.countDocuments({ userId: req.user.id });
+        if (deviceCount < DEVICE_QUORUM_APPROVALS) {
+            if (bootstrap) {
+                req.quorumBootstrap = true;
+                return next();
+            }
+            return res.status(403).json({
+                success: false,
+                message: `Register ${DEVICE_QUORUM_APPROVALS} trusted devices before performing this action`,
+            });
+        }
+
+        const request = await createQuorumRequest({
+            user: req.user,
+            action,
+            target,
+            params,
+            paramsHash,
+        });
+        await recordSecurityEvent({
+            type: 'quorum_requested',
+            severity: 'info',
+            userId: req.user.id,
+            appId: req.user.appId,
+            sessionId: req.user.sessionId,
+            req,
+            details: { requestId: request.requestId, action, target },
+        });
+
+        return res.status(202).json({
+            success: false,
+            quorumRequired: true,
+            message: `Approve with ${request.requiredApprovals} trusted device(s), then repeat this request with the X-Quorum-Request header`,
+            quorumRequest: serializeQuorumRequest(request),
+        });
+    } catch (error) {
+        logger.error('Device quorum error', { action, error: error.message });
+        return res.status(500).json({ success: false, message: 'Error checking device quorum' });
+    }
+};
+
+module.exports = {
+    requireDeviceQuorum,
+};
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const adminDeviceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    deviceId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: 'device',
+    },
+    publicKeyJwk: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    jkt: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('AdminDevice', adminDeviceSchema);
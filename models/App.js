@@ -17,6 +17,13 @@ const appSchema = new mongoose.Schema({
         minlength: 2,
         maxlength: 120,
     },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
     appUrl: {
         type: String,
         required: true,
@@ -33,6 +40,53 @@ const appSchema = new mongoose.Schema({
         maxlength: 300,
         default: '',
     },
+    clientType: {
+        type: String,
+        enum: ['public', 'confidential'],
+        default: 'public',
+    },
+    redirectUris: {
+        type: [String],
+        default: [],
+    },
+    clientSecretHash: {
+        type: String,
+        default: null,
+        select: false,
+    },
+    // SAML service provider settings; null until the app is set up for SAML SSO.
+    saml: {
+        type: new mongoose.Schema({
+            entityId: {
+                type: String,
+                required: true,
+                trim: true,
+                maxlength: 500,
+            },
+            acsUrl: {
+                type: String,
+                required: true,
+                trim: true,
+            },
+            // PEM certificate; when set, AuthnRequests must be signed with its key.
+            signingCert: {
+                type: String,
+                default: '',
+            },
+            nameIdFormat: {
+                type: String,
+                enum: ['emailAddress', 'persistent', 'unspecified'],
+                default: 'emailAddress',
+            },
+            allowIdpInitiated: {
+                type: Boolean,
+                default: true,
+            },
+        }, { _id: false }),
+        default: null,
+    },
 }, { timestamps: true });
 
+appSchema.index({ 'saml.entityId': 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('App', appSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Append-only. Every entry carries the hash of the one before it, so editing or
+// removing an entry breaks the chain from that point on. Values are stored exactly
+// as they were hashed, which is why nothing here is trimmed or lowercased.
+const auditEventSchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: true,
+        unique: true,
+        index: true,
+        min: 1,
+    },
+    at: {
+        type: Date,
+        required: true,
+        index: true,
+    },
+    action: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    actor: {
+        type: {
+            type: String,
+            default: 'system',
+        },
+        userId: {
+            type: String,
+            default: null,
+        },
+        username: {
+            type: String,
+            default: null,
+        },
+        role: {
+            type: String,
+            default: null,
+        },
+        tokenId: {
+            type: String,
+            default: null,
+        },
+        sessionId: {
+            type: String,
+            default: null,
+        },
+    },
+    target: {
+        type: {
+            type: String,
+            default: null,
+        },
+        id: {
+            type: String,
+            default: null,
+        },
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    appId: {
+        type: String,
+        default: null,
+    },
+    ip: {
+        type: String,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        default: '',
+    },
+    testRunId: {
+        type: String,
+        default: null,
+    },
+    prevHash: {
+        type: String,
+        required: true,
+    },
+    hash: {
+        type: String,
+        required: true,
+    },
+}, { minimize: false, versionKey: false });
+
+auditEventSchema.index({ 'actor.username': 1, seq: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, seq: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const authorizationCodeSchema = new mongoose.Schema({
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    appId: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    redirectUri: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    codeChallenge: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    codeChallengeMethod: {
+        type: String,
+        enum: ['S256'],
+        default: 'S256',
+    },
+    scope: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    nonce: {
+        type: String,
+        trim: true,
+        maxlength: 256,
+        default: '',
+    },
+    authTime: {
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('AuthorizationCode', authorizationCodeSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Cookie-backed admin console sign-in. Each one is anchored to a regular Session row
+// for the admin-console app, so revoking the user's sessions signs the console out too.
+const consoleSessionSchema = new mongoose.Schema({
+    idHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    sessionId: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    ip: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    lastActiveAt: {
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+consoleSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ConsoleSession', consoleSessionSchema);
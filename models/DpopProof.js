@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Replay cache for DPoP proof jti values; rows only need to outlive the proof's iat window.
+const dpopProofSchema = new mongoose.Schema({
+    proofHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+dpopProofSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DpopProof', dpopProofSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A rule matches when every list it sets contains the caller's value and the user's
+// stable hash falls under percentage.
+const flagRuleSchema = new mongoose.Schema({
+    appIds: {
+        type: [String],
+        default: [],
+    },
+    roles: {
+        type: [String],
+        default: [],
+    },
+    usernames: {
+        type: [String],
+        default: [],
+    },
+    percentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100,
+    },
+}, { _id: false });
+
+const featureFlagSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        uppercase: true,
+        match: /^[A-Z][A-Z0-9_]{1,63}$/,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    enabled: {
+        type: Boolean,
+        default: false,
+    },
+    rules: {
+        type: [flagRuleSchema],
+        default: [],
+    },
+    updatedBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('FeatureFlag', featureFlagSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// One sign-in through an upstream provider. The state and PKCE verifier cover the trip
+// to the provider; once the callback has identified the user, the short-lived login
+// code hands the result to the app, which redeems it for tokens with the verifier of
+// loginCodeChallenge.
+const federatedLoginSchema = new mongoose.Schema({
+    stateHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    providerId: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+    },
+    appId: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+    },
+    redirectUri: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // The app's own state, returned with the login code.
+    state: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: '',
+    },
+    nonce: {
+        type: String,
+        required: true,
+    },
+    codeVerifier: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    loginCodeChallenge: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    loginCodeHash: {
+        type: String,
+        default: undefined,
+        index: { unique: true, sparse: true },
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    callbackAt: {
+        type: Date,
+        default: null,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+federatedLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('FederatedLogin', federatedLoginSchema);
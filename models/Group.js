@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A set of users sharing app access. Members (User.groups) reach every app in
+// `apps` on top of their own User.projects.
+const groupSchema = new mongoose.Schema({
+    groupId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z][a-z0-9-]{1,47}$/,
+    },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    apps: {
+        type: [String],
+        default: [],
+    },
+    externalId: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+    },
+    updatedBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// An upstream OpenID Connect provider users of one organization can sign in with.
+const identityProviderSchema = new mongoose.Schema({
+    providerId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        lowercase: true,
+        minlength: 2,
+        maxlength: 50,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
+    issuer: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    clientId: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 300,
+    },
+    clientSecretEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    scopes: {
+        type: String,
+        trim: true,
+        default: 'openid email profile',
+    },
+    // Email domains allowed to sign in; empty allows any verified email.
+    allowedDomains: {
+        type: [String],
+        default: [],
+    },
+    // Create accounts for verified emails that have none yet, with defaultApps.
+    createUsers: {
+        type: Boolean,
+        default: false,
+    },
+    defaultApps: {
+        type: [String],
+        default: [],
+    },
+    status: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active',
+    },
+    createdBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('IdentityProvider', identityProviderSchema);
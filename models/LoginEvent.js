@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const LOGIN_EVENT_RETENTION_DAYS = Math.max(1, Number(process.env.LOGIN_EVENT_RETENTION_DAYS || 90));
+
+const riskReasonSchema = new mongoose.Schema({
+    signal: {
+        type: String,
+        required: true,
+    },
+    score: {
+        type: Number,
+        default: 0,
+    },
+    detail: {
+        type: String,
+        default: '',
+    },
+}, { _id: false });
+
+const loginEventSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    type: {
+        type: String,
+        enum: ['login', 'refresh', 'mfa', 'passkey', 'saml', 'authorize', 'federated'],
+        required: true,
+    },
+    outcome: {
+        type: String,
+        enum: ['success', 'failure', 'challenged', 'blocked'],
+        required: true,
+    },
+    decision: {
+        type: String,
+        enum: ['allow', 'step_up', 'deny'],
+        default: 'allow',
+    },
+    score: {
+        type: Number,
+        default: 0,
+    },
+    reasons: {
+        type: [riskReasonSchema],
+        default: [],
+    },
+    sessionId: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    ip: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    geo: {
+        country: { type: String, default: '' },
+        region: { type: String, default: '' },
+        city: { type: String, default: '' },
+        latitude: { type: Number, default: null },
+        longitude: { type: Number, default: null },
+    },
+}, { timestamps: true });
+
+loginEventSchema.index({ userId: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const mfaChallengeSchema = new mongoose.Schema({
+    challengeHash: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    // Carried to the session when the first factor was a federated login.
+    identityProviderId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+    },
+    enrollmentRequired: {
+        type: Boolean,
+        default: false,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('MfaChallenge', mfaChallengeSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const mfaFactorSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    type: {
+        type: String,
+        enum: ['totp'],
+        default: 'totp',
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active'],
+        default: 'pending',
+    },
+    secretEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    lastUsedStep: {
+        type: Number,
+        default: 0,
+    },
+    recoveryCodeHashes: {
+        type: [String],
+        default: [],
+        select: false,
+    },
+    recoveryCodesGeneratedAt: {
+        type: Date,
+        default: null,
+    },
+    enabledAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('MfaFactor', mfaFactorSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A tenant. Users, apps and trial grants carry its orgId; the built-in 'default'
+// organization holds everything created before tenancy and the platform admins.
+const organizationSchema = new mongoose.Schema({
+    orgId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z][a-z0-9-]{1,47}$/,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 120,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    updatedBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Organization', organizationSchema);
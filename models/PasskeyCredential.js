@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const passkeyCredentialSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    publicKeyJwk: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    alg: {
+        type: Number,
+        enum: [-7, -257],
+        required: true,
+    },
+    signCount: {
+        type: Number,
+        default: 0,
+    },
+    transports: {
+        type: [String],
+        default: [],
+    },
+    aaguid: {
+        type: String,
+        default: '',
+    },
+    attestationFormat: {
+        type: String,
+        default: 'none',
+    },
+    backedUp: {
+        type: Boolean,
+        default: false,
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: 'passkey',
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('PasskeyCredential', passkeyCredentialSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Custom permissions an admin added next to the built-in ones in config/permissions.
+const permissionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z][a-z0-9-]{0,31}:[a-z][a-z0-9-]{0,31}$/,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    updatedBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Permission', permissionSchema);
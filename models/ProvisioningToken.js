@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Bearer credential for the SCIM API. It provisions the users and groups of one
+// organization, or only the users of one app when appId is set.
+const provisioningTokenSchema = new mongoose.Schema({
+    tokenId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: 'scim',
+    },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+    },
+    createdBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ProvisioningToken', provisioningTokenSchema);
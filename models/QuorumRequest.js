@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const quorumApprovalSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: true,
+    },
+    approvedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const quorumRequestSchema = new mongoose.Schema({
+    requestId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    username: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    action: {
+        type: String,
+        required: true,
+    },
+    target: {
+        type: String,
+        default: '',
+    },
+    params: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    paramsHash: {
+        type: String,
+        required: true,
+    },
+    requiredApprovals: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    approvals: {
+        type: [quorumApprovalSchema],
+        default: [],
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'executed', 'rejected', 'cancelled'],
+        default: 'pending',
+    },
+    rejectedBy: {
+        type: String,
+        default: '',
+    },
+    approvedAt: {
+        type: Date,
+        default: null,
+    },
+    executedAt: {
+        type: Date,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+quorumRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('QuorumRequest', quorumRequestSchema);
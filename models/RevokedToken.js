@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Denylist for access tokens revoked before their exp; rows expire with the token.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
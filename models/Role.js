@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions. Roles are granted to users per app through
+// User.roleGrants; User.role stays the coarse user/admin split.
+const roleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z][a-z0-9-]{1,47}$/,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    permissions: {
+        type: [String],
+        default: [],
+    },
+    updatedBy: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', roleSchema);
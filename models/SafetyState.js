@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One document per deployment holding the auth guard counters and the feature flag
+// overrides, so every instance reads and updates the same state.
+const safetyStateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    windowStartAt: {
+        type: Date,
+        default: Date.now,
+    },
+    totalAttempts: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    failedAttempts: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    paused: {
+        type: Boolean,
+        default: false,
+    },
+    pauseReason: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: null,
+    },
+    pausedAt: {
+        type: Date,
+        default: null,
+    },
+    featureOverrides: {
+        type: Map,
+        of: Boolean,
+        default: {},
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('SafetyState', safetyStateSchema);
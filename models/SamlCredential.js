@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// The IdP's SAML signing key and its self-signed certificate, created on first use
+// unless SAML_IDP_PRIVATE_KEY and SAML_IDP_CERTIFICATE are set.
+const samlCredentialSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        default: 'idp',
+    },
+    certificatePem: {
+        type: String,
+        required: true,
+    },
+    privateKeyEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    notAfter: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('SamlCredential', samlCredentialSchema);
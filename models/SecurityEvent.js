@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true,
+    },
+    severity: {
+        type: String,
+        enum: ['info', 'warning', 'critical'],
+        default: 'warning',
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+        index: true,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    sessionId: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    ip: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+}, { timestamps: true });
+
+securityEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true,
+    },
+    appId: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    // Bumped on every rotation; a refresh token from an older generation is a replay.
+    generation: {
+        type: Number,
+        default: 0,
+    },
+    // JWK thumbprint the refresh token is bound to when the session was created with DPoP.
+    dpopJkt: {
+        type: String,
+        default: null,
+    },
+    // Upstream identity provider the user signed in through, for federated logins.
+    identityProviderId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    ip: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    lastRefreshedAt: {
+        type: Date,
+        default: null,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+    },
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, appId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+    kid: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+        trim: true,
+    },
+    alg: {
+        type: String,
+        enum: ['RS256', 'ES256'],
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'verify-only', 'retired'],
+        default: 'pending',
+        index: true,
+    },
+    publicJwk: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    privateKeyEncrypted: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    activatesAt: {
+        type: Date,
+        default: null,
+    },
+    activatedAt: {
+        type: Date,
+        default: null,
+    },
+    overlapSeconds: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    verifyUntil: {
+        type: Date,
+        default: null,
+    },
+    retiredAt: {
+        type: Date,
+        default: null,
+    },
+    createdBy: {
+        type: String,
+        trim: true,
+        default: 'system',
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+    },
+}, { timestamps: true });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in counters for one account, IP or app, shared by every instance. Rows
+// expire once the key is neither locked nor inside its failure window; revision is
+// bumped on every write so concurrent updates can be detected.
+const throttleBucketSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    scope: {
+        type: String,
+        enum: ['account', 'ip', 'app'],
+        required: true,
+    },
+    value: {
+        type: String,
+        required: true,
+    },
+    failures: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    windowStartAt: {
+        type: Date,
+        required: true,
+    },
+    lastFailureAt: {
+        type: Date,
+        required: true,
+        index: true,
+    },
+    lockouts: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    revision: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+throttleBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ThrottleBucket', throttleBucketSchema);
@@ -12,6 +12,13 @@ const trialLicenseGrantSchema = new mongoose.Schema({
         trim: true,
         lowercase: true,
     },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
     source: {
         type: String,
         required: true,
@@ -34,25 +34,89 @@ const userSchema = new mongoose.Schema({
         enum: ['user', 'admin'],
         default: 'user',
     },
+    orgId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'default',
+        index: true,
+    },
     projects: {
         type: [String],
         default: [],
         required: true,
     },
+    // groupIds; the user also reaches every app of these groups.
+    groups: {
+        type: [String],
+        default: [],
+    },
+    // appId '*' grants the role in every app the user can reach.
+    roleGrants: {
+        type: [{
+            _id: false,
+            appId: {
+                type: String,
+                required: true,
+                trim: true,
+                lowercase: true,
+            },
+            role: {
+                type: String,
+                required: true,
+                trim: true,
+                lowercase: true,
+            },
+        }],
+        default: [],
+    },
     tokenVersion: {
         type: Number,
         default: 0,
     },
-    refreshTokenHash: {
+    // false once the user is deprovisioned; sign-in and every token are refused.
+    active: {
+        type: Boolean,
+        default: true,
+    },
+    // The identifier the provisioning client (SCIM) knows this user by.
+    externalId: {
         type: String,
-        default: null,
-        select: false,
+        trim: true,
+        maxlength: 200,
+        index: true,
     },
-    refreshTokenExpiresAt: {
-        type: Date,
-        default: null,
-        select: false,
+    // Accounts at upstream OIDC providers linked to this user, by issuer and subject.
+    federatedIdentities: {
+        type: [{
+            _id: false,
+            providerId: {
+                type: String,
+                required: true,
+                trim: true,
+                lowercase: true,
+            },
+            issuer: {
+                type: String,
+                required: true,
+                trim: true,
+            },
+            subject: {
+                type: String,
+                required: true,
+            },
+            linkedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        }],
+        default: [],
     },
 }, { timestamps: true });
 
+userSchema.index(
+    { 'federatedIdentities.issuer': 1, 'federatedIdentities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'federatedIdentities.subject': { $exists: true } } },
+);
+
 module.exports = mongoose.model('oauth4.0', userSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+    challenge: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true,
+    },
+    ceremony: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true,
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    appId: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: '',
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
@@ -0,0 +1,891 @@
+const consolePath = document.body.getAttribute('data-console-path');
+const idleTimeoutMs = Number(document.body.getAttribute('data-idle-timeout-seconds')) * 1000;
+const breakGlassInput = document.getElementById('breakGlassInput');
+const testRunIdInput = document.getElementById('testRunIdInput');
+const orgScopeInput = document.getElementById('orgScopeInput');
+const statusText = document.getElementById('statusText');
+const usersTable = document.getElementById('usersTable');
+const appsList = document.getElementById('appsList');
+const userAppsEditor = document.getElementById('userAppsEditor');
+const userGroupsEditor = document.getElementById('userGroupsEditor');
+const effectiveAppsText = document.getElementById('effectiveAppsText');
+const groupsList = document.getElementById('groupsList');
+const manageHint = document.getElementById('manageHint');
+const manageUsernameInput = document.getElementById('manageUsername');
+const userSearchInput = document.getElementById('userSearchInput');
+const usersPageText = document.getElementById('usersPageText');
+const grantsList = document.getElementById('grantsList');
+const grantsHint = document.getElementById('grantsHint');
+const resetUsernameInput = document.getElementById('resetUsername');
+const resetPasswordInput = document.getElementById('resetPassword');
+const patList = document.getElementById('patList');
+const patIssued = document.getElementById('patIssued');
+const patIssuedValue = document.getElementById('patIssuedValue');
+const featuresList = document.getElementById('featuresList');
+const guardResetReasonInput = document.getElementById('guardResetReason');
+const guardLiveToggle = document.getElementById('guardLiveToggle');
+const signedInUser = document.getElementById('signedInUser');
+const signedInOrg = document.getElementById('signedInOrg');
+const idleText = document.getElementById('idleText');
+
+const totalUsers = document.getElementById('totalUsers');
+const adminUsers = document.getElementById('adminUsers');
+const totalApps = document.getElementById('totalApps');
+const activeApps = document.getElementById('activeApps');
+const inactiveApps = document.getElementById('inactiveApps');
+
+const state = {
+  apps: [],
+  users: [],
+  selectedUsername: '',
+  selectedUserApps: [],
+  selectedUserGroups: [],
+  availableGroups: [],
+  groups: [],
+  userQuery: '',
+  userPage: 1,
+  userPages: 1,
+  usersMatched: 0,
+  grants: [],
+  tokens: [],
+  quorumRequests: {},
+  safety: null,
+  serverOffsetMs: 0,
+  features: {},
+  csrfToken: '',
+  lastActivityAt: Date.now(),
+  signingOut: false,
+};
+
+const GUARD_POLL_MS = 5000;
+
+const USERS_PAGE_SIZE = 50;
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// The session cookie is sent automatically; the CSRF token from /session has to
+// accompany every change.
+function getHeaders() {
+  const result = { 'Content-Type': 'application/json', 'X-CSRF-Token': state.csrfToken };
+  if (breakGlassInput.value.trim()) {
+    result['X-Break-Glass-Token'] = breakGlassInput.value.trim();
+  }
+  if (testRunIdInput.value.trim()) {
+    result['X-Test-Run-Id'] = testRunIdInput.value.trim();
+  }
+  if (orgScopeInput.value.trim()) {
+    result['X-Org-Id'] = orgScopeInput.value.trim();
+  }
+  return result;
+}
+
+function goToLogin() {
+  state.signingOut = true;
+  window.location.assign(consolePath + '/login');
+}
+
+// Actions behind the device quorum answer 202 first. The request id is kept so
+// repeating the same action after approval sends it back.
+async function api(url, options) {
+  const method = (options && options.method) || 'GET';
+  const quorumKey = method + ' ' + url;
+  const quorumHeaders = state.quorumRequests[quorumKey]
+    ? { 'X-Quorum-Request': state.quorumRequests[quorumKey] }
+    : {};
+  const response = await fetch(url, {
+    ...(options || {}),
+    credentials: 'same-origin',
+    headers: {
+      ...getHeaders(),
+      ...quorumHeaders,
+      ...((options && options.headers) || {}),
+    },
+  });
+
+  if (response.status === 401 && !breakGlassInput.value.trim()) {
+    goToLogin();
+    throw new Error('Session expired, signing in again');
+  }
+
+  const payload = await response.json().catch(function () { return {}; });
+  if (payload.quorumRequired) {
+    state.quorumRequests[quorumKey] = payload.quorumRequest.requestId;
+    throw new Error(payload.message + ' (request ' + payload.quorumRequest.requestId + ')');
+  }
+  delete state.quorumRequests[quorumKey];
+  if (!response.ok) {
+    throw new Error(payload.message || ('Request failed: ' + response.status));
+  }
+  return payload;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+function renderUsers() {
+  usersTable.innerHTML = state.users.map(function (u) {
+    return (
+      '<tr class="border-t border-slate-800">' +
+        '<td class="p-2 font-medium">' + escapeHtml(u.username) + '</td>' +
+        '<td class="p-2">' + escapeHtml(u.email) + '</td>' +
+        '<td class="p-2">' + escapeHtml(u.role) + '</td>' +
+        '<td class="p-2">' + escapeHtml((u.projects || []).join(', ')) + '</td>' +
+        '<td class="p-2">' +
+          '<div class="flex flex-wrap gap-1">' +
+            '<button class="px-2 py-1 rounded bg-cyan-600 hover:bg-cyan-500 text-xs font-semibold" data-action="manage-user" data-username="' + escapeHtml(u.username) + '">Manage</button>' +
+            '<button class="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs font-semibold" data-action="user-grants" data-username="' + escapeHtml(u.username) + '">Grants</button>' +
+            '<button class="px-2 py-1 rounded bg-amber-600 hover:bg-amber-500 text-xs font-semibold" data-action="force-logout" data-username="' + escapeHtml(u.username) + '">Sign out</button>' +
+            '<button class="px-2 py-1 rounded bg-violet-600 hover:bg-violet-500 text-xs font-semibold" data-action="reset-password" data-username="' + escapeHtml(u.username) + '">Password</button>' +
+            '<button class="px-2 py-1 rounded bg-rose-600 hover:bg-rose-500 text-xs font-semibold" data-action="delete-user" data-username="' + escapeHtml(u.username) + '">Delete</button>' +
+          '</div>' +
+        '</td>' +
+      '</tr>'
+    );
+  }).join('') || '<tr><td colspan="5" class="p-2 text-slate-500">No users found.</td></tr>';
+
+  usersPageText.textContent = 'Page ' + state.userPage + ' of ' + state.userPages + ' (' + state.usersMatched + ' users)';
+}
+
+function formatCountdown(ms) {
+  if (ms <= 0) {
+    return 'now';
+  }
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes + 'm ' + String(seconds).padStart(2, '0') + 's';
+}
+
+// Countdowns run on the server's clock, corrected by the offset measured when the
+// status was fetched.
+function renderGuard() {
+  if (!state.safety) {
+    return;
+  }
+  const guard = state.safety.guard;
+  const now = Date.now() + state.serverOffsetMs;
+  const coolingDown = guard.paused && guard.pausedAt;
+  const cooldownLeft = coolingDown ? (guard.pausedAt + guard.cooldownMs) - now : 0;
+  const paused = guard.paused && cooldownLeft > 0;
+
+  const pill = document.getElementById('guardStatePill');
+  pill.textContent = paused ? 'paused' : 'open';
+  pill.className = 'inline-block px-2 py-1 border rounded text-xs ' + (paused
+    ? 'text-rose-300 border-rose-700'
+    : 'text-emerald-300 border-emerald-700');
+
+  document.getElementById('guardFailureRate').textContent = Math.round(guard.failureRate * 100) + '% / ' + Math.round(guard.maxFailureRate * 100) + '%';
+  document.getElementById('guardAttempts').textContent = guard.failedAttempts + ' / ' + guard.totalAttempts + ' (min ' + guard.minRequests + ')';
+  document.getElementById('guardWindow').textContent = formatCountdown((guard.windowStartAt + guard.windowMs) - now);
+  document.getElementById('guardCooldown').textContent = paused ? formatCountdown(cooldownLeft) : '-';
+  document.getElementById('guardReason').textContent = guard.pauseReason
+    ? (paused ? 'Paused: ' : 'Last change: ') + guard.pauseReason
+    : 'No pause recorded';
+  document.getElementById('guardMeta').textContent = 'Store: ' + state.safety.stateStore +
+    ', test mode: ' + (state.safety.testMode ? 'on' : 'off') +
+    ', admin IP allowlist: ' + (state.safety.adminIpAllowlistEnabled ? 'on' : 'off');
+}
+
+function renderFeatures() {
+  featuresList.innerHTML = Object.keys(state.features).sort().map(function (key) {
+    const enabled = Boolean(state.features[key]);
+    const pill = enabled
+      ? 'text-emerald-300 border-emerald-700'
+      : 'text-slate-400 border-slate-700';
+    const buttonClass = enabled
+      ? 'bg-rose-500 hover:bg-rose-400'
+      : 'bg-emerald-500 hover:bg-emerald-400';
+    return (
+      '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950 flex items-center justify-between gap-2">' +
+        '<div class="flex items-center gap-2">' +
+          '<span class="font-semibold font-mono">' + escapeHtml(key) + '</span>' +
+          '<span class="inline-block px-2 py-1 border rounded text-xs ' + pill + '">' + (enabled ? 'on' : 'off') + '</span>' +
+        '</div>' +
+        '<button class="px-2 py-1 rounded text-xs font-semibold text-slate-950 ' + buttonClass + '" data-action="toggle-feature" data-feature-key="' + escapeHtml(key) + '" data-next-enabled="' + (enabled ? 'false' : 'true') + '">Turn ' + (enabled ? 'off' : 'on') + '</button>' +
+      '</li>'
+    );
+  }).join('');
+}
+
+async function loadSafety(background) {
+  const requestedAt = Date.now();
+  const payload = await api('/api/users/admin/safety/status', background
+    ? { headers: { 'X-Console-Background': '1' } }
+    : undefined);
+  const receivedAt = Date.now();
+  state.safety = payload.safety;
+  state.features = payload.safety.features || {};
+  if (payload.serverTime) {
+    state.serverOffsetMs = payload.serverTime - Math.round((requestedAt + receivedAt) / 2);
+  }
+  renderGuard();
+  renderFeatures();
+}
+
+async function resetGuard() {
+  const reason = guardResetReasonInput.value.trim();
+  if (!reason) {
+    statusText.textContent = 'A reason is required to reset the guard';
+    return;
+  }
+  if (!window.confirm('Reset the auth guard? Counters are cleared and logins resume on every instance.')) {
+    return;
+  }
+  try {
+    await api('/api/users/admin/safety/reset', {
+      method: 'POST',
+      body: JSON.stringify({ reason: reason }),
+    });
+    guardResetReasonInput.value = '';
+    statusText.textContent = 'Auth guard reset';
+    await loadSafety();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function toggleFeature(key, enabled) {
+  if (!window.confirm('Turn ' + key + ' ' + (enabled ? 'on' : 'off') + ' for every user and app?')) {
+    return;
+  }
+  try {
+    const payload = await api('/api/users/admin/features/' + encodeURIComponent(key), {
+      method: 'PUT',
+      body: JSON.stringify({ enabled: enabled }),
+    });
+    state.features = payload.features || state.features;
+    renderFeatures();
+    statusText.textContent = key + ' turned ' + (enabled ? 'on' : 'off');
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+function renderGrants() {
+  grantsList.innerHTML = state.grants.map(function (grant) {
+    const pill = grant.active
+      ? 'text-emerald-300 border-emerald-700'
+      : 'text-slate-400 border-slate-700';
+    const label = grant.active ? 'active' : (grant.revokedAt ? 'revoked' : 'expired');
+    return (
+      '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950">' +
+        '<div class="flex items-start justify-between gap-2">' +
+          '<div>' +
+            '<p class="font-semibold">' + escapeHtml(grant.source) + '</p>' +
+            '<p class="text-slate-300 text-xs">Apps: ' + escapeHtml(grant.apps.join(', ') || '-') + '</p>' +
+            '<p class="text-slate-500 text-xs mt-1">Expires ' + escapeHtml(formatDate(grant.expiresAt)) + '</p>' +
+          '</div>' +
+          '<span class="inline-block px-2 py-1 border rounded text-xs ' + pill + '">' + label + '</span>' +
+        '</div>' +
+      '</li>'
+    );
+  }).join('') || '<li class="text-slate-500 text-xs">No trial grants.</li>';
+}
+
+function renderTokens() {
+  patList.innerHTML = state.tokens.map(function (token) {
+    const revokeButton = token.revokedAt
+      ? '<span class="inline-block px-2 py-1 border rounded text-xs text-slate-400 border-slate-700">revoked</span>'
+      : '<button class="px-2 py-1 rounded text-xs font-semibold text-white bg-rose-500 hover:bg-rose-400" data-action="revoke-token" data-token-id="' + escapeHtml(token.tokenId) + '">Revoke</button>';
+    return (
+      '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950">' +
+        '<div class="flex items-start justify-between gap-2">' +
+          '<div>' +
+            '<p class="font-semibold">' + escapeHtml(token.label) + '</p>' +
+            '<p class="text-slate-500 text-xs font-mono">' + escapeHtml(token.tokenId) + '</p>' +
+            '<p class="text-slate-500 text-xs mt-1">Created ' + escapeHtml(formatDate(token.createdAt)) + ', last used ' + escapeHtml(formatDate(token.lastUsedAt)) + '</p>' +
+          '</div>' +
+          revokeButton +
+        '</div>' +
+      '</li>'
+    );
+  }).join('') || '<li class="text-slate-500 text-xs">No personal tokens.</li>';
+}
+
+function renderApps() {
+  appsList.innerHTML = state.apps.map(function (app) {
+    const nextStatus = app.status === 'active' ? 'inactive' : 'active';
+    const pill = app.status === 'active'
+      ? 'text-emerald-300 border-emerald-700'
+      : 'text-rose-300 border-rose-700';
+    const buttonClass = app.status === 'active'
+      ? 'bg-rose-500 hover:bg-rose-400'
+      : 'bg-emerald-500 hover:bg-emerald-400';
+    return (
+      '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950">' +
+        '<div class="flex items-start justify-between gap-2">' +
+          '<div>' +
+            '<p class="font-semibold">' + escapeHtml(app.appId) + '</p>' +
+            '<p class="text-slate-300 text-xs">' + escapeHtml(app.name) + '</p>' +
+            '<p class="text-slate-500 text-xs mt-1">' + escapeHtml(app.appUrl || '') + '</p>' +
+          '</div>' +
+          '<div class="text-right">' +
+            '<span class="inline-block px-2 py-1 border rounded text-xs ' + pill + '">' + escapeHtml(app.status) + '</span>' +
+            '<div class="mt-2">' +
+              '<button class="px-2 py-1 rounded text-xs font-semibold text-slate-950 ' + buttonClass + '" data-action="toggle-app" data-app-id="' + escapeHtml(app.appId) + '" data-next-status="' + nextStatus + '">Set ' + nextStatus + '</button>' +
+            '</div>' +
+          '</div>' +
+        '</div>' +
+      '</li>'
+    );
+  }).join('');
+}
+
+function renderUserAppsEditor() {
+  if (!state.selectedUsername) {
+    userAppsEditor.innerHTML = '<p class="text-slate-500 text-xs">No user selected.</p>';
+    return;
+  }
+
+  const selectedSet = new Set(state.selectedUserApps);
+  userAppsEditor.innerHTML = state.apps.map(function (app) {
+    const checked = selectedSet.has(app.appId) ? 'checked' : '';
+    return (
+      '<label class="flex items-center gap-2 text-sm">' +
+        '<input type="checkbox" class="accent-cyan-500" value="' + escapeHtml(app.appId) + '" ' + checked + ' />' +
+        '<span>' + escapeHtml(app.appId) + ' <span class="text-slate-500">(' + escapeHtml(app.status) + ')</span></span>' +
+      '</label>'
+    );
+  }).join('');
+}
+
+function renderGroups() {
+  groupsList.innerHTML = state.groups.map(function (group) {
+    return (
+      '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950">' +
+        '<div class="flex items-start justify-between gap-2">' +
+          '<div>' +
+            '<p class="font-semibold">' + escapeHtml(group.groupId) + ' <span class="text-slate-500 text-xs">' + escapeHtml(group.members) + ' member(s)</span></p>' +
+            '<p class="text-slate-300 text-xs">' + escapeHtml(group.name) + '</p>' +
+            '<p class="text-slate-500 text-xs mt-1">' + escapeHtml((group.apps || []).join(', ') || 'no apps') + '</p>' +
+          '</div>' +
+          '<button class="px-2 py-1 rounded text-xs font-semibold text-white bg-rose-500 hover:bg-rose-400" data-action="delete-group" data-group-id="' + escapeHtml(group.groupId) + '">Delete</button>' +
+        '</div>' +
+      '</li>'
+    );
+  }).join('') || '<li class="text-slate-500 text-xs">No groups.</li>';
+}
+
+function renderUserGroupsEditor() {
+  if (!state.selectedUsername) {
+    userGroupsEditor.innerHTML = '<p class="text-slate-500 text-xs">No user selected.</p>';
+    return;
+  }
+
+  const selectedSet = new Set(state.selectedUserGroups);
+  userGroupsEditor.innerHTML = state.availableGroups.map(function (group) {
+    const checked = selectedSet.has(group.groupId) ? 'checked' : '';
+    return (
+      '<label class="flex items-center gap-2 text-sm">' +
+        '<input type="checkbox" class="accent-cyan-500" value="' + escapeHtml(group.groupId) + '" ' + checked + ' />' +
+        '<span>' + escapeHtml(group.groupId) + ' <span class="text-slate-500">(' + escapeHtml((group.apps || []).join(', ')) + ')</span></span>' +
+      '</label>'
+    );
+  }).join('') || '<p class="text-slate-500 text-xs">No groups in this organization.</p>';
+}
+
+async function loadGroups() {
+  const payload = await api('/api/users/admin/groups');
+  state.groups = payload.groups || [];
+  renderGroups();
+}
+
+async function loadDashboard() {
+  statusText.textContent = 'Loading...';
+  try {
+    const [summary, apps] = await Promise.all([
+      api('/api/users/admin/summary'),
+      api('/api/users/apps'),
+      loadUsers(state.userPage),
+      loadTokens(),
+      loadSafety(),
+      loadGroups(),
+    ]);
+
+    totalUsers.textContent = summary.totalUsers;
+    adminUsers.textContent = summary.adminUsers;
+    totalApps.textContent = summary.totalApps;
+    activeApps.textContent = summary.activeApps;
+    inactiveApps.textContent = summary.inactiveApps;
+
+    state.apps = apps.apps || [];
+
+    renderApps();
+    renderUserAppsEditor();
+    renderUserGroupsEditor();
+
+    statusText.textContent = 'Connected';
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function loadUsers(page) {
+  const params = new URLSearchParams({
+    q: state.userQuery,
+    page: String(page),
+    limit: String(USERS_PAGE_SIZE),
+  });
+  const payload = await api('/api/users/admin/users?' + params.toString());
+  state.users = payload.users || [];
+  state.userPage = payload.page || 1;
+  state.userPages = payload.pages || 1;
+  state.usersMatched = payload.matched || 0;
+  renderUsers();
+}
+
+async function changeUsersPage(page) {
+  if (page < 1 || page > state.userPages) {
+    return;
+  }
+  try {
+    await loadUsers(page);
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+// Personal tokens belong to the signed-in admin, so there are none to show for a
+// break-glass session.
+async function loadTokens() {
+  try {
+    const payload = await api('/api/users/admin/personal-token');
+    state.tokens = payload.tokens || [];
+  } catch (error) {
+    state.tokens = [];
+  }
+  renderTokens();
+}
+
+async function loadGrants(username) {
+  statusText.textContent = 'Loading trial grants...';
+  try {
+    const payload = await api('/api/users/admin/users/' + encodeURIComponent(username) + '/trial-grants');
+    state.grants = payload.grants || [];
+    grantsHint.textContent = 'Trial grants for: ' + payload.username;
+    renderGrants();
+    statusText.textContent = 'Trial grants loaded';
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function forceLogout(username) {
+  if (!window.confirm('Sign ' + username + ' out of every session? Their access tokens stop working immediately.')) {
+    return;
+  }
+  try {
+    const payload = await api('/api/users/admin/users/' + encodeURIComponent(username) + '/logout', { method: 'POST' });
+    statusText.textContent = payload.message;
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function deleteUser(username) {
+  if (window.prompt('This permanently deletes ' + username + '. Type the username to confirm.') !== username) {
+    statusText.textContent = 'Delete cancelled';
+    return;
+  }
+  try {
+    await api('/api/users/delete-user/' + encodeURIComponent(username), { method: 'DELETE' });
+    statusText.textContent = 'User deleted';
+    await loadDashboard();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function resetPassword() {
+  const username = resetUsernameInput.value.trim().toLowerCase();
+  const newPassword = resetPasswordInput.value;
+  if (!username || !newPassword) {
+    statusText.textContent = 'Username and new password are required';
+    return;
+  }
+  if (!window.confirm('Reset the password for ' + username + '? They are signed out of every session.')) {
+    return;
+  }
+  try {
+    await api('/api/users/update-password/' + encodeURIComponent(username), {
+      method: 'PUT',
+      body: JSON.stringify({ newPassword: newPassword }),
+    });
+    resetPasswordInput.value = '';
+    statusText.textContent = 'Password reset for ' + username;
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function rotateToken() {
+  if (!window.confirm('Rotate your personal admin token? Every active token is revoked.')) {
+    return;
+  }
+  try {
+    const payload = await api('/api/users/admin/personal-token/rotate', {
+      method: 'POST',
+      body: JSON.stringify({ label: document.getElementById('patLabel').value.trim() }),
+    });
+    patIssuedValue.value = payload.adminToken;
+    patIssued.classList.remove('hidden');
+    statusText.textContent = 'Personal token rotated, ' + payload.revokedCount + ' revoked';
+    await loadTokens();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function revokeTokens(tokenId) {
+  const message = tokenId
+    ? 'Revoke personal token ' + tokenId + '?'
+    : 'Revoke all of your active personal tokens?';
+  if (!window.confirm(message)) {
+    return;
+  }
+  try {
+    const url = '/api/users/admin/personal-token' + (tokenId ? '/' + encodeURIComponent(tokenId) : '');
+    await api(url, { method: 'DELETE' });
+    patIssued.classList.add('hidden');
+    statusText.textContent = 'Personal token revoked';
+    await loadTokens();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function loadUserApps(username) {
+  const normalized = String(username || '').trim().toLowerCase();
+  if (!normalized) {
+    statusText.textContent = 'Username is required';
+    return;
+  }
+
+  statusText.textContent = 'Loading user apps...';
+  try {
+    const [payload, groupsPayload] = await Promise.all([
+      api('/api/users/admin/users/' + encodeURIComponent(normalized) + '/apps'),
+      api('/api/users/admin/users/' + encodeURIComponent(normalized) + '/groups'),
+    ]);
+    state.selectedUsername = payload.user.username;
+    state.selectedUserApps = payload.assignedApps || [];
+    state.selectedUserGroups = groupsPayload.groups || [];
+    state.availableGroups = groupsPayload.availableGroups || [];
+    manageUsernameInput.value = state.selectedUsername;
+    manageHint.textContent = 'Editing app access for: ' + state.selectedUsername;
+    effectiveAppsText.textContent = 'Effective apps: ' + ((groupsPayload.effectiveApps || []).join(', ') || 'none');
+    renderUserAppsEditor();
+    renderUserGroupsEditor();
+    statusText.textContent = 'User apps loaded';
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function saveUserApps() {
+  if (!state.selectedUsername) {
+    statusText.textContent = 'Load a user first';
+    return;
+  }
+
+  const selectedApps = Array.from(userAppsEditor.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(function (checkbox) { return checkbox.value; });
+
+  statusText.textContent = 'Saving user app access...';
+  try {
+    await api('/api/users/admin/users/' + encodeURIComponent(state.selectedUsername) + '/apps', {
+      method: 'PUT',
+      body: JSON.stringify({ apps: selectedApps }),
+    });
+    state.selectedUserApps = selectedApps;
+    statusText.textContent = 'User app access updated';
+    await loadDashboard();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function saveUserGroups() {
+  if (!state.selectedUsername) {
+    statusText.textContent = 'Load a user first';
+    return;
+  }
+
+  const selectedGroups = Array.from(userGroupsEditor.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(function (checkbox) { return checkbox.value; });
+
+  statusText.textContent = 'Saving group membership...';
+  try {
+    const payload = await api('/api/users/admin/users/' + encodeURIComponent(state.selectedUsername) + '/groups', {
+      method: 'PUT',
+      body: JSON.stringify({ groups: selectedGroups }),
+    });
+    state.selectedUserGroups = payload.groups || [];
+    effectiveAppsText.textContent = 'Effective apps: ' + ((payload.effectiveApps || []).join(', ') || 'none');
+    statusText.textContent = 'Group membership updated';
+    await loadGroups();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+async function deleteGroup(groupId) {
+  if (!window.confirm('Delete group ' + groupId + '? Its members lose the apps they only had through it.')) {
+    return;
+  }
+  try {
+    await api('/api/users/admin/groups/' + encodeURIComponent(groupId), { method: 'DELETE' });
+    statusText.textContent = 'Group deleted';
+    await loadGroups();
+    if (state.selectedUsername) {
+      await loadUserApps(state.selectedUsername);
+    }
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+}
+
+document.getElementById('refreshBtn').addEventListener('click', loadDashboard);
+orgScopeInput.addEventListener('change', function () {
+  state.userPage = 1;
+  loadDashboard();
+});
+document.getElementById('loadUserAppsBtn').addEventListener('click', function () {
+  loadUserApps(manageUsernameInput.value);
+});
+document.getElementById('saveUserAppsBtn').addEventListener('click', saveUserApps);
+document.getElementById('saveUserGroupsBtn').addEventListener('click', saveUserGroups);
+document.getElementById('resetPasswordBtn').addEventListener('click', resetPassword);
+document.getElementById('patRotateBtn').addEventListener('click', rotateToken);
+document.getElementById('patRevokeAllBtn').addEventListener('click', function () {
+  revokeTokens('');
+});
+document.getElementById('usersPrevBtn').addEventListener('click', function () {
+  changeUsersPage(state.userPage - 1);
+});
+document.getElementById('usersNextBtn').addEventListener('click', function () {
+  changeUsersPage(state.userPage + 1);
+});
+document.getElementById('userSearchBtn').addEventListener('click', function () {
+  state.userQuery = userSearchInput.value.trim();
+  changeUsersPage(1);
+});
+userSearchInput.addEventListener('keydown', function (event) {
+  if (event.key === 'Enter') {
+    state.userQuery = userSearchInput.value.trim();
+    changeUsersPage(1);
+  }
+});
+
+document.getElementById('roleBtn').addEventListener('click', async function () {
+  const username = document.getElementById('roleUsername').value.trim();
+  const role = document.getElementById('roleValue').value;
+  if (!username) {
+    statusText.textContent = 'Username is required';
+    return;
+  }
+  try {
+    await api('/api/users/admin/role/' + encodeURIComponent(username), {
+      method: 'PUT',
+      body: JSON.stringify({ role: role }),
+    });
+    statusText.textContent = 'Role updated';
+    await loadDashboard();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+});
+
+document.getElementById('createAppBtn').addEventListener('click', async function () {
+  const appId = document.getElementById('createAppId').value.trim();
+  const name = document.getElementById('createAppName').value.trim();
+  const appUrl = document.getElementById('createAppUrl').value.trim();
+  const description = document.getElementById('createAppDescription').value.trim();
+  const status = document.getElementById('createAppStatus').value;
+
+  if (!appId || !name || !appUrl) {
+    statusText.textContent = 'appId, name, and appUrl are required';
+    return;
+  }
+
+  try {
+    await api('/api/users/apps', {
+      method: 'POST',
+      body: JSON.stringify({ appId: appId, name: name, appUrl: appUrl, description: description, status: status }),
+    });
+    statusText.textContent = 'App created';
+    await loadDashboard();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+});
+
+document.getElementById('createGroupBtn').addEventListener('click', async function () {
+  const groupId = document.getElementById('createGroupId').value.trim();
+  const name = document.getElementById('createGroupName').value.trim();
+  const apps = document.getElementById('createGroupApps').value
+    .split(',')
+    .map(function (appId) { return appId.trim(); })
+    .filter(Boolean);
+
+  if (!groupId) {
+    statusText.textContent = 'groupId is required';
+    return;
+  }
+
+  try {
+    await api('/api/users/admin/groups', {
+      method: 'POST',
+      body: JSON.stringify({ groupId: groupId, name: name || groupId, apps: apps }),
+    });
+    statusText.textContent = 'Group created';
+    await loadGroups();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+});
+
+groupsList.addEventListener('click', function (event) {
+  const button = event.target.closest('button[data-action="delete-group"]');
+  if (button) {
+    deleteGroup(button.getAttribute('data-group-id'));
+  }
+});
+
+usersTable.addEventListener('click', function (event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) {
+    return;
+  }
+  const username = button.getAttribute('data-username');
+  const action = button.getAttribute('data-action');
+  if (action === 'manage-user') {
+    loadUserApps(username);
+  } else if (action === 'user-grants') {
+    loadGrants(username);
+  } else if (action === 'force-logout') {
+    forceLogout(username);
+  } else if (action === 'reset-password') {
+    resetUsernameInput.value = username;
+    resetPasswordInput.focus();
+  } else if (action === 'delete-user') {
+    deleteUser(username);
+  }
+});
+
+document.getElementById('guardResetBtn').addEventListener('click', resetGuard);
+
+featuresList.addEventListener('click', function (event) {
+  const button = event.target.closest('button[data-action="toggle-feature"]');
+  if (button) {
+    toggleFeature(button.getAttribute('data-feature-key'), button.getAttribute('data-next-enabled') === 'true');
+  }
+});
+
+// The countdowns tick every second; the guard itself is refetched every few seconds
+// while the live toggle is on.
+let lastGuardPoll = 0;
+setInterval(function () {
+  renderGuard();
+  if (!state.safety || !guardLiveToggle.checked || document.hidden || Date.now() - lastGuardPoll < GUARD_POLL_MS) {
+    return;
+  }
+  lastGuardPoll = Date.now();
+  loadSafety(true).catch(function (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  });
+}, 1000);
+
+patList.addEventListener('click', function (event) {
+  const button = event.target.closest('button[data-action="revoke-token"]');
+  if (button) {
+    revokeTokens(button.getAttribute('data-token-id'));
+  }
+});
+
+appsList.addEventListener('click', async function (event) {
+  const button = event.target.closest('button[data-action="toggle-app"]');
+  if (!button) {
+    return;
+  }
+
+  const appId = button.getAttribute('data-app-id');
+  const nextStatus = button.getAttribute('data-next-status');
+  if (!appId || !nextStatus) {
+    return;
+  }
+
+  try {
+    await api('/api/users/apps/' + encodeURIComponent(appId) + '/status', {
+      method: 'PUT',
+      body: JSON.stringify({ status: nextStatus }),
+    });
+    statusText.textContent = 'App status updated';
+    await loadDashboard();
+  } catch (error) {
+    statusText.textContent = 'Error: ' + error.message;
+  }
+});
+
+async function signOut() {
+  state.signingOut = true;
+  try {
+    await fetch(consolePath + '/logout', {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'X-CSRF-Token': state.csrfToken },
+    });
+  } finally {
+    window.location.assign(consolePath + '/login');
+  }
+}
+
+document.getElementById('signOutBtn').addEventListener('click', signOut);
+
+// The server ends idle sessions on its own; this signs the page out at the same moment
+// instead of waiting for the next click to fail.
+['click', 'keydown'].forEach(function (type) {
+  document.addEventListener(type, function () {
+    state.lastActivityAt = Date.now();
+  });
+});
+setInterval(function () {
+  if (state.signingOut) {
+    return;
+  }
+  const remainingMs = idleTimeoutMs - (Date.now() - state.lastActivityAt);
+  if (remainingMs <= 0) {
+    signOut();
+    return;
+  }
+  idleText.textContent = remainingMs < 2 * 60 * 1000
+    ? '(signing out in ' + Math.ceil(remainingMs / 1000) + 's)'
+    : '';
+}, 1000);
+
+async function boot() {
+  const response = await fetch(consolePath + '/session', { credentials: 'same-origin' });
+  if (!response.ok) {
+    goToLogin();
+    return;
+  }
+  const session = await response.json();
+  state.csrfToken = session.csrfToken;
+  signedInUser.textContent = session.user.username;
+  signedInOrg.textContent = session.user.orgId;
+  // Only platform admins can look into other organizations.
+  orgScopeInput.classList.toggle('hidden', !session.user.platformAdmin);
+  await loadDashboard();
+}
+
+boot().catch(function (error) {
+  statusText.textContent = 'Error: ' + error.message;
+});
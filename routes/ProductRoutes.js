@@ -1,10 +1,10 @@
 const express = require("express");
 const Product = require("../models/Shop");
-const { requireAuth, requireRole } = require("../middleware/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
 const router = express.Router();
 
 // 🔁 Bulk create products
-router.post("/bulk", requireAuth, requireRole(["admin"]), async (req, res) => {
+router.post("/bulk", requireAuth, requirePermission("products:write"), async (req, res) => {
   try {
     const products = req.body;
     if (!Array.isArray(products) || products.length === 0) {
@@ -25,7 +25,7 @@ router.post("/bulk", requireAuth, requireRole(["admin"]), async (req, res) => {
 });
 
 // 🆕 Create a product
-router.post("/", requireAuth, requireRole(["admin"]), async (req, res) => {
+router.post("/", requireAuth, requirePermission("products:write"), async (req, res) => {
   try {
     const { title, description, imgSrc, price, stock, sellerName, sellerAddress, category } = req.body;
     if (!title || !description || !imgSrc || !price || !stock || !sellerName || !sellerAddress || !category) {
@@ -73,7 +73,7 @@ router.get("/:id", async (req, res) => {
 });
 
 // ✏️ Update product
-router.put("/:id", requireAuth, requireRole(["admin"]), async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("products:write"), async (req, res) => {
   try {
     const updated = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!updated) return res.status(404).json({ error: "Product not found." });
@@ -85,7 +85,7 @@ router.put("/:id", requireAuth, requireRole(["admin"]), async (req, res) => {
 });
 
 // ❌ Delete product
-router.delete("/:id", requireAuth, requireRole(["admin"]), async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("products:delete"), async (req, res) => {
   try {
     const deleted = await Product.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ error: "Product not found." });
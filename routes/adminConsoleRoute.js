@@ -1,39 +1,114 @@
 const express = require('express');
+const path = require('path');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { redeemAuthorizationCode } = require('../config/authorizationCodes');
+const { ADMIN_CONSOLE_APP_ID } = require('../config/apps');
+const { safeCompare } = require('../config/safety');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { isPlatformAdmin } = require('../config/organizations');
+const {
+    ADMIN_CONSOLE_PATH,
+    ADMIN_CONSOLE_IDLE_TIMEOUT_MS,
+    ADMIN_CONSOLE_REDIRECT_URI,
+    beginConsoleLogin,
+    readConsoleLogin,
+    createConsoleSession,
+    endConsoleSession,
+    clearConsoleSessionCookie,
+    authenticateConsoleSession,
+} = require('../config/adminConsole');
 
 const router = express.Router();
 
-router.get('/3vc17cs006', (_req, res) => {
+const ASSETS_DIR = path.join(__dirname, '..', 'public', 'admin-console');
+const assetsPath = `${ADMIN_CONSOLE_PATH}/assets`;
+
+const escapeHtml = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Everything the console loads comes from this server, so the policy allows nothing else.
+const setConsoleSecurityHeaders = (_req, res, next) => {
+    res.setHeader(
+        'Content-Security-Policy',
+        "default-src 'none'; script-src 'self'; style-src 'self'; img-src 'self' data:; connect-src 'self'; "
+        + "form-action 'self'; frame-ancestors 'none'; base-uri 'none'",
+    );
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
+    res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+    if (process.env.NODE_ENV === 'production') {
+        res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    next();
+};
+
+const renderMessagePage = (res, status, title, message) => {
+    res.status(status);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
     res.send(`<!doctype html>
 <html lang="en">
 <head>
   <meta charset="UTF-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>AgentBuddy Admin</title>
-  <script src="https://cdn.tailwindcss.com"></script>
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${assetsPath}/console.css" />
 </head>
 <body class="min-h-screen bg-slate-950 text-slate-100">
+  <div class="max-w-7xl mx-auto px-4 py-8">
+    <section class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+      <h1 class="text-3xl font-bold mb-3">${escapeHtml(title)}</h1>
+      <p class="text-slate-400 text-sm mb-3">${escapeHtml(message)}</p>
+      <a href="${ADMIN_CONSOLE_PATH}/login" class="inline-block bg-cyan-500 hover:bg-cyan-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Sign in</a>
+    </section>
+  </div>
+</body>
+</html>`);
+};
+
+const renderConsolePage = (res) => {
+    const consolePath = escapeHtml(ADMIN_CONSOLE_PATH);
+    const idleTimeoutSeconds = Math.floor(ADMIN_CONSOLE_IDLE_TIMEOUT_MS / 1000);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(`<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>AgentBuddy Admin</title>
+  <link rel="stylesheet" href="${assetsPath}/console.css" />
+</head>
+<body class="min-h-screen bg-slate-950 text-slate-100" data-console-path="${consolePath}" data-idle-timeout-seconds="${idleTimeoutSeconds}">
   <div class="max-w-7xl mx-auto px-4 py-8">
     <div class="flex items-center justify-between gap-4 mb-6">
       <div>
         <p class="text-xs tracking-widest uppercase text-cyan-300">AgentBuddy</p>
         <h1 class="text-3xl font-bold">Admin Console</h1>
-        <p class="text-slate-400 text-sm mt-1">Hidden route: <code class="text-cyan-300">/3vc17cs006</code></p>
+        <p class="text-slate-400 text-sm mt-1">Signed in as <span id="signedInUser" class="text-cyan-300">-</span> in <span id="signedInOrg" class="text-cyan-300">-</span> <span id="idleText" class="text-slate-500"></span></p>
+      </div>
+      <div class="flex gap-2">
+        <button id="refreshBtn" class="bg-cyan-500 hover:bg-cyan-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Refresh</button>
+        <button id="signOutBtn" class="bg-slate-800 hover:bg-slate-700 px-4 py-2 rounded-lg font-semibold">Sign out</button>
       </div>
-      <button id="refreshBtn" class="bg-cyan-500 hover:bg-cyan-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Refresh</button>
     </div>
 
     <section class="bg-slate-900/80 border border-slate-800 rounded-xl p-4 mb-6">
-      <label class="block text-sm text-slate-300 mb-2">Admin Access Token</label>
-      <div class="flex flex-col md:flex-row gap-3">
-        <input id="tokenInput" type="password" placeholder="Paste Bearer token" class="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
-        <button id="connectBtn" class="bg-emerald-500 hover:bg-emerald-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Connect</button>
-      </div>
-      <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3">
+      <p class="text-sm text-slate-300 mb-2">Test mode headers</p>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
         <input id="breakGlassInput" type="password" placeholder="Optional break-glass token" class="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
         <input id="testRunIdInput" type="text" placeholder="Optional test run id (e.g. run-001)" class="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+        <input id="orgScopeInput" type="text" placeholder="Organization to manage (empty for all)" class="hidden bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
       </div>
-      <p id="statusText" class="text-xs text-slate-400 mt-2">Not connected</p>
+      <p id="statusText" class="text-xs text-slate-400 mt-2">Loading...</p>
     </section>
 
     <section class="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
@@ -59,9 +134,57 @@ router.get('/3vc17cs006', (_req, res) => {
       </article>
     </section>
 
+    <section class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+      <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+        <div class="flex items-center justify-between gap-2 mb-3">
+          <h2 class="font-semibold">Auth Guard</h2>
+          <span id="guardStatePill" class="inline-block px-2 py-1 border rounded text-xs text-slate-400 border-slate-700">unknown</span>
+        </div>
+        <dl class="grid grid-cols-2 gap-3 text-sm">
+          <div>
+            <dt class="text-slate-400">Failure rate</dt>
+            <dd id="guardFailureRate" class="text-xl font-bold">-</dd>
+          </div>
+          <div>
+            <dt class="text-slate-400">Failed / total attempts</dt>
+            <dd id="guardAttempts" class="text-xl font-bold">-</dd>
+          </div>
+          <div>
+            <dt class="text-slate-400">Window resets in</dt>
+            <dd id="guardWindow" class="text-xl font-bold">-</dd>
+          </div>
+          <div>
+            <dt class="text-slate-400">Cooldown ends in</dt>
+            <dd id="guardCooldown" class="text-xl font-bold">-</dd>
+          </div>
+        </dl>
+        <p id="guardReason" class="text-xs text-slate-400 mt-3">-</p>
+        <p id="guardMeta" class="text-xs text-slate-500 mt-1">-</p>
+        <div class="flex gap-2 mt-3">
+          <input id="guardResetReason" type="text" placeholder="reason for reset (required)" class="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+          <button id="guardResetBtn" class="bg-rose-500 hover:bg-rose-400 text-white px-4 py-2 rounded-lg font-semibold">Reset Guard</button>
+        </div>
+        <label class="flex items-center gap-2 text-xs text-slate-400 mt-3">
+          <input id="guardLiveToggle" type="checkbox" class="accent-cyan-500" checked />
+          <span>Refresh every 5 seconds</span>
+        </label>
+      </div>
+
+      <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+        <h2 class="font-semibold mb-2">Feature Flags</h2>
+        <p class="text-xs text-slate-400 mb-3">Global values for every user and app. Targeted rollouts are managed through the flags API.</p>
+        <ul id="featuresList" class="space-y-2 text-sm"></ul>
+      </div>
+    </section>
+
     <section class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div class="space-y-6">
       <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
         <h2 class="font-semibold mb-3">Users</h2>
+        <div class="flex gap-2 mb-3">
+          <input id="userSearchInput" type="text" placeholder="Search username, email or name" class="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+          <button id="userSearchBtn" class="bg-cyan-500 hover:bg-cyan-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Search</button>
+        </div>
         <div class="overflow-auto max-h-[28rem] border border-slate-800 rounded-lg">
           <table class="w-full text-sm">
             <thead class="bg-slate-950 sticky top-0">
@@ -76,6 +199,18 @@ router.get('/3vc17cs006', (_req, res) => {
             <tbody id="usersTable"></tbody>
           </table>
         </div>
+        <div class="flex items-center justify-between gap-2 mt-3 text-sm">
+          <button id="usersPrevBtn" class="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 font-semibold">Previous</button>
+          <span id="usersPageText" class="text-slate-400">-</span>
+          <button id="usersNextBtn" class="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 font-semibold">Next</button>
+        </div>
+      </div>
+
+      <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+        <h2 class="font-semibold mb-2">Trial Grants</h2>
+        <p id="grantsHint" class="text-xs text-slate-400 mb-3">Choose Grants on a user to see their trial licenses.</p>
+        <ul id="grantsList" class="space-y-2 text-sm max-h-64 overflow-auto"></ul>
+      </div>
       </div>
 
       <div class="space-y-6">
@@ -99,6 +234,17 @@ router.get('/3vc17cs006', (_req, res) => {
           </div>
         </div>
 
+        <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+          <h2 class="font-semibold mb-3">Groups</h2>
+          <ul id="groupsList" class="space-y-2 text-sm max-h-64 overflow-auto mb-3"></ul>
+          <div class="space-y-3">
+            <input id="createGroupId" type="text" placeholder="groupId (example: sales)" class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <input id="createGroupName" type="text" placeholder="name (example: Sales)" class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <input id="createGroupApps" type="text" placeholder="appIds, comma separated" class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <button id="createGroupBtn" class="w-full bg-emerald-500 hover:bg-emerald-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Create Group</button>
+          </div>
+        </div>
+
         <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
           <h2 class="font-semibold mb-3">Update User Role</h2>
           <div class="space-y-3">
@@ -111,6 +257,15 @@ router.get('/3vc17cs006', (_req, res) => {
           </div>
         </div>
 
+        <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+          <h2 class="font-semibold mb-3">Reset User Password</h2>
+          <div class="space-y-3">
+            <input id="resetUsername" type="text" placeholder="username" class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <input id="resetPassword" type="password" autocomplete="new-password" placeholder="new password (12+ chars, upper, lower, number, special)" class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <button id="resetPasswordBtn" class="w-full bg-rose-500 hover:bg-rose-400 text-white px-4 py-2 rounded-lg font-semibold">Reset Password</button>
+          </div>
+        </div>
+
         <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
           <h2 class="font-semibold mb-2">Manage User App Access</h2>
           <p id="manageHint" class="text-xs text-slate-400 mb-3">Choose a user and set exactly which apps they can access.</p>
@@ -120,300 +275,145 @@ router.get('/3vc17cs006', (_req, res) => {
           </div>
           <div id="userAppsEditor" class="max-h-48 overflow-auto border border-slate-800 rounded-lg p-3 space-y-2 bg-slate-950"></div>
           <button id="saveUserAppsBtn" class="w-full mt-3 bg-amber-500 hover:bg-amber-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Save User App Access</button>
+          <p class="text-xs text-slate-400 mt-3 mb-2">Groups. Members also get every app of their groups.</p>
+          <div id="userGroupsEditor" class="max-h-48 overflow-auto border border-slate-800 rounded-lg p-3 space-y-2 bg-slate-950"></div>
+          <p id="effectiveAppsText" class="text-xs text-slate-500 mt-2"></p>
+          <button id="saveUserGroupsBtn" class="w-full mt-3 bg-amber-500 hover:bg-amber-400 text-slate-950 px-4 py-2 rounded-lg font-semibold">Save Group Membership</button>
+        </div>
+
+        <div class="bg-slate-900 border border-slate-800 rounded-xl p-4">
+          <h2 class="font-semibold mb-2">My Personal Admin Tokens</h2>
+          <p class="text-xs text-slate-400 mb-3">Rotating revokes every active token and issues a new one. It is shown only once.</p>
+          <div class="flex gap-2 mb-3">
+            <input id="patLabel" type="text" placeholder="label (optional)" class="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400" />
+            <button id="patRotateBtn" class="bg-violet-500 hover:bg-violet-400 text-white px-4 py-2 rounded-lg font-semibold">Rotate</button>
+          </div>
+          <div id="patIssued" class="hidden mb-3">
+            <p class="text-xs text-amber-300 mb-1">New token, copy it now:</p>
+            <input id="patIssuedValue" type="text" readonly class="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 outline-none focus:border-cyan-400 font-mono text-xs" />
+          </div>
+          <ul id="patList" class="space-y-2 text-sm max-h-64 overflow-auto"></ul>
+          <button id="patRevokeAllBtn" class="w-full mt-3 bg-rose-500 hover:bg-rose-400 text-white px-4 py-2 rounded-lg font-semibold">Revoke All Tokens</button>
         </div>
       </div>
     </section>
   </div>
 
-  <script>
-    const tokenInput = document.getElementById('tokenInput');
-    const breakGlassInput = document.getElementById('breakGlassInput');
-    const testRunIdInput = document.getElementById('testRunIdInput');
-    const statusText = document.getElementById('statusText');
-    const usersTable = document.getElementById('usersTable');
-    const appsList = document.getElementById('appsList');
-    const userAppsEditor = document.getElementById('userAppsEditor');
-    const manageHint = document.getElementById('manageHint');
-    const manageUsernameInput = document.getElementById('manageUsername');
-
-    const totalUsers = document.getElementById('totalUsers');
-    const adminUsers = document.getElementById('adminUsers');
-    const totalApps = document.getElementById('totalApps');
-    const activeApps = document.getElementById('activeApps');
-    const inactiveApps = document.getElementById('inactiveApps');
-
-    const state = {
-      apps: [],
-      users: [],
-      selectedUsername: '',
-      selectedUserApps: [],
-    };
-
-    function escapeHtml(value) {
-      return String(value || '')
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-    }
-
-    function getHeaders() {
-      const bearer = tokenInput.value.trim();
-      const result = { 'Content-Type': 'application/json' };
-      if (bearer) {
-        result.Authorization = 'Bearer ' + bearer;
-      }
-      if (breakGlassInput.value.trim()) {
-        result['X-Break-Glass-Token'] = breakGlassInput.value.trim();
-      }
-      if (testRunIdInput.value.trim()) {
-        result['X-Test-Run-Id'] = testRunIdInput.value.trim();
-      }
-      return result;
-    }
-
-    async function api(url, options) {
-      const response = await fetch(url, {
-        ...(options || {}),
-        headers: {
-          ...getHeaders(),
-          ...((options && options.headers) || {}),
-        },
-      });
-
-      const payload = await response.json().catch(function () { return {}; });
-      if (!response.ok) {
-        throw new Error(payload.message || ('Request failed: ' + response.status));
-      }
-      return payload;
-    }
-
-    function renderUsers() {
-      usersTable.innerHTML = state.users.map(function (u) {
-        return (
-          '<tr class="border-t border-slate-800">' +
-            '<td class="p-2 font-medium">' + escapeHtml(u.username) + '</td>' +
-            '<td class="p-2">' + escapeHtml(u.email) + '</td>' +
-            '<td class="p-2">' + escapeHtml(u.role) + '</td>' +
-            '<td class="p-2">' + escapeHtml((u.projects || []).join(', ')) + '</td>' +
-            '<td class="p-2">' +
-              '<button class="px-2 py-1 rounded bg-cyan-600 hover:bg-cyan-500 text-xs font-semibold" data-action="manage-user" data-username="' + escapeHtml(u.username) + '">Manage</button>' +
-            '</td>' +
-          '</tr>'
-        );
-      }).join('');
-    }
-
-    function renderApps() {
-      appsList.innerHTML = state.apps.map(function (app) {
-        const nextStatus = app.status === 'active' ? 'inactive' : 'active';
-        const pill = app.status === 'active'
-          ? 'text-emerald-300 border-emerald-700'
-          : 'text-rose-300 border-rose-700';
-        const buttonClass = app.status === 'active'
-          ? 'bg-rose-500 hover:bg-rose-400'
-          : 'bg-emerald-500 hover:bg-emerald-400';
-        return (
-          '<li class="p-3 rounded-lg border border-slate-800 bg-slate-950">' +
-            '<div class="flex items-start justify-between gap-2">' +
-              '<div>' +
-                '<p class="font-semibold">' + escapeHtml(app.appId) + '</p>' +
-                '<p class="text-slate-300 text-xs">' + escapeHtml(app.name) + '</p>' +
-                '<p class="text-slate-500 text-xs mt-1">' + escapeHtml(app.appUrl || '') + '</p>' +
-              '</div>' +
-              '<div class="text-right">' +
-                '<span class="inline-block px-2 py-1 border rounded text-xs ' + pill + '">' + escapeHtml(app.status) + '</span>' +
-                '<div class="mt-2">' +
-                  '<button class="px-2 py-1 rounded text-xs font-semibold text-slate-950 ' + buttonClass + '" data-action="toggle-app" data-app-id="' + escapeHtml(app.appId) + '" data-next-status="' + nextStatus + '">Set ' + nextStatus + '</button>' +
-                '</div>' +
-              '</div>' +
-            '</div>' +
-          '</li>'
-        );
-      }).join('');
-    }
-
-    function renderUserAppsEditor() {
-      if (!state.selectedUsername) {
-        userAppsEditor.innerHTML = '<p class="text-slate-500 text-xs">No user selected.</p>';
-        return;
-      }
-
-      const selectedSet = new Set(state.selectedUserApps);
-      userAppsEditor.innerHTML = state.apps.map(function (app) {
-        const checked = selectedSet.has(app.appId) ? 'checked' : '';
-        return (
-          '<label class="flex items-center gap-2 text-sm">' +
-            '<input type="checkbox" class="accent-cyan-500" value="' + escapeHtml(app.appId) + '" ' + checked + ' />' +
-            '<span>' + escapeHtml(app.appId) + ' <span class="text-slate-500">(' + escapeHtml(app.status) + ')</span></span>' +
-          '</label>'
-        );
-      }).join('');
-    }
-
-    async function loadDashboard() {
-      if (!tokenInput.value.trim()) {
-        statusText.textContent = 'Token required';
-        return;
-      }
-
-      statusText.textContent = 'Loading...';
-      try {
-        const [summary, users, apps] = await Promise.all([
-          api('/api/users/admin/summary'),
-          api('/api/users/admin/users?limit=300'),
-          api('/api/users/apps'),
-        ]);
-
-        totalUsers.textContent = summary.totalUsers;
-        adminUsers.textContent = summary.adminUsers;
-        totalApps.textContent = summary.totalApps;
-        activeApps.textContent = summary.activeApps;
-        inactiveApps.textContent = summary.inactiveApps;
-
-        state.users = users.users || [];
-        state.apps = apps.apps || [];
-
-        renderUsers();
-        renderApps();
-        renderUserAppsEditor();
-
-        statusText.textContent = 'Connected';
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
-    }
-
-    async function loadUserApps(username) {
-      const normalized = String(username || '').trim().toLowerCase();
-      if (!normalized) {
-        statusText.textContent = 'Username is required';
-        return;
-      }
-
-      statusText.textContent = 'Loading user apps...';
-      try {
-        const payload = await api('/api/users/admin/users/' + encodeURIComponent(normalized) + '/apps');
-        state.selectedUsername = payload.user.username;
-        state.selectedUserApps = payload.assignedApps || [];
-        manageUsernameInput.value = state.selectedUsername;
-        manageHint.textContent = 'Editing app access for: ' + state.selectedUsername;
-        renderUserAppsEditor();
-        statusText.textContent = 'User apps loaded';
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
+  <script src="${assetsPath}/console.js"></script>
+</body>
+</html>`);
+};
+
+router.use(
+    assetsPath,
+    setConsoleSecurityHeaders,
+    express.static(ASSETS_DIR, { index: false, maxAge: '1h' }),
+);
+
+router.get(ADMIN_CONSOLE_PATH, setConsoleSecurityHeaders, async (req, res) => {
+    try {
+        const result = await authenticateConsoleSession(req);
+        if (!result.ok) {
+            clearConsoleSessionCookie(res);
+            return res.redirect(302, `${ADMIN_CONSOLE_PATH}/login`);
+        }
+        return renderConsolePage(res);
+    } catch (error) {
+        logger.error('Admin console page error', { error: error.message });
+        return renderMessagePage(res, 500, 'Admin console error', 'Server error');
     }
+});
 
-    async function saveUserApps() {
-      if (!state.selectedUsername) {
-        statusText.textContent = 'Load a user first';
-        return;
-      }
-
-      const selectedApps = Array.from(userAppsEditor.querySelectorAll('input[type="checkbox"]:checked'))
-        .map(function (checkbox) { return checkbox.value; });
+router.get(`${ADMIN_CONSOLE_PATH}/login`, setConsoleSecurityHeaders, (_req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.redirect(302, beginConsoleLogin(res));
+});
 
-      statusText.textContent = 'Saving user app access...';
-      try {
-        await api('/api/users/admin/users/' + encodeURIComponent(state.selectedUsername) + '/apps', {
-          method: 'PUT',
-          body: JSON.stringify({ apps: selectedApps }),
+router.get(`${ADMIN_CONSOLE_PATH}/callback`, setConsoleSecurityHeaders, async (req, res) => {
+    try {
+        const login = readConsoleLogin(req, res);
+        if (req.query?.error) {
+            return renderMessagePage(res, 403, 'Sign-in failed', req.query.error_description || req.query.error);
+        }
+
+        const state = String(req.query?.state || '');
+        if (!login || !safeCompare(state, login.state)) {
+            return renderMessagePage(res, 400, 'Sign-in expired', 'The sign-in took too long or was started in another tab.');
+        }
+
+        const redemption = await redeemAuthorizationCode({
+            code: String(req.query?.code || ''),
+            appId: ADMIN_CONSOLE_APP_ID,
+            redirectUri: ADMIN_CONSOLE_REDIRECT_URI,
+            codeVerifier: login.codeVerifier,
         });
-        state.selectedUserApps = selectedApps;
-        statusText.textContent = 'User app access updated';
-        await loadDashboard();
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
-    }
-
-    document.getElementById('connectBtn').addEventListener('click', loadDashboard);
-    document.getElementById('refreshBtn').addEventListener('click', loadDashboard);
-    document.getElementById('loadUserAppsBtn').addEventListener('click', function () {
-      loadUserApps(manageUsernameInput.value);
-    });
-    document.getElementById('saveUserAppsBtn').addEventListener('click', saveUserApps);
-
-    document.getElementById('roleBtn').addEventListener('click', async function () {
-      const username = document.getElementById('roleUsername').value.trim();
-      const role = document.getElementById('roleValue').value;
-      if (!username) {
-        statusText.textContent = 'Username is required';
-        return;
-      }
-      try {
-        await api('/api/users/admin/role/' + encodeURIComponent(username), {
-          method: 'PUT',
-          body: JSON.stringify({ role: role }),
+        if (!redemption.ok) {
+            return renderMessagePage(res, 400, 'Sign-in failed', redemption.message);
+        }
+
+        const user = await User.findById(redemption.authorizationCode.userId).select('username role orgId projects groups active tokenVersion');
+        if (!user || user.role !== 'admin') {
+            return renderMessagePage(res, 403, 'Sign-in failed', 'Only admins can use the admin console.');
+        }
+
+        const session = await createConsoleSession({ user, req, res });
+        await recordSecurityEvent({
+            type: 'admin_console_sign_in',
+            severity: 'info',
+            userId: user._id,
+            appId: ADMIN_CONSOLE_APP_ID,
+            sessionId: session.sessionId,
+            req,
         });
-        statusText.textContent = 'Role updated';
-        await loadDashboard();
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
-    });
-
-    document.getElementById('createAppBtn').addEventListener('click', async function () {
-      const appId = document.getElementById('createAppId').value.trim();
-      const name = document.getElementById('createAppName').value.trim();
-      const appUrl = document.getElementById('createAppUrl').value.trim();
-      const description = document.getElementById('createAppDescription').value.trim();
-      const status = document.getElementById('createAppStatus').value;
-
-      if (!appId || !name || !appUrl) {
-        statusText.textContent = 'appId, name, and appUrl are required';
-        return;
-      }
+        return res.redirect(302, ADMIN_CONSOLE_PATH);
+    } catch (error) {
+        logger.error('Admin console callback error', { error: error.message });
+        return renderMessagePage(res, 500, 'Sign-in failed', 'Server error');
+    }
+});
 
-      try {
-        await api('/api/users/apps', {
-          method: 'POST',
-          body: JSON.stringify({ appId: appId, name: name, appUrl: appUrl, description: description, status: status }),
+// The console reads its CSRF token here; the cookie alone is never enough to change
+// anything.
+router.get(`${ADMIN_CONSOLE_PATH}/session`, setConsoleSecurityHeaders, async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+        const result = await authenticateConsoleSession(req);
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+        return res.json({
+            success: true,
+            user: {
+                username: result.principal.username,
+                role: result.principal.role,
+                orgId: result.principal.orgId,
+                platformAdmin: isPlatformAdmin(result.principal),
+            },
+            csrfToken: result.csrfToken,
+            idleTimeoutSeconds: Math.floor(ADMIN_CONSOLE_IDLE_TIMEOUT_MS / 1000),
+            expiresAt: result.consoleSession.expiresAt,
         });
-        statusText.textContent = 'App created';
-        await loadDashboard();
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
-    });
-
-    usersTable.addEventListener('click', function (event) {
-      const button = event.target.closest('button[data-action="manage-user"]');
-      if (!button) {
-        return;
-      }
-      const username = button.getAttribute('data-username');
-      loadUserApps(username);
-    });
-
-    appsList.addEventListener('click', async function (event) {
-      const button = event.target.closest('button[data-action="toggle-app"]');
-      if (!button) {
-        return;
-      }
-
-      const appId = button.getAttribute('data-app-id');
-      const nextStatus = button.getAttribute('data-next-status');
-      if (!appId || !nextStatus) {
-        return;
-      }
+    } catch (error) {
+        logger.error('Admin console session error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading console session' });
+    }
+});
 
-      try {
-        await api('/api/users/apps/' + encodeURIComponent(appId) + '/status', {
-          method: 'PUT',
-          body: JSON.stringify({ status: nextStatus }),
-        });
-        statusText.textContent = 'App status updated';
-        await loadDashboard();
-      } catch (error) {
-        statusText.textContent = 'Error: ' + error.message;
-      }
-    });
-  </script>
-</body>
-</html>`);
+router.post(`${ADMIN_CONSOLE_PATH}/logout`, setConsoleSecurityHeaders, async (req, res) => {
+    try {
+        const result = await authenticateConsoleSession(req);
+        if (result.status === 403) {
+            return res.status(403).json({ success: false, message: result.message });
+        }
+        if (result.ok) {
+            await endConsoleSession(result.consoleSession, 'console sign-out');
+        }
+        clearConsoleSessionCookie(res);
+        return res.json({ success: true, message: 'Signed out' });
+    } catch (error) {
+        logger.error('Admin console logout error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error signing out' });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { adminIpGuard } = require('../config/safety');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { requirePlatformAdmin } = require('../config/organizations');
+const {
+    recordAuditEvent,
+    buildAuditQuery,
+    listAuditEvents,
+    forEachAuditBatch,
+    verifyAuditChain,
+} = require('../config/audit');
+
+const router = express.Router();
+
+// The log spans every organization, so it is for platform admins only.
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard, requirePlatformAdmin];
+
+const readAuditQuery = (req, res) => {
+    const { query, error } = buildAuditQuery(req.query || {});
+    if (error) {
+        res.status(400).json({ success: false, message: error });
+        return null;
+    }
+    return query;
+};
+
+router.get('/admin/audit', ...requireAdminSafe, async (req, res) => {
+    try {
+        const query = readAuditQuery(req, res);
+        if (!query) {
+            return undefined;
+        }
+
+        const events = await listAuditEvents(query, {
+            limit: req.query?.limit,
+            beforeSeq: req.query?.beforeSeq,
+        });
+        return res.json({
+            success: true,
+            total: events.length,
+            nextBeforeSeq: events.length ? events[events.length - 1].seq : null,
+            events,
+        });
+    } catch (error) {
+        logger.error('Audit list error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading audit events' });
+    }
+});
+
+// One JSON entry per line, oldest first, with the hashes so the export can be verified
+// offline.
+router.get('/admin/audit/export', ...requireAdminSafe, async (req, res) => {
+    const query = readAuditQuery(req, res);
+    if (!query) {
+        return undefined;
+    }
+
+    try {
+        await recordAuditEvent({
+            req,
+            action: 'audit.export',
+            target: { type: 'audit' },
+            details: { filters: req.query || {} },
+        });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-${stamp}.ndjson"`);
+        await forEachAuditBatch(query, (batch) => {
+            res.write(batch.map((event) => `${JSON.stringify(event)}\n`).join(''));
+        });
+        return res.end();
+    } catch (error) {
+        logger.error('Audit export error', { error: error.message });
+        if (res.headersSent) {
+            return res.end();
+        }
+        return res.status(500).json({ success: false, message: 'Error exporting audit events' });
+    }
+});
+
+router.get('/admin/audit/verify', ...requireAdminSafe, async (req, res) => {
+    try {
+        const result = await verifyAuditChain();
+        if (!result.ok) {
+            await recordSecurityEvent({
+                type: 'audit_chain_broken',
+                severity: 'critical',
+                req,
+                details: { ...result.brokenAt, checkedBy: req.user.username },
+            });
+        }
+        return res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Audit verify error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error verifying audit log' });
+    }
+});
+
+module.exports = router;
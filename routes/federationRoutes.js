@@ -0,0 +1,626 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const User = require('../models/User');
+const App = require('../models/App');
+const IdentityProvider = require('../models/IdentityProvider');
+const FederatedLogin = require('../models/FederatedLogin');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireDeviceQuorum } = require('../middleware/quorum');
+const { recordAuditEvent } = require('../config/audit');
+const { hashToken } = require('../config/tokens');
+const { encryptSecret, decryptSecret } = require('../config/keys');
+const { getAppsMap, normalizeAppId, normalizeAppList } = require('../config/apps');
+const { PKCE_VALUE_PATTERN } = require('../config/authorizationCodes');
+const { completeLogin } = require('../config/loginFlow');
+const { startMfaChallenge } = require('../config/mfa');
+const {
+    RISK_DENY_MESSAGE,
+    RISK_STEP_UP_MESSAGE,
+    assessLoginRisk,
+    recordLoginEvent,
+} = require('../config/risk');
+const { checkLoginThrottle, loginThrottle, recordLoginAttempt } = require('../config/throttle');
+const {
+    AUTH_TEST_MODE,
+    safeCompare,
+    adminIpGuard,
+    hasBreakGlassToken,
+    authGuardMiddleware,
+} = require('../config/safety');
+const {
+    DEFAULT_ORG_ID,
+    normalizeOrgId,
+    orgScopeFilter,
+    resolveTargetOrg,
+} = require('../config/organizations');
+const {
+    FEDERATION_REQUEST_TTL_MS,
+    FEDERATION_LOGIN_CODE_TTL_MS,
+    PROVIDER_ID_PATTERN,
+    buildCallbackUrl,
+    isValidProviderUrl,
+    getProviderMetadata,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeAuthorizationCode,
+    verifyIdToken,
+    readIdentityClaims,
+    resolveFederatedUser,
+} = require('../config/federation');
+
+const router = express.Router();
+
+const RESERVED_PROVIDER_IDS = ['providers', 'complete'];
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+
+const federationLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many authentication attempts, please try again in 15 minutes',
+    skip: (req) => AUTH_TEST_MODE && hasBreakGlassToken(req),
+});
+
+const normalizeProviderId = (providerId) => String(providerId || '').trim().toLowerCase();
+
+const serializeIdentityProvider = (provider) => ({
+    providerId: provider.providerId,
+    name: provider.name,
+    orgId: provider.orgId || DEFAULT_ORG_ID,
+    issuer: provider.issuer,
+    clientId: provider.clientId,
+    scopes: provider.scopes,
+    allowedDomains: provider.allowedDomains || [],
+    createUsers: Boolean(provider.createUsers),
+    defaultApps: provider.defaultApps || [],
+    status: provider.status,
+    callbackUrl: buildCallbackUrl(provider.providerId),
+    createdBy: provider.createdBy,
+    createdAt: provider.createdAt,
+    updatedAt: provider.updatedAt,
+});
+
+const readList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+    .map((item) => String(item || '').trim().toLowerCase())
+    .filter(Boolean);
+
+const sameList = (left, right) => JSON.stringify([...left].sort()) === JSON.stringify([...right].sort());
+
+// clientId, allowedDomains, createUsers and defaultApps decide who signs in through the
+// provider and what they get, so changing them needs the same quorum as adding one.
+const readSignInPolicyChanges = (provider, body) => {
+    const changes = {};
+    if (body.clientId !== undefined && String(body.clientId || '').trim() !== provider.clientId) {
+        changes.clientId = String(body.clientId || '').trim();
+    }
+    if (body.allowedDomains !== undefined) {
+        const allowedDomains = [...new Set(readList(body.allowedDomains))];
+        if (!sameList(allowedDomains, provider.allowedDomains || [])) {
+            changes.allowedDomains = allowedDomains;
+        }
+    }
+    if (body.createUsers !== undefined) {
+        const createUsers = body.createUsers === true || body.createUsers === 'true';
+        if (createUsers !== Boolean(provider.createUsers)) {
+            changes.createUsers = createUsers;
+        }
+    }
+    if (body.defaultApps !== undefined) {
+        const defaultApps = normalizeAppList(readList(body.defaultApps));
+        if (!sameList(defaultApps, normalizeAppList(provider.defaultApps))) {
+            changes.defaultApps = defaultApps;
+        }
+    }
+    return changes;
+};
+
+// Settings an admin may change after creation. The issuer is fixed: pointing an existing
+// provider at another issuer would hand its linked accounts to that issuer's subjects.
+const applyProviderSettings = async (provider, body) => {
+    if (body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name || name.length > 100) {
+            throw new Error('name is required (max 100 characters)');
+        }
+        provider.name = name;
+    }
+    if (body.clientId !== undefined) {
+        const clientId = String(body.clientId || '').trim();
+        if (!clientId) {
+            throw new Error('clientId is required');
+        }
+        provider.clientId = clientId;
+    }
+    if (body.clientSecret !== undefined) {
+        const clientSecret = String(body.clientSecret || '');
+        if (!clientSecret) {
+            throw new Error('clientSecret is required');
+        }
+        provider.clientSecretEncrypted = encryptSecret(clientSecret);
+    }
+    if (body.scopes !== undefined) {
+        const scopes = [...new Set(String(body.scopes || '').split(/\s+/).filter(Boolean))];
+        if (!scopes.includes('openid')) {
+            throw new Error('scopes must include openid');
+        }
+        provider.scopes = scopes.join(' ');
+    }
+    if (body.allowedDomains !== undefined) {
+        provider.allowedDomains = [...new Set(readList(body.allowedDomains))];
+    }
+    if (body.createUsers !== undefined) {
+        provider.createUsers = body.createUsers === true || body.createUsers === 'true';
+    }
+    if (body.defaultApps !== undefined) {
+        const defaultApps = normalizeAppList(readList(body.defaultApps));
+        const appsMap = await getAppsMap({ includeInactive: true, orgId: provider.orgId });
+        const unknown = defaultApps.filter((appId) => !appsMap.has(appId));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown app(s) for this organization: ${unknown.join(', ')}`);
+        }
+        provider.defaultApps = defaultApps;
+    }
+    if (body.status !== undefined) {
+        if (!['active', 'inactive'].includes(body.status)) {
+            throw new Error('status must be active or inactive');
+        }
+        provider.status = body.status;
+    }
+};
+
+const appendQuery = (url, params) => {
+    const target = new URL(url);
+    Object.entries(params)
+        .filter(([, value]) => value)
+        .forEach(([name, value]) => target.searchParams.set(name, value));
+    return target.toString();
+};
+
+router.get('/admin/identity-providers', ...requireAdminSafe, async (req, res) => {
+    try {
+        const providers = await IdentityProvider.find(orgScopeFilter(req)).sort({ createdAt: -1 }).lean();
+        return res.json({ success: true, total: providers.length, providers: providers.map(serializeIdentityProvider) });
+    } catch (error) {
+        logger.error('List identity providers error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading identity providers' });
+    }
+});
+
+// A provider can sign in every non-admin user of its organization by email, so adding
+// one is a quorum action like creating a provisioning token.
+router.post(
+    '/admin/identity-providers',
+    ...requireAdminSafe,
+    requireDeviceQuorum('identity_provider.create', (req) => ({
+        target: normalizeProviderId(req.body?.providerId),
+        params: {
+            issuer: String(req.body?.issuer || '').trim(),
+            clientId: String(req.body?.clientId || '').trim(),
+            orgId: normalizeOrgId(req.body?.orgId),
+            createUsers: req.body?.createUsers === true || req.body?.createUsers === 'true',
+            defaultApps: normalizeAppList(readList(req.body?.defaultApps)),
+        },
+    })),
+    async (req, res) => {
+        try {
+            const providerId = normalizeProviderId(req.body?.providerId);
+            if (!PROVIDER_ID_PATTERN.test(providerId) || RESERVED_PROVIDER_IDS.includes(providerId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'providerId must be 2-50 lowercase letters, digits or dashes',
+                });
+            }
+            const issuer = String(req.body?.issuer || '').trim();
+            if (!isValidProviderUrl(issuer)) {
+                return res.status(400).json({ success: false, message: 'issuer must be an https URL (http only for localhost)' });
+            }
+            if (!req.body?.clientId || !req.body?.clientSecret) {
+                return res.status(400).json({ success: false, message: 'clientId and clientSecret are required' });
+            }
+
+            const targetOrg = await resolveTargetOrg(req, req.body?.orgId);
+            if (!targetOrg.ok) {
+                return res.status(400).json({ success: false, message: targetOrg.message });
+            }
+            if (await IdentityProvider.exists({ providerId })) {
+                return res.status(409).json({ success: false, message: 'providerId is already taken' });
+            }
+
+            try {
+                await getProviderMetadata(issuer, { refresh: true });
+            } catch (error) {
+                return res.status(400).json({ success: false, message: `Could not load the issuer's discovery document: ${error.message}` });
+            }
+
+            const provider = {
+                providerId,
+                issuer,
+                orgId: targetOrg.orgId,
+                createdBy: req.user.username,
+            };
+            try {
+                await applyProviderSettings(provider, { name: providerId, scopes: 'openid email profile', ...req.body });
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+
+            const record = await IdentityProvider.create(provider);
+            await recordAuditEvent({
+                req,
+                action: 'identity_provider.create',
+                target: { type: 'identity_provider', id: providerId },
+                after: serializeIdentityProvider(record),
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Identity provider added. Register callbackUrl as its redirect URI.',
+                provider: serializeIdentityProvider(record),
+            });
+        } catch (error) {
+            logger.error('Create identity provider error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error adding identity provider' });
+        }
+    },
+);
+
+// Loaded before the quorum check so devices only approve changes to a provider that
+// exists and only when the sign-in policy actually changes.
+const loadIdentityProvider = async (req, res, next) => {
+    try {
+        const provider = await IdentityProvider.findOne({
+            providerId: normalizeProviderId(req.params.providerId),
+            ...orgScopeFilter(req),
+        });
+        if (!provider) {
+            return res.status(404).json({ success: false, message: 'Identity provider not found' });
+        }
+        if (req.body?.issuer !== undefined && String(req.body.issuer).trim() !== provider.issuer) {
+            return res.status(400).json({ success: false, message: 'issuer cannot be changed; add a new provider instead' });
+        }
+        req.identityProvider = provider;
+        return next();
+    } catch (error) {
+        logger.error('Load identity provider error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating identity provider' });
+    }
+};
+
+const signInPolicyQuorum = requireDeviceQuorum('identity_provider.update', (req) => ({
+    target: req.identityProvider.providerId,
+    params: readSignInPolicyChanges(req.identityProvider, req.body || {}),
+}));
+
+const requireSignInPolicyQuorum = (req, res, next) => (
+    Object.keys(readSignInPolicyChanges(req.identityProvider, req.body || {})).length > 0
+        ? signInPolicyQuorum(req, res, next)
+        : next()
+);
+
+router.put(
+    '/admin/identity-providers/:providerId',
+    ...requireAdminSafe,
+    loadIdentityProvider,
+    requireSignInPolicyQuorum,
+    async (req, res) => {
+        try {
+            const provider = req.identityProvider;
+            const before = serializeIdentityProvider(provider);
+
+            try {
+                await applyProviderSettings(provider, req.body || {});
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+
+            await provider.save();
+            await recordAuditEvent({
+                req,
+                action: 'identity_provider.update',
+                target: { type: 'identity_provider', id: provider.providerId },
+                before,
+                after: serializeIdentityProvider(provider),
+                details: { clientSecretChanged: req.body?.clientSecret !== undefined },
+            });
+
+            return res.json({ success: true, message: 'Identity provider updated', provider: serializeIdentityProvider(provider) });
+        } catch (error) {
+            logger.error('Update identity provider error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error updating identity provider' });
+        }
+    },
+);
+
+// Linked identities stay on the users: they are keyed by issuer, so they only match
+// again if a provider for the same issuer is added back.
+router.delete(
+    '/admin/identity-providers/:providerId',
+    ...requireAdminSafe,
+    requireDeviceQuorum('identity_provider.delete', (req) => ({
+        target: normalizeProviderId(req.params.providerId),
+    })),
+    async (req, res) => {
+        try {
+            const providerId = normalizeProviderId(req.params.providerId);
+            const provider = await IdentityProvider.findOneAndDelete({ providerId, ...orgScopeFilter(req) }).lean();
+            if (!provider) {
+                return res.status(404).json({ success: false, message: 'Identity provider not found' });
+            }
+            await recordAuditEvent({
+                req,
+                action: 'identity_provider.delete',
+                target: { type: 'identity_provider', id: providerId },
+                before: serializeIdentityProvider(provider),
+            });
+
+            return res.json({ success: true, message: 'Identity provider removed', providerId });
+        } catch (error) {
+            logger.error('Delete identity provider error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error removing identity provider' });
+        }
+    },
+);
+
+// What a sign-in page needs to show "Sign in with ..." buttons.
+router.get('/login/federated/providers', async (req, res) => {
+    try {
+        const orgId = normalizeOrgId(req.query?.orgId) || DEFAULT_ORG_ID;
+        const providers = await IdentityProvider.find({ orgId, status: 'active' }).sort({ name: 1 }).lean();
+        return res.json({
+            success: true,
+            providers: providers.map((provider) => ({
+                providerId: provider.providerId,
+                name: provider.name,
+                loginUrl: `/api/users/login/federated/${provider.providerId}`,
+            })),
+        });
+    } catch (error) {
+        logger.error('List login providers error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading identity providers' });
+    }
+});
+
+// Starts the sign-in: the browser goes to the provider and comes back to the callback,
+// which sends it on to redirect_uri, one of the app's registered redirect URIs. The
+// app's code_challenge binds the login code to the app instance that started it, so a
+// code leaked from the redirect cannot be redeemed by anyone else.
+router.get('/login/federated/:providerId', authGuardMiddleware, federationLimiter, async (req, res) => {
+    try {
+        const provider = await IdentityProvider.findOne({
+            providerId: normalizeProviderId(req.params.providerId),
+            status: 'active',
+        }).lean();
+        if (!provider) {
+            return res.status(404).json({ success: false, message: 'Identity provider not found' });
+        }
+
+        const appId = normalizeAppId(req.query?.appId || req.query?.project);
+        const redirectUri = String(req.query?.redirect_uri || '').trim();
+        const app = appId
+            ? await App.findOne({ appId, orgId: provider.orgId }).select('appId status redirectUris').lean()
+            : null;
+        if (!app || app.status !== 'active') {
+            return res.status(400).json({ success: false, message: 'appId is not an active app of this provider\'s organization' });
+        }
+        if (!(app.redirectUris || []).includes(redirectUri)) {
+            return res.status(400).json({ success: false, message: 'redirect_uri is not registered for this app' });
+        }
+        const appState = String(req.query?.state || '');
+        if (appState.length > 500) {
+            return res.status(400).json({ success: false, message: 'state is too long' });
+        }
+        const loginCodeChallenge = String(req.query?.code_challenge || '').trim();
+        if (!PKCE_VALUE_PATTERN.test(loginCodeChallenge)) {
+            return res.status(400).json({ success: false, message: 'code_challenge is required (PKCE)' });
+        }
+        if (String(req.query?.code_challenge_method || 'S256').trim() !== 'S256') {
+            return res.status(400).json({ success: false, message: 'code_challenge_method must be S256' });
+        }
+
+        let metadata;
+        try {
+            metadata = await getProviderMetadata(provider.issuer);
+        } catch (error) {
+            logger.warn('Identity provider discovery failed', { providerId: provider.providerId, error: error.message });
+            return res.status(502).json({ success: false, message: 'The identity provider is not reachable' });
+        }
+
+        const state = crypto.randomBytes(32).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const { codeVerifier, codeChallenge } = createPkcePair();
+        await FederatedLogin.create({
+            stateHash: hashToken(state),
+            providerId: provider.providerId,
+            appId,
+            redirectUri,
+            state: appState,
+            nonce,
+            codeVerifier,
+            loginCodeChallenge,
+            expiresAt: new Date(Date.now() + FEDERATION_REQUEST_TTL_MS),
+        });
+
+        return res.redirect(302, buildAuthorizationUrl({
+            provider,
+            metadata,
+            state,
+            nonce,
+            codeChallenge,
+        }));
+    } catch (error) {
+        logger.error('Federated login start error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+router.get('/login/federated/:providerId/callback', authGuardMiddleware, federationLimiter, async (req, res) => {
+    try {
+        const providerId = normalizeProviderId(req.params.providerId);
+        const state = String(req.query?.state || '');
+        // The state works once, whatever the outcome.
+        const login = state
+            ? await FederatedLogin.findOneAndUpdate(
+                { stateHash: hashToken(state), providerId, callbackAt: null },
+                { $set: { callbackAt: new Date() } },
+                { new: true },
+            ).select('+codeVerifier')
+            : null;
+        if (!login || login.expiresAt < new Date()) {
+            return res.status(400).json({ success: false, message: 'Sign-in request is invalid or has expired' });
+        }
+
+        const sendBack = (params) => res.redirect(302, appendQuery(login.redirectUri, { ...params, state: login.state }));
+        const deny = async (message) => {
+            await recordLoginAttempt(req, false, 'federated');
+            return sendBack({ error: 'access_denied', error_description: message });
+        };
+
+        if (req.query?.error) {
+            return sendBack({
+                error: 'access_denied',
+                error_description: String(req.query.error_description || req.query.error).slice(0, 200),
+            });
+        }
+
+        const throttle = await checkLoginThrottle(req, { appId: login.appId });
+        if (!throttle.ok) {
+            return sendBack({ error: 'temporarily_unavailable', error_description: throttle.message });
+        }
+
+        const provider = await IdentityProvider.findOne({ providerId, status: 'active' }).select('+clientSecretEncrypted').lean();
+        if (!provider) {
+            return deny('Identity provider is not available');
+        }
+
+        let claims;
+        try {
+            const metadata = await getProviderMetadata(provider.issuer);
+            const tokens = await exchangeAuthorizationCode({
+                provider,
+                clientSecret: decryptSecret(provider.clientSecretEncrypted),
+                metadata,
+                code: String(req.query?.code || ''),
+                codeVerifier: login.codeVerifier,
+            });
+            const idTokenClaims = await verifyIdToken({
+                provider,
+                metadata,
+                idToken: tokens.id_token,
+                nonce: login.nonce,
+            });
+            claims = await readIdentityClaims({ metadata, claims: idTokenClaims, accessToken: tokens.access_token });
+        } catch (error) {
+            logger.warn('Federated login verification failed', { providerId, error: error.message });
+            return deny('Sign-in with the identity provider failed');
+        }
+
+        const resolved = await resolveFederatedUser({ provider, claims });
+        if (!resolved.ok) {
+            return deny(resolved.message);
+        }
+        if (resolved.outcome !== 'signed_in') {
+            await recordAuditEvent({
+                req,
+                action: resolved.outcome === 'created' ? 'federation.user.create' : 'federation.user.link',
+                target: { type: 'user', id: resolved.user.username },
+                details: { providerId, issuer: provider.issuer, subject: String(claims.sub) },
+            });
+        }
+
+        const loginCode = crypto.randomBytes(32).toString('base64url');
+        await FederatedLogin.updateOne(
+            { _id: login._id },
+            {
+                $set: {
+                    loginCodeHash: hashToken(loginCode),
+                    userId: resolved.user._id,
+                    expiresAt: new Date(Date.now() + FEDERATION_LOGIN_CODE_TTL_MS),
+                },
+            },
+        );
+
+        return sendBack({ login_code: loginCode });
+    } catch (error) {
+        logger.error('Federated login callback error', { error: error.message });
+        await recordLoginAttempt(req, false, 'federated');
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Redeems the login code for exactly what /login returns, after the same risk and MFA
+// checks. The code is consumed before the verifier is checked, so a wrong verifier
+// cannot be retried.
+router.post('/login/federated/complete', authGuardMiddleware, loginThrottle(), federationLimiter, async (req, res) => {
+    try {
+        const loginCode = String(req.body?.loginCode || '');
+        const codeVerifier = String(req.body?.codeVerifier || '');
+        const login = loginCode
+            ? await FederatedLogin.findOneAndUpdate(
+                { loginCodeHash: hashToken(loginCode), consumedAt: null },
+                { $set: { consumedAt: new Date() } },
+                { new: true },
+            ).select('+loginCodeChallenge')
+            : null;
+        if (!login || !login.userId || login.expiresAt < new Date()) {
+            await recordLoginAttempt(req, false, 'federated');
+            return res.status(401).json({ success: false, message: 'Login code is invalid or has expired' });
+        }
+        const computedChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        if (!PKCE_VALUE_PATTERN.test(codeVerifier) || !safeCompare(computedChallenge, login.loginCodeChallenge)) {
+            await recordLoginAttempt(req, false, 'federated');
+            return res.status(401).json({ success: false, message: 'PKCE verification failed' });
+        }
+
+        const user = await User.findById(login.userId)
+            .select('name email username role orgId projects groups active tokenVersion');
+        if (!user) {
+            await recordLoginAttempt(req, false, 'federated');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+        const { appId } = login;
+
+        const risk = await assessLoginRisk({ user, appId, req, type: 'federated' });
+        if (risk.decision === 'deny') {
+            await recordLoginAttempt(req, false, 'federated');
+            await recordLoginEvent({ user, appId, req, type: 'federated', outcome: 'blocked', assessment: risk });
+            return res.status(403).json({ success: false, message: RISK_DENY_MESSAGE });
+        }
+
+        const mfaChallenge = await startMfaChallenge({ user, appId, identityProviderId: login.providerId });
+        if (mfaChallenge) {
+            await recordLoginAttempt(req, true, 'federated');
+            await recordLoginEvent({ user, appId, req, type: 'federated', outcome: 'challenged', assessment: risk });
+            return res.json({
+                success: true,
+                mfaRequired: true,
+                ...mfaChallenge,
+            });
+        }
+
+        if (risk.decision === 'step_up') {
+            await recordLoginAttempt(req, false, 'federated');
+            await recordLoginEvent({ user, appId, req, type: 'federated', outcome: 'blocked', assessment: risk });
+            return res.status(403).json({ success: false, message: RISK_STEP_UP_MESSAGE });
+        }
+
+        return completeLogin({
+            req,
+            res,
+            user,
+            requestedAppId: appId,
+            attemptType: 'federated',
+            riskAssessment: risk,
+            identityProviderId: login.providerId,
+        });
+    } catch (error) {
+        logger.error('Federated login error', { error: error.message });
+        await recordLoginAttempt(req, false, 'federated');
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+module.exports = router;
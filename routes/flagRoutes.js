@@ -0,0 +1,222 @@
+const express = require('express');
+const FeatureFlag = require('../models/FeatureFlag');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { recordAuditEvent } = require('../config/audit');
+const { normalizeAppId } = require('../config/apps');
+const { requirePlatformAdmin } = require('../config/organizations');
+const {
+    FLAG_KEY_PATTERN,
+    normalizeFlagKey,
+    normalizeFlagRules,
+    buildFlagContext,
+} = require('../config/featureFlags');
+const {
+    FEATURE_KEYS,
+    adminIpGuard,
+    getFeatureFlags,
+    evaluateFeatureFlags,
+    refreshSafetyState,
+} = require('../config/safety');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+const requirePlatformAdminSafe = [...requireAdminSafe, requirePlatformAdmin];
+
+const serializeFlag = (flag) => ({
+    key: flag.key,
+    description: flag.description,
+    enabled: flag.enabled,
+    builtIn: FEATURE_KEYS.includes(flag.key),
+    rules: flag.rules,
+    updatedBy: flag.updatedBy,
+    createdAt: flag.createdAt,
+    updatedAt: flag.updatedAt,
+});
+
+const parseFlagChanges = (body = {}) => {
+    const changes = {};
+    if (body.description !== undefined) {
+        changes.description = String(body.description || '').trim().slice(0, 300);
+    }
+    if (body.enabled !== undefined) {
+        changes.enabled = Boolean(body.enabled);
+    }
+    if (body.rules !== undefined) {
+        changes.rules = normalizeFlagRules(body.rules);
+    }
+    return changes;
+};
+
+const FLAG_AUDIT_ACTIONS = {
+    created: 'feature_flag.create',
+    updated: 'feature_flag.update',
+    deleted: 'feature_flag.delete',
+};
+
+const auditedFields = (flag) => (flag
+    ? { description: flag.description, enabled: flag.enabled, rules: flag.rules }
+    : null);
+
+const recordFlagChange = async (req, key, action, { before = null, after = null, details = {} } = {}) => {
+    await recordSecurityEvent({
+        type: 'feature_flag_changed',
+        severity: 'info',
+        userId: req.user.isBreakGlass ? null : req.user.id,
+        req,
+        details: { key, action, changedBy: req.user.username, ...details },
+    });
+    await recordAuditEvent({
+        req,
+        action: FLAG_AUDIT_ACTIONS[action],
+        target: { type: 'feature_flag', id: key },
+        before: auditedFields(before),
+        after: auditedFields(after),
+    });
+};
+
+// Flags for the token's own user and app, for apps that want fresher values than the
+// token's flags claim.
+router.get('/flags', requireAuth, async (req, res) => {
+    try {
+        const context = buildFlagContext({ user: req.user, appId: req.user.appId });
+        return res.json({
+            success: true,
+            appId: context.appId || null,
+            flags: evaluateFeatureFlags(context),
+        });
+    } catch (error) {
+        logger.error('Evaluate flags error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error evaluating feature flags' });
+    }
+});
+
+router.get('/admin/flags', ...requireAdminSafe, async (_req, res) => {
+    try {
+        const flags = await FeatureFlag.find({}).sort({ key: 1 }).lean();
+        return res.json({
+            success: true,
+            global: getFeatureFlags(),
+            total: flags.length,
+            flags: flags.map(serializeFlag),
+        });
+    } catch (error) {
+        logger.error('List flags error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading feature flags' });
+    }
+});
+
+router.post('/admin/flags', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeFlagKey(req.body?.key);
+        if (!FLAG_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'key must be 2-64 characters of A-Z, 0-9 and _ starting with a letter',
+            });
+        }
+
+        let changes;
+        try {
+            changes = parseFlagChanges(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        if (await FeatureFlag.exists({ key })) {
+            return res.status(409).json({ success: false, message: 'A flag with this key already exists' });
+        }
+
+        const flag = await FeatureFlag.create({ key, ...changes, updatedBy: req.user.username });
+        await refreshSafetyState({ force: true });
+        await recordFlagChange(req, key, 'created', {
+            after: flag.toObject(),
+            details: { enabled: flag.enabled, rules: flag.rules.length },
+        });
+
+        return res.status(201).json({ success: true, message: 'Feature flag created', flag: serializeFlag(flag) });
+    } catch (error) {
+        logger.error('Create flag error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error creating feature flag' });
+    }
+});
+
+router.put('/admin/flags/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeFlagKey(req.params.key);
+        let changes;
+        try {
+            changes = parseFlagChanges(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const previous = await FeatureFlag.findOne({ key }).lean();
+        const flag = await FeatureFlag.findOneAndUpdate(
+            { key },
+            { $set: { ...changes, updatedBy: req.user.username } },
+            { new: true },
+        ).lean();
+        if (!flag) {
+            return res.status(404).json({ success: false, message: 'Feature flag not found' });
+        }
+        await refreshSafetyState({ force: true });
+        await recordFlagChange(req, key, 'updated', {
+            before: previous,
+            after: flag,
+            details: { fields: Object.keys(changes) },
+        });
+
+        return res.json({ success: true, message: 'Feature flag updated', flag: serializeFlag(flag) });
+    } catch (error) {
+        logger.error('Update flag error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating feature flag' });
+    }
+});
+
+router.delete('/admin/flags/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeFlagKey(req.params.key);
+        const deleted = await FeatureFlag.findOneAndDelete({ key });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Feature flag not found' });
+        }
+        await refreshSafetyState({ force: true });
+        await recordFlagChange(req, key, 'deleted', { before: deleted.toObject() });
+
+        return res.json({ success: true, message: 'Feature flag deleted', key });
+    } catch (error) {
+        logger.error('Delete flag error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error deleting feature flag' });
+    }
+});
+
+// Shows what a given user would get in a given app, for checking a rollout.
+router.get('/admin/flags/evaluate', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = String(req.query?.username || '').trim().toLowerCase();
+        let user = null;
+        if (username) {
+            user = await User.findOne({ username }).select('username role').lean();
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+        }
+
+        await refreshSafetyState({ force: true });
+        const context = buildFlagContext({ user, appId: normalizeAppId(req.query?.appId) });
+        return res.json({
+            success: true,
+            context: { username: context.username || null, role: context.role || null, appId: context.appId || null },
+            flags: evaluateFeatureFlags(context),
+        });
+    } catch (error) {
+        logger.error('Evaluate flags error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error evaluating feature flags' });
+    }
+});
+
+module.exports = router;
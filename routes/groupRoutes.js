@@ -0,0 +1,306 @@
+const express = require('express');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { adminIpGuard } = require('../config/safety');
+const { recordAuditEvent } = require('../config/audit');
+const {
+    ADMIN_CONSOLE_APP_ID,
+    getAppsMap,
+    normalizeAppList,
+    resolveEffectiveApps,
+} = require('../config/apps');
+const {
+    DEFAULT_ORG_ID,
+    orgScopeFilter,
+    resolveTargetOrg,
+} = require('../config/organizations');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+
+const GROUP_ID_PATTERN = /^[a-z][a-z0-9-]{1,47}$/;
+const MAX_GROUPS_PER_USER = 100;
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+const normalizeGroupId = (groupId) => String(groupId || '').trim().toLowerCase();
+
+const serializeGroup = (group, members) => ({
+    groupId: group.groupId,
+    orgId: group.orgId || DEFAULT_ORG_ID,
+    name: group.name,
+    description: group.description,
+    apps: group.apps || [],
+    ...(members !== undefined ? { members } : {}),
+    updatedBy: group.updatedBy,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt,
+});
+
+const auditedGroupFields = (group) => (group
+    ? { name: group.name, description: group.description, apps: group.apps || [] }
+    : null);
+
+// Apps must belong to the group's organization; the console scope is never grantable.
+const parseGroupChanges = async (body, orgId) => {
+    const changes = {};
+    if (body.name !== undefined) {
+        changes.name = String(body.name || '').trim().slice(0, 100);
+        if (!changes.name) {
+            throw new Error('name cannot be empty');
+        }
+    }
+    if (body.description !== undefined) {
+        changes.description = String(body.description || '').trim().slice(0, 300);
+    }
+    if (body.apps !== undefined) {
+        if (!Array.isArray(body.apps)) {
+            throw new Error('apps must be an array of appIds');
+        }
+        const apps = normalizeAppList(body.apps).filter((appId) => appId !== ADMIN_CONSOLE_APP_ID);
+        const appsMap = await getAppsMap({ includeInactive: true, orgId });
+        const invalidAppIds = apps.filter((appId) => !appsMap.has(appId));
+        if (invalidAppIds.length > 0) {
+            throw new Error(`Invalid appId(s): ${invalidAppIds.join(', ')}`);
+        }
+        changes.apps = apps;
+    }
+    return changes;
+};
+
+router.get('/admin/groups', ...requireAdminSafe, async (req, res) => {
+    try {
+        const groups = await Group.find(orgScopeFilter(req)).sort({ groupId: 1 }).lean();
+        const serialized = [];
+        for (const group of groups) {
+            const members = await User.countDocuments({ groups: group.groupId, orgId: group.orgId || DEFAULT_ORG_ID });
+            serialized.push(serializeGroup(group, members));
+        }
+        return res.json({ success: true, total: serialized.length, groups: serialized });
+    } catch (error) {
+        logger.error('List groups error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading groups' });
+    }
+});
+
+router.post('/admin/groups', ...requireAdminSafe, async (req, res) => {
+    try {
+        const groupId = normalizeGroupId(req.body?.groupId);
+        if (!GROUP_ID_PATTERN.test(groupId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'groupId must be 2-48 characters of a-z, 0-9 and - starting with a letter',
+            });
+        }
+
+        const targetOrg = await resolveTargetOrg(req, req.body?.orgId);
+        if (!targetOrg.ok) {
+            return res.status(400).json({ success: false, message: targetOrg.message });
+        }
+
+        let changes;
+        try {
+            changes = await parseGroupChanges({ name: groupId, ...req.body }, targetOrg.orgId);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        // groupIds are unique across organizations, like appIds.
+        if (await Group.exists({ groupId })) {
+            return res.status(409).json({ success: false, message: 'A group with this groupId already exists' });
+        }
+
+        const group = await Group.create({
+            groupId,
+            orgId: targetOrg.orgId,
+            ...changes,
+            updatedBy: req.user.username,
+        });
+        await recordAuditEvent({
+            req,
+            action: 'group.create',
+            target: { type: 'group', id: groupId },
+            after: { orgId: group.orgId, ...auditedGroupFields(group) },
+        });
+
+        return res.status(201).json({ success: true, message: 'Group created', group: serializeGroup(group, 0) });
+    } catch (error) {
+        logger.error('Create group error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error creating group' });
+    }
+});
+
+router.get('/admin/groups/:groupId', ...requireAdminSafe, async (req, res) => {
+    try {
+        const groupId = normalizeGroupId(req.params.groupId);
+        const group = await Group.findOne({ groupId, ...orgScopeFilter(req) }).lean();
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+
+        const members = await User.find({ groups: groupId, orgId: group.orgId || DEFAULT_ORG_ID })
+            .select('username email role')
+            .sort({ username: 1 })
+            .lean();
+        return res.json({
+            success: true,
+            group: serializeGroup(group, members.length),
+            members: members.map((member) => ({ username: member.username, email: member.email, role: member.role })),
+        });
+    } catch (error) {
+        logger.error('Get group error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading group' });
+    }
+});
+
+// Members gain or lose the group's apps on their next request; their sessions are
+// kept, and a refresh for an app they can no longer reach fails.
+router.put('/admin/groups/:groupId', ...requireAdminSafe, async (req, res) => {
+    try {
+        const groupId = normalizeGroupId(req.params.groupId);
+        const previous = await Group.findOne({ groupId, ...orgScopeFilter(req) }).lean();
+        if (!previous) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+
+        let changes;
+        try {
+            changes = await parseGroupChanges(req.body || {}, previous.orgId || DEFAULT_ORG_ID);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const group = await Group.findOneAndUpdate(
+            { _id: previous._id },
+            { $set: { ...changes, updatedBy: req.user.username } },
+            { new: true },
+        ).lean();
+        if (!group) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'group.update',
+            target: { type: 'group', id: groupId },
+            before: auditedGroupFields(previous),
+            after: auditedGroupFields(group),
+        });
+
+        return res.json({ success: true, message: 'Group updated', group: serializeGroup(group) });
+    } catch (error) {
+        logger.error('Update group error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating group' });
+    }
+});
+
+// Also removes the group from every member, so a group created later under the same
+// groupId does not inherit them.
+router.delete('/admin/groups/:groupId', ...requireAdminSafe, async (req, res) => {
+    try {
+        const groupId = normalizeGroupId(req.params.groupId);
+        const deleted = await Group.findOneAndDelete({ groupId, ...orgScopeFilter(req) });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Group not found' });
+        }
+        const released = await User.updateMany(
+            { groups: groupId },
+            { $pull: { groups: groupId } },
+        );
+        await recordAuditEvent({
+            req,
+            action: 'group.delete',
+            target: { type: 'group', id: groupId },
+            before: { orgId: deleted.orgId, ...auditedGroupFields(deleted) },
+            details: { membersRemoved: released.modifiedCount || 0 },
+        });
+
+        return res.json({ success: true, message: 'Group deleted', groupId });
+    } catch (error) {
+        logger.error('Delete group error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error deleting group' });
+    }
+});
+
+router.get('/admin/users/:username/groups', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        const user = await User.findOne({ username, ...orgScopeFilter(req) })
+            .select('username orgId projects groups')
+            .lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const availableGroups = await Group.find({ orgId: user.orgId || DEFAULT_ORG_ID }).sort({ groupId: 1 }).lean();
+        return res.json({
+            success: true,
+            username: user.username,
+            groups: user.groups || [],
+            directApps: normalizeAppList(user.projects),
+            effectiveApps: await resolveEffectiveApps(user),
+            availableGroups: availableGroups.map((group) => serializeGroup(group)),
+        });
+    } catch (error) {
+        logger.error('Get user groups error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading user groups' });
+    }
+});
+
+// Replaces the user's memberships. Groups must be in the user's organization.
+router.put('/admin/users/:username/groups', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        if (!Array.isArray(req.body?.groups) || req.body.groups.length > MAX_GROUPS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `groups must be an array of at most ${MAX_GROUPS_PER_USER} groupIds`,
+            });
+        }
+        const groupIds = [...new Set(req.body.groups.map(normalizeGroupId).filter(Boolean))];
+
+        const previousUser = await User.findOne({ username, ...orgScopeFilter(req) }).select('username orgId groups').lean();
+        if (!previousUser) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const existing = await Group.find({ groupId: { $in: groupIds }, orgId: previousUser.orgId || DEFAULT_ORG_ID })
+            .select('groupId')
+            .lean();
+        const existingIds = new Set(existing.map((group) => group.groupId));
+        const invalidGroupIds = groupIds.filter((groupId) => !existingIds.has(groupId));
+        if (invalidGroupIds.length > 0) {
+            return res.status(400).json({ success: false, message: `Invalid groupId(s): ${invalidGroupIds.join(', ')}` });
+        }
+
+        const updatedUser = await User.findOneAndUpdate(
+            { _id: previousUser._id },
+            { $set: { groups: groupIds } },
+            { new: true },
+        ).select('username orgId projects groups').lean();
+        if (!updatedUser) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'user.groups.update',
+            target: { type: 'user', id: updatedUser.username },
+            before: { groups: previousUser.groups || [] },
+            after: { groups: updatedUser.groups || [] },
+        });
+
+        return res.json({
+            success: true,
+            message: 'User groups updated',
+            username: updatedUser.username,
+            groups: updatedUser.groups || [],
+            effectiveApps: await resolveEffectiveApps(updatedUser),
+        });
+    } catch (error) {
+        logger.error('Set user groups error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating user groups' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { requireAuth } = require('../middleware/auth');
+const {
+    isMfaRequiredForRole,
+    getMfaStatus,
+    beginTotpEnrollment,
+    verifyMfaCode,
+    activateTotpFactor,
+    regenerateRecoveryCodes,
+    disableMfa,
+} = require('../config/mfa');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { AUTH_TEST_MODE, hasBreakGlassToken } = require('../config/safety');
+
+const router = express.Router();
+
+const mfaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many MFA attempts, please try again in 15 minutes',
+    skip: (req) => AUTH_TEST_MODE && hasBreakGlassToken(req),
+});
+
+const requireUserAccount = (req, res, next) => {
+    if (req.user.isBreakGlass || req.user.isPersonalAdminToken) {
+        return res.status(403).json({ success: false, message: 'MFA can only be managed from a signed-in user session' });
+    }
+    return next();
+};
+
+router.use(requireAuth, requireUserAccount);
+
+router.get('/', async (req, res) => {
+    try {
+        const status = await getMfaStatus(req.user.id);
+        return res.json({
+            success: true,
+            mfa: {
+                ...status,
+                required: isMfaRequiredForRole(req.user.role),
+            },
+        });
+    } catch (error) {
+        logger.error('MFA status error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading MFA status' });
+    }
+});
+
+router.post('/totp/enroll', mfaLimiter, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('username').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const enrollment = await beginTotpEnrollment(user);
+        if (!enrollment.ok) {
+            return res.status(enrollment.status).json({ success: false, message: enrollment.message });
+        }
+
+        return res.json({
+            success: true,
+            message: 'Scan the otpauth URL with an authenticator app, then confirm with a code',
+            secret: enrollment.secret,
+            otpauthUrl: enrollment.otpauthUrl,
+            period: enrollment.period,
+            digits: enrollment.digits,
+        });
+    } catch (error) {
+        logger.error('MFA enroll error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error starting MFA enrollment' });
+    }
+});
+
+router.post('/totp/activate', mfaLimiter, async (req, res) => {
+    try {
+        const status = await getMfaStatus(req.user.id);
+        if (!status.pendingEnrollment) {
+            return res.status(400).json({ success: false, message: 'No MFA enrollment in progress' });
+        }
+
+        const verification = await verifyMfaCode(req.user.id, req.body?.code, { allowPending: true });
+        if (!verification.ok) {
+            return res.status(400).json({ success: false, message: verification.message });
+        }
+
+        const recoveryCodes = await activateTotpFactor(verification.factor);
+        if (!recoveryCodes) {
+            return res.status(409).json({ success: false, message: 'MFA is already enabled' });
+        }
+
+        await recordSecurityEvent({
+            type: 'mfa_enabled',
+            severity: 'info',
+            userId: req.user.id,
+            appId: req.user.appId,
+            sessionId: req.user.sessionId,
+            req,
+        });
+
+        return res.json({
+            success: true,
+            message: 'MFA enabled. Store the recovery codes somewhere safe, they are shown only once.',
+            recoveryCodes,
+        });
+    } catch (error) {
+        logger.error('MFA activate error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error enabling MFA' });
+    }
+});
+
+router.post('/recovery-codes', mfaLimiter, async (req, res) => {
+    try {
+        const verification = await verifyMfaCode(req.user.id, req.body?.code);
+        if (!verification.ok) {
+            return res.status(400).json({ success: false, message: verification.message });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+        if (!recoveryCodes) {
+            return res.status(400).json({ success: false, message: 'MFA is not enabled' });
+        }
+
+        return res.json({
+            success: true,
+            message: 'Recovery codes regenerated, previous codes no longer work',
+            recoveryCodes,
+        });
+    } catch (error) {
+        logger.error('MFA recovery codes error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error regenerating recovery codes' });
+    }
+});
+
+router.delete('/', mfaLimiter, async (req, res) => {
+    try {
+        if (isMfaRequiredForRole(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'MFA is required for your role and cannot be disabled' });
+        }
+
+        const verification = await verifyMfaCode(req.user.id, req.body?.code);
+        if (!verification.ok) {
+            return res.status(400).json({ success: false, message: verification.message });
+        }
+
+        await disableMfa(req.user.id);
+        await recordSecurityEvent({
+            type: 'mfa_disabled',
+            userId: req.user.id,
+            appId: req.user.appId,
+            sessionId: req.user.sessionId,
+            req,
+            details: { method: verification.method },
+        });
+
+        return res.json({ success: true, message: 'MFA disabled' });
+    } catch (error) {
+        logger.error('MFA disable error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error disabling MFA' });
+    }
+});
+
+module.exports = router;
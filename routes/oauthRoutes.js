@@ -0,0 +1,604 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const User = require('../models/User');
+const App = require('../models/App');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const logger = require('../config/logger');
+const { ADMIN_CONSOLE_APP_ID, normalizeAppId, resolveAppAccess } = require('../config/apps');
+const { revokeToken } = require('../config/revocation');
+const { createSession } = require('../config/sessions');
+const { PKCE_VALUE_PATTERN, redeemAuthorizationCode } = require('../config/authorizationCodes');
+const { getAdminConsoleClient } = require('../config/adminConsole');
+const { resolveDpopBinding } = require('../config/dpop');
+const { buildFlagContext } = require('../config/featureFlags');
+const {
+    verifyMfaCode,
+    startMfaChallenge,
+    findMfaChallenge,
+    recordFailedMfaAttempt,
+    consumeMfaChallenge,
+} = require('../config/mfa');
+const { requireAuth, evaluateAccessToken } = require('../middleware/auth');
+const {
+    REFRESH_TOKEN_SECRET,
+    hashToken,
+    issueAccessToken,
+    issueIdToken,
+    getTokenLifetimeSeconds,
+} = require('../config/tokens');
+const {
+    AUTH_TEST_MODE,
+    safeCompare,
+    hasBreakGlassToken,
+    authGuardMiddleware,
+} = require('../config/safety');
+const { checkLoginThrottle, recordLoginAttempt } = require('../config/throttle');
+const {
+    RISK_DENY_MESSAGE,
+    RISK_STEP_UP_MESSAGE,
+    assessLoginRisk,
+    recordLoginEvent,
+} = require('../config/risk');
+const { escapeHtml, renderPage } = require('../config/hostedPages');
+
+const router = express.Router();
+
+const AUTHORIZATION_CODE_TTL_MS = Math.min(600, Math.max(10, Number(process.env.OAUTH_CODE_TTL_SECONDS || 60))) * 1000;
+
+const authorizeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many authentication attempts, please try again in 15 minutes',
+    skip: (req) => AUTH_TEST_MODE && hasBreakGlassToken(req),
+});
+
+router.use(express.urlencoded({ extended: false, limit: '100kb' }));
+
+const normalizeScope = (scope) => [...new Set(String(scope || '').split(/\s+/).filter(Boolean))].join(' ');
+
+const oauthError = (res, status, error, description) => res.status(status).json({
+    error,
+    error_description: description,
+});
+
+const readClientCredentials = (req) => {
+    const authHeader = String(req.headers.authorization || '');
+    if (authHeader.startsWith('Basic ')) {
+        const decoded = Buffer.from(authHeader.slice(6).trim(), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator > 0) {
+            return {
+                clientId: decodeURIComponent(decoded.slice(0, separator)),
+                clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+            };
+        }
+    }
+
+    return {
+        clientId: req.body?.client_id,
+        clientSecret: req.body?.client_secret,
+    };
+};
+
+const authenticateClient = async (req, { requireSecret = false } = {}) => {
+    const { clientId, clientSecret } = readClientCredentials(req);
+    const normalizedClientId = normalizeAppId(clientId);
+    if (!normalizedClientId) {
+        return { ok: false, message: 'client_id is required' };
+    }
+
+    const client = await App.findOne({ appId: normalizedClientId }).select('+clientSecretHash');
+    if (!client || client.status !== 'active') {
+        return { ok: false, message: 'Unknown or inactive client' };
+    }
+
+    if (requireSecret && client.clientType !== 'confidential') {
+        return { ok: false, message: 'Only confidential clients may call this endpoint' };
+    }
+
+    if (client.clientType === 'confidential') {
+        const secret = String(clientSecret || '');
+        if (!secret || !client.clientSecretHash || !safeCompare(hashToken(secret), client.clientSecretHash)) {
+            return { ok: false, message: 'Client authentication failed' };
+        }
+    }
+
+    return { ok: true, client };
+};
+
+const validateAuthorizeRequest = async (params) => {
+    const clientId = normalizeAppId(params.client_id);
+    const redirectUri = String(params.redirect_uri || '').trim();
+    const state = String(params.state || '');
+
+    let client = null;
+    if (clientId === ADMIN_CONSOLE_APP_ID) {
+        client = getAdminConsoleClient();
+    } else if (clientId) {
+        client = await App.findOne({ appId: clientId }).select('appId name status redirectUris').lean();
+    }
+    if (!client || client.status !== 'active') {
+        return { ok: false, redirectable: false, message: 'Unknown or inactive client_id' };
+    }
+
+    if (!redirectUri || !(client.redirectUris || []).includes(redirectUri)) {
+        return { ok: false, redirectable: false, message: 'redirect_uri is not registered for this client' };
+    }
+
+    const base = { client, redirectUri, state };
+    if (params.response_type !== 'code') {
+        return { ...base, ok: false, redirectable: true, error: 'unsupported_response_type', message: 'Only response_type=code is supported' };
+    }
+
+    const codeChallenge = String(params.code_challenge || '').trim();
+    if (!PKCE_VALUE_PATTERN.test(codeChallenge)) {
+        return { ...base, ok: false, redirectable: true, error: 'invalid_request', message: 'code_challenge is required (PKCE)' };
+    }
+
+    const codeChallengeMethod = String(params.code_challenge_method || 'S256').trim();
+    if (codeChallengeMethod !== 'S256') {
+        return { ...base, ok: false, redirectable: true, error: 'invalid_request', message: 'code_challenge_method must be S256' };
+    }
+
+    const nonce = String(params.nonce || '');
+    if (nonce.length > 256) {
+        return { ...base, ok: false, redirectable: true, error: 'invalid_request', message: 'nonce is too long' };
+    }
+
+    return {
+        ...base,
+        ok: true,
+        codeChallenge,
+        codeChallengeMethod,
+        nonce,
+        scope: normalizeScope(params.scope),
+    };
+};
+
+const buildRedirect = (redirectUri, params) => {
+    const target = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value) {
+            target.searchParams.set(key, value);
+        }
+    });
+    return target.toString();
+};
+
+const sendAuthorizeError = (res, validation) => {
+    if (validation.redirectable) {
+        return res.redirect(302, buildRedirect(validation.redirectUri, {
+            error: validation.error,
+            error_description: validation.message,
+            state: validation.state,
+        }));
+    }
+
+    return renderPage(res, 400, 'Authorization error', `<p class="error">${escapeHtml(validation.message)}</p>`);
+};
+
+const renderHiddenInputs = (validation, extraFields = {}) => Object.entries({
+    response_type: 'code',
+    client_id: validation.client.appId,
+    redirect_uri: validation.redirectUri,
+    state: validation.state,
+    scope: validation.scope,
+    code_challenge: validation.codeChallenge,
+    code_challenge_method: validation.codeChallengeMethod,
+    nonce: validation.nonce,
+    ...extraFields,
+})
+    .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}" />`)
+    .join('\n      ');
+
+const renderLoginPage = (res, validation, { status = 200, error = '', email = '' } = {}) => renderPage(res, status, 'Sign in', `
+    <p>to continue to <strong>${escapeHtml(validation.client.name)}</strong></p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="authorize">
+      ${renderHiddenInputs(validation)}
+      <label for="email">Email</label>
+      <input id="email" name="email" type="email" autocomplete="username" value="${escapeHtml(email)}" required />
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required />
+      <button type="submit">Sign in</button>
+    </form>`);
+
+const renderMfaPage = (res, validation, { status = 200, error = '', mfaToken }) => renderPage(res, status, 'Verify it\'s you', `
+    <p>Enter the code from your authenticator app or a recovery code.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="authorize">
+      ${renderHiddenInputs(validation, { mfa_token: mfaToken })}
+      <label for="code">Code</label>
+      <input id="code" name="code" type="text" inputmode="numeric" autocomplete="one-time-code" required />
+      <button type="submit">Verify</button>
+    </form>`);
+
+router.get('/authorize', async (req, res) => {
+    try {
+        const validation = await validateAuthorizeRequest(req.query || {});
+        if (!validation.ok) {
+            return sendAuthorizeError(res, validation);
+        }
+
+        return renderLoginPage(res, validation);
+    } catch (error) {
+        logger.error('Authorize page error', { error: error.message });
+        return renderPage(res, 500, 'Authorization error', '<p class="error">Server error</p>');
+    }
+});
+
+router.post('/authorize', authGuardMiddleware, authorizeLimiter, async (req, res) => {
+    try {
+        const validation = await validateAuthorizeRequest(req.body || {});
+        if (!validation.ok) {
+            return sendAuthorizeError(res, validation);
+        }
+
+        const { appId } = validation.client;
+        let user;
+        let risk = null;
+        const mfaToken = String(req.body?.mfa_token || '').trim();
+        const throttle = await checkLoginThrottle(req, {
+            account: mfaToken ? '' : req.body?.email,
+            appId,
+        });
+        if (!throttle.ok) {
+            res.setHeader('Retry-After', String(throttle.retryAfterSeconds));
+            return renderLoginPage(res, validation, { status: 429, error: throttle.message, email: req.body?.email });
+        }
+
+        if (mfaToken) {
+            const challenge = await findMfaChallenge(mfaToken);
+            if (!challenge || challenge.appId !== appId) {
+                await recordLoginAttempt(req, false, 'authorize');
+                return renderLoginPage(res, validation, { status: 401, error: 'Verification expired, please sign in again' });
+            }
+
+            const verification = await verifyMfaCode(challenge.userId, req.body?.code);
+            if (!verification.ok) {
+                await recordFailedMfaAttempt(challenge);
+                await recordLoginAttempt(req, false, 'authorize');
+                await recordLoginEvent({
+                    user: { _id: challenge.userId },
+                    appId,
+                    req,
+                    type: 'mfa',
+                    outcome: 'failure',
+                });
+                return renderMfaPage(res, validation, { status: 401, error: verification.message, mfaToken });
+            }
+            if (!await consumeMfaChallenge(challenge)) {
+                await recordLoginAttempt(req, false, 'authorize');
+                return renderLoginPage(res, validation, { status: 401, error: 'Verification expired, please sign in again' });
+            }
+
+            user = await User.findById(challenge.userId).select('username role orgId projects groups active');
+            if (!user) {
+                await recordLoginAttempt(req, false, 'authorize');
+                return renderLoginPage(res, validation, { status: 401, error: 'Invalid credentials' });
+            }
+        } else {
+            const email = String(req.body?.email || '').trim().toLowerCase();
+            const password = String(req.body?.password || '');
+            if (!email || !password) {
+                return renderLoginPage(res, validation, { status: 400, error: 'Missing email or password', email });
+            }
+
+            user = await User.findOne({ email }).select('username role orgId projects groups active +password');
+            const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+            if (!isMatch) {
+                await recordLoginAttempt(req, false, 'authorize');
+                if (user) {
+                    await recordLoginEvent({ user, appId, req, type: 'authorize', outcome: 'failure' });
+                }
+                return renderLoginPage(res, validation, { status: 401, error: 'Invalid credentials', email });
+            }
+
+            // The same decisions as /login: deny outright, and a step-up is met by MFA.
+            risk = await assessLoginRisk({ user, appId, req, type: 'authorize' });
+            if (risk.decision === 'deny') {
+                await recordLoginAttempt(req, false, 'authorize');
+                await recordLoginEvent({ user, appId, req, type: 'authorize', outcome: 'blocked', assessment: risk });
+                return renderLoginPage(res, validation, { status: 403, error: RISK_DENY_MESSAGE, email });
+            }
+
+            // Enrollment needs the JSON /login flow; this page only collects codes.
+            const mfaChallenge = await startMfaChallenge({ user, appId });
+            if (mfaChallenge?.enrollmentRequired) {
+                return renderLoginPage(res, validation, {
+                    status: 403,
+                    error: 'Set up multi-factor authentication before signing in here',
+                    email,
+                });
+            }
+            if (mfaChallenge) {
+                await recordLoginAttempt(req, true, 'authorize');
+                await recordLoginEvent({ user, appId, req, type: 'authorize', outcome: 'challenged', assessment: risk });
+                return renderMfaPage(res, validation, { mfaToken: mfaChallenge.mfaToken });
+            }
+
+            if (risk.decision === 'step_up') {
+                await recordLoginAttempt(req, false, 'authorize');
+                await recordLoginEvent({ user, appId, req, type: 'authorize', outcome: 'blocked', assessment: risk });
+                return renderLoginPage(res, validation, { status: 403, error: RISK_STEP_UP_MESSAGE, email });
+            }
+        }
+
+        const access = await resolveAppAccess(user, appId);
+        if (!access.ok) {
+            return sendAuthorizeError(res, {
+                ...validation,
+                redirectable: true,
+                error: 'access_denied',
+                message: access.message,
+            });
+        }
+
+        const code = crypto.randomBytes(32).toString('base64url');
+        await AuthorizationCode.create({
+            codeHash: hashToken(code),
+            appId,
+            userId: user._id,
+            redirectUri: validation.redirectUri,
+            codeChallenge: validation.codeChallenge,
+            codeChallengeMethod: validation.codeChallengeMethod,
+            scope: validation.scope,
+            nonce: validation.nonce,
+            authTime: new Date(),
+            expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS),
+        });
+
+        await recordLoginAttempt(req, true, 'authorize');
+        await recordLoginEvent({
+            user,
+            appId,
+            req,
+            type: mfaToken ? 'mfa' : 'authorize',
+            outcome: 'success',
+            assessment: risk,
+        });
+        return res.redirect(302, buildRedirect(validation.redirectUri, {
+            code,
+            state: validation.state,
+        }));
+    } catch (error) {
+        logger.error('Authorize error', { error: error.message });
+        await recordLoginAttempt(req, false, 'authorize');
+        return renderPage(res, 500, 'Authorization error', '<p class="error">Server error</p>');
+    }
+});
+
+router.post('/token', authGuardMiddleware, async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Pragma', 'no-cache');
+
+    try {
+        if (!REFRESH_TOKEN_SECRET) {
+            return oauthError(res, 500, 'server_error', 'Server auth configuration is missing');
+        }
+
+        // The client_id is not trusted until the client authenticates, so failures are
+        // only counted against the app from then on.
+        const throttle = await checkLoginThrottle(req);
+        if (!throttle.ok) {
+            res.setHeader('Retry-After', String(throttle.retryAfterSeconds));
+            return oauthError(res, 429, 'temporarily_unavailable', throttle.message);
+        }
+
+        const grantType = String(req.body?.grant_type || '').trim();
+        if (grantType !== 'authorization_code') {
+            return oauthError(res, 400, 'unsupported_grant_type', 'Only grant_type=authorization_code is supported');
+        }
+
+        const clientAuth = await authenticateClient(req);
+        if (!clientAuth.ok) {
+            await recordLoginAttempt(req, false, 'token');
+            return oauthError(res, 401, 'invalid_client', clientAuth.message);
+        }
+        const { client } = clientAuth;
+        req.loginThrottle.appId = client.appId;
+
+        const dpop = await resolveDpopBinding(req, buildFlagContext({ appId: client.appId }));
+        if (!dpop.ok) {
+            await recordLoginAttempt(req, false, 'token');
+            return oauthError(res, 400, dpop.error, dpop.message);
+        }
+
+        const code = String(req.body?.code || '').trim();
+        const redirectUri = String(req.body?.redirect_uri || '').trim();
+        const codeVerifier = String(req.body?.code_verifier || '').trim();
+        if (!code || !redirectUri) {
+            return oauthError(res, 400, 'invalid_request', 'code and redirect_uri are required');
+        }
+        if (!PKCE_VALUE_PATTERN.test(codeVerifier)) {
+            return oauthError(res, 400, 'invalid_request', 'code_verifier is missing or malformed');
+        }
+
+        const redemption = await redeemAuthorizationCode({
+            code,
+            appId: client.appId,
+            redirectUri,
+            codeVerifier,
+        });
+        if (!redemption.ok) {
+            await recordLoginAttempt(req, false, 'token');
+            return oauthError(res, 400, 'invalid_grant', redemption.message);
+        }
+        const { authorizationCode } = redemption;
+
+        const user = await User.findById(authorizationCode.userId)
+            .select('name email username role orgId projects groups active tokenVersion');
+        if (!user) {
+            return oauthError(res, 400, 'invalid_grant', 'User no longer exists');
+        }
+
+        const access = await resolveAppAccess(user, client.appId);
+        if (!access.ok) {
+            return oauthError(res, 400, 'invalid_grant', access.message);
+        }
+
+        const { scope } = authorizationCode;
+        const { session, refreshToken } = await createSession({
+            user,
+            appId: client.appId,
+            req,
+            dpopJkt: dpop.jkt,
+        });
+        const accessToken = await issueAccessToken(user, client.appId, {
+            scope,
+            grantType: 'authorization_code',
+            sessionId: session.sessionId,
+            jkt: dpop.jkt,
+        });
+        const idToken = scope.split(' ').includes('openid')
+            ? await issueIdToken({
+                user,
+                appId: client.appId,
+                scope,
+                nonce: authorizationCode.nonce,
+                authTime: authorizationCode.authTime,
+            })
+            : null;
+
+        await recordLoginAttempt(req, true, 'token');
+        return res.json({
+            access_token: accessToken,
+            token_type: dpop.jkt ? 'DPoP' : 'Bearer',
+            expires_in: getTokenLifetimeSeconds(accessToken),
+            refresh_token: refreshToken,
+            scope,
+            ...(idToken ? { id_token: idToken } : {}),
+        });
+    } catch (error) {
+        logger.error('Token endpoint error', { error: error.message });
+        return oauthError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+// RFC 7662. Any failure to validate the token is reported as { active: false } so
+// callers cannot distinguish expired, revoked and forged tokens. A client may only
+// introspect tokens issued to itself in its own organization; anything else looks
+// inactive too, so one app cannot read another app's or tenant's users.
+router.post('/introspect', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Pragma', 'no-cache');
+
+    try {
+        const clientAuth = await authenticateClient(req, { requireSecret: true });
+        if (!clientAuth.ok) {
+            res.setHeader('WWW-Authenticate', 'Basic realm="oauth"');
+            return oauthError(res, 401, 'invalid_client', clientAuth.message);
+        }
+
+        const token = String(req.body?.token || '').trim();
+        if (!token) {
+            return oauthError(res, 400, 'invalid_request', 'token is required');
+        }
+
+        const result = await evaluateAccessToken(token, { ip: req.ip });
+        if (!result.ok) {
+            return res.json({ active: false });
+        }
+
+        const { payload, principal } = result;
+        const clientId = principal.appId && principal.appId !== '*' ? principal.appId : undefined;
+        // Trial license tokens are not bound to one app; they are issued for their projects.
+        const audiences = [payload.aud || clientId || (payload.trialGrant ? payload.projects : [])]
+            .flat()
+            .filter(Boolean);
+        if (principal.orgId !== clientAuth.client.orgId || !audiences.includes(clientAuth.client.appId)) {
+            return res.json({ active: false });
+        }
+        return res.json({
+            active: true,
+            sub: principal.id,
+            username: principal.username,
+            scope: principal.scope || undefined,
+            client_id: clientId,
+            aud: payload.aud || clientId,
+            iss: payload.iss || undefined,
+            exp: payload.exp,
+            iat: payload.iat,
+            token_type: result.tokenType,
+            ...(payload.cnf?.jkt ? { cnf: { jkt: payload.cnf.jkt } } : {}),
+            grant_source: result.grantSource,
+            role: principal.role,
+            apps: principal.projects,
+            org: principal.orgId,
+            permissions: principal.permissions,
+            ...(Array.isArray(payload.flags) ? { flags: payload.flags } : {}),
+        });
+    } catch (error) {
+        logger.error('Introspection error', { error: error.message });
+        return oauthError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+// RFC 7009. The built-in admin console has no App row, so it identifies itself by
+// client_id alone; it can only revoke tokens it already holds.
+router.post('/revoke', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Pragma', 'no-cache');
+
+    try {
+        const { clientId } = readClientCredentials(req);
+        let clientAppId = normalizeAppId(clientId);
+        if (clientAppId !== ADMIN_CONSOLE_APP_ID) {
+            const clientAuth = await authenticateClient(req);
+            if (!clientAuth.ok) {
+                return oauthError(res, 401, 'invalid_client', clientAuth.message);
+            }
+            clientAppId = clientAuth.client.appId;
+        }
+
+        const token = String(req.body?.token || '').trim();
+        if (!token) {
+            return oauthError(res, 400, 'invalid_request', 'token is required');
+        }
+
+        const result = await revokeToken(token, {
+            hint: String(req.body?.token_type_hint || '').trim(),
+            clientAppId,
+        });
+        if (!result.ok) {
+            return oauthError(res, 400, 'unauthorized_client', result.message);
+        }
+
+        if (result.tokenType) {
+            logger.info('Token revoked', { clientId: clientAppId, tokenType: result.tokenType });
+        }
+        return res.status(200).end();
+    } catch (error) {
+        logger.error('Revocation error', { error: error.message });
+        return oauthError(res, 500, 'server_error', 'Server error');
+    }
+});
+
+router.get('/userinfo', requireAuth, async (req, res) => {
+    try {
+        if (req.user.isBreakGlass) {
+            return res.status(403).json({ error: 'insufficient_scope', error_description: 'Break-glass sessions have no user profile' });
+        }
+
+        const user = await User.findById(req.user.id).select('name email username').lean();
+        if (!user) {
+            return res.status(401).json({ error: 'invalid_token', error_description: 'User no longer exists' });
+        }
+
+        const scopes = req.user.scope ? req.user.scope.split(' ') : ['openid', 'profile', 'email'];
+        return res.json({
+            sub: req.user.id,
+            ...(scopes.includes('profile') ? { name: user.name, preferred_username: user.username } : {}),
+            ...(scopes.includes('email') ? { email: user.email } : {}),
+        });
+    } catch (error) {
+        logger.error('Userinfo error', { error: error.message });
+        return res.status(500).json({ error: 'server_error', error_description: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const App = require('../models/App');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { adminIpGuard } = require('../config/safety');
+const { recordAuditEvent } = require('../config/audit');
+const {
+    DEFAULT_ORG_ID,
+    ORG_ID_PATTERN,
+    normalizeOrgId,
+    orgScopeFilter,
+    requirePlatformAdmin,
+} = require('../config/organizations');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+const requirePlatformAdminSafe = [...requireAdminSafe, requirePlatformAdmin];
+
+const serializeOrg = (org, counts = {}) => ({
+    orgId: org.orgId,
+    name: org.name,
+    description: org.description,
+    isDefault: org.orgId === DEFAULT_ORG_ID,
+    users: counts.users || 0,
+    apps: counts.apps || 0,
+    updatedBy: org.updatedBy,
+    createdAt: org.createdAt,
+    updatedAt: org.updatedAt,
+});
+
+const countByOrg = async (Model) => {
+    const rows = await Model.aggregate([{ $group: { _id: '$orgId', count: { $sum: 1 } } }]);
+    return new Map(rows.map((row) => [row._id || DEFAULT_ORG_ID, row.count]));
+};
+
+const parseOrgChanges = (body = {}) => {
+    const changes = {};
+    if (body.name !== undefined) {
+        changes.name = String(body.name || '').trim().slice(0, 120);
+        if (!changes.name) {
+            throw new Error('name cannot be empty');
+        }
+    }
+    if (body.description !== undefined) {
+        changes.description = String(body.description || '').trim().slice(0, 300);
+    }
+    return changes;
+};
+
+// Tenant admins see only their own organization.
+router.get('/admin/orgs', ...requireAdminSafe, async (req, res) => {
+    try {
+        const [orgs, userCounts, appCounts] = await Promise.all([
+            Organization.find(orgScopeFilter(req)).sort({ orgId: 1 }).lean(),
+            countByOrg(User),
+            countByOrg(App),
+        ]);
+        return res.json({
+            success: true,
+            total: orgs.length,
+            orgs: orgs.map((org) => serializeOrg(org, {
+                users: userCounts.get(org.orgId),
+                apps: appCounts.get(org.orgId),
+            })),
+        });
+    } catch (error) {
+        logger.error('List organizations error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading organizations' });
+    }
+});
+
+router.post('/admin/orgs', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const orgId = normalizeOrgId(req.body?.orgId);
+        if (!ORG_ID_PATTERN.test(orgId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'orgId must be 2-48 characters of a-z, 0-9 and - starting with a letter',
+            });
+        }
+
+        let changes;
+        try {
+            changes = parseOrgChanges({ name: orgId, ...req.body });
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        if (await Organization.exists({ orgId })) {
+            return res.status(409).json({ success: false, message: 'An organization with this orgId already exists' });
+        }
+
+        const org = await Organization.create({ orgId, ...changes, updatedBy: req.user.username });
+        await recordAuditEvent({
+            req,
+            action: 'org.create',
+            target: { type: 'org', id: orgId },
+            after: { name: org.name, description: org.description },
+        });
+
+        return res.status(201).json({ success: true, message: 'Organization created', org: serializeOrg(org) });
+    } catch (error) {
+        logger.error('Create organization error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error creating organization' });
+    }
+});
+
+router.put('/admin/orgs/:orgId', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const orgId = normalizeOrgId(req.params.orgId);
+        let changes;
+        try {
+            changes = parseOrgChanges(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const previous = await Organization.findOne({ orgId }).lean();
+        const org = await Organization.findOneAndUpdate(
+            { orgId },
+            { $set: { ...changes, updatedBy: req.user.username } },
+            { new: true },
+        ).lean();
+        if (!org) {
+            return res.status(404).json({ success: false, message: 'Organization not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'org.update',
+            target: { type: 'org', id: orgId },
+            before: previous ? { name: previous.name, description: previous.description } : null,
+            after: { name: org.name, description: org.description },
+        });
+
+        return res.json({ success: true, message: 'Organization updated', org: serializeOrg(org) });
+    } catch (error) {
+        logger.error('Update organization error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating organization' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const logger = require('../config/logger');
+const { requireAuth } = require('../middleware/auth');
+const { normalizeAppId } = require('../config/apps');
+const { completeLogin } = require('../config/loginFlow');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { buildFlagContext, hasTargetedRollout } = require('../config/featureFlags');
+const {
+    SUPPORTED_COSE_ALGS,
+    WEBAUTHN_RP_ID,
+    WEBAUTHN_RP_NAME,
+    WEBAUTHN_CHALLENGE_TTL_MS,
+    generateChallenge,
+    readClientChallenge,
+    verifyRegistrationResponse,
+    verifyAuthenticationResponse,
+} = require('../config/webauthn');
+const {
+    AUTH_TEST_MODE,
+    hasBreakGlassToken,
+    authGuardMiddleware,
+    isFeatureEnabled,
+} = require('../config/safety');
+const { loginThrottle, recordLoginAttempt } = require('../config/throttle');
+
+const router = express.Router();
+
+const MAX_PASSKEYS_PER_USER = 10;
+
+const passkeyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many authentication attempts, please try again in 15 minutes',
+    skip: (req) => AUTH_TEST_MODE && hasBreakGlassToken(req),
+});
+
+// The router stays reachable while PASSKEY is rolled out to some apps or users; the
+// routes then check the flag for the signed-in user.
+const requirePasskeyFeature = (_req, res, next) => {
+    if (!isFeatureEnabled('PASSKEY') && !hasTargetedRollout('PASSKEY')) {
+        return res.status(404).json({ success: false, message: 'Passkeys are not enabled' });
+    }
+    return next();
+};
+
+const requirePasskeyForUser = (req, res, next) => {
+    if (!isFeatureEnabled('PASSKEY', buildFlagContext({ user: req.user }))) {
+        return res.status(403).json({ success: false, message: 'Passkeys are not enabled for your account' });
+    }
+    return next();
+};
+
+const requireUserAccount = (req, res, next) => {
+    if (req.user.isBreakGlass) {
+        return res.status(403).json({ success: false, message: 'Break-glass sessions cannot manage passkeys' });
+    }
+    return next();
+};
+
+router.use(requirePasskeyFeature);
+
+const serializeCredential = (credential) => ({
+    credentialId: credential.credentialId,
+    label: credential.label,
+    transports: credential.transports,
+    backedUp: credential.backedUp,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt,
+});
+
+const createChallenge = async ({ ceremony, userId = null, appId = '' }) => {
+    const challenge = generateChallenge();
+    await WebAuthnChallenge.create({
+        challenge,
+        ceremony,
+        userId,
+        appId,
+        expiresAt: new Date(Date.now() + WEBAUTHN_CHALLENGE_TTL_MS),
+    });
+    return challenge;
+};
+
+// Single use: the challenge is consumed before verification so a failed attempt
+// cannot be retried with the same challenge.
+const consumeChallenge = async (challenge, ceremony) => {
+    if (!challenge) {
+        return null;
+    }
+    const record = await WebAuthnChallenge.findOneAndUpdate(
+        { challenge, ceremony, consumedAt: null },
+        { $set: { consumedAt: new Date() } },
+        { new: true },
+    );
+    if (!record || record.expiresAt < new Date()) {
+        return null;
+    }
+    return record;
+};
+
+router.post('/register/options', requireAuth, requireUserAccount, requirePasskeyForUser, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('name username').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const existing = await PasskeyCredential.find({ userId: user._id }).select('credentialId transports').lean();
+        if (existing.length >= MAX_PASSKEYS_PER_USER) {
+            return res.status(400).json({ success: false, message: `A user can register at most ${MAX_PASSKEYS_PER_USER} passkeys` });
+        }
+
+        const challenge = await createChallenge({ ceremony: 'registration', userId: user._id });
+        return res.json({
+            success: true,
+            publicKey: {
+                challenge,
+                rp: { id: WEBAUTHN_RP_ID, name: WEBAUTHN_RP_NAME },
+                user: {
+                    id: Buffer.from(String(user._id)).toString('base64url'),
+                    name: user.username,
+                    displayName: user.name,
+                },
+                pubKeyCredParams: SUPPORTED_COSE_ALGS.map((alg) => ({ type: 'public-key', alg })),
+                timeout: WEBAUTHN_CHALLENGE_TTL_MS,
+                attestation: 'none',
+                authenticatorSelection: {
+                    residentKey: 'preferred',
+                    userVerification: 'preferred',
+                },
+                excludeCredentials: existing.map((credential) => ({
+                    type: 'public-key',
+                    id: credential.credentialId,
+                    transports: credential.transports,
+                })),
+            },
+        });
+    } catch (error) {
+        logger.error('Passkey registration options error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error starting passkey registration' });
+    }
+});
+
+router.post('/register/verify', requireAuth, requireUserAccount, requirePasskeyForUser, async (req, res) => {
+    try {
+        const credential = req.body?.credential || req.body;
+        const challenge = await consumeChallenge(readClientChallenge(credential), 'registration');
+        if (!challenge || String(challenge.userId) !== req.user.id) {
+            return res.status(400).json({ success: false, message: 'Registration challenge is invalid or has expired' });
+        }
+
+        let verified;
+        try {
+            verified = verifyRegistrationResponse({ credential, expectedChallenge: challenge.challenge });
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const duplicate = await PasskeyCredential.exists({ credentialId: verified.credentialId });
+        if (duplicate) {
+            return res.status(409).json({ success: false, message: 'Passkey is already registered' });
+        }
+
+        const transports = Array.isArray(credential?.response?.transports)
+            ? credential.response.transports.map((transport) => String(transport).slice(0, 20)).slice(0, 10)
+            : [];
+        const created = await PasskeyCredential.create({
+            userId: req.user.id,
+            credentialId: verified.credentialId,
+            publicKeyJwk: verified.publicKeyJwk,
+            alg: verified.alg,
+            signCount: verified.signCount,
+            transports,
+            aaguid: verified.aaguid,
+            attestationFormat: verified.attestationFormat,
+            backedUp: verified.backedUp,
+            label: String(req.body?.label || 'passkey').trim().slice(0, 100) || 'passkey',
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Passkey registered',
+            passkey: serializeCredential(created),
+        });
+    } catch (error) {
+        logger.error('Passkey registration verify error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error registering passkey' });
+    }
+});
+
+router.get('/', requireAuth, requireUserAccount, async (req, res) => {
+    try {
+        const credentials = await PasskeyCredential.find({ userId: req.user.id })
+            .sort({ createdAt: -1 })
+            .lean();
+        return res.json({
+            success: true,
+            total: credentials.length,
+            passkeys: credentials.map(serializeCredential),
+        });
+    } catch (error) {
+        logger.error('List passkeys error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading passkeys' });
+    }
+});
+
+router.delete('/:credentialId', requireAuth, requireUserAccount, async (req, res) => {
+    try {
+        const deleted = await PasskeyCredential.findOneAndDelete({
+            userId: req.user.id,
+            credentialId: String(req.params.credentialId || '').trim(),
+        });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Passkey not found' });
+        }
+        return res.json({ success: true, message: 'Passkey removed', credentialId: deleted.credentialId });
+    } catch (error) {
+        logger.error('Delete passkey error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error removing passkey' });
+    }
+});
+
+// Without an email the browser offers any discoverable passkey for this RP. Unknown
+// emails get the same response shape so the endpoint cannot be used to probe accounts.
+router.post('/login/options', authGuardMiddleware, passkeyLimiter, async (req, res) => {
+    try {
+        const appId = normalizeAppId(req.body?.appId || req.body?.project);
+        const email = String(req.body?.email || '').trim().toLowerCase();
+
+        let allowCredentials = [];
+        if (email) {
+            const user = await User.findOne({ email }).select('_id').lean();
+            const credentials = user
+                ? await PasskeyCredential.find({ userId: user._id }).select('credentialId transports').lean()
+                : [];
+            allowCredentials = credentials.map((credential) => ({
+                type: 'public-key',
+                id: credential.credentialId,
+                transports: credential.transports,
+            }));
+        }
+
+        const challenge = await createChallenge({ ceremony: 'authentication', appId });
+        return res.json({
+            success: true,
+            publicKey: {
+                challenge,
+                rpId: WEBAUTHN_RP_ID,
+                timeout: WEBAUTHN_CHALLENGE_TTL_MS,
+                userVerification: 'preferred',
+                allowCredentials,
+            },
+        });
+    } catch (error) {
+        logger.error('Passkey login options error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error starting passkey login' });
+    }
+});
+
+router.post('/login/verify', authGuardMiddleware, loginThrottle(), passkeyLimiter, async (req, res) => {
+    try {
+        const credential = req.body?.credential;
+        const challenge = await consumeChallenge(readClientChallenge(credential), 'authentication');
+        if (!challenge) {
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(400).json({ success: false, message: 'Login challenge is invalid or has expired' });
+        }
+
+        const storedCredential = await PasskeyCredential.findOne({
+            credentialId: String(credential?.rawId || credential?.id || ''),
+        });
+        if (!storedCredential) {
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        let verified;
+        try {
+            verified = verifyAuthenticationResponse({
+                credential,
+                expectedChallenge: challenge.challenge,
+                storedCredential,
+            });
+        } catch (error) {
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (verified.userHandle && verified.userHandle !== String(storedCredential.userId)) {
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (verified.cloneSuspected) {
+            await recordSecurityEvent({
+                type: 'passkey_clone_suspected',
+                severity: 'critical',
+                userId: storedCredential.userId,
+                appId: challenge.appId,
+                req,
+                details: {
+                    credentialId: storedCredential.credentialId,
+                    storedSignCount: storedCredential.signCount,
+                    presentedSignCount: verified.signCount,
+                },
+            });
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(401).json({ success: false, message: 'Passkey rejected, please contact an administrator' });
+        }
+
+        const user = await User.findById(storedCredential.userId)
+            .select('name email username role orgId projects groups active tokenVersion');
+        if (!user) {
+            await recordLoginAttempt(req, false, 'passkey');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+        if (!isFeatureEnabled('PASSKEY', buildFlagContext({ user, appId: challenge.appId }))) {
+            return res.status(403).json({ success: false, message: 'Passkeys are not enabled for this account' });
+        }
+
+        await PasskeyCredential.updateOne(
+            { _id: storedCredential._id },
+            { $set: { signCount: verified.signCount, backedUp: verified.backedUp, lastUsedAt: new Date() } },
+        );
+
+        return completeLogin({
+            req,
+            res,
+            user,
+            requestedAppId: challenge.appId,
+            grantType: 'passkey',
+            attemptType: 'passkey',
+        });
+    } catch (error) {
+        logger.error('Passkey login error', { error: error.message });
+        await recordLoginAttempt(req, false, 'passkey');
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const ProvisioningToken = require('../models/ProvisioningToken');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireDeviceQuorum } = require('../middleware/quorum');
+const { adminIpGuard } = require('../config/safety');
+const { recordAuditEvent } = require('../config/audit');
+const { hashToken } = require('../config/tokens');
+const { getAppsMap } = require('../config/apps');
+const { createProvisioningToken, SCIM_BASE_URL } = require('../config/scim');
+const { DEFAULT_ORG_ID, orgScopeFilter, resolveTargetOrg } = require('../config/organizations');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+
+const normalizeAppId = (appId) => String(appId || '').trim().toLowerCase();
+
+const serializeProvisioningToken = (token) => ({
+    tokenId: token.tokenId,
+    label: token.label,
+    orgId: token.orgId || DEFAULT_ORG_ID,
+    appId: token.appId || null,
+    createdBy: token.createdBy,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+    lastUsedIp: token.lastUsedIp || null,
+    revokedAt: token.revokedAt,
+    revokedReason: token.revokedReason || undefined,
+});
+
+router.get('/admin/provisioning-tokens', ...requireAdminSafe, async (req, res) => {
+    try {
+        const tokens = await ProvisioningToken.find(orgScopeFilter(req)).sort({ createdAt: -1 }).lean();
+        return res.json({ success: true, total: tokens.length, tokens: tokens.map(serializeProvisioningToken) });
+    } catch (error) {
+        logger.error('List provisioning tokens error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading provisioning tokens' });
+    }
+});
+
+// A token without appId provisions every user and group of the organization, so
+// creating one is a quorum action like other account-wide changes.
+router.post(
+    '/admin/provisioning-tokens',
+    ...requireAdminSafe,
+    requireDeviceQuorum('provisioning_token.create', (req) => ({
+        target: normalizeAppId(req.body?.appId) || String(req.body?.orgId || req.user.orgId || DEFAULT_ORG_ID).trim().toLowerCase(),
+        params: {
+            label: String(req.body?.label || '').trim(),
+            orgId: String(req.body?.orgId || '').trim().toLowerCase(),
+            appId: normalizeAppId(req.body?.appId),
+        },
+    })),
+    async (req, res) => {
+        try {
+            const targetOrg = await resolveTargetOrg(req, req.body?.orgId);
+            if (!targetOrg.ok) {
+                return res.status(400).json({ success: false, message: targetOrg.message });
+            }
+
+            const appId = normalizeAppId(req.body?.appId) || null;
+            if (appId) {
+                const appsMap = await getAppsMap({ includeInactive: true, orgId: targetOrg.orgId });
+                if (!appsMap.has(appId)) {
+                    return res.status(400).json({ success: false, message: 'appId is not an app of this organization' });
+                }
+            }
+
+            const { tokenId, token } = createProvisioningToken();
+            const record = await ProvisioningToken.create({
+                tokenId,
+                tokenHash: hashToken(token),
+                label: String(req.body?.label || '').trim().slice(0, 100) || 'scim',
+                orgId: targetOrg.orgId,
+                appId,
+                createdBy: req.user.username,
+            });
+            await recordAuditEvent({
+                req,
+                action: 'provisioning_token.create',
+                target: { type: 'provisioning_token', id: tokenId },
+                after: { label: record.label, orgId: record.orgId, appId: record.appId },
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Provisioning token created. Store it now; it cannot be shown again.',
+                token,
+                baseUrl: SCIM_BASE_URL,
+                provisioningToken: serializeProvisioningToken(record),
+            });
+        } catch (error) {
+            logger.error('Create provisioning token error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error creating provisioning token' });
+        }
+    },
+);
+
+router.delete('/admin/provisioning-tokens/:tokenId', ...requireAdminSafe, async (req, res) => {
+    try {
+        const tokenId = String(req.params.tokenId || '').trim();
+        const reason = String(req.body?.reason || 'revoked by admin').trim().slice(0, 200);
+        const record = await ProvisioningToken.findOneAndUpdate(
+            { tokenId, revokedAt: null, ...orgScopeFilter(req) },
+            { $set: { revokedAt: new Date(), revokedReason: reason } },
+            { new: true },
+        ).lean();
+        if (!record) {
+            return res.status(404).json({ success: false, message: 'Active provisioning token not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'provisioning_token.revoke',
+            target: { type: 'provisioning_token', id: tokenId },
+            details: { reason, orgId: record.orgId, appId: record.appId },
+        });
+
+        return res.json({ success: true, message: 'Provisioning token revoked', tokenId });
+    } catch (error) {
+        logger.error('Revoke provisioning token error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error revoking provisioning token' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const AdminDevice = require('../models/AdminDevice');
+const QuorumRequest = require('../models/QuorumRequest');
+const Session = require('../models/Session');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireDeviceQuorum } = require('../middleware/quorum');
+const { recordSecurityEvent } = require('../config/securityEvents');
+const { recordAuditEvent } = require('../config/audit');
+const { getMfaStatus, verifyMfaCode } = require('../config/mfa');
+const {
+    MAX_DEVICES_PER_ADMIN,
+    parseDevicePublicKey,
+    verifyDeviceRegistrationProof,
+    serializeQuorumRequest,
+    recordDeviceDecision,
+} = require('../config/quorum');
+const {
+    AUTH_TEST_MODE,
+    hasBreakGlassToken,
+    adminIpGuard,
+    authGuardMiddleware,
+} = require('../config/safety');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+
+const quorumLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many quorum requests, please try again in 15 minutes',
+    skip: (req) => AUTH_TEST_MODE && hasBreakGlassToken(req),
+});
+
+const requireAdminAccount = (req, res, next) => {
+    if (req.user.isBreakGlass) {
+        return res.status(403).json({ success: false, message: 'Break-glass sessions have no trusted devices' });
+    }
+    return next();
+};
+
+const serializeDevice = (device) => ({
+    deviceId: device.deviceId,
+    name: device.name,
+    jkt: device.jkt,
+    createdAt: device.createdAt,
+    lastUsedAt: device.lastUsedAt,
+});
+
+const parseRegistration = (req, res, next) => {
+    try {
+        const key = parseDevicePublicKey(req.body?.publicKeyJwk);
+        verifyDeviceRegistrationProof({ proof: req.body?.proof, jwk: key.jwk, username: req.user.username });
+        req.deviceKey = key;
+        return next();
+    } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+const normalizeDeviceName = (name) => String(name || 'device').trim().slice(0, 100) || 'device';
+
+// Below the quorum size there are not enough devices to approve a new one, so the
+// admin proves it is them with a fresh MFA code instead. The factor must predate the
+// session: a stolen token could otherwise enroll its own factor first.
+const requireBootstrapMfa = async (req, res, next) => {
+    if (!req.quorumBootstrap) {
+        return next();
+    }
+    try {
+        const [mfa, session] = await Promise.all([
+            getMfaStatus(req.user.id),
+            req.user.sessionId
+                ? Session.findOne({ sessionId: req.user.sessionId, userId: req.user.id }).select('createdAt').lean()
+                : null,
+        ]);
+        if (!mfa.enabled || !session || !(mfa.enabledAt < session.createdAt)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Registering the first trusted devices needs MFA that was enabled before this session signed in',
+            });
+        }
+
+        const verification = await verifyMfaCode(req.user.id, req.body?.mfaCode);
+        if (!verification.ok) {
+            await recordSecurityEvent({
+                type: 'admin_device_mfa_failed',
+                userId: req.user.id,
+                appId: req.user.appId,
+                sessionId: req.user.sessionId,
+                req,
+                details: { jkt: req.deviceKey.jkt },
+            });
+            return res.status(403).json({ success: false, message: verification.message });
+        }
+        return next();
+    } catch (error) {
+        logger.error('Admin device MFA check error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error checking MFA' });
+    }
+};
+
+router.get('/devices', ...requireAdminSafe, requireAdminAccount, async (req, res) => {
+    try {
+        const devices = await AdminDevice.find({ userId: req.user.id }).sort({ createdAt: 1 }).lean();
+        return res.json({
+            success: true,
+            total: devices.length,
+            devices: devices.map(serializeDevice),
+        });
+    } catch (error) {
+        logger.error('List admin devices error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading trusted devices' });
+    }
+});
+
+router.post(
+    '/devices',
+    ...requireAdminSafe,
+    requireAdminAccount,
+    parseRegistration,
+    requireDeviceQuorum('device.register', (req) => ({
+        target: req.deviceKey.jkt,
+        params: { name: normalizeDeviceName(req.body?.name) },
+    }), { bootstrap: true }),
+    requireBootstrapMfa,
+    async (req, res) => {
+        try {
+            const count = await AdminDevice.countDocuments({ userId: req.user.id });
+            if (count >= MAX_DEVICES_PER_ADMIN) {
+                return res.status(400).json({ success: false, message: `An admin can register at most ${MAX_DEVICES_PER_ADMIN} devices` });
+            }
+            if (await AdminDevice.exists({ jkt: req.deviceKey.jkt })) {
+                return res.status(409).json({ success: false, message: 'This key is already registered' });
+            }
+
+            const device = await AdminDevice.create({
+                userId: req.user.id,
+                deviceId: `dev-${crypto.randomUUID()}`,
+                name: normalizeDeviceName(req.body?.name),
+                publicKeyJwk: req.deviceKey.jwk,
+                jkt: req.deviceKey.jkt,
+            });
+            await recordSecurityEvent({
+                type: 'admin_device_registered',
+                severity: req.quorumBootstrap ? 'critical' : 'warning',
+                userId: req.user.id,
+                appId: req.user.appId,
+                sessionId: req.user.sessionId,
+                req,
+                details: { deviceId: device.deviceId, quorumRequestId: req.quorumRequest?.requestId || null },
+            });
+            await recordAuditEvent({
+                req,
+                action: 'admin_device.register',
+                target: { type: 'admin_device', id: device.deviceId },
+                after: { name: device.name, jkt: device.jkt },
+                details: { quorumRequestId: req.quorumRequest?.requestId || null },
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Trusted device registered',
+                device: serializeDevice(device),
+            });
+        } catch (error) {
+            logger.error('Register admin device error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error registering trusted device' });
+        }
+    },
+);
+
+router.delete(
+    '/devices/:deviceId',
+    ...requireAdminSafe,
+    requireAdminAccount,
+    requireDeviceQuorum('device.remove', (req) => ({
+        target: String(req.params.deviceId || '').trim(),
+    })),
+    async (req, res) => {
+        try {
+            const deleted = await AdminDevice.findOneAndDelete({
+                userId: req.user.id,
+                deviceId: String(req.params.deviceId || '').trim(),
+            });
+            if (!deleted) {
+                return res.status(404).json({ success: false, message: 'Trusted device not found' });
+            }
+            await recordSecurityEvent({
+                type: 'admin_device_removed',
+                userId: req.user.id,
+                appId: req.user.appId,
+                sessionId: req.user.sessionId,
+                req,
+                details: { deviceId: deleted.deviceId },
+            });
+            await recordAuditEvent({
+                req,
+                action: 'admin_device.remove',
+                target: { type: 'admin_device', id: deleted.deviceId },
+                before: { name: deleted.name, jkt: deleted.jkt },
+                details: { quorumRequestId: req.quorumRequest?.requestId || null },
+            });
+            return res.json({ success: true, message: 'Trusted device removed', deviceId: deleted.deviceId });
+        } catch (error) {
+            logger.error('Remove admin device error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error removing trusted device' });
+        }
+    },
+);
+
+router.get('/quorum', ...requireAdminSafe, requireAdminAccount, async (req, res) => {
+    try {
+        const status = String(req.query?.status || '').trim();
+        const requests = await QuorumRequest.find({
+            userId: req.user.id,
+            ...(status ? { status } : {}),
+        })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .lean();
+        return res.json({
+            success: true,
+            total: requests.length,
+            requests: requests.map(serializeQuorumRequest),
+        });
+    } catch (error) {
+        logger.error('List quorum requests error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading quorum requests' });
+    }
+});
+
+router.delete('/quorum/:requestId', ...requireAdminSafe, requireAdminAccount, async (req, res) => {
+    try {
+        const result = await QuorumRequest.updateOne(
+            { requestId: String(req.params.requestId || '').trim(), userId: req.user.id, status: { $in: ['pending', 'approved'] } },
+            { $set: { status: 'cancelled' } },
+        );
+        if (!result.matchedCount) {
+            return res.status(404).json({ success: false, message: 'Quorum request not found or already settled' });
+        }
+        return res.json({ success: true, message: 'Quorum request cancelled' });
+    } catch (error) {
+        logger.error('Cancel quorum request error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error cancelling quorum request' });
+    }
+});
+
+// Devices do not hold admin tokens: they read the request they are asked to sign here
+// and authenticate the decision with their own key.
+router.get('/quorum/:requestId', authGuardMiddleware, quorumLimiter, async (req, res) => {
+    try {
+        const request = await QuorumRequest.findOne({ requestId: String(req.params.requestId || '').trim() }).lean();
+        if (!request) {
+            return res.status(404).json({ success: false, message: 'Quorum request not found' });
+        }
+        return res.json({ success: true, quorumRequest: serializeQuorumRequest(request) });
+    } catch (error) {
+        logger.error('Get quorum request error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading quorum request' });
+    }
+});
+
+const handleDeviceDecision = (decision) => async (req, res) => {
+    try {
+        const result = await recordDeviceDecision({
+            requestId: String(req.params.requestId || '').trim(),
+            signature: req.body?.signature,
+            decision,
+        });
+        if (!result.ok) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        if (decision === 'reject') {
+            await recordSecurityEvent({
+                type: 'quorum_rejected',
+                severity: 'critical',
+                userId: result.request.userId,
+                req,
+                details: {
+                    requestId: result.request.requestId,
+                    action: result.request.action,
+                    target: result.request.target,
+                    deviceId: result.device.deviceId,
+                },
+            });
+        }
+
+        return res.json({
+            success: true,
+            message: decision === 'reject' ? 'Quorum request rejected' : 'Approval recorded',
+            quorumRequest: serializeQuorumRequest(result.request),
+        });
+    } catch (error) {
+        logger.error('Quorum decision error', { decision, error: error.message });
+        return res.status(500).json({ success: false, message: 'Error recording device decision' });
+    }
+};
+
+router.post('/quorum/:requestId/approve', authGuardMiddleware, quorumLimiter, handleDeviceDecision('approve'));
+router.post('/quorum/:requestId/reject', authGuardMiddleware, quorumLimiter, handleDeviceDecision('reject'));
+
+module.exports = router;
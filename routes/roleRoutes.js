@@ -0,0 +1,346 @@
+const express = require('express');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { adminIpGuard } = require('../config/safety');
+const { recordAuditEvent } = require('../config/audit');
+const { getAppsMap, resolveEffectiveApps } = require('../config/apps');
+const { DEFAULT_ORG_ID, orgScopeFilter, requirePlatformAdmin } = require('../config/organizations');
+const {
+    PERMISSION_KEY_PATTERN,
+    ROLE_KEY_PATTERN,
+    RESERVED_ROLE_KEYS,
+    BUILT_IN_PERMISSIONS,
+    normalizePermissionKey,
+    normalizeRoleKey,
+    refreshRoles,
+    resolvePermissions,
+    listPermissions,
+    normalizePermissionList,
+    normalizeRoleGrants,
+} = require('../config/permissions');
+
+const router = express.Router();
+
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+// Roles and permissions are defined once for every organization; tenant admins can
+// read and grant them but not change them.
+const requirePlatformAdminSafe = [...requireAdminSafe, requirePlatformAdmin];
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const serializeRole = (role) => ({
+    key: role.key,
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions,
+    updatedBy: role.updatedBy,
+    createdAt: role.createdAt,
+    updatedAt: role.updatedAt,
+});
+
+const auditedRoleFields = (role) => (role
+    ? { name: role.name, description: role.description, permissions: role.permissions }
+    : null);
+
+const parseRoleChanges = async (body = {}) => {
+    const changes = {};
+    if (body.name !== undefined) {
+        changes.name = String(body.name || '').trim().slice(0, 100);
+        if (!changes.name) {
+            throw new Error('name cannot be empty');
+        }
+    }
+    if (body.description !== undefined) {
+        changes.description = String(body.description || '').trim().slice(0, 300);
+    }
+    if (body.permissions !== undefined) {
+        changes.permissions = await normalizePermissionList(body.permissions);
+    }
+    return changes;
+};
+
+// The caller's permissions in the app its token was issued for, without waiting for
+// a new token's permissions claim.
+router.get('/permissions', requireAuth, (req, res) => res.json({
+    success: true,
+    appId: req.user.appId || null,
+    role: req.user.role,
+    permissions: req.user.permissions || [],
+}));
+
+router.get('/admin/permissions', ...requireAdminSafe, async (_req, res) => {
+    try {
+        const permissions = await listPermissions();
+        return res.json({ success: true, total: permissions.length, permissions });
+    } catch (error) {
+        logger.error('List permissions error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading permissions' });
+    }
+});
+
+router.post('/admin/permissions', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizePermissionKey(req.body?.key);
+        if (!PERMISSION_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'key must look like resource:action, using a-z, 0-9 and -',
+            });
+        }
+        if (BUILT_IN_PERMISSIONS.some((permission) => permission.key === key) || await Permission.exists({ key })) {
+            return res.status(409).json({ success: false, message: 'A permission with this key already exists' });
+        }
+
+        const permission = await Permission.create({
+            key,
+            description: String(req.body?.description || '').trim().slice(0, 300),
+            updatedBy: req.user.username,
+        });
+        await recordAuditEvent({
+            req,
+            action: 'permission.create',
+            target: { type: 'permission', id: key },
+            after: { description: permission.description },
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Permission created',
+            permission: { key, description: permission.description, builtIn: false },
+        });
+    } catch (error) {
+        logger.error('Create permission error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error creating permission' });
+    }
+});
+
+router.delete('/admin/permissions/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizePermissionKey(req.params.key);
+        if (BUILT_IN_PERMISSIONS.some((permission) => permission.key === key)) {
+            return res.status(400).json({ success: false, message: 'Built-in permissions cannot be deleted' });
+        }
+        if (await Role.exists({ permissions: key })) {
+            return res.status(409).json({ success: false, message: 'Remove the permission from every role first' });
+        }
+
+        const deleted = await Permission.findOneAndDelete({ key });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Permission not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'permission.delete',
+            target: { type: 'permission', id: key },
+            before: { description: deleted.description },
+        });
+
+        return res.json({ success: true, message: 'Permission deleted', key });
+    } catch (error) {
+        logger.error('Delete permission error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error deleting permission' });
+    }
+});
+
+router.get('/admin/roles', ...requireAdminSafe, async (_req, res) => {
+    try {
+        const roles = await Role.find({}).sort({ key: 1 }).lean();
+        return res.json({ success: true, total: roles.length, roles: roles.map(serializeRole) });
+    } catch (error) {
+        logger.error('List roles error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading roles' });
+    }
+});
+
+router.post('/admin/roles', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeRoleKey(req.body?.key);
+        if (!ROLE_KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'key must be 2-48 characters of a-z, 0-9 and - starting with a letter',
+            });
+        }
+        if (RESERVED_ROLE_KEYS.includes(key)) {
+            return res.status(400).json({ success: false, message: `${key} is a built-in role` });
+        }
+
+        let changes;
+        try {
+            changes = await parseRoleChanges({ name: key, ...req.body });
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        if (await Role.exists({ key })) {
+            return res.status(409).json({ success: false, message: 'A role with this key already exists' });
+        }
+
+        const role = await Role.create({ key, ...changes, updatedBy: req.user.username });
+        await refreshRoles({ force: true });
+        await recordAuditEvent({
+            req,
+            action: 'role.create',
+            target: { type: 'role', id: key },
+            after: auditedRoleFields(role.toObject()),
+        });
+
+        return res.status(201).json({ success: true, message: 'Role created', role: serializeRole(role) });
+    } catch (error) {
+        logger.error('Create role error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error creating role' });
+    }
+});
+
+router.put('/admin/roles/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeRoleKey(req.params.key);
+        let changes;
+        try {
+            changes = await parseRoleChanges(req.body);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const previous = await Role.findOne({ key }).lean();
+        const role = await Role.findOneAndUpdate(
+            { key },
+            { $set: { ...changes, updatedBy: req.user.username } },
+            { new: true },
+        ).lean();
+        if (!role) {
+            return res.status(404).json({ success: false, message: 'Role not found' });
+        }
+        await refreshRoles({ force: true });
+        await recordAuditEvent({
+            req,
+            action: 'role.update',
+            target: { type: 'role', id: key },
+            before: auditedRoleFields(previous),
+            after: auditedRoleFields(role),
+        });
+
+        return res.json({ success: true, message: 'Role updated', role: serializeRole(role) });
+    } catch (error) {
+        logger.error('Update role error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating role' });
+    }
+});
+
+// Also removes every grant of the role, so a role created later under the same key
+// does not inherit old holders.
+router.delete('/admin/roles/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const key = normalizeRoleKey(req.params.key);
+        const deleted = await Role.findOneAndDelete({ key });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Role not found' });
+        }
+        const released = await User.updateMany(
+            { 'roleGrants.role': key },
+            { $pull: { roleGrants: { role: key } } },
+        );
+        await refreshRoles({ force: true });
+        await recordAuditEvent({
+            req,
+            action: 'role.delete',
+            target: { type: 'role', id: key },
+            before: auditedRoleFields(deleted.toObject()),
+            details: { grantsRemovedFromUsers: released.modifiedCount || 0 },
+        });
+
+        return res.json({ success: true, message: 'Role deleted', key });
+    } catch (error) {
+        logger.error('Delete role error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error deleting role' });
+    }
+});
+
+router.get('/admin/users/:username/roles', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        const user = await User.findOne({ username, ...orgScopeFilter(req) })
+            .select('username role orgId projects groups active roleGrants')
+            .lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const appIds = [...new Set([...await resolveEffectiveApps(user), ...(user.roleGrants || []).map((grant) => grant.appId)])]
+            .filter((appId) => appId !== '*');
+        const effective = {};
+        for (const appId of appIds) {
+            effective[appId] = await resolvePermissions(user.roleGrants, appId);
+        }
+
+        return res.json({
+            success: true,
+            username: user.username,
+            role: user.role,
+            orgId: user.orgId || DEFAULT_ORG_ID,
+            grants: user.roleGrants || [],
+            permissions: effective,
+        });
+    } catch (error) {
+        logger.error('Get user roles error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading user roles' });
+    }
+});
+
+// Replaces the user's grants. Permissions are resolved on every request, so the change
+// applies to existing tokens at once; only their permissions claim lags until refresh.
+router.put('/admin/users/:username/roles', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        let grants;
+        try {
+            grants = await normalizeRoleGrants(req.body?.grants);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const previousUser = await User.findOne({ username, ...orgScopeFilter(req) }).select('orgId roleGrants').lean();
+        if (!previousUser) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const appsMap = await getAppsMap({ includeInactive: true, orgId: previousUser.orgId || DEFAULT_ORG_ID });
+        const invalidAppIds = [...new Set(grants
+            .map((grant) => grant.appId)
+            .filter((appId) => appId !== '*' && !appsMap.has(appId)))];
+        if (invalidAppIds.length > 0) {
+            return res.status(400).json({ success: false, message: `Invalid appId(s): ${invalidAppIds.join(', ')}` });
+        }
+
+        const updatedUser = await User.findOneAndUpdate(
+            { _id: previousUser._id },
+            { $set: { roleGrants: grants } },
+            { new: true },
+        ).select('username roleGrants').lean();
+        if (!updatedUser) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'user.roles.update',
+            target: { type: 'user', id: updatedUser.username },
+            before: { grants: previousUser.roleGrants || [] },
+            after: { grants: updatedUser.roleGrants || [] },
+        });
+
+        return res.json({
+            success: true,
+            message: 'User roles updated',
+            username: updatedUser.username,
+            grants: updatedUser.roleGrants || [],
+        });
+    } catch (error) {
+        logger.error('Set user roles error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating user roles' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const User = require('../models/User');
+const App = require('../models/App');
+const logger = require('../config/logger');
+const { normalizeAppId, resolveAppAccess, resolveEffectiveApps } = require('../config/apps');
+const { resolvePermissions } = require('../config/permissions');
+const {
+    verifyMfaCode,
+    startMfaChallenge,
+    findMfaChallenge,
+    recordFailedMfaAttempt,
+    consumeMfaChallenge,
+} = require('../config/mfa');
+const { AUTH_TEST_MODE, hasBreakGlassToken, authGuardMiddleware } = require('../config/safety');
+const { checkLoginThrottle, recordLoginAttempt } = require('../config/throttle');
+const {
+    RISK_DENY_MESSAGE,
+    RISK_STEP_UP_MESSAGE,
+    assessLoginRisk,
+    recordLoginEvent,
+} = require('../config/risk');
+const { escapeHtml, renderPage } = require('../config/hostedPages');
+const {
+    SAML_STATUS,
+    MAX_RELAY_STATE_LENGTH,
+    getSamlCredential,
+    buildIdpMetadata,
+    buildAssertionResponse,
+    buildErrorResponse,
+    resolveNameId,
+    decodeSamlRequest,
+    parseAuthnRequest,
+    verifyRedirectSignature,
+} = require('../config/saml');
+
+const router = express.Router();
+
+// Service providers POST their AuthnRequests here without credentials; only actual
+// sign-in attempts count against the limit.
+const ssoLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: 'Too many authentication attempts, please try again in 15 minutes',
+    skip: (req) => (AUTH_TEST_MODE && hasBreakGlassToken(req)) || !(req.body?.email || req.body?.mfa_token),
+});
+
+router.use(express.urlencoded({ extended: false, limit: '100kb' }));
+
+const invalidRequest = (message) => ({ ok: false, message });
+
+// Works out which SP is asking and where the assertion goes. Three shapes, carried from
+// page to page in hidden inputs:
+//   saml_query           the raw query of an HTTP-Redirect AuthnRequest (kept raw so its
+//                        signature can be checked again on every step)
+//   SAMLRequest          an HTTP-POST AuthnRequest
+//   app                  IdP-initiated sign-in to the app with this appId
+// The ACS URL always comes from the app's settings, never from the request alone.
+const validateSsoRequest = async (params) => {
+    const samlQuery = String(params.saml_query || '');
+    let relayState = String(params.RelayState || '');
+    let hiddenFields;
+    let authnRequest = null;
+    let app;
+
+    if (samlQuery || params.SAMLRequest) {
+        const binding = samlQuery ? 'redirect' : 'post';
+        const samlRequest = binding === 'redirect' ? new URLSearchParams(samlQuery).get('SAMLRequest') : params.SAMLRequest;
+        if (binding === 'redirect') {
+            relayState = new URLSearchParams(samlQuery).get('RelayState') || '';
+        }
+        try {
+            authnRequest = parseAuthnRequest(decodeSamlRequest(samlRequest, binding));
+        } catch (error) {
+            return invalidRequest(error.message);
+        }
+
+        app = authnRequest.issuer
+            ? await App.findOne({ 'saml.entityId': authnRequest.issuer }).lean()
+            : null;
+        if (!app?.saml) {
+            return invalidRequest('Unknown service provider');
+        }
+        if (authnRequest.acsUrl && authnRequest.acsUrl !== app.saml.acsUrl) {
+            return invalidRequest('AssertionConsumerServiceURL does not match the registered ACS URL');
+        }
+        // Only the redirect binding's signature is checked, so an SP that signs its
+        // requests must use it.
+        if (app.saml.signingCert) {
+            if (binding !== 'redirect') {
+                return invalidRequest('This service provider must send signed requests with the HTTP-Redirect binding');
+            }
+            if (!verifyRedirectSignature(samlQuery, app.saml.signingCert)) {
+                return invalidRequest('AuthnRequest signature is invalid');
+            }
+        }
+        hiddenFields = binding === 'redirect'
+            ? { saml_query: samlQuery }
+            : { SAMLRequest: params.SAMLRequest, RelayState: relayState };
+    } else if (params.app) {
+        app = await App.findOne({ appId: normalizeAppId(params.app) }).lean();
+        if (!app?.saml) {
+            return invalidRequest('Unknown service provider');
+        }
+        if (!app.saml.allowIdpInitiated) {
+            return invalidRequest('This app only accepts sign-ins it starts itself');
+        }
+        hiddenFields = { app: app.appId, RelayState: relayState };
+    } else {
+        return invalidRequest('SAMLRequest or app is required');
+    }
+
+    if (app.status !== 'active') {
+        return invalidRequest('App is not available');
+    }
+    if (relayState.length > MAX_RELAY_STATE_LENGTH) {
+        return invalidRequest('RelayState is too long');
+    }
+
+    return {
+        ok: true,
+        app,
+        sp: app.saml,
+        authnRequest,
+        relayState,
+        hiddenFields,
+    };
+};
+
+const renderSsoError = (res, message, status = 400) => renderPage(res, status, 'Sign-in error', `<p class="error">${escapeHtml(message)}</p>`);
+
+const renderHiddenInputs = (validation, extraFields = {}) => Object.entries({
+    ...validation.hiddenFields,
+    ...extraFields,
+})
+    .filter(([, value]) => value)
+    .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}" />`)
+    .join('\n      ');
+
+const renderLoginPage = (res, validation, { status = 200, error = '', email = '' } = {}) => renderPage(res, status, 'Sign in', `
+    <p>to continue to <strong>${escapeHtml(validation.app.name)}</strong></p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="sso">
+      ${renderHiddenInputs(validation)}
+      <label for="email">Email</label>
+      <input id="email" name="email" type="email" autocomplete="username" value="${escapeHtml(email)}" required />
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password" required />
+      <button type="submit">Sign in</button>
+    </form>`);
+
+const renderMfaPage = (res, validation, { status = 200, error = '', mfaToken }) => renderPage(res, status, 'Verify it\'s you', `
+    <p>Enter the code from your authenticator app or a recovery code.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="sso">
+      ${renderHiddenInputs(validation, { mfa_token: mfaToken })}
+      <label for="code">Code</label>
+      <input id="code" name="code" type="text" inputmode="numeric" autocomplete="one-time-code" required />
+      <button type="submit">Verify</button>
+    </form>`);
+
+// HTTP-POST binding back to the SP: a form the browser submits on load.
+const sendSamlResponse = (res, validation, responseXml) => {
+    const scriptNonce = crypto.randomBytes(16).toString('base64');
+    return renderPage(res, 200, 'Signing in', `
+    <p>Continuing to <strong>${escapeHtml(validation.app.name)}</strong>...</p>
+    <form method="post" action="${escapeHtml(validation.sp.acsUrl)}">
+      <input type="hidden" name="SAMLResponse" value="${Buffer.from(responseXml).toString('base64')}" />
+      ${validation.relayState ? `<input type="hidden" name="RelayState" value="${escapeHtml(validation.relayState)}" />` : ''}
+      <noscript><button type="submit">Continue</button></noscript>
+    </form>
+    <script nonce="${scriptNonce}">document.forms[0].submit();</script>`, { scriptNonce });
+};
+
+const sendSamlError = (res, validation, statusCode, subStatusCode, message) => sendSamlResponse(res, validation, buildErrorResponse({
+    acsUrl: validation.sp.acsUrl,
+    inResponseTo: validation.authnRequest?.id,
+    statusCode,
+    subStatusCode,
+    message,
+}));
+
+// Attribute names stay short and match the claims /login puts in tokens.
+const buildAttributes = async (user, appId) => ({
+    email: user.email,
+    username: user.username,
+    name: user.name,
+    orgId: user.orgId,
+    role: user.role,
+    groups: user.groups || [],
+    apps: await resolveEffectiveApps(user),
+    permissions: await resolvePermissions(user.roleGrants, appId),
+});
+
+router.get('/metadata', async (req, res) => {
+    try {
+        const credential = await getSamlCredential();
+        res.setHeader('Content-Type', 'application/samlmetadata+xml; charset=utf-8');
+        res.setHeader('Cache-Control', 'public, max-age=3600');
+        return res.send(buildIdpMetadata(credential));
+    } catch (error) {
+        logger.error('SAML metadata error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading SAML metadata' });
+    }
+});
+
+// HTTP-Redirect AuthnRequests and IdP-initiated links (/saml/sso?app=<appId>).
+router.get('/sso', async (req, res) => {
+    try {
+        const rawQuery = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+        const validation = await validateSsoRequest(req.query?.SAMLRequest
+            ? { saml_query: rawQuery }
+            : { app: req.query?.app, RelayState: req.query?.RelayState });
+        if (!validation.ok) {
+            return renderSsoError(res, validation.message);
+        }
+        if (validation.authnRequest?.isPassive) {
+            return sendSamlError(res, validation, SAML_STATUS.responder, SAML_STATUS.noPassive, 'Sign-in requires user interaction');
+        }
+
+        return renderLoginPage(res, validation);
+    } catch (error) {
+        logger.error('SAML SSO page error', { error: error.message });
+        return renderSsoError(res, 'Server error', 500);
+    }
+});
+
+router.post('/sso', authGuardMiddleware, ssoLimiter, async (req, res) => {
+    try {
+        const validation = await validateSsoRequest(req.body || {});
+        if (!validation.ok) {
+            return renderSsoError(res, validation.message);
+        }
+
+        const mfaToken = String(req.body?.mfa_token || '').trim();
+        const hasCredentials = Boolean(mfaToken || req.body?.email || req.body?.password);
+        // An HTTP-POST AuthnRequest straight from the SP.
+        if (!hasCredentials) {
+            if (validation.authnRequest?.isPassive) {
+                return sendSamlError(res, validation, SAML_STATUS.responder, SAML_STATUS.noPassive, 'Sign-in requires user interaction');
+            }
+            return renderLoginPage(res, validation);
+        }
+
+        const { appId } = validation.app;
+        let user;
+        let risk = null;
+        const throttle = await checkLoginThrottle(req, {
+            account: mfaToken ? '' : req.body?.email,
+            appId,
+        });
+        if (!throttle.ok) {
+            res.setHeader('Retry-After', String(throttle.retryAfterSeconds));
+            return renderLoginPage(res, validation, { status: 429, error: throttle.message, email: req.body?.email });
+        }
+
+        if (mfaToken) {
+            const challenge = await findMfaChallenge(mfaToken);
+            if (!challenge || challenge.appId !== appId) {
+                await recordLoginAttempt(req, false, 'saml');
+                return renderLoginPage(res, validation, { status: 401, error: 'Verification expired, please sign in again' });
+            }
+
+            const verification = await verifyMfaCode(challenge.userId, req.body?.code);
+            if (!verification.ok) {
+                await recordFailedMfaAttempt(challenge);
+                await recordLoginAttempt(req, false, 'saml');
+                await recordLoginEvent({
+                    user: { _id: challenge.userId },
+                    appId,
+                    req,
+                    type: 'mfa',
+                    outcome: 'failure',
+                });
+                return renderMfaPage(res, validation, { status: 401, error: verification.message, mfaToken });
+            }
+            if (!await consumeMfaChallenge(challenge)) {
+                await recordLoginAttempt(req, false, 'saml');
+                return renderLoginPage(res, validation, { status: 401, error: 'Verification expired, please sign in again' });
+            }
+
+            user = await User.findById(challenge.userId).select('name username email role orgId projects groups roleGrants active');
+            if (!user) {
+                await recordLoginAttempt(req, false, 'saml');
+                return renderLoginPage(res, validation, { status: 401, error: 'Invalid credentials' });
+            }
+        } else {
+            const email = String(req.body?.email || '').trim().toLowerCase();
+            const password = String(req.body?.password || '');
+            if (!email || !password) {
+                return renderLoginPage(res, validation, { status: 400, error: 'Missing email or password', email });
+            }
+
+            user = await User.findOne({ email }).select('name username email role orgId projects groups roleGrants active +password');
+            const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+            if (!isMatch) {
+                await recordLoginAttempt(req, false, 'saml');
+                if (user) {
+                    await recordLoginEvent({ user, appId, req, type: 'saml', outcome: 'failure' });
+                }
+                return renderLoginPage(res, validation, { status: 401, error: 'Invalid credentials', email });
+            }
+
+            // The same decisions as /login: deny outright, and a step-up is met by MFA.
+            risk = await assessLoginRisk({ user, appId, req, type: 'saml' });
+            if (risk.decision === 'deny') {
+                await recordLoginAttempt(req, false, 'saml');
+                await recordLoginEvent({ user, appId, req, type: 'saml', outcome: 'blocked', assessment: risk });
+                return renderLoginPage(res, validation, { status: 403, error: RISK_DENY_MESSAGE, email });
+            }
+
+            // Enrollment needs the JSON /login flow; this page only collects codes.
+            const mfaChallenge = await startMfaChallenge({ user, appId });
+            if (mfaChallenge?.enrollmentRequired) {
+                return renderLoginPage(res, validation, {
+                    status: 403,
+                    error: 'Set up multi-factor authentication before signing in here',
+                    email,
+                });
+            }
+            if (mfaChallenge) {
+                await recordLoginAttempt(req, true, 'saml');
+                await recordLoginEvent({ user, appId, req, type: 'saml', outcome: 'challenged', assessment: risk });
+                return renderMfaPage(res, validation, { mfaToken: mfaChallenge.mfaToken });
+            }
+
+            if (risk.decision === 'step_up') {
+                await recordLoginAttempt(req, false, 'saml');
+                await recordLoginEvent({ user, appId, req, type: 'saml', outcome: 'blocked', assessment: risk });
+                return renderLoginPage(res, validation, { status: 403, error: RISK_STEP_UP_MESSAGE, email });
+            }
+        }
+
+        const access = await resolveAppAccess(user, appId);
+        if (!access.ok) {
+            if (!validation.authnRequest) {
+                return renderSsoError(res, access.message, access.status);
+            }
+            return sendSamlError(res, validation, SAML_STATUS.responder, SAML_STATUS.requestDenied, access.message);
+        }
+
+        const responseXml = buildAssertionResponse({
+            credential: await getSamlCredential(),
+            audience: validation.sp.entityId,
+            acsUrl: validation.sp.acsUrl,
+            inResponseTo: validation.authnRequest?.id,
+            nameId: resolveNameId(user, validation.sp),
+            nameIdFormat: validation.sp.nameIdFormat,
+            attributes: await buildAttributes(user, appId),
+            authnInstant: new Date(),
+        });
+
+        await recordLoginAttempt(req, true, 'saml');
+        await recordLoginEvent({
+            user,
+            appId,
+            req,
+            type: mfaToken ? 'mfa' : 'saml',
+            outcome: 'success',
+            assessment: risk,
+        });
+        return sendSamlResponse(res, validation, responseXml);
+    } catch (error) {
+        logger.error('SAML SSO error', { error: error.message });
+        await recordLoginAttempt(req, false, 'saml');
+        return renderSsoError(res, 'Server error', 500);
+    }
+});
+
+module.exports = router;
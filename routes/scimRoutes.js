@@ -0,0 +1,707 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const MfaFactor = require('../models/MfaFactor');
+const AdminDevice = require('../models/AdminDevice');
+const logger = require('../config/logger');
+const { revokeUserSessions } = require('../config/sessions');
+const { recordAuditEvent } = require('../config/audit');
+const { normalizeAppList } = require('../config/apps');
+const {
+    SCIM_CONTENT_TYPE,
+    SCIM_BASE_URL,
+    SCHEMAS,
+    MAX_PAGE_SIZE,
+    USER_FILTER_ATTRIBUTES,
+    GROUP_FILTER_ATTRIBUTES,
+    sendScim,
+    sendScimError,
+    scimError,
+    requireProvisioningToken,
+    readPage,
+    listResponse,
+    normalizeAttributePath,
+    parseScimFilter,
+    serializeScimUser,
+    serializeScimGroup,
+    readPatchOperations,
+    readScimBoolean,
+} = require('../config/scim');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
+const USER_SELECT = 'name username email role orgId projects groups active externalId tokenVersion createdAt updatedAt';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+const isStrongPassword = (password) => {
+    if (typeof password !== 'string') {
+        return false;
+    }
+    return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[^A-Za-z\d]).{12,128}$/.test(password);
+};
+
+const slugifyGroupId = (name) => {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^[^a-z]+|-+$/g, '');
+    return (slug.length >= 2 ? slug : `group-${slug}`).slice(0, 40).replace(/-+$/, '');
+};
+
+// App tokens manage only the users holding their app; tenant tokens the whole organization.
+const userScope = (req) => ({
+    orgId: req.scim.orgId,
+    ...(req.scim.appId ? { projects: req.scim.appId } : {}),
+});
+
+const findScimUser = (req, id) => (mongoose.isValidObjectId(id)
+    ? User.findOne({ _id: id, ...userScope(req) }).select(USER_SELECT)
+    : null);
+
+const findScimGroup = (req, id) => (mongoose.isValidObjectId(id)
+    ? Group.findOne({ _id: id, orgId: req.scim.orgId })
+    : null);
+
+const auditedUserFields = (user) => ({
+    username: user.username,
+    email: user.email,
+    name: user.name,
+    externalId: user.externalId || '',
+    active: user.active !== false,
+});
+
+const requireTenantToken = (req, res, next) => {
+    if (req.scim.appId) {
+        return sendScimError(res, 403, 'Groups need a provisioning token for the whole organization');
+    }
+    return next();
+};
+
+const handleScimError = (res, error, logMessage) => {
+    if (error.status) {
+        return sendScimError(res, error.status, error.message, error.scimType);
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return sendScimError(res, 400, error.message, 'invalidValue');
+    }
+    if (error.code === 11000) {
+        return sendScimError(res, 409, 'A resource with this value already exists', 'uniqueness');
+    }
+    logger.error(logMessage, { error: error.message });
+    return sendScimError(res, 500, 'Server error');
+};
+
+const readPrimaryEmail = (emails) => {
+    if (!Array.isArray(emails) || emails.length === 0) {
+        return undefined;
+    }
+    const primary = emails.find((email) => email?.primary === true || String(email?.primary).toLowerCase() === 'true');
+    return normalizeEmail((primary || emails[0])?.value);
+};
+
+// Maps a full SCIM User onto the fields this server keeps. userName becomes the username,
+// and name is stored as one string.
+const readScimUser = (body = {}) => {
+    const username = normalizeUsername(body.userName);
+    const email = readPrimaryEmail(body.emails) || (username.includes('@') ? username : '');
+    const givenAndFamily = [body.name?.givenName, body.name?.familyName].filter(Boolean).join(' ');
+    const user = {
+        username,
+        email,
+        name: String(body.name?.formatted || givenAndFamily || body.displayName || username).trim().slice(0, 100),
+        externalId: String(body.externalId || '').trim().slice(0, 200),
+    };
+    if (body.active !== undefined) {
+        user.active = readScimBoolean(body.active);
+    }
+    if (body.password !== undefined) {
+        user.password = body.password;
+    }
+    return user;
+};
+
+const validateUserChanges = (changes) => {
+    if (changes.username !== undefined && (changes.username.length < 3 || changes.username.length > 30)) {
+        throw scimError(400, 'userName must be 3-30 characters', 'invalidValue');
+    }
+    if (changes.email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(changes.email)) {
+        throw scimError(400, 'A valid email is required in emails or userName', 'invalidValue');
+    }
+    if (changes.name !== undefined && changes.name.length < 2) {
+        throw scimError(400, 'name must be at least 2 characters', 'invalidValue');
+    }
+    if (changes.password !== undefined && !isStrongPassword(changes.password)) {
+        throw scimError(400, 'password must be 12-128 characters with upper and lower case letters, a digit and a symbol', 'invalidValue');
+    }
+};
+
+// PATCH paths this server stores; other attributes (title, addresses, extensions) are
+// accepted and ignored so common clients can sync without errors.
+const readUserPatch = (operations) => {
+    const changes = {};
+    const nameParts = {};
+    for (const { op, path, value } of operations) {
+        const attribute = normalizeAttributePath(path);
+        if (op === 'remove') {
+            if (attribute === 'externalid') {
+                changes.externalId = '';
+                continue;
+            }
+            throw scimError(400, `${path} cannot be removed`, 'mutability');
+        }
+        if (attribute === 'active') {
+            changes.active = readScimBoolean(value);
+        } else if (attribute === 'username') {
+            changes.username = normalizeUsername(value);
+        } else if (attribute === 'displayname' || attribute === 'name.formatted') {
+            changes.name = String(value || '').trim().slice(0, 100);
+        } else if (attribute === 'name') {
+            changes.name = String(value?.formatted || [value?.givenName, value?.familyName].filter(Boolean).join(' ')).trim().slice(0, 100);
+        } else if (attribute === 'name.givenname' || attribute === 'name.familyname') {
+            nameParts[attribute] = String(value || '').trim();
+        } else if (attribute === 'emails') {
+            changes.email = readPrimaryEmail(Array.isArray(value) ? value : [value]);
+        } else if (attribute === 'emails.value' || /^emails\[.*\]\.value$/.test(attribute)) {
+            changes.email = normalizeEmail(value);
+        } else if (attribute === 'externalid') {
+            changes.externalId = String(value || '').trim().slice(0, 200);
+        } else if (attribute === 'password') {
+            changes.password = value;
+        }
+    }
+    if (changes.name === undefined && (nameParts['name.givenname'] || nameParts['name.familyname'])) {
+        changes.name = [nameParts['name.givenname'], nameParts['name.familyname']].filter(Boolean).join(' ').slice(0, 100);
+    }
+    return changes;
+};
+
+// Deprovisioning bumps tokenVersion and revokes sessions, so every issued token stops
+// working at once. With an app token it only removes that app from the user and
+// revokes the sessions of that app; the account and its other apps are untouched. Admin
+// accounts are never changed through SCIM, and app tokens cannot change credentials
+// or identifiers shared by every app the user signs in to.
+const applyUserChanges = async (req, user, changes) => {
+    if (user.role === 'admin') {
+        throw scimError(403, 'Admins cannot be modified through SCIM');
+    }
+    if (req.scim.appId) {
+        const changesShared = changes.password !== undefined
+            || (changes.username !== undefined && changes.username !== user.username)
+            || (changes.email !== undefined && changes.email !== user.email);
+        if (changesShared) {
+            throw scimError(400, 'App provisioning tokens cannot change password, userName or emails', 'mutability');
+        }
+    }
+    validateUserChanges(changes);
+    const before = auditedUserFields(user);
+
+    const conflicts = [];
+    if (changes.username !== undefined && changes.username !== user.username) {
+        conflicts.push({ username: changes.username });
+    }
+    if (changes.email !== undefined && changes.email !== user.email) {
+        conflicts.push({ email: changes.email });
+    }
+    if (conflicts.length > 0 && await User.exists({ _id: { $ne: user._id }, $or: conflicts })) {
+        throw scimError(409, 'userName or email is already taken', 'uniqueness');
+    }
+
+    ['username', 'email', 'name', 'externalId'].forEach((field) => {
+        if (changes[field] !== undefined) {
+            user[field] = changes[field];
+        }
+    });
+
+    let revokeReason = null;
+    let appRevokeReason = null;
+    let activeAction = null;
+    if (changes.password !== undefined) {
+        user.password = await bcrypt.hash(changes.password, BCRYPT_ROUNDS);
+        revokeReason = 'password changed via SCIM';
+    }
+    if (changes.active === false && req.scim.appId) {
+        user.projects = normalizeAppList(user.projects).filter((appId) => appId !== req.scim.appId);
+        appRevokeReason = 'deprovisioned from app via SCIM';
+        activeAction = 'scim.user.deactivate';
+    } else if (changes.active === false && user.active !== false) {
+        user.active = false;
+        revokeReason = 'deprovisioned via SCIM';
+        activeAction = 'scim.user.deactivate';
+    } else if (changes.active === true && user.active === false && !req.scim.appId) {
+        user.active = true;
+        activeAction = 'scim.user.reactivate';
+    }
+    if (revokeReason) {
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+
+    await user.save();
+    if (revokeReason) {
+        await revokeUserSessions(user._id, revokeReason);
+    }
+    if (appRevokeReason) {
+        await revokeUserSessions(user._id, appRevokeReason, { appId: req.scim.appId });
+    }
+
+    await recordAuditEvent({
+        req,
+        action: activeAction || 'scim.user.update',
+        target: { type: 'user', id: user.username },
+        before,
+        after: auditedUserFields(user),
+        details: {
+            ...(req.scim.appId ? { appId: req.scim.appId } : {}),
+            ...(changes.password !== undefined ? { passwordChanged: true } : {}),
+        },
+    });
+    return user;
+};
+
+const sendUser = (req, res, status, user) => {
+    const resource = serializeScimUser(user, { appId: req.scim.appId });
+    if (status === 201) {
+        res.set('Location', resource.meta.location);
+    }
+    return sendScim(res, status, resource);
+};
+
+const loadMembers = (group) => User.find({ orgId: group.orgId, groups: group.groupId })
+    .select('username')
+    .sort({ username: 1 })
+    .lean();
+
+const readMemberIds = async (req, members) => {
+    if (!Array.isArray(members)) {
+        throw scimError(400, 'members must be an array', 'invalidValue');
+    }
+    const ids = [...new Set(members.map((member) => String(member?.value || '').trim()).filter(Boolean))];
+    if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+        throw scimError(400, 'members must reference User ids', 'invalidValue');
+    }
+    const found = await User.find({ _id: { $in: ids }, orgId: req.scim.orgId }).select('_id').lean();
+    if (found.length !== ids.length) {
+        throw scimError(400, 'Every member must be a User of this organization', 'invalidValue');
+    }
+    return ids;
+};
+
+const addMembers = (group, ids) => (ids.length > 0
+    ? User.updateMany({ _id: { $in: ids }, orgId: group.orgId }, { $addToSet: { groups: group.groupId } })
+    : null);
+
+const removeMembers = (group, ids) => (ids.length > 0
+    ? User.updateMany({ _id: { $in: ids }, orgId: group.orgId }, { $pull: { groups: group.groupId } })
+    : null);
+
+const replaceMembers = async (group, ids) => {
+    await User.updateMany(
+        { orgId: group.orgId, groups: group.groupId, _id: { $nin: ids } },
+        { $pull: { groups: group.groupId } },
+    );
+    await addMembers(group, ids);
+};
+
+const readGroupName = (value) => {
+    const name = String(value || '').trim().slice(0, 100);
+    if (!name) {
+        throw scimError(400, 'displayName is required', 'invalidValue');
+    }
+    return name;
+};
+
+const assertGroupNameFree = async (orgId, name, exceptId) => {
+    if (await Group.exists({ orgId, name, ...(exceptId ? { _id: { $ne: exceptId } } : {}) })) {
+        throw scimError(409, 'A group with this displayName already exists', 'uniqueness');
+    }
+};
+
+const sendGroup = async (res, status, group, { includeMembers = true } = {}) => {
+    const resource = serializeScimGroup(group, includeMembers ? await loadMembers(group) : undefined);
+    if (status === 201) {
+        res.set('Location', resource.meta.location);
+    }
+    return sendScim(res, status, resource);
+};
+
+router.use(express.json({ type: ['application/json', SCIM_CONTENT_TYPE], limit: '1mb' }));
+router.use(requireProvisioningToken);
+
+router.get('/ServiceProviderConfig', (_req, res) => sendScim(res, 200, {
+    schemas: [SCHEMAS.serviceProviderConfig],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+    changePassword: { supported: true },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+        type: 'oauthbearertoken',
+        name: 'Provisioning token',
+        description: 'A scim_ token created by an admin for one organization or app',
+        primary: true,
+    }],
+    meta: { resourceType: 'ServiceProviderConfig', location: `${SCIM_BASE_URL}/ServiceProviderConfig` },
+}));
+
+router.get('/ResourceTypes', (req, res) => {
+    const resources = [{
+        schemas: [SCHEMAS.resourceType],
+        id: 'User',
+        name: 'User',
+        endpoint: '/Users',
+        schema: SCHEMAS.user,
+        meta: { resourceType: 'ResourceType', location: `${SCIM_BASE_URL}/ResourceTypes/User` },
+    }];
+    if (!req.scim.appId) {
+        resources.push({
+            schemas: [SCHEMAS.resourceType],
+            id: 'Group',
+            name: 'Group',
+            endpoint: '/Groups',
+            schema: SCHEMAS.group,
+            meta: { resourceType: 'ResourceType', location: `${SCIM_BASE_URL}/ResourceTypes/Group` },
+        });
+    }
+    return sendScim(res, 200, listResponse({ resources, totalResults: resources.length, startIndex: 1 }));
+});
+
+router.get('/Users', async (req, res) => {
+    try {
+        const query = { ...userScope(req), ...parseScimFilter(req.query.filter, USER_FILTER_ATTRIBUTES) };
+        const { startIndex, count } = readPage(req.query);
+        const totalResults = await User.countDocuments(query);
+        const users = count > 0
+            ? await User.find(query).select(USER_SELECT).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count).lean()
+            : [];
+        return sendScim(res, 200, listResponse({
+            resources: users.map((user) => serializeScimUser(user, { appId: req.scim.appId })),
+            totalResults,
+            startIndex,
+        }));
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM list users error');
+    }
+});
+
+router.get('/Users/:id', async (req, res) => {
+    try {
+        const user = await findScimUser(req, req.params.id);
+        if (!user) {
+            return sendScimError(res, 404, 'User not found');
+        }
+        return sendUser(req, res, 200, user);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM get user error');
+    }
+});
+
+// With an app token, a user who already exists in the organization is given the app
+// instead of being rejected, so a user can be provisioned to several apps.
+router.post('/Users', async (req, res) => {
+    try {
+        const changes = readScimUser(req.body);
+        validateUserChanges(changes);
+
+        const existing = await User.findOne({ $or: [{ username: changes.username }, { email: changes.email }] })
+            .select(USER_SELECT);
+        if (existing) {
+            const canLink = req.scim.appId
+                && existing.role !== 'admin'
+                && existing.orgId === req.scim.orgId
+                && existing.username === changes.username
+                && !normalizeAppList(existing.projects).includes(req.scim.appId);
+            if (!canLink) {
+                return sendScimError(res, 409, 'userName or email is already taken', 'uniqueness');
+            }
+
+            existing.projects = normalizeAppList([...(existing.projects || []), req.scim.appId]);
+            await existing.save();
+            await recordAuditEvent({
+                req,
+                action: 'scim.user.create',
+                target: { type: 'user', id: existing.username },
+                after: { apps: existing.projects },
+                details: { appId: req.scim.appId, linkedExisting: true },
+            });
+            return sendUser(req, res, 201, existing);
+        }
+
+        // Users provisioned without a password sign in another way (passkey, SSO) until
+        // they set one through a reset.
+        const password = changes.password !== undefined
+            ? changes.password
+            : crypto.randomBytes(32).toString('base64url');
+        const user = await User.create({
+            name: changes.name,
+            username: changes.username,
+            email: changes.email,
+            password: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            role: 'user',
+            orgId: req.scim.orgId,
+            projects: req.scim.appId ? [req.scim.appId] : [],
+            active: changes.active !== false,
+            externalId: changes.externalId,
+        });
+        await recordAuditEvent({
+            req,
+            action: 'scim.user.create',
+            target: { type: 'user', id: user.username },
+            after: auditedUserFields(user),
+            details: req.scim.appId ? { appId: req.scim.appId } : {},
+        });
+        return sendUser(req, res, 201, user);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM create user error');
+    }
+});
+
+router.put('/Users/:id', async (req, res) => {
+    try {
+        const user = await findScimUser(req, req.params.id);
+        if (!user) {
+            return sendScimError(res, 404, 'User not found');
+        }
+        // A replacement that leaves out active keeps the current state, so re-sending a
+        // deprovisioned user does not reactivate them.
+        await applyUserChanges(req, user, readScimUser(req.body));
+        return sendUser(req, res, 200, user);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM replace user error');
+    }
+});
+
+router.patch('/Users/:id', async (req, res) => {
+    try {
+        const user = await findScimUser(req, req.params.id);
+        if (!user) {
+            return sendScimError(res, 404, 'User not found');
+        }
+        await applyUserChanges(req, user, readUserPatch(readPatchOperations(req.body)));
+        return sendUser(req, res, 200, user);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM patch user error');
+    }
+});
+
+// App tokens remove their app from the user. Tenant tokens delete the user like the
+// admin API, except admins, who must be managed by another admin.
+router.delete('/Users/:id', async (req, res) => {
+    try {
+        const user = await findScimUser(req, req.params.id);
+        if (!user) {
+            return sendScimError(res, 404, 'User not found');
+        }
+        if (req.scim.appId) {
+            await applyUserChanges(req, user, { active: false });
+            return res.status(204).end();
+        }
+
+        if (user.role === 'admin') {
+            return sendScimError(res, 403, 'Admins cannot be deleted through SCIM; deactivate them instead');
+        }
+        await User.deleteOne({ _id: user._id });
+        await revokeUserSessions(user._id, 'user deleted via SCIM');
+        await PasskeyCredential.deleteMany({ userId: user._id });
+        await MfaFactor.deleteMany({ userId: user._id });
+        await AdminDevice.deleteMany({ userId: user._id });
+        await recordAuditEvent({
+            req,
+            action: 'scim.user.delete',
+            target: { type: 'user', id: user.username },
+            before: { ...auditedUserFields(user), apps: normalizeAppList(user.projects) },
+        });
+        return res.status(204).end();
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM delete user error');
+    }
+});
+
+router.get('/Groups', requireTenantToken, async (req, res) => {
+    try {
+        const query = { orgId: req.scim.orgId, ...parseScimFilter(req.query.filter, GROUP_FILTER_ATTRIBUTES) };
+        const { startIndex, count } = readPage(req.query);
+        const includeMembers = !String(req.query.excludedAttributes || '').toLowerCase().split(',')
+            .map((attribute) => attribute.trim())
+            .includes('members');
+        const totalResults = await Group.countDocuments(query);
+        const groups = count > 0
+            ? await Group.find(query).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count).lean()
+            : [];
+        const resources = [];
+        for (const group of groups) {
+            resources.push(serializeScimGroup(group, includeMembers ? await loadMembers(group) : undefined));
+        }
+        return sendScim(res, 200, listResponse({ resources, totalResults, startIndex }));
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM list groups error');
+    }
+});
+
+router.get('/Groups/:id', requireTenantToken, async (req, res) => {
+    try {
+        const group = await findScimGroup(req, req.params.id);
+        if (!group) {
+            return sendScimError(res, 404, 'Group not found');
+        }
+        return sendGroup(res, 200, group);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM get group error');
+    }
+});
+
+// SCIM groups are ordinary groups: their groupId is derived from displayName and their
+// apps are managed through the admin API.
+router.post('/Groups', requireTenantToken, async (req, res) => {
+    try {
+        const name = readGroupName(req.body?.displayName);
+        await assertGroupNameFree(req.scim.orgId, name);
+        const memberIds = req.body?.members === undefined ? [] : await readMemberIds(req, req.body.members);
+
+        const baseGroupId = slugifyGroupId(name);
+        let groupId = baseGroupId;
+        while (await Group.exists({ groupId })) {
+            groupId = `${baseGroupId}-${crypto.randomBytes(3).toString('hex')}`;
+        }
+
+        const group = await Group.create({
+            groupId,
+            orgId: req.scim.orgId,
+            name,
+            externalId: String(req.body?.externalId || '').trim().slice(0, 200),
+            apps: [],
+            updatedBy: req.user.username,
+        });
+        await addMembers(group, memberIds);
+        await recordAuditEvent({
+            req,
+            action: 'scim.group.create',
+            target: { type: 'group', id: groupId },
+            after: { orgId: group.orgId, name, members: memberIds.length },
+        });
+        return sendGroup(res, 201, group);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM create group error');
+    }
+});
+
+router.put('/Groups/:id', requireTenantToken, async (req, res) => {
+    try {
+        const group = await findScimGroup(req, req.params.id);
+        if (!group) {
+            return sendScimError(res, 404, 'Group not found');
+        }
+        const name = readGroupName(req.body?.displayName);
+        await assertGroupNameFree(group.orgId, name, group._id);
+        const memberIds = await readMemberIds(req, req.body?.members || []);
+
+        const before = { name: group.name, externalId: group.externalId || '' };
+        group.name = name;
+        group.externalId = String(req.body?.externalId || '').trim().slice(0, 200);
+        group.updatedBy = req.user.username;
+        await group.save();
+        await replaceMembers(group, memberIds);
+        await recordAuditEvent({
+            req,
+            action: 'scim.group.update',
+            target: { type: 'group', id: group.groupId },
+            before,
+            after: { name: group.name, externalId: group.externalId, members: memberIds.length },
+        });
+        return sendGroup(res, 200, group);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM replace group error');
+    }
+});
+
+// Membership changes apply on the member's next request, like admin group changes.
+router.patch('/Groups/:id', requireTenantToken, async (req, res) => {
+    try {
+        const group = await findScimGroup(req, req.params.id);
+        if (!group) {
+            return sendScimError(res, 404, 'Group not found');
+        }
+        const operations = readPatchOperations(req.body);
+        const before = { name: group.name, externalId: group.externalId || '' };
+        const memberChanges = { added: 0, removed: 0, replaced: false };
+
+        for (const { op, path, value } of operations) {
+            const attribute = normalizeAttributePath(path);
+            const memberFilter = attribute.match(/^members\[value eq "([^"]+)"\]$/);
+            if (attribute === 'displayname') {
+                if (op === 'remove') {
+                    throw scimError(400, 'displayName cannot be removed', 'mutability');
+                }
+                group.name = readGroupName(value);
+                await assertGroupNameFree(group.orgId, group.name, group._id);
+            } else if (attribute === 'externalid') {
+                group.externalId = op === 'remove' ? '' : String(value || '').trim().slice(0, 200);
+            } else if (attribute === 'members' && op === 'add') {
+                const ids = await readMemberIds(req, Array.isArray(value) ? value : [value]);
+                await addMembers(group, ids);
+                memberChanges.added += ids.length;
+            } else if (attribute === 'members' && op === 'replace') {
+                const ids = await readMemberIds(req, Array.isArray(value) ? value : [value]);
+                await replaceMembers(group, ids);
+                memberChanges.replaced = true;
+            } else if (attribute === 'members' && op === 'remove') {
+                // Without a value every member is removed.
+                const ids = value === undefined
+                    ? (await loadMembers(group)).map((member) => String(member._id))
+                    : await readMemberIds(req, Array.isArray(value) ? value : [value]);
+                await removeMembers(group, ids);
+                memberChanges.removed += ids.length;
+            } else if (memberFilter && op === 'remove') {
+                const ids = mongoose.isValidObjectId(memberFilter[1]) ? [memberFilter[1]] : [];
+                await removeMembers(group, ids);
+                memberChanges.removed += ids.length;
+            } else {
+                throw scimError(400, `Unsupported path ${path}`, 'invalidPath');
+            }
+        }
+
+        group.updatedBy = req.user.username;
+        await group.save();
+        await recordAuditEvent({
+            req,
+            action: 'scim.group.update',
+            target: { type: 'group', id: group.groupId },
+            before,
+            after: { name: group.name, externalId: group.externalId || '' },
+            details: memberChanges,
+        });
+        return sendGroup(res, 200, group);
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM patch group error');
+    }
+});
+
+router.delete('/Groups/:id', requireTenantToken, async (req, res) => {
+    try {
+        const group = await findScimGroup(req, req.params.id);
+        if (!group) {
+            return sendScimError(res, 404, 'Group not found');
+        }
+        await Group.deleteOne({ _id: group._id });
+        const released = await User.updateMany(
+            { groups: group.groupId },
+            { $pull: { groups: group.groupId } },
+        );
+        await recordAuditEvent({
+            req,
+            action: 'scim.group.delete',
+            target: { type: 'group', id: group.groupId },
+            before: { orgId: group.orgId, name: group.name, apps: group.apps || [] },
+            details: { membersRemoved: released.modifiedCount || 0 },
+        });
+        return res.status(204).end();
+    } catch (error) {
+        return handleScimError(res, error, 'SCIM delete group error');
+    }
+});
+
+router.use((_req, res) => sendScimError(res, 404, 'Resource not found'));
+
+module.exports = router;
@@ -5,67 +5,115 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { Counter, Histogram, Registry, Gauge } = require('prom-client');
 const osu = require('node-os-utils');
-const winston = require('winston');
-const LokiTransport = require('winston-loki');
 const User = require('../models/User');
 const App = require('../models/App');
 const TrialLicenseGrant = require('../models/TrialLicenseGrant');
 const AdminPersonalToken = require('../models/AdminPersonalToken');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const MfaFactor = require('../models/MfaFactor');
+const AdminDevice = require('../models/AdminDevice');
+const logger = require('../config/logger');
+const {
+    findActiveSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    revokeFamilyOnReuse,
+    listUserSessions,
+} = require('../config/sessions');
+const { recordSecurityEvent, listSecurityEvents } = require('../config/securityEvents');
+const { recordAuditEvent } = require('../config/audit');
+const {
+    beginTotpEnrollment,
+    verifyMfaCode,
+    activateTotpFactor,
+    disableMfa,
+    startMfaChallenge,
+    findMfaChallenge,
+    recordFailedMfaAttempt,
+    consumeMfaChallenge,
+} = require('../config/mfa');
+const { verifyDpopProof, resolveDpopBinding } = require('../config/dpop');
+const { buildFlagContext } = require('../config/featureFlags');
+const { setRefreshTokenCookie, clearRefreshTokenCookie, completeLogin } = require('../config/loginFlow');
+const { parseCookies } = require('../config/cookies');
+const {
+    DEFAULT_ORG_ID,
+    orgScopeFilter,
+    isInAdminOrgScope,
+    resolveTargetOrg,
+    requirePlatformAdmin,
+} = require('../config/organizations');
+const {
+    RISK_STEP_UP_SCORE,
+    RISK_DENY_SCORE,
+    RISK_DENY_MESSAGE,
+    RISK_STEP_UP_MESSAGE,
+    assessLoginRisk,
+    recordLoginEvent,
+    listLoginEvents,
+} = require('../config/risk');
+const {
+    DEFAULT_OVERLAP_SECONDS,
+    listSigningKeys,
+    scheduleKeyRotation,
+    retireSigningKey,
+} = require('../config/keys');
 const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireDeviceQuorum } = require('../middleware/quorum');
+const {
+    ADMIN_CONSOLE_APP_ID,
+    CLIENT_TYPES,
+    normalizeAppId,
+    normalizeAppList,
+    normalizeRedirectUris,
+    getAppsMap,
+    resolveEffectiveApps,
+    resolveAppAccess,
+} = require('../config/apps');
+const {
+    REFRESH_TOKEN_SECRET,
+    ACCESS_TOKEN_EXPIRES_IN,
+    hashToken,
+    issueAccessToken,
+    issueTrialLicenseToken,
+    issuePersistentAdminToken,
+} = require('../config/tokens');
 const {
     AUTH_TEST_MODE,
     hasBreakGlassToken,
     adminIpGuard,
     authGuardMiddleware,
-    recordAuthAttempt,
     resetSafetyGuard,
+    refreshSafetyState,
     getSafetySnapshot,
     getFeatureFlags,
     setFeatureFlag,
     isFeatureEnabled,
 } = require('../config/safety');
+const {
+    THROTTLE_SCOPES,
+    loginThrottle,
+    recordLoginAttempt,
+    listThrottledKeys,
+    clearThrottle,
+    getThrottleSnapshot,
+} = require('../config/throttle');
+const { parseSamlSettings } = require('../config/saml');
 
 const router = express.Router();
 const metricsRegistry = new Registry();
 
 const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS || 12);
-const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
-const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
-const REFRESH_TOKEN_EXPIRES_IN = `${REFRESH_TOKEN_TTL_DAYS}d`;
-const REFRESH_TOKEN_MAX_AGE_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
 const PORTFOLIO_DEMO_TRIAL_DAYS = Math.max(1, Number(process.env.PORTFOLIO_DEMO_TRIAL_DAYS || 30));
 const PORTFOLIO_DEMO_SOURCE = 'portfolio_pixel_lab';
 const PORTFOLIO_REDEEM_SOURCE = 'portfolio_redeem';
-const ADMIN_CONSOLE_APP_ID = 'admin-console';
-const ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_SECRET;
-const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET;
-
-if (!ACCESS_TOKEN_SECRET || !REFRESH_TOKEN_SECRET) {
-    console.warn('JWT_ACCESS_SECRET and JWT_REFRESH_SECRET should be set in environment variables.');
-}
+const REFRESH_REUSE_MESSAGE = 'Refresh token was already used. This session has been revoked, please login again.';
 
-const lokiHost = String(process.env.LOKI_HOST || '').trim();
-const loggerTransports = [
-    new winston.transports.Console({
-        level: 'info',
-    }),
-];
-
-if (lokiHost && lokiHost !== '#') {
-    loggerTransports.push(
-        new LokiTransport({
-            host: lokiHost,
-            json: true,
-            level: 'info',
-        }),
-    );
+if (!REFRESH_TOKEN_SECRET) {
+    console.warn('JWT_REFRESH_SECRET should be set in environment variables.');
 }
 
-const logger = winston.createLogger({
-    level: 'info',
-    transports: loggerTransports,
-});
-
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 10,
@@ -102,9 +150,6 @@ const SYSTEM_METRICS_ENABLED = String(process.env.SYSTEM_METRICS_ENABLED || 'tru
 
 const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
 const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
-const normalizeAppId = (appId) => String(appId || '').trim().toLowerCase();
-const normalizeAppList = (appIds) => [...new Set((appIds || []).map(normalizeAppId).filter(Boolean))];
-
 const isStrongPassword = (password) => {
     if (typeof password !== 'string') {
         return false;
@@ -112,86 +157,6 @@ const isStrongPassword = (password) => {
     return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[^A-Za-z\d]).{12,128}$/.test(password);
 };
 
-const parseCookies = (cookieHeader) => {
-    if (!cookieHeader) {
-        return {};
-    }
-
-    return cookieHeader.split(';').reduce((acc, cookie) => {
-        const [rawKey, ...rawValue] = cookie.trim().split('=');
-        if (!rawKey) {
-            return acc;
-        }
-        acc[rawKey] = decodeURIComponent(rawValue.join('='));
-        return acc;
-    }, {});
-};
-
-const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
-
-const issueAccessToken = (user, appId) => jwt.sign(
-    {
-        sub: user._id.toString(),
-        username: user.username,
-        role: user.role,
-        projects: user.projects,
-        tokenVersion: user.tokenVersion,
-        appId,
-    },
-    ACCESS_TOKEN_SECRET,
-    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, audience: appId },
-);
-
-const issueRefreshToken = (user, appId) => jwt.sign(
-    {
-        sub: user._id.toString(),
-        tokenVersion: user.tokenVersion,
-        type: 'refresh',
-        appId,
-    },
-    REFRESH_TOKEN_SECRET,
-    { expiresIn: REFRESH_TOKEN_EXPIRES_IN },
-);
-
-const issueTrialLicenseToken = ({
-    user,
-    appIds,
-    expiresIn,
-    tokenId,
-    source,
-}) => jwt.sign(
-    {
-        sub: user._id.toString(),
-        username: user.username,
-        role: user.role,
-        projects: appIds,
-        tokenVersion: user.tokenVersion,
-        appId: '*',
-        trialGrant: true,
-        trialSource: source,
-        trialTokenId: tokenId,
-    },
-    ACCESS_TOKEN_SECRET,
-    { expiresIn },
-);
-
-const issuePersistentAdminToken = ({
-    user,
-    tokenId,
-}) => jwt.sign(
-    {
-        sub: user._id.toString(),
-        username: user.username,
-        role: user.role,
-        appId: ADMIN_CONSOLE_APP_ID,
-        projects: [ADMIN_CONSOLE_APP_ID],
-        pat: true,
-        patId: tokenId,
-    },
-    ACCESS_TOKEN_SECRET,
-    { audience: ADMIN_CONSOLE_APP_ID },
-);
-
 const decodeBase64Json = (value) => {
     const raw = String(value || '').trim();
     if (!raw) {
@@ -298,6 +263,7 @@ const issueOrReuseTrialGrant = async ({
         grant = await TrialLicenseGrant.create({
             userId: user._id,
             username: user.username,
+            orgId: user.orgId || DEFAULT_ORG_ID,
             source,
             tokenId,
             claimRef,
@@ -314,7 +280,7 @@ const issueOrReuseTrialGrant = async ({
     }
 
     const expiresInSeconds = Math.max(60, Math.floor((expiresAt.getTime() - now) / 1000));
-    const licenseToken = issueTrialLicenseToken({
+    const licenseToken = await issueTrialLicenseToken({
         user,
         appIds,
         expiresIn: `${expiresInSeconds}s`,
@@ -330,48 +296,48 @@ const issueOrReuseTrialGrant = async ({
     };
 };
 
-const setRefreshTokenCookie = (res, refreshToken) => {
-    res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        path: '/api/users/auth/refresh',
-        maxAge: REFRESH_TOKEN_MAX_AGE_MS,
-    });
-};
+const generateClientSecret = () => `cs_${crypto.randomBytes(32).toString('base64url')}`;
 
-const clearRefreshTokenCookie = (res) => {
-    res.clearCookie('refreshToken', {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        path: '/api/users/auth/refresh',
-    });
+const serializeApp = (app) => {
+    const { clientSecretHash, ...rest } = app.toObject ? app.toObject() : app;
+    return {
+        ...rest,
+        hasClientSecret: Boolean(clientSecretHash),
+    };
 };
 
-const getAppsMap = async ({ includeInactive = false } = {}) => {
-    const appsMap = new Map();
+const serializeSamlSettings = (saml) => (saml ? {
+    entityId: saml.entityId,
+    acsUrl: saml.acsUrl,
+    signingCert: saml.signingCert,
+    nameIdFormat: saml.nameIdFormat,
+    allowIdpInitiated: saml.allowIdpInitiated,
+} : null);
+
+const serializeTrialGrant = (grant) => ({
+    id: grant._id,
+    source: grant.source,
+    tokenId: grant.tokenId,
+    apps: normalizeAppList(grant.apps),
+    claimRef: grant.claimRef || '',
+    expiresAt: grant.expiresAt,
+    createdAt: grant.createdAt,
+    updatedAt: grant.updatedAt,
+});
 
-    const dbQuery = includeInactive ? {} : { status: 'active' };
-    const dbApps = await App.find(dbQuery)
-        .select('appId name appUrl description status')
-        .lean();
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-    dbApps.forEach((app) => {
-        appsMap.set(app.appId, {
-            appId: app.appId,
-            name: app.name,
-            appUrl: app.appUrl,
-            description: app.description || '',
-            status: app.status,
-        });
-    });
+const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
+const requirePlatformAdminSafe = [...requireAdminSafe, requirePlatformAdmin];
 
-    return appsMap;
+// Runs before the quorum check so devices are never asked to approve an invalid role.
+const requireValidRole = (req, res, next) => {
+    if (!['user', 'admin'].includes(String(req.body?.role || '').trim().toLowerCase())) {
+        return res.status(400).json({ success: false, message: 'role must be user or admin' });
+    }
+    return next();
 };
 
-const requireAdminSafe = [requireAuth, requireRole(['admin']), adminIpGuard];
-
 const getUsedMemoryBytes = (mem) => {
     if (!mem || typeof mem !== 'object') {
         return null;
@@ -461,7 +427,11 @@ router.post('/register', authGuardMiddleware, authLimiter, async (req, res) => {
 
         const normalizedUsername = normalizeUsername(username);
         const normalizedEmail = normalizeEmail(email);
-        const appsMap = await getAppsMap();
+        // Self-registration cannot pick a tenant; other organizations get their users
+        // from their admins, SCIM or federated login.
+        const userOrgId = DEFAULT_ORG_ID;
+
+        const appsMap = await getAppsMap({ orgId: userOrgId });
         const allowedAppIds = new Set([...appsMap.keys()]);
         const requestedApps = Array.isArray(apps) ? apps : projects;
         const normalizedApps = normalizeAppList(requestedApps).filter((appId) => allowedAppIds.has(appId));
@@ -493,6 +463,7 @@ router.post('/register', authGuardMiddleware, authLimiter, async (req, res) => {
             email: normalizedEmail,
             password: hashedPassword,
             role: 'user',
+            orgId: userOrgId,
             projects: userApps,
         });
 
@@ -502,6 +473,7 @@ router.post('/register', authGuardMiddleware, authLimiter, async (req, res) => {
             success: true,
             message: 'User registered successfully',
             userId: newUser._id,
+            orgId: userOrgId,
             apps: userApps,
         });
     } catch (error) {
@@ -513,7 +485,13 @@ router.post('/register', authGuardMiddleware, authLimiter, async (req, res) => {
     }
 });
 
-router.post('/login', authGuardMiddleware, authLimiter, async (req, res) => {
+// Refreshes carry no email, so only their IP and app are throttled.
+const loginSubject = (req) => ({
+    account: req.body?.email,
+    appId: req.body?.appId || req.body?.project,
+});
+
+router.post('/login', authGuardMiddleware, loginThrottle(loginSubject), authLimiter, async (req, res) => {
     const {
         email,
         password,
@@ -522,7 +500,7 @@ router.post('/login', authGuardMiddleware, authLimiter, async (req, res) => {
     } = req.body || {};
 
     try {
-        if (!ACCESS_TOKEN_SECRET || !REFRESH_TOKEN_SECRET) {
+        if (!REFRESH_TOKEN_SECRET) {
             return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
         }
 
@@ -534,84 +512,169 @@ router.post('/login', authGuardMiddleware, authLimiter, async (req, res) => {
         const normalizedEmail = normalizeEmail(email);
 
         const user = await User.findOne({ email: normalizedEmail })
-            .select('username role projects tokenVersion +password +refreshTokenHash +refreshTokenExpiresAt');
+            .select('name email username role orgId projects groups active tokenVersion +password');
 
         if (!user) {
-            recordAuthAttempt(false, 'login');
+            await recordLoginAttempt(req, false, 'login');
             return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
-            recordAuthAttempt(false, 'login');
+            await recordLoginAttempt(req, false, 'login');
+            await recordLoginEvent({ user, appId: requestedAppInput, req, type: 'login', outcome: 'failure' });
             return res.status(401).json({ success: false, message: 'Invalid credentials' });
         }
 
-        const requestedAppId = requestedAppInput || (user.role === 'admin' ? ADMIN_CONSOLE_APP_ID : '');
-        if (!requestedAppId) {
-            return res.status(400).json({ success: false, message: 'appId is required for non-admin users' });
+        const risk = await assessLoginRisk({ user, appId: requestedAppInput, req });
+        if (risk.decision === 'deny') {
+            await recordLoginAttempt(req, false, 'login');
+            await recordLoginEvent({ user, appId: requestedAppInput, req, type: 'login', outcome: 'blocked', assessment: risk });
+            return res.status(403).json({ success: false, message: RISK_DENY_MESSAGE });
         }
 
-        const userAppIds = normalizeAppList(user.projects);
-        const isAdminConsoleLogin = user.role === 'admin' && requestedAppId === ADMIN_CONSOLE_APP_ID;
-        const appsMap = await getAppsMap();
-        const targetApp = isAdminConsoleLogin
-            ? {
-                appId: ADMIN_CONSOLE_APP_ID,
-                name: 'Admin Console',
-                appUrl: '/3vc17cs006',
-                description: 'Built-in admin console app scope',
-                status: 'active',
-            }
-            : appsMap.get(requestedAppId);
-
-        if (!isAdminConsoleLogin) {
-            if (user.role !== 'admin' && !userAppIds.includes(requestedAppId)) {
-                return res.status(403).json({ success: false, message: "You don't have access to this app" });
-            }
+        // Users with MFA always get the challenge, which is also what a step-up asks for.
+        const mfaChallenge = await startMfaChallenge({ user, appId: requestedAppInput });
+        if (mfaChallenge) {
+            await recordLoginAttempt(req, true, 'login');
+            await recordLoginEvent({ user, appId: requestedAppInput, req, type: 'login', outcome: 'challenged', assessment: risk });
+            return res.json({
+                success: true,
+                mfaRequired: true,
+                ...mfaChallenge,
+            });
+        }
 
-            if (!targetApp || targetApp.status !== 'active') {
-                return res.status(403).json({ success: false, message: 'App is not available' });
-            }
+        if (risk.decision === 'step_up') {
+            await recordLoginAttempt(req, false, 'login');
+            await recordLoginEvent({ user, appId: requestedAppInput, req, type: 'login', outcome: 'blocked', assessment: risk });
+            return res.status(403).json({ success: false, message: RISK_STEP_UP_MESSAGE });
         }
 
-        const accessToken = issueAccessToken(user, requestedAppId);
-        const refreshToken = issueRefreshToken(user, requestedAppId);
+        return completeLogin({
+            req,
+            res,
+            user,
+            requestedAppId: requestedAppInput,
+            riskAssessment: risk,
+        });
+    } catch (error) {
+        logger.error('Login error', { error: error.message });
+        await recordLoginAttempt(req, false, 'login');
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Only for challenges issued to accounts whose role requires MFA but that have not
+// enrolled yet: hands out the TOTP secret that /login/mfa then confirms.
+router.post('/login/mfa/enroll', authGuardMiddleware, authLimiter, async (req, res) => {
+    try {
+        const challenge = await findMfaChallenge(req.body?.mfaToken);
+        if (!challenge || !challenge.enrollmentRequired) {
+            return res.status(401).json({ success: false, message: 'MFA challenge is invalid or has expired, login again' });
+        }
 
-        user.refreshTokenHash = hashToken(refreshToken);
-        user.refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS);
-        await user.save();
+        const user = await User.findById(challenge.userId).select('username').lean();
+        if (!user) {
+            return res.status(401).json({ success: false, message: 'MFA challenge is invalid or has expired, login again' });
+        }
 
-        setRefreshTokenCookie(res, refreshToken);
-        recordAuthAttempt(true, 'login');
+        const enrollment = await beginTotpEnrollment(user);
+        if (!enrollment.ok) {
+            return res.status(enrollment.status).json({ success: false, message: enrollment.message });
+        }
 
         return res.json({
             success: true,
-            accessToken,
-            tokenType: 'Bearer',
-            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
-            username: user.username,
-            app_id: targetApp.appId,
-            app: targetApp,
-            project_url: targetApp.appUrl,
-            user: {
-                id: user._id,
-                username: user.username,
-                role: user.role,
-                apps: user.role === 'admin' ? normalizeAppList([ADMIN_CONSOLE_APP_ID, ...userAppIds]) : userAppIds,
-                projects: user.role === 'admin' ? normalizeAppList([ADMIN_CONSOLE_APP_ID, ...userAppIds]) : userAppIds,
-            },
+            message: 'Scan the otpauth URL with an authenticator app, then send a code to /login/mfa',
+            secret: enrollment.secret,
+            otpauthUrl: enrollment.otpauthUrl,
+            period: enrollment.period,
+            digits: enrollment.digits,
         });
     } catch (error) {
-        logger.error('Login error', { error: error.message });
-        recordAuthAttempt(false, 'login');
+        logger.error('Login MFA enroll error', { error: error.message });
         return res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-router.post('/auth/refresh', authGuardMiddleware, authLimiter, async (req, res) => {
+router.post('/login/mfa', authGuardMiddleware, loginThrottle(), authLimiter, async (req, res) => {
+    const { mfaToken, code } = req.body || {};
+
     try {
-        if (!ACCESS_TOKEN_SECRET || !REFRESH_TOKEN_SECRET) {
+        if (!mfaToken || !code) {
+            return res.status(400).json({ success: false, message: 'Missing mfaToken or code' });
+        }
+
+        const challenge = await findMfaChallenge(mfaToken);
+        if (!challenge) {
+            await recordLoginAttempt(req, false, 'mfa');
+            return res.status(401).json({ success: false, message: 'MFA challenge is invalid or has expired, login again' });
+        }
+
+        const verification = await verifyMfaCode(challenge.userId, code, {
+            allowPending: challenge.enrollmentRequired,
+        });
+        if (!verification.ok) {
+            await recordFailedMfaAttempt(challenge);
+            await recordLoginAttempt(req, false, 'mfa');
+            await recordLoginEvent({
+                user: { _id: challenge.userId },
+                appId: challenge.appId,
+                req,
+                type: 'mfa',
+                outcome: 'failure',
+            });
+            return res.status(401).json({ success: false, message: verification.message });
+        }
+
+        if (!await consumeMfaChallenge(challenge)) {
+            await recordLoginAttempt(req, false, 'mfa');
+            return res.status(401).json({ success: false, message: 'MFA challenge is invalid or has expired, login again' });
+        }
+
+        const user = await User.findById(challenge.userId)
+            .select('name email username role orgId projects groups active tokenVersion');
+        if (!user) {
+            await recordLoginAttempt(req, false, 'mfa');
+            return res.status(401).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        const extraResponse = {};
+        if (verification.factor.status === 'pending') {
+            extraResponse.recoveryCodes = await activateTotpFactor(verification.factor);
+            await recordSecurityEvent({
+                type: 'mfa_enabled',
+                severity: 'info',
+                userId: user._id,
+                appId: challenge.appId,
+                req,
+                details: { duringLogin: true },
+            });
+        }
+        if (verification.method === 'recovery_code') {
+            extraResponse.recoveryCodesRemaining = verification.recoveryCodesRemaining;
+        }
+
+        return completeLogin({
+            req,
+            res,
+            user,
+            requestedAppId: challenge.appId,
+            attemptType: 'mfa',
+            extraResponse,
+            identityProviderId: challenge.identityProviderId || null,
+        });
+    } catch (error) {
+        logger.error('Login MFA error', { error: error.message });
+        await recordLoginAttempt(req, false, 'mfa');
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+router.post('/auth/refresh', authGuardMiddleware, loginThrottle(loginSubject), authLimiter, async (req, res) => {
+    try {
+        if (!REFRESH_TOKEN_SECRET) {
             return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
         }
 
@@ -619,99 +682,141 @@ router.post('/auth/refresh', authGuardMiddleware, authLimiter, async (req, res)
         const refreshToken = cookies.refreshToken || req.body?.refreshToken;
 
         if (!refreshToken) {
-            recordAuthAttempt(false, 'refresh');
+            await recordLoginAttempt(req, false, 'refresh');
             return res.status(401).json({ success: false, message: 'Refresh token is required' });
         }
 
         const payload = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
         if (payload.type !== 'refresh') {
-            recordAuthAttempt(false, 'refresh');
+            await recordLoginAttempt(req, false, 'refresh');
             return res.status(401).json({ success: false, message: 'Invalid refresh token' });
         }
 
         const requestedAppId = normalizeAppId(req.body?.appId || req.body?.project || payload.appId);
         if (!requestedAppId || requestedAppId !== payload.appId) {
-            recordAuthAttempt(false, 'refresh');
+            await recordLoginAttempt(req, false, 'refresh');
             return res.status(401).json({ success: false, message: 'Refresh token app mismatch' });
         }
 
         const user = await User.findById(payload.sub)
-            .select('+refreshTokenHash +refreshTokenExpiresAt tokenVersion username role projects');
+            .select('tokenVersion username role orgId projects groups active');
 
         if (!user) {
-            recordAuthAttempt(false, 'refresh');
+            await recordLoginAttempt(req, false, 'refresh');
             return res.status(401).json({ success: false, message: 'Invalid refresh token' });
         }
 
         if (payload.tokenVersion !== user.tokenVersion) {
-            recordAuthAttempt(false, 'refresh');
+            await recordLoginAttempt(req, false, 'refresh');
             return res.status(401).json({ success: false, message: 'Session expired. Login again.' });
         }
 
-        if (!user.refreshTokenHash || !user.refreshTokenExpiresAt || user.refreshTokenExpiresAt < new Date()) {
-            recordAuthAttempt(false, 'refresh');
-            return res.status(401).json({ success: false, message: 'Refresh token expired' });
+        const sessionLookup = await findActiveSession(payload, refreshToken);
+        if (sessionLookup.reused) {
+            await revokeFamilyOnReuse({ session: sessionLookup.session, payload, req });
+            await recordLoginAttempt(req, false, 'refresh');
+            clearRefreshTokenCookie(res);
+            return res.status(401).json({ success: false, message: REFRESH_REUSE_MESSAGE });
+        }
+        if (!sessionLookup.ok) {
+            await recordLoginAttempt(req, false, 'refresh');
+            return res.status(401).json({ success: false, message: sessionLookup.message });
+        }
+        const { session } = sessionLookup;
+
+        // A session created with DPoP keeps requiring proofs from the same key.
+        const dpop = session.dpopJkt
+            ? await verifyDpopProof(req)
+            : await resolveDpopBinding(req, buildFlagContext({ user, appId: requestedAppId }));
+        if (!dpop.ok) {
+            await recordLoginAttempt(req, false, 'refresh');
+            return res.status(400).json({ success: false, message: dpop.message });
+        }
+        if (session.dpopJkt && dpop.jkt !== session.dpopJkt) {
+            await recordLoginAttempt(req, false, 'refresh');
+            return res.status(401).json({ success: false, message: 'Refresh token is bound to a different DPoP key' });
+        }
+
+        // Refreshes cannot answer an MFA prompt, so anything but allow ends the session
+        // and the next /login decides again.
+        const risk = await assessLoginRisk({ user, appId: requestedAppId, req, type: 'refresh' });
+        if (risk.decision !== 'allow') {
+            await revokeSession({ _id: session._id }, `risk engine: ${risk.decision}`);
+            await recordLoginEvent({
+                user,
+                appId: requestedAppId,
+                req,
+                type: 'refresh',
+                outcome: 'blocked',
+                assessment: risk,
+                sessionId: session.sessionId,
+            });
+            await recordLoginAttempt(req, false, 'refresh');
+            clearRefreshTokenCookie(res);
+            return res.status(401).json({ success: false, message: 'Session ended for security reasons, please login again' });
         }
 
-        if (hashToken(refreshToken) !== user.refreshTokenHash) {
-            recordAuthAttempt(false, 'refresh');
-            return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+        const access = await resolveAppAccess(user, requestedAppId, {
+            revokedMessage: 'Access to this app has been revoked',
+        });
+        if (!access.ok) {
+            await recordLoginAttempt(req, false, 'refresh');
+            return res.status(access.status).json({ success: false, message: access.message });
         }
+        const { targetApp } = access;
 
-        const userAppIds = normalizeAppList(user.projects);
-        const isAdminConsoleRefresh = user.role === 'admin' && requestedAppId === ADMIN_CONSOLE_APP_ID;
-        const appsMap = await getAppsMap();
-        const targetApp = isAdminConsoleRefresh
-            ? {
-                appId: ADMIN_CONSOLE_APP_ID,
-                name: 'Admin Console',
-                appUrl: '/3vc17cs006',
-                description: 'Built-in admin console app scope',
-                status: 'active',
-            }
-            : appsMap.get(requestedAppId);
-
-        if (!isAdminConsoleRefresh) {
-            if (user.role !== 'admin' && !userAppIds.includes(requestedAppId)) {
-                recordAuthAttempt(false, 'refresh');
-                return res.status(403).json({ success: false, message: 'Access to this app has been revoked' });
-            }
-
-            if (!targetApp || targetApp.status !== 'active') {
-                recordAuthAttempt(false, 'refresh');
-                return res.status(403).json({ success: false, message: 'App is not available' });
-            }
+        const newRefreshToken = await rotateSession(session, user, req);
+        if (!newRefreshToken) {
+            await revokeFamilyOnReuse({ session, payload, req });
+            await recordLoginAttempt(req, false, 'refresh');
+            clearRefreshTokenCookie(res);
+            return res.status(401).json({ success: false, message: REFRESH_REUSE_MESSAGE });
         }
-
-        const newRefreshToken = issueRefreshToken(user, requestedAppId);
-        user.refreshTokenHash = hashToken(newRefreshToken);
-        user.refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_MAX_AGE_MS);
-        await user.save();
-
         setRefreshTokenCookie(res, newRefreshToken);
 
-        const accessToken = issueAccessToken(user, requestedAppId);
-        recordAuthAttempt(true, 'refresh');
+        const accessToken = await issueAccessToken(user, requestedAppId, {
+            grantType: 'refresh_token',
+            sessionId: session.sessionId,
+            jkt: dpop.jkt,
+        });
+        await recordLoginAttempt(req, true, 'refresh');
+        await recordLoginEvent({
+            user,
+            appId: requestedAppId,
+            req,
+            type: 'refresh',
+            outcome: 'success',
+            assessment: risk,
+            sessionId: session.sessionId,
+        });
         return res.json({
             success: true,
             accessToken,
-            tokenType: 'Bearer',
+            tokenType: dpop.jkt ? 'DPoP' : 'Bearer',
             expiresIn: ACCESS_TOKEN_EXPIRES_IN,
             app_id: targetApp.appId,
             app: targetApp,
         });
     } catch (error) {
-        recordAuthAttempt(false, 'refresh');
+        await recordLoginAttempt(req, false, 'refresh');
         return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
     }
 });
 
+// Ends only the session the caller is using: the one named by the access token's sid,
+// or by the refresh token cookie/body for tokens minted before sid was added.
 router.post('/logout', requireAuth, async (req, res) => {
     try {
-        await User.findByIdAndUpdate(req.user.id, {
-            refreshTokenHash: null,
-            refreshTokenExpiresAt: null,
-        });
+        let { sessionId } = req.user;
+        if (!sessionId) {
+            const refreshToken = parseCookies(req.headers.cookie).refreshToken || req.body?.refreshToken;
+            const decoded = refreshToken ? jwt.decode(refreshToken) : null;
+            sessionId = decoded?.sub === req.user.id ? decoded.sid : null;
+        }
+
+        if (sessionId) {
+            await revokeSession({ sessionId, userId: req.user.id }, 'logout');
+        }
         clearRefreshTokenCookie(res);
 
         return res.json({ success: true, message: 'Logged out successfully' });
@@ -721,6 +826,46 @@ router.post('/logout', requireAuth, async (req, res) => {
     }
 });
 
+router.get('/sessions', requireAuth, async (req, res) => {
+    try {
+        if (req.user.isBreakGlass) {
+            return res.json({ success: true, total: 0, sessions: [] });
+        }
+
+        const sessions = await listUserSessions(req.user.id);
+        return res.json({
+            success: true,
+            total: sessions.length,
+            sessions: sessions.map((session) => ({
+                ...session,
+                current: session.sessionId === req.user.sessionId,
+            })),
+        });
+    } catch (error) {
+        logger.error('List sessions error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading sessions' });
+    }
+});
+
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+    try {
+        const sessionId = String(req.params.sessionId || '').trim();
+        if (!sessionId || req.user.isBreakGlass) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        const result = await revokeSession({ sessionId, userId: req.user.id }, 'revoked by user');
+        if (!result.matchedCount) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        return res.json({ success: true, message: 'Session revoked', sessionId });
+    } catch (error) {
+        logger.error('Revoke session error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error revoking session' });
+    }
+});
+
 router.get('/apps', requireAuth, async (req, res) => {
     try {
         if (req.user.role === 'admin') {
@@ -732,7 +877,7 @@ router.get('/apps', requireAuth, async (req, res) => {
                 return;
             }
 
-            const appsMap = await getAppsMap({ includeInactive: true });
+            const appsMap = await getAppsMap({ includeInactive: true, ...orgScopeFilter(req) });
             return res.json({
                 success: true,
                 total: appsMap.size,
@@ -740,7 +885,7 @@ router.get('/apps', requireAuth, async (req, res) => {
             });
         }
 
-        const appsMap = await getAppsMap();
+        const appsMap = await getAppsMap({ orgId: req.user.orgId });
         const apps = normalizeAppList(req.user.projects)
             .map((appId) => appsMap.get(appId))
             .filter(Boolean);
@@ -758,10 +903,6 @@ router.get('/apps', requireAuth, async (req, res) => {
 
 router.post('/licenses/portfolio-demo/claim', requireAuth, authGuardMiddleware, async (req, res) => {
     try {
-        if (!ACCESS_TOKEN_SECRET) {
-            return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
-        }
-
         const incomingToken = String(req.body?.pixelDemoToken || req.body?.demoToken || '').trim();
         const parsedDemoToken = parsePixelDemoToken(incomingToken);
         if (!parsedDemoToken.ok) {
@@ -769,12 +910,12 @@ router.post('/licenses/portfolio-demo/claim', requireAuth, authGuardMiddleware,
         }
 
         const user = await User.findById(req.user.id)
-            .select('username role projects tokenVersion');
+            .select('username role orgId projects groups active tokenVersion');
         if (!user) {
             return res.status(401).json({ success: false, message: 'Invalid authentication token' });
         }
 
-        const appsMap = await getAppsMap();
+        const appsMap = await getAppsMap({ orgId: user.orgId || DEFAULT_ORG_ID });
         const appIds = normalizeAppList([...appsMap.keys()]);
         if (appIds.length === 0) {
             return res.status(400).json({
@@ -814,10 +955,6 @@ router.post('/licenses/portfolio-demo/claim', requireAuth, authGuardMiddleware,
 
 router.post('/licenses/redeem', requireAuth, authGuardMiddleware, async (req, res) => {
     try {
-        if (!ACCESS_TOKEN_SECRET) {
-            return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
-        }
-
         const redeemCode = String(req.body?.redeemCode || req.body?.pixelDemoToken || req.body?.demoToken || '').trim();
         if (!redeemCode) {
             return res.status(400).json({ success: false, message: 'redeemCode is required' });
@@ -831,12 +968,12 @@ router.post('/licenses/redeem', requireAuth, authGuardMiddleware, async (req, re
         }
 
         const user = await User.findById(req.user.id)
-            .select('username role projects tokenVersion');
+            .select('username role orgId projects groups active tokenVersion');
         if (!user) {
             return res.status(401).json({ success: false, message: 'Invalid authentication token' });
         }
 
-        const appsMap = await getAppsMap();
+        const appsMap = await getAppsMap({ orgId: user.orgId || DEFAULT_ORG_ID });
         const activeAppIdsSet = new Set(normalizeAppList([...appsMap.keys()]));
         if (activeAppIdsSet.size === 0) {
             return res.status(400).json({
@@ -906,16 +1043,7 @@ router.get('/licenses/me', requireAuth, async (req, res) => {
                 isTrialGrant: Boolean(req.user.isTrialGrant),
             },
             activeTrialCount: grants.length,
-            grants: grants.map((grant) => ({
-                id: grant._id,
-                source: grant.source,
-                tokenId: grant.tokenId,
-                apps: normalizeAppList(grant.apps),
-                claimRef: grant.claimRef || '',
-                expiresAt: grant.expiresAt,
-                createdAt: grant.createdAt,
-                updatedAt: grant.updatedAt,
-            })),
+            grants: grants.map(serializeTrialGrant),
         });
     } catch (error) {
         logger.error('Get licenses me error', { error: error.message });
@@ -959,7 +1087,16 @@ router.get('/licenses/validate', requireAuth, async (req, res) => {
 });
 
 router.post('/apps', ...requireAdminSafe, async (req, res) => {
-    const { appId, name, appUrl, description, status } = req.body || {};
+    const {
+        appId,
+        name,
+        appUrl,
+        description,
+        status,
+        clientType,
+        redirectUris,
+        orgId,
+    } = req.body || {};
 
     try {
         const normalizedAppId = normalizeAppId(appId);
@@ -967,23 +1104,61 @@ router.post('/apps', ...requireAdminSafe, async (req, res) => {
             return res.status(400).json({ success: false, message: 'appId, name and appUrl are required' });
         }
 
+        const normalizedClientType = clientType ? String(clientType).trim().toLowerCase() : 'public';
+        if (!CLIENT_TYPES.includes(normalizedClientType)) {
+            return res.status(400).json({ success: false, message: 'clientType must be public or confidential' });
+        }
+
+        const redirects = normalizeRedirectUris(redirectUris);
+        if (redirects.invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid redirect URI(s): ${redirects.invalid.join(', ')}`,
+            });
+        }
+
+        const targetOrg = await resolveTargetOrg(req, orgId);
+        if (!targetOrg.ok) {
+            return res.status(400).json({ success: false, message: targetOrg.message });
+        }
+
+        // appIds stay unique across organizations because they double as OAuth client ids.
         const existing = await App.findOne({ appId: normalizedAppId });
         if (existing) {
             return res.status(409).json({ success: false, message: 'appId already exists' });
         }
 
+        const clientSecret = normalizedClientType === 'confidential' ? generateClientSecret() : null;
         const createdApp = await App.create({
             appId: normalizedAppId,
             name: String(name).trim(),
             appUrl: String(appUrl).trim(),
             description: String(description || '').trim(),
             status: status === 'inactive' ? 'inactive' : 'active',
+            clientType: normalizedClientType,
+            redirectUris: redirects.uris,
+            clientSecretHash: clientSecret ? hashToken(clientSecret) : null,
+            orgId: targetOrg.orgId,
+        });
+        await recordAuditEvent({
+            req,
+            action: 'app.create',
+            target: { type: 'app', id: createdApp.appId },
+            after: {
+                name: createdApp.name,
+                orgId: createdApp.orgId,
+                appUrl: createdApp.appUrl,
+                status: createdApp.status,
+                clientType: createdApp.clientType,
+                redirectUris: [...(createdApp.redirectUris || [])],
+            },
         });
 
         return res.status(201).json({
             success: true,
             message: 'App created successfully',
-            app: createdApp,
+            app: serializeApp(createdApp),
+            ...(clientSecret ? { clientSecret } : {}),
         });
     } catch (error) {
         logger.error('Create app error', { error: error.message });
@@ -991,6 +1166,167 @@ router.post('/apps', ...requireAdminSafe, async (req, res) => {
     }
 });
 
+router.put('/apps/:appId/oauth', ...requireAdminSafe, async (req, res) => {
+    try {
+        const normalizedAppId = normalizeAppId(req.params.appId);
+        const app = await App.findOne({ appId: normalizedAppId, ...orgScopeFilter(req) }).select('+clientSecretHash');
+        if (!app) {
+            return res.status(404).json({ success: false, message: 'App not found' });
+        }
+        const before = { clientType: app.clientType, redirectUris: [...(app.redirectUris || [])] };
+
+        if (req.body?.clientType !== undefined) {
+            const normalizedClientType = String(req.body.clientType).trim().toLowerCase();
+            if (!CLIENT_TYPES.includes(normalizedClientType)) {
+                return res.status(400).json({ success: false, message: 'clientType must be public or confidential' });
+            }
+            app.clientType = normalizedClientType;
+        }
+
+        if (req.body?.redirectUris !== undefined) {
+            const redirects = normalizeRedirectUris(req.body.redirectUris);
+            if (redirects.invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid redirect URI(s): ${redirects.invalid.join(', ')}`,
+                });
+            }
+            app.redirectUris = redirects.uris;
+        }
+
+        let clientSecret = null;
+        if (app.clientType === 'confidential' && !app.clientSecretHash) {
+            clientSecret = generateClientSecret();
+            app.clientSecretHash = hashToken(clientSecret);
+        }
+
+        await app.save();
+        await recordAuditEvent({
+            req,
+            action: 'app.oauth.update',
+            target: { type: 'app', id: app.appId },
+            before,
+            after: { clientType: app.clientType, redirectUris: [...(app.redirectUris || [])] },
+            details: { clientSecretIssued: Boolean(clientSecret) },
+        });
+
+        return res.json({
+            success: true,
+            message: 'OAuth client settings updated successfully',
+            app: serializeApp(app),
+            ...(clientSecret ? { clientSecret } : {}),
+        });
+    } catch (error) {
+        logger.error('Update app oauth settings error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating OAuth client settings' });
+    }
+});
+
+// SAML service provider settings. Signing requests is optional; once signingCert is set
+// only AuthnRequests signed with its key are accepted.
+router.put('/apps/:appId/saml', ...requireAdminSafe, async (req, res) => {
+    try {
+        const normalizedAppId = normalizeAppId(req.params.appId);
+        const app = await App.findOne({ appId: normalizedAppId, ...orgScopeFilter(req) });
+        if (!app) {
+            return res.status(404).json({ success: false, message: 'App not found' });
+        }
+        const before = serializeSamlSettings(app.saml);
+
+        let settings;
+        try {
+            settings = parseSamlSettings(req.body || {}, before);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+
+        const entityIdTaken = await App.exists({ 'saml.entityId': settings.entityId, appId: { $ne: app.appId } });
+        if (entityIdTaken) {
+            return res.status(409).json({ success: false, message: 'entityId is already used by another app' });
+        }
+
+        app.saml = settings;
+        await app.save();
+        await recordAuditEvent({
+            req,
+            action: 'app.saml.update',
+            target: { type: 'app', id: app.appId },
+            before,
+            after: settings,
+        });
+
+        return res.json({
+            success: true,
+            message: 'SAML settings updated successfully',
+            app: serializeApp(app),
+        });
+    } catch (error) {
+        logger.error('Update app saml settings error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error updating SAML settings' });
+    }
+});
+
+router.delete('/apps/:appId/saml', ...requireAdminSafe, async (req, res) => {
+    try {
+        const normalizedAppId = normalizeAppId(req.params.appId);
+        const app = await App.findOne({ appId: normalizedAppId, ...orgScopeFilter(req) });
+        if (!app) {
+            return res.status(404).json({ success: false, message: 'App not found' });
+        }
+        if (!app.saml) {
+            return res.status(404).json({ success: false, message: 'App has no SAML settings' });
+        }
+        const before = serializeSamlSettings(app.saml);
+
+        app.saml = null;
+        await app.save();
+        await recordAuditEvent({
+            req,
+            action: 'app.saml.delete',
+            target: { type: 'app', id: app.appId },
+            before,
+        });
+
+        return res.json({ success: true, message: 'SAML settings removed', app: serializeApp(app) });
+    } catch (error) {
+        logger.error('Delete app saml settings error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error removing SAML settings' });
+    }
+});
+
+router.post('/apps/:appId/client-secret/rotate', ...requireAdminSafe, async (req, res) => {
+    try {
+        const normalizedAppId = normalizeAppId(req.params.appId);
+        const app = await App.findOne({ appId: normalizedAppId, ...orgScopeFilter(req) });
+        if (!app) {
+            return res.status(404).json({ success: false, message: 'App not found' });
+        }
+
+        if (app.clientType !== 'confidential') {
+            return res.status(400).json({ success: false, message: 'Only confidential clients have a client secret' });
+        }
+
+        const clientSecret = generateClientSecret();
+        app.clientSecretHash = hashToken(clientSecret);
+        await app.save();
+        await recordAuditEvent({
+            req,
+            action: 'app.client_secret.rotate',
+            target: { type: 'app', id: app.appId },
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Client secret rotated successfully. Store this secret securely.',
+            appId: app.appId,
+            clientSecret,
+        });
+    } catch (error) {
+        logger.error('Rotate client secret error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error rotating client secret' });
+    }
+});
+
 router.put('/apps/:appId/status', ...requireAdminSafe, async (req, res) => {
     try {
         const normalizedAppId = normalizeAppId(req.params.appId);
@@ -1000,8 +1336,9 @@ router.put('/apps/:appId/status', ...requireAdminSafe, async (req, res) => {
             return res.status(400).json({ success: false, message: 'status must be active or inactive' });
         }
 
+        const previousApp = await App.findOne({ appId: normalizedAppId, ...orgScopeFilter(req) }).select('status').lean();
         const updatedApp = await App.findOneAndUpdate(
-            { appId: normalizedAppId },
+            { appId: normalizedAppId, ...orgScopeFilter(req) },
             { status },
             { new: true },
         );
@@ -1009,6 +1346,13 @@ router.put('/apps/:appId/status', ...requireAdminSafe, async (req, res) => {
         if (!updatedApp) {
             return res.status(404).json({ success: false, message: 'App not found' });
         }
+        await recordAuditEvent({
+            req,
+            action: 'app.status.update',
+            target: { type: 'app', id: updatedApp.appId },
+            before: { status: previousApp?.status || null },
+            after: { status: updatedApp.status },
+        });
 
         return res.json({
             success: true,
@@ -1026,21 +1370,32 @@ router.put('/apps/:appId/assign/:username', ...requireAdminSafe, async (req, res
         const normalizedAppId = normalizeAppId(req.params.appId);
         const normalizedUsername = normalizeUsername(req.params.username);
 
-        const appsMap = await getAppsMap({ includeInactive: true });
+        const appsMap = await getAppsMap({ includeInactive: true, ...orgScopeFilter(req) });
         const targetApp = appsMap.get(normalizedAppId);
         if (!targetApp) {
             return res.status(404).json({ success: false, message: 'App not found' });
         }
 
-        const user = await User.findOne({ username: normalizedUsername });
+        const user = await User.findOne({ username: normalizedUsername, ...orgScopeFilter(req) });
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
+        if ((user.orgId || DEFAULT_ORG_ID) !== targetApp.orgId) {
+            return res.status(400).json({ success: false, message: 'User and app belong to different organizations' });
+        }
 
         const userAppIds = normalizeAppList(user.projects);
         if (!userAppIds.includes(normalizedAppId)) {
             user.projects = [...userAppIds, normalizedAppId];
             await user.save();
+            await recordAuditEvent({
+                req,
+                action: 'user.apps.assign',
+                target: { type: 'user', id: user.username },
+                before: { apps: userAppIds },
+                after: { apps: normalizeAppList(user.projects) },
+                details: { appId: normalizedAppId },
+            });
         }
 
         return res.json({
@@ -1059,17 +1414,25 @@ router.put('/apps/:appId/unassign/:username', ...requireAdminSafe, async (req, r
     try {
         const normalizedAppId = normalizeAppId(req.params.appId);
         const normalizedUsername = normalizeUsername(req.params.username);
-        const user = await User.findOne({ username: normalizedUsername });
+        const user = await User.findOne({ username: normalizedUsername, ...orgScopeFilter(req) });
 
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        user.projects = normalizeAppList(user.projects).filter((app) => app !== normalizedAppId);
+        const previousApps = normalizeAppList(user.projects);
+        user.projects = previousApps.filter((app) => app !== normalizedAppId);
         user.tokenVersion += 1;
-        user.refreshTokenHash = null;
-        user.refreshTokenExpiresAt = null;
         await user.save();
+        await revokeUserSessions(user._id, 'app unassigned by admin');
+        await recordAuditEvent({
+            req,
+            action: 'user.apps.unassign',
+            target: { type: 'user', id: user.username },
+            before: { apps: previousApps },
+            after: { apps: normalizeAppList(user.projects) },
+            details: { appId: normalizedAppId },
+        });
 
         return res.json({
             success: true,
@@ -1085,15 +1448,17 @@ router.put('/apps/:appId/unassign/:username', ...requireAdminSafe, async (req, r
 
 router.get('/admin/summary', ...requireAdminSafe, async (req, res) => {
     try {
-        const totalUsers = await User.countDocuments();
-        const adminUsers = await User.countDocuments({ role: 'admin' });
+        const scope = orgScopeFilter(req);
+        const totalUsers = await User.countDocuments(scope);
+        const adminUsers = await User.countDocuments({ ...scope, role: 'admin' });
 
-        const appsMap = await getAppsMap({ includeInactive: true });
+        const appsMap = await getAppsMap({ includeInactive: true, ...scope });
         const apps = [...appsMap.values()];
         const activeApps = apps.filter((app) => app.status === 'active').length;
 
         return res.json({
             success: true,
+            orgId: scope.orgId || null,
             totalUsers,
             adminUsers,
             totalApps: apps.length,
@@ -1109,15 +1474,30 @@ router.get('/admin/summary', ...requireAdminSafe, async (req, res) => {
 router.get('/admin/users', ...requireAdminSafe, async (req, res) => {
     try {
         const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
-        const users = await User.find({})
-            .select('name username email role projects createdAt')
-            .sort({ createdAt: -1 })
-            .limit(limit)
-            .lean();
+        const page = Math.max(Math.floor(Number(req.query.page) || 1), 1);
+        const search = String(req.query.q || '').trim().toLowerCase().slice(0, 100);
+        const pattern = new RegExp(escapeRegExp(search), 'i');
+        const filter = {
+            ...orgScopeFilter(req),
+            ...(search ? { $or: [{ username: pattern }, { email: pattern }, { name: pattern }] } : {}),
+        };
+
+        const [users, matched] = await Promise.all([
+            User.find(filter)
+                .select('name username email role orgId projects groups active createdAt')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            User.countDocuments(filter),
+        ]);
 
         return res.json({
             success: true,
             total: users.length,
+            matched,
+            page,
+            pages: Math.max(Math.ceil(matched / limit), 1),
             users,
         });
     } catch (error) {
@@ -1148,57 +1528,67 @@ router.get('/admin/personal-token', ...requireAdminSafe, async (req, res) => {
     }
 });
 
-router.post('/admin/personal-token/rotate', ...requireAdminSafe, async (req, res) => {
-    try {
-        if (!ACCESS_TOKEN_SECRET) {
-            return res.status(500).json({ success: false, message: 'Server auth configuration is missing' });
-        }
+router.post(
+    '/admin/personal-token/rotate',
+    ...requireAdminSafe,
+    requireDeviceQuorum('personal_token.rotate', (req) => ({
+        target: req.user.username,
+        params: { label: String(req.body?.label || '').trim() },
+    })),
+    async (req, res) => {
+        try {
+            const label = String(req.body?.label || 'primary-admin-token').trim() || 'primary-admin-token';
+            const revokeReason = String(req.body?.reason || 'rotated by admin').trim() || 'rotated by admin';
+            const now = new Date();
+
+            const revokeResult = await AdminPersonalToken.updateMany(
+                { userId: req.user.id, revokedAt: null },
+                { $set: { revokedAt: now, revokedReason: revokeReason } },
+            );
+
+            const user = await User.findById(req.user.id).select('username role orgId projects groups active tokenVersion');
+            if (!user || user.role !== 'admin') {
+                return res.status(403).json({ success: false, message: 'Only admin users can generate persistent admin token' });
+            }
 
-        const label = String(req.body?.label || 'primary-admin-token').trim() || 'primary-admin-token';
-        const revokeReason = String(req.body?.reason || 'rotated by admin').trim() || 'rotated by admin';
-        const now = new Date();
+            const tokenId = `apat-${crypto.randomUUID()}`;
+            const adminToken = await issuePersistentAdminToken({
+                user,
+                tokenId,
+            });
 
-        const revokeResult = await AdminPersonalToken.updateMany(
-            { userId: req.user.id, revokedAt: null },
-            { $set: { revokedAt: now, revokedReason: revokeReason } },
-        );
+            await AdminPersonalToken.create({
+                userId: user._id,
+                username: user.username,
+                tokenId,
+                label: label.slice(0, 100),
+                tokenHash: hashToken(adminToken),
+                lastUsedAt: now,
+                lastUsedIp: String(req.ip || ''),
+            });
+            await recordAuditEvent({
+                req,
+                action: 'personal_token.rotate',
+                target: { type: 'personal_token', id: tokenId },
+                details: { label: label.slice(0, 100), revokedCount: revokeResult.modifiedCount || 0 },
+            });
 
-        const user = await User.findById(req.user.id).select('username role projects tokenVersion');
-        if (!user || user.role !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Only admin users can generate persistent admin token' });
+            return res.status(201).json({
+                success: true,
+                message: 'Persistent admin token rotated successfully. Store this token securely.',
+                revokedCount: revokeResult.modifiedCount || 0,
+                tokenType: 'Bearer',
+                adminToken,
+                tokenId,
+                audience: ADMIN_CONSOLE_APP_ID,
+                note: 'This token does not expire automatically. Revoke immediately if compromised.',
+            });
+        } catch (error) {
+            logger.error('Admin personal token rotate error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error rotating persistent admin token' });
         }
-
-        const tokenId = `apat-${crypto.randomUUID()}`;
-        const adminToken = issuePersistentAdminToken({
-            user,
-            tokenId,
-        });
-
-        await AdminPersonalToken.create({
-            userId: user._id,
-            username: user.username,
-            tokenId,
-            label: label.slice(0, 100),
-            tokenHash: hashToken(adminToken),
-            lastUsedAt: now,
-            lastUsedIp: String(req.ip || ''),
-        });
-
-        return res.status(201).json({
-            success: true,
-            message: 'Persistent admin token rotated successfully. Store this token securely.',
-            revokedCount: revokeResult.modifiedCount || 0,
-            tokenType: 'Bearer',
-            adminToken,
-            tokenId,
-            audience: ADMIN_CONSOLE_APP_ID,
-            note: 'This token does not expire automatically. Revoke immediately if compromised.',
-        });
-    } catch (error) {
-        logger.error('Admin personal token rotate error', { error: error.message });
-        return res.status(500).json({ success: false, message: 'Error rotating persistent admin token' });
-    }
-});
+    },
+);
 
 router.delete('/admin/personal-token', ...requireAdminSafe, async (req, res) => {
     try {
@@ -1208,6 +1598,12 @@ router.delete('/admin/personal-token', ...requireAdminSafe, async (req, res) =>
             { userId: req.user.id, revokedAt: null },
             { $set: { revokedAt: revokeAt, revokedReason: revokeReason } },
         );
+        await recordAuditEvent({
+            req,
+            action: 'personal_token.revoke_all',
+            target: { type: 'user', id: req.user.username },
+            details: { reason: revokeReason, revokedCount: result.modifiedCount || 0 },
+        });
 
         return res.json({
             success: true,
@@ -1246,6 +1642,12 @@ router.delete('/admin/personal-token/:tokenId', ...requireAdminSafe, async (req,
         if (!updated) {
             return res.status(404).json({ success: false, message: 'Active personal token not found' });
         }
+        await recordAuditEvent({
+            req,
+            action: 'personal_token.revoke',
+            target: { type: 'personal_token', id: updated.tokenId },
+            details: { reason: revokeReason },
+        });
 
         return res.json({
             success: true,
@@ -1259,6 +1661,69 @@ router.delete('/admin/personal-token/:tokenId', ...requireAdminSafe, async (req,
     }
 });
 
+// Signs the user out everywhere: refresh sessions are revoked and the tokenVersion
+// bump invalidates access tokens already issued.
+router.post('/admin/users/:username/logout', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        const user = await User.findOneAndUpdate(
+            { username, ...orgScopeFilter(req) },
+            { $inc: { tokenVersion: 1 } },
+            { new: true },
+        ).select('_id username');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const result = await revokeUserSessions(user._id, 'signed out by admin');
+        await recordAuditEvent({
+            req,
+            action: 'user.sessions.revoke',
+            target: { type: 'user', id: user.username },
+            details: { revokedSessions: result.modifiedCount || 0 },
+        });
+
+        return res.json({
+            success: true,
+            message: `${user.username} was signed out of all sessions`,
+            revokedSessions: result.modifiedCount || 0,
+        });
+    } catch (error) {
+        logger.error('Admin force logout error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error signing user out' });
+    }
+});
+
+router.get('/admin/users/:username/trial-grants', ...requireAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.params.username);
+        const user = await User.findOne({ username, ...orgScopeFilter(req) }).select('_id username').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const now = new Date();
+        const grants = await TrialLicenseGrant.find({ userId: user._id })
+            .sort({ createdAt: -1 })
+            .limit(200)
+            .lean();
+
+        return res.json({
+            success: true,
+            username: user.username,
+            total: grants.length,
+            grants: grants.map((grant) => ({
+                ...serializeTrialGrant(grant),
+                revokedAt: grant.revokedAt,
+                active: !grant.revokedAt && new Date(grant.expiresAt) > now,
+            })),
+        });
+    } catch (error) {
+        logger.error('Admin trial grants error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error fetching trial grants' });
+    }
+});
+
 router.get('/admin/users/:username/apps', ...requireAdminSafe, async (req, res) => {
     try {
         const username = normalizeUsername(req.params.username);
@@ -1266,18 +1731,20 @@ router.get('/admin/users/:username/apps', ...requireAdminSafe, async (req, res)
             return res.status(400).json({ success: false, message: 'username is required' });
         }
 
-        const user = await User.findOne({ username })
-            .select('name username email role projects')
+        const user = await User.findOne({ username, ...orgScopeFilter(req) })
+            .select('name username email role orgId projects groups active')
             .lean();
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        const appsMap = await getAppsMap({ includeInactive: true });
+        const appsMap = await getAppsMap({ includeInactive: true, orgId: user.orgId || DEFAULT_ORG_ID });
         return res.json({
             success: true,
             user,
             assignedApps: normalizeAppList(user.projects),
+            groups: user.groups || [],
+            effectiveApps: await resolveEffectiveApps(user),
             availableApps: [...appsMap.values()],
         });
     } catch (error) {
@@ -1301,7 +1768,12 @@ router.put('/admin/users/:username/apps', ...requireAdminSafe, async (req, res)
                 .filter(Boolean);
         const requestedApps = normalizeAppList(rawApps).filter((appId) => appId !== ADMIN_CONSOLE_APP_ID);
 
-        const appsMap = await getAppsMap({ includeInactive: true });
+        const previousUser = await User.findOne({ username, ...orgScopeFilter(req) }).select('projects orgId').lean();
+        if (!previousUser) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const appsMap = await getAppsMap({ includeInactive: true, orgId: previousUser.orgId || DEFAULT_ORG_ID });
         const availableAppIds = new Set([...appsMap.keys()]);
         const invalidAppIds = requestedApps.filter((appId) => !availableAppIds.has(appId));
         if (invalidAppIds.length > 0) {
@@ -1312,21 +1784,25 @@ router.put('/admin/users/:username/apps', ...requireAdminSafe, async (req, res)
         }
 
         const updatedUser = await User.findOneAndUpdate(
-            { username },
+            { username, ...orgScopeFilter(req) },
             {
-                $set: {
-                    projects: requestedApps,
-                    refreshTokenHash: null,
-                    refreshTokenExpiresAt: null,
-                },
+                $set: { projects: requestedApps },
                 $inc: { tokenVersion: 1 },
             },
             { new: true },
-        ).select('name username email role projects');
+        ).select('name username email role orgId projects groups active');
 
         if (!updatedUser) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
+        await revokeUserSessions(updatedUser._id, 'app access updated by admin');
+        await recordAuditEvent({
+            req,
+            action: 'user.apps.update',
+            target: { type: 'user', id: updatedUser.username },
+            before: { apps: normalizeAppList(previousUser?.projects) },
+            after: { apps: normalizeAppList(updatedUser.projects) },
+        });
 
         return res.json({
             success: true,
@@ -1340,48 +1816,239 @@ router.put('/admin/users/:username/apps', ...requireAdminSafe, async (req, res)
     }
 });
 
-router.put('/admin/role/:username', ...requireAdminSafe, async (req, res) => {
+// For users who lost their authenticator and recovery codes. They sign in with the
+// password alone afterwards, or are asked to enroll again if their role requires MFA.
+router.delete('/admin/users/:username/mfa', ...requireAdminSafe, async (req, res) => {
     try {
         const username = normalizeUsername(req.params.username);
-        const role = String(req.body?.role || '').trim().toLowerCase();
+        const user = await User.findOne({ username, ...orgScopeFilter(req) }).select('_id username').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
 
-        if (!['user', 'admin'].includes(role)) {
-            return res.status(400).json({ success: false, message: 'role must be user or admin' });
+        const result = await disableMfa(user._id);
+        if (!result.deletedCount) {
+            return res.status(404).json({ success: false, message: 'User has no MFA enrolled' });
         }
 
-        const targetUser = await User.findOneAndUpdate(
-            { username },
-            { role },
-            { new: true },
-        ).select('name username email role projects');
+        await recordSecurityEvent({
+            type: 'mfa_reset',
+            userId: user._id,
+            req,
+            details: { resetBy: req.user.username },
+        });
+        await recordAuditEvent({
+            req,
+            action: 'user.mfa.reset',
+            target: { type: 'user', id: user.username },
+            details: { factorsRemoved: result.deletedCount },
+        });
 
-        if (!targetUser) {
-            return res.status(404).json({ success: false, message: 'User not found' });
+        return res.json({ success: true, message: `MFA reset for ${user.username}` });
+    } catch (error) {
+        logger.error('Admin MFA reset error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error resetting MFA' });
+    }
+});
+
+router.put(
+    '/admin/role/:username',
+    ...requireAdminSafe,
+    requireValidRole,
+    requireDeviceQuorum('role.update', (req) => ({
+        target: normalizeUsername(req.params.username),
+        params: { role: String(req.body?.role || '').trim().toLowerCase() },
+    })),
+    async (req, res) => {
+        try {
+            const username = normalizeUsername(req.params.username);
+            const role = String(req.body?.role || '').trim().toLowerCase();
+
+            const previousUser = await User.findOne({ username, ...orgScopeFilter(req) }).select('role').lean();
+            const targetUser = await User.findOneAndUpdate(
+                { username, ...orgScopeFilter(req) },
+                { role },
+                { new: true },
+            ).select('name username email role orgId projects groups active');
+
+            if (!targetUser) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+            await recordAuditEvent({
+                req,
+                action: 'user.role.update',
+                target: { type: 'user', id: targetUser.username },
+                before: { role: previousUser?.role || null },
+                after: { role: targetUser.role },
+            });
+
+            return res.json({
+                success: true,
+                message: 'User role updated successfully',
+                user: targetUser,
+            });
+        } catch (error) {
+            logger.error('Admin role update error', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error updating user role' });
+        }
+    },
+);
+
+router.get('/admin/keys', ...requirePlatformAdminSafe, async (_req, res) => {
+    try {
+        const keys = await listSigningKeys();
+        return res.json({
+            success: true,
+            total: keys.length,
+            keys,
+        });
+    } catch (error) {
+        logger.error('Signing key list error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading signing keys' });
+    }
+});
+
+router.post('/admin/keys/rotate', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const activateInMinutes = req.body?.activateInMinutes === undefined ? 60 : Number(req.body.activateInMinutes);
+        const activateAt = req.body?.activateAt
+            ? new Date(req.body.activateAt)
+            : new Date(Date.now() + (Math.max(0, activateInMinutes) * 60 * 1000));
+        if (Number.isNaN(activateAt.getTime())) {
+            return res.status(400).json({ success: false, message: 'activateAt must be a valid date' });
+        }
+
+        const overlapSeconds = req.body?.overlapHours === undefined
+            ? DEFAULT_OVERLAP_SECONDS
+            : Math.max(0, Number(req.body.overlapHours) || 0) * 3600;
+
+        const key = await scheduleKeyRotation({
+            alg: req.body?.alg || undefined,
+            activateAt,
+            overlapSeconds,
+            createdBy: req.user.username,
+            reason: String(req.body?.reason || 'scheduled rotation').trim().slice(0, 200),
+        });
+        await recordAuditEvent({
+            req,
+            action: 'signing_key.rotate',
+            target: { type: 'signing_key', id: key.kid },
+            after: { alg: key.alg, status: key.status, activatesAt: key.activatesAt },
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Signing key rotation scheduled. The new key is published in JWKS until it activates.',
+            key: {
+                kid: key.kid,
+                alg: key.alg,
+                status: key.status,
+                activatesAt: key.activatesAt,
+                overlapSeconds: key.overlapSeconds,
+            },
+        });
+    } catch (error) {
+        if (/^alg must be/.test(error.message)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Signing key rotate error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error scheduling signing key rotation' });
+    }
+});
+
+router.post('/admin/keys/:kid/retire', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const retired = await retireSigningKey(String(req.params.kid || '').trim());
+        if (!retired) {
+            return res.status(404).json({ success: false, message: 'No pending or verify-only key with that kid' });
+        }
+        await recordAuditEvent({
+            req,
+            action: 'signing_key.retire',
+            target: { type: 'signing_key', id: retired.kid },
+        });
+
+        return res.json({
+            success: true,
+            message: 'Signing key retired',
+            kid: retired.kid,
+            retiredAt: retired.retiredAt,
+        });
+    } catch (error) {
+        logger.error('Signing key retire error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error retiring signing key' });
+    }
+});
+
+router.get('/admin/security-events', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const type = String(req.query?.type || '').trim();
+        const username = normalizeUsername(req.query?.username);
+        let userId;
+        if (username) {
+            const user = await User.findOne({ username }).select('_id').lean();
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+            userId = user._id;
+        }
+
+        const events = await listSecurityEvents({ type, userId, limit: req.query?.limit });
+        return res.json({ success: true, total: events.length, events });
+    } catch (error) {
+        logger.error('Security events error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading security events' });
+    }
+});
+
+router.get('/admin/login-events', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const username = normalizeUsername(req.query?.username);
+        let userId;
+        if (username) {
+            const user = await User.findOne({ username }).select('_id').lean();
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+            userId = user._id;
         }
 
+        const events = await listLoginEvents({
+            userId,
+            type: String(req.query?.type || '').trim(),
+            outcome: String(req.query?.outcome || '').trim(),
+            decision: String(req.query?.decision || '').trim(),
+            limit: req.query?.limit,
+        });
         return res.json({
             success: true,
-            message: 'User role updated successfully',
-            user: targetUser,
+            riskEngine: isFeatureEnabled('RISK_ENGINE'),
+            thresholds: { stepUp: RISK_STEP_UP_SCORE, deny: RISK_DENY_SCORE },
+            total: events.length,
+            events,
         });
     } catch (error) {
-        logger.error('Admin role update error', { error: error.message });
-        return res.status(500).json({ success: false, message: 'Error updating user role' });
+        logger.error('Login events error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading login events' });
     }
 });
 
 router.get('/admin/safety/status', ...requireAdminSafe, async (_req, res) => {
     try {
+        await refreshSafetyState({ force: true });
         const snapshot = getSafetySnapshot();
         return res.json({
             success: true,
+            serverTime: Date.now(),
             safety: snapshot,
+            throttle: await getThrottleSnapshot(),
             highlights: {
                 passkey: isFeatureEnabled('PASSKEY'),
                 dpop: isFeatureEnabled('DPOP'),
                 riskEngine: isFeatureEnabled('RISK_ENGINE'),
                 faceAuth: isFeatureEnabled('FACE_AUTH'),
                 deviceQuorum: isFeatureEnabled('DEVICE_QUORUM'),
+                adminMfa: isFeatureEnabled('ADMIN_MFA'),
             },
         });
     } catch (error) {
@@ -1390,10 +2057,25 @@ router.get('/admin/safety/status', ...requireAdminSafe, async (_req, res) => {
     }
 });
 
-router.post('/admin/safety/reset', ...requireAdminSafe, async (req, res) => {
+router.post('/admin/safety/reset', ...requirePlatformAdminSafe, async (req, res) => {
     try {
         const reason = String(req.body?.reason || 'manual admin reset').trim();
-        resetSafetyGuard(reason);
+        await refreshSafetyState({ force: true });
+        const { guard: previous } = getSafetySnapshot();
+        await resetSafetyGuard(reason);
+        await recordAuditEvent({
+            req,
+            action: 'safety.reset',
+            target: { type: 'safety_guard', id: 'global' },
+            before: {
+                paused: previous.paused,
+                pauseReason: previous.pauseReason,
+                failedAttempts: previous.failedAttempts,
+                totalAttempts: previous.totalAttempts,
+            },
+            after: { paused: false, failedAttempts: 0, totalAttempts: 0 },
+            details: { reason },
+        });
         return res.json({
             success: true,
             message: 'Safety guard reset successfully',
@@ -1405,8 +2087,51 @@ router.post('/admin/safety/reset', ...requireAdminSafe, async (req, res) => {
     }
 });
 
+router.get('/admin/throttle', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const scope = String(req.query?.scope || '').trim();
+        if (scope && !THROTTLE_SCOPES[scope]) {
+            return res.status(400).json({ success: false, message: 'scope must be account, ip or app' });
+        }
+        const keys = await listThrottledKeys({ scope });
+        return res.json({ success: true, total: keys.length, keys });
+    } catch (error) {
+        logger.error('Throttle list error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading login throttles' });
+    }
+});
+
+router.delete('/admin/throttle/:scope/:key', ...requirePlatformAdminSafe, async (req, res) => {
+    try {
+        const scope = String(req.params.scope || '').trim();
+        if (!THROTTLE_SCOPES[scope]) {
+            return res.status(400).json({ success: false, message: 'scope must be account, ip or app' });
+        }
+        if (!await clearThrottle(scope, req.params.key)) {
+            return res.status(404).json({ success: false, message: 'No throttle found for this key' });
+        }
+        await recordSecurityEvent({
+            type: 'throttle_cleared',
+            severity: 'info',
+            userId: req.user.isBreakGlass ? null : req.user.id,
+            req,
+            details: { scope, key: req.params.key, clearedBy: req.user.username },
+        });
+        await recordAuditEvent({
+            req,
+            action: 'throttle.clear',
+            target: { type: `throttle_${scope}`, id: req.params.key },
+        });
+        return res.json({ success: true, message: 'Throttle cleared' });
+    } catch (error) {
+        logger.error('Throttle clear error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error clearing login throttle' });
+    }
+});
+
 router.get('/admin/features', ...requireAdminSafe, async (_req, res) => {
     try {
+        await refreshSafetyState({ force: true });
         return res.json({
             success: true,
             features: getFeatureFlags(),
@@ -1417,14 +2142,23 @@ router.get('/admin/features', ...requireAdminSafe, async (_req, res) => {
     }
 });
 
-router.put('/admin/features/:featureKey', ...requireAdminSafe, async (req, res) => {
+router.put('/admin/features/:featureKey', ...requirePlatformAdminSafe, async (req, res) => {
     try {
         const featureKey = String(req.params.featureKey || '').trim().toUpperCase();
         const enabled = Boolean(req.body?.enabled);
-        const updated = setFeatureFlag(featureKey, enabled);
+        await refreshSafetyState({ force: true });
+        const previous = getFeatureFlags()[featureKey];
+        const updated = await setFeatureFlag(featureKey, enabled);
         if (!updated) {
             return res.status(400).json({ success: false, message: 'Unknown feature key' });
         }
+        await recordAuditEvent({
+            req,
+            action: 'feature.update',
+            target: { type: 'feature', id: featureKey },
+            before: { enabled: previous ?? null },
+            after: { enabled },
+        });
 
         return res.json({
             success: true,
@@ -1460,9 +2194,9 @@ router.put('/update-password/:username', requireAuth, authLimiter, async (req, r
         }
 
         const user = await User.findOne({ username })
-            .select('+password +refreshTokenHash +refreshTokenExpiresAt tokenVersion');
+            .select('+password orgId tokenVersion');
 
-        if (!user) {
+        if (!user || (!isOwnAccount && !isInAdminOrgScope(req, user.orgId))) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
@@ -1478,9 +2212,14 @@ router.put('/update-password/:username', requireAuth, authLimiter, async (req, r
 
         user.password = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
         user.tokenVersion += 1;
-        user.refreshTokenHash = null;
-        user.refreshTokenExpiresAt = null;
         await user.save();
+        await revokeUserSessions(user._id, 'password changed');
+        await recordAuditEvent({
+            req,
+            action: 'user.password.update',
+            target: { type: 'user', id: username },
+            details: { byAdmin: !isOwnAccount },
+        });
 
         clearRefreshTokenCookie(res);
         return res.json({ success: true, message: 'Password updated successfully. Please login again.' });
@@ -1506,10 +2245,10 @@ router.put('/update-name/:username', requireAuth, async (req, res) => {
         }
 
         const updatedUser = await User.findOneAndUpdate(
-            { username },
+            isOwnAccount ? { username } : { username, ...orgScopeFilter(req) },
             { name: String(newName).trim() },
             { new: true },
-        ).select('name username email role projects');
+        ).select('name username email role orgId projects groups active');
 
         if (!updatedUser) {
             return res.status(404).json({ success: false, message: 'User not found' });
@@ -1526,28 +2265,51 @@ router.put('/update-name/:username', requireAuth, async (req, res) => {
     }
 });
 
-router.delete('/delete-user/:usernameOrEmail', ...requireAdminSafe, async (req, res) => {
-    try {
-        const identifier = String(req.params.usernameOrEmail || '').trim().toLowerCase();
-        const user = await User.findOneAndDelete({
-            $or: [
-                { username: identifier },
-                { email: identifier },
-            ],
-        });
+router.delete(
+    '/delete-user/:usernameOrEmail',
+    ...requireAdminSafe,
+    requireDeviceQuorum('user.delete', (req) => ({
+        target: String(req.params.usernameOrEmail || '').trim().toLowerCase(),
+    })),
+    async (req, res) => {
+        try {
+            const identifier = String(req.params.usernameOrEmail || '').trim().toLowerCase();
+            const user = await User.findOneAndDelete({
+                $or: [
+                    { username: identifier },
+                    { email: identifier },
+                ],
+                ...orgScopeFilter(req),
+            });
 
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found' });
-        }
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+            await revokeUserSessions(user._id, 'user deleted');
+            await PasskeyCredential.deleteMany({ userId: user._id });
+            await MfaFactor.deleteMany({ userId: user._id });
+            await AdminDevice.deleteMany({ userId: user._id });
+            await recordAuditEvent({
+                req,
+                action: 'user.delete',
+                target: { type: 'user', id: user.username },
+                before: {
+                    username: user.username,
+                    email: user.email,
+                    role: user.role,
+                    apps: normalizeAppList(user.projects),
+                },
+            });
 
-        return res.json({ success: true, message: 'User deleted successfully' });
-    } catch (error) {
-        logger.error('Error deleting user', { error: error.message });
-        return res.status(500).json({ success: false, message: 'Error deleting user' });
-    }
-});
+            return res.json({ success: true, message: 'User deleted successfully' });
+        } catch (error) {
+            logger.error('Error deleting user', { error: error.message });
+            return res.status(500).json({ success: false, message: 'Error deleting user' });
+        }
+    },
+);
 
-router.get('/metrics', ...requireAdminSafe, async (req, res) => {
+router.get('/metrics', ...requirePlatformAdminSafe, async (req, res) => {
     res.set('Content-Type', metricsRegistry.contentType);
     res.end(await metricsRegistry.metrics());
 });
@@ -0,0 +1,44 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { getJwks, SUPPORTED_SIGNING_ALGS } = require('../config/keys');
+const { OIDC_ISSUER } = require('../config/tokens');
+const { DPOP_SIGNING_ALGS, isDpopAdvertised } = require('../config/dpop');
+
+const router = express.Router();
+
+router.get('/openid-configuration', (_req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({
+        issuer: OIDC_ISSUER,
+        authorization_endpoint: `${OIDC_ISSUER}/oauth/authorize`,
+        token_endpoint: `${OIDC_ISSUER}/oauth/token`,
+        userinfo_endpoint: `${OIDC_ISSUER}/oauth/userinfo`,
+        introspection_endpoint: `${OIDC_ISSUER}/oauth/introspect`,
+        introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+        revocation_endpoint: `${OIDC_ISSUER}/oauth/revoke`,
+        revocation_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+        jwks_uri: `${OIDC_ISSUER}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: SUPPORTED_SIGNING_ALGS,
+        scopes_supported: ['openid', 'profile', 'email'],
+        claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'name', 'preferred_username', 'email'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+        code_challenge_methods_supported: ['S256'],
+        ...(isDpopAdvertised() ? { dpop_signing_alg_values_supported: DPOP_SIGNING_ALGS } : {}),
+    });
+});
+
+router.get('/jwks.json', async (_req, res) => {
+    try {
+        const jwks = await getJwks();
+        res.setHeader('Cache-Control', 'public, max-age=300');
+        return res.json(jwks);
+    } catch (error) {
+        logger.error('JWKS error', { error: error.message });
+        return res.status(500).json({ success: false, message: 'Error loading signing keys' });
+    }
+});
+
+module.exports = router;
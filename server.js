@@ -4,11 +4,27 @@ require('dotenv').config();
 const connectDB = require('./config/db');
 const userRoutes = require('./routes/userRoutes');
 const ProductRoutes = require('./routes/ProductRoutes');
+const oauthRoutes = require('./routes/oauthRoutes');
+const passkeyRoutes = require('./routes/passkeyRoutes');
+const mfaRoutes = require('./routes/mfaRoutes');
+const quorumRoutes = require('./routes/quorumRoutes');
+const flagRoutes = require('./routes/flagRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const orgRoutes = require('./routes/orgRoutes');
+const groupRoutes = require('./routes/groupRoutes');
+const provisioningRoutes = require('./routes/provisioningRoutes');
+const federationRoutes = require('./routes/federationRoutes');
+const scimRoutes = require('./routes/scimRoutes');
+const samlRoutes = require('./routes/samlRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
 const adminConsoleRoute = require('./routes/adminConsoleRoute');
 const { ensureBootstrapAdmin } = require('./config/adminBootstrap');
+const { assertKeyEncryptionSecret, ensureSigningKeys } = require('./config/keys');
+const { ensureDefaultOrganization } = require('./config/organizations');
 const morgan = require('morgan');
 const serverless = require('serverless-http'); // This will help adapt your Express app to work on Vercel.
-const { attachTestRunId } = require('./config/safety');
+const { attachTestRunId, syncSafetyState } = require('./config/safety');
 
 const app = express();
 const allowedOrigins = (process.env.CORS_ORIGINS || '')
@@ -45,7 +61,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Break-Glass-Token', 'X-Test-Run-Id'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'DPoP', 'X-Break-Glass-Token', 'X-Quorum-Request', 'X-Test-Run-Id'],
+    exposedHeaders: ['WWW-Authenticate'],
 };
 
 // Middleware to parse JSON bodies
@@ -78,19 +95,37 @@ app.use((req, res, next) => {
 
 // HTTP request logging (optional but useful for debugging)
 app.use(attachTestRunId);
+app.use(syncSafetyState);
 morgan.token('test-run-id', (req) => req.testRunId || '-');
 app.use(morgan(':method :url :status :res[content-length] - :response-time ms testRun=:test-run-id'));
 
 // Define routes
 app.use('/', adminConsoleRoute);
+app.use('/api/users/passkeys', passkeyRoutes);
+app.use('/api/users/mfa', mfaRoutes);
+app.use('/api/users/admin', quorumRoutes);
+app.use('/api/users', flagRoutes);
+app.use('/api/users', auditRoutes);
+app.use('/api/users', roleRoutes);
+app.use('/api/users', orgRoutes);
+app.use('/api/users', groupRoutes);
+app.use('/api/users', provisioningRoutes);
+app.use('/api/users', federationRoutes);
 app.use('/api/users', userRoutes);
+app.use('/oauth', oauthRoutes);
+app.use('/scim/v2', scimRoutes);
+app.use('/saml', samlRoutes);
+app.use('/.well-known', wellKnownRoutes);
 app.use('/api/products', ProductRoutes);
 
 const PORT = process.env.PORT || 3001;
 
 const start = async () => {
+    assertKeyEncryptionSecret();
     await connectDB();
+    await ensureDefaultOrganization();
     await ensureBootstrapAdmin();
+    await ensureSigningKeys();
 
     if (require.main === module) {
         app.listen(PORT, () => {
@@ -0,0 +1,363 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+    getProviderMetadata,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeAuthorizationCode,
+    verifyIdToken,
+    readIdentityClaims,
+    resolveFederatedUser,
+} = require('../config/federation');
+
+const CLIENT_ID = 'auth-service';
+const CLIENT_SECRET = 'mock-idp-secret';
+
+// A local OpenID provider: discovery, JWKS, a token endpoint that checks client
+// authentication and PKCE, and userinfo.
+const startMockIdp = async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = 'mock-key-1';
+    const idp = {
+        privateKey,
+        kid,
+        codes: new Map(),
+        tokenRequests: [],
+        discoveryIssuer: null,
+    };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.get('/.well-known/openid-configuration', (_req, res) => res.json({
+        issuer: idp.discoveryIssuer || idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+        userinfo_endpoint: `${idp.issuer}/userinfo`,
+    }));
+    app.get('/jwks', (_req, res) => res.json({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }],
+    }));
+    app.post('/token', (req, res) => {
+        idp.tokenRequests.push({ headers: req.headers, body: req.body });
+        const expected = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        if (req.headers.authorization !== expected) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        const grant = idp.codes.get(req.body.code);
+        idp.codes.delete(req.body.code);
+        const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+        if (!grant || grant.codeChallenge !== challenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        return res.json({
+            access_token: 'mock-access-token',
+            token_type: 'Bearer',
+            id_token: idp.signIdToken({ sub: grant.sub, nonce: grant.nonce }),
+        });
+    });
+    app.get('/userinfo', (req, res) => {
+        if (req.headers.authorization !== 'Bearer mock-access-token') {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        return res.json({ sub: 'upstream-1', email: 'ada@example.com', email_verified: true });
+    });
+
+    idp.server = http.createServer(app);
+    await new Promise((resolve) => idp.server.listen(0, '127.0.0.1', resolve));
+    idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+    idp.signIdToken = (claims, options = {}) => jwt.sign(claims, idp.privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: idp.issuer,
+        audience: CLIENT_ID,
+        expiresIn: '5m',
+        ...options,
+    });
+    return idp;
+};
+
+// Stands in for User.findOne(...).select(...) without a database.
+const findOneReturning = (byFilter) => (filter) => ({
+    select: async () => byFilter(filter) || null,
+});
+
+describe('federated login against a mock identity provider', () => {
+    let idp;
+    let provider;
+
+    before(async () => {
+        idp = await startMockIdp();
+        provider = {
+            providerId: 'mock-idp',
+            orgId: 'default',
+            issuer: idp.issuer,
+            clientId: CLIENT_ID,
+            allowedDomains: [],
+            createUsers: false,
+        };
+    });
+
+    after(() => {
+        idp.server.closeAllConnections();
+        idp.server.close();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        idp.discoveryIssuer = null;
+    });
+
+    describe('discovery', () => {
+        it('loads the provider endpoints', async () => {
+            const metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+            assert.equal(metadata.token_endpoint, `${idp.issuer}/token`);
+            assert.equal(metadata.jwks_uri, `${idp.issuer}/jwks`);
+        });
+
+        it('rejects a discovery document that names another issuer', async () => {
+            idp.discoveryIssuer = 'https://attacker.example.com';
+            await assert.rejects(
+                getProviderMetadata(idp.issuer, { refresh: true }),
+                /names issuer https:\/\/attacker\.example\.com/,
+            );
+        });
+
+        it('builds an authorization URL with PKCE and the nonce', async () => {
+            const metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+            const { codeChallenge } = createPkcePair();
+            const url = new URL(buildAuthorizationUrl({
+                provider,
+                metadata,
+                state: 'state-1',
+                nonce: 'nonce-1',
+                codeChallenge,
+            }));
+            assert.equal(url.origin + url.pathname, `${idp.issuer}/authorize`);
+            assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+            assert.equal(url.searchParams.get('code_challenge'), codeChallenge);
+            assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+            assert.equal(url.searchParams.get('nonce'), 'nonce-1');
+        });
+    });
+
+    describe('code exchange', () => {
+        it('redeems the code with client_secret_basic and the PKCE verifier', async () => {
+            const metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+            const { codeVerifier, codeChallenge } = createPkcePair();
+            idp.codes.set('code-1', { sub: 'upstream-1', nonce: 'nonce-1', codeChallenge });
+
+            const tokens = await exchangeAuthorizationCode({
+                provider,
+                clientSecret: CLIENT_SECRET,
+                metadata,
+                code: 'code-1',
+                codeVerifier,
+            });
+            const request = idp.tokenRequests.at(-1);
+            assert.equal(request.body.grant_type, 'authorization_code');
+            assert.equal(request.body.redirect_uri.endsWith('/login/federated/mock-idp/callback'), true);
+            assert.equal(request.body.client_secret, undefined);
+
+            const claims = await verifyIdToken({ provider, metadata, idToken: tokens.id_token, nonce: 'nonce-1' });
+            assert.equal(claims.sub, 'upstream-1');
+        });
+
+        it('fails when the verifier does not match the challenge', async () => {
+            const metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+            idp.codes.set('code-2', { sub: 'upstream-1', nonce: 'nonce-1', codeChallenge: createPkcePair().codeChallenge });
+            await assert.rejects(exchangeAuthorizationCode({
+                provider,
+                clientSecret: CLIENT_SECRET,
+                metadata,
+                code: 'code-2',
+                codeVerifier: createPkcePair().codeVerifier,
+            }), /invalid_grant/);
+        });
+
+        it('fails with the wrong client secret', async () => {
+            const metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+            const { codeVerifier, codeChallenge } = createPkcePair();
+            idp.codes.set('code-3', { sub: 'upstream-1', nonce: 'nonce-1', codeChallenge });
+            await assert.rejects(exchangeAuthorizationCode({
+                provider,
+                clientSecret: 'wrong-secret',
+                metadata,
+                code: 'code-3',
+                codeVerifier,
+            }), /invalid_client/);
+        });
+    });
+
+    describe('ID token validation', () => {
+        let metadata;
+
+        before(async () => {
+            metadata = await getProviderMetadata(idp.issuer, { refresh: true });
+        });
+
+        const verify = (idToken, nonce = 'nonce-1') => verifyIdToken({ provider, metadata, idToken, nonce });
+
+        it('accepts a token signed by the provider for this client', async () => {
+            const claims = await verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-1' }));
+            assert.equal(claims.iss, idp.issuer);
+        });
+
+        it('rejects a token for another audience', async () => {
+            await assert.rejects(
+                verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-1' }, { audience: 'other-client' })),
+                /audience invalid/,
+            );
+        });
+
+        it('rejects a token from another issuer', async () => {
+            await assert.rejects(
+                verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-1' }, { issuer: 'https://other.example.com' })),
+                /issuer invalid/,
+            );
+        });
+
+        it('rejects a token with another nonce', async () => {
+            await assert.rejects(
+                verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-2' })),
+                /subject or nonce is invalid/,
+            );
+        });
+
+        it('rejects an expired token', async () => {
+            await assert.rejects(
+                verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-1' }, { expiresIn: '-1h' })),
+                /jwt expired/,
+            );
+        });
+
+        it('rejects a token with several audiences and no matching azp', async () => {
+            await assert.rejects(
+                verify(idp.signIdToken({ sub: 'upstream-1', nonce: 'nonce-1' }, { audience: [CLIENT_ID, 'other-client'] })),
+                /issued to another client/,
+            );
+        });
+
+        it('rejects an HMAC token keyed with the client secret', async () => {
+            const idToken = jwt.sign({ sub: 'upstream-1', nonce: 'nonce-1' }, CLIENT_SECRET, {
+                algorithm: 'HS256',
+                issuer: idp.issuer,
+                audience: CLIENT_ID,
+            });
+            await assert.rejects(verify(idToken), /algorithm HS256 is not accepted/);
+        });
+
+        it('rejects a token signed with a key the provider does not publish', async () => {
+            const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const idToken = jwt.sign({ sub: 'upstream-1', nonce: 'nonce-1' }, privateKey, {
+                algorithm: 'RS256',
+                keyid: idp.kid,
+                issuer: idp.issuer,
+                audience: CLIENT_ID,
+            });
+            await assert.rejects(verify(idToken), /invalid signature/);
+        });
+
+        it('reads the email from userinfo when the ID token has none', async () => {
+            const claims = await readIdentityClaims({
+                metadata,
+                claims: { sub: 'upstream-1' },
+                accessToken: 'mock-access-token',
+            });
+            assert.equal(claims.email, 'ada@example.com');
+            assert.equal(claims.email_verified, true);
+        });
+    });
+
+    describe('account resolution', () => {
+        const member = { _id: 'user-1', username: 'ada', role: 'user', orgId: 'default' };
+
+        it('signs in the account already linked to the upstream subject', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.federatedIdentities ? member : null)));
+            const result = await resolveFederatedUser({ provider, claims: { sub: 'upstream-1' } });
+            assert.equal(result.ok, true);
+            assert.equal(result.outcome, 'signed_in');
+        });
+
+        it('links an existing account by verified email', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.email === 'ada@example.com' ? member : null)));
+            const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+            const result = await resolveFederatedUser({
+                provider,
+                claims: { sub: 'upstream-1', email: 'Ada@Example.com', email_verified: true },
+            });
+            assert.equal(result.ok, true);
+            assert.equal(result.outcome, 'linked');
+            assert.equal(updateOne.mock.callCount(), 1);
+            const [filter, update] = updateOne.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: 'user-1' });
+            assert.equal(update.$push.federatedIdentities.issuer, idp.issuer);
+            assert.equal(update.$push.federatedIdentities.subject, 'upstream-1');
+        });
+
+        it('does not link by an unverified email', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.email ? member : null)));
+            const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+            const result = await resolveFederatedUser({
+                provider,
+                claims: { sub: 'upstream-1', email: 'ada@example.com', email_verified: false },
+            });
+            assert.equal(result.ok, false);
+            assert.match(result.message, /verified email/);
+            assert.equal(updateOne.mock.callCount(), 0);
+        });
+
+        it('never links an admin account', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.email ? { ...member, role: 'admin' } : null)));
+            const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+            const result = await resolveFederatedUser({
+                provider,
+                claims: { sub: 'upstream-1', email: 'ada@example.com', email_verified: true },
+            });
+            assert.equal(result.ok, false);
+            assert.match(result.message, /Admin accounts/);
+            assert.equal(updateOne.mock.callCount(), 0);
+        });
+
+        it('does not link an account in another organization', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.email ? { ...member, orgId: 'acme' } : null)));
+            const updateOne = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+            const result = await resolveFederatedUser({
+                provider,
+                claims: { sub: 'upstream-1', email: 'ada@example.com', email_verified: true },
+            });
+            assert.equal(result.ok, false);
+            assert.match(result.message, /another organization/);
+            assert.equal(updateOne.mock.callCount(), 0);
+        });
+
+        it('refuses emails outside the allowed domains', async () => {
+            mock.method(User, 'findOne', findOneReturning((filter) => (filter.email ? member : null)));
+            const result = await resolveFederatedUser({
+                provider: { ...provider, allowedDomains: ['corp.example.com'] },
+                claims: { sub: 'upstream-2', email: 'ada@example.com', email_verified: true },
+            });
+            assert.equal(result.ok, false);
+            assert.match(result.message, /email domain/);
+        });
+
+        it('does not create an account unless the provider allows it', async () => {
+            mock.method(User, 'findOne', findOneReturning(() => null));
+            const result = await resolveFederatedUser({
+                provider,
+                claims: { sub: 'upstream-3', email: 'new@example.com', email_verified: true },
+            });
+            assert.equal(result.ok, false);
+            assert.match(result.message, /No account exists/);
+        });
+    });
+});
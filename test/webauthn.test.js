@@ -0,0 +1,326 @@
+process.env.FEATURE_PASSKEY = 'true';
+process.env.SAFETY_STATE_STORE = 'memory';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const FeatureFlag = require('../models/FeatureFlag');
+const PasskeyCredential = require('../models/PasskeyCredential');
+const SecurityEvent = require('../models/SecurityEvent');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { OIDC_ISSUER } = require('../config/tokens');
+const {
+    WEBAUTHN_RP_ID,
+    generateChallenge,
+    verifyRegistrationResponse,
+    verifyAuthenticationResponse,
+} = require('../config/webauthn');
+const passkeyRoutes = require('../routes/passkeyRoutes');
+
+const ORIGIN = new URL(OIDC_ISSUER).origin;
+
+// Definite-length CBOR for the few types an authenticator emits.
+const encodeCbor = (value) => {
+    const head = (major, length) => {
+        if (length < 24) {
+            return Buffer.from([(major << 5) | length]);
+        }
+        if (length < 0x100) {
+            return Buffer.from([(major << 5) | 24, length]);
+        }
+        const buffer = Buffer.alloc(3);
+        buffer.writeUInt8((major << 5) | 25);
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    };
+
+    if (Number.isInteger(value)) {
+        return value >= 0 ? head(0, value) : head(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([head(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(3, bytes.length), bytes]);
+    }
+    if (value instanceof Map) {
+        return Buffer.concat([
+            head(5, value.size),
+            ...[...value].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+        ]);
+    }
+    throw new Error(`Cannot encode ${typeof value}`);
+};
+
+// A software authenticator holding one ES256 credential, with the same counter
+// behaviour as a hardware key.
+const createAuthenticator = ({ rpId = WEBAUTHN_RP_ID, origin = ORIGIN } = {}) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(16);
+    const jwk = publicKey.export({ format: 'jwk' });
+    let signCount = 0;
+
+    const authenticatorData = ({ attested = false, count }) => {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(count);
+        const parts = [
+            crypto.createHash('sha256').update(rpId).digest(),
+            Buffer.from([0x01 | 0x04 | (attested ? 0x40 : 0)]),
+            counter,
+        ];
+        if (attested) {
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(credentialId.length);
+            parts.push(Buffer.alloc(16), idLength, credentialId, encodeCbor(new Map([
+                [1, 2],
+                [3, -7],
+                [-1, 1],
+                [-2, Buffer.from(jwk.x, 'base64url')],
+                [-3, Buffer.from(jwk.y, 'base64url')],
+            ])));
+        }
+        return Buffer.concat(parts);
+    };
+
+    const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+    return {
+        credentialId: credentialId.toString('base64url'),
+        create: (challenge) => ({
+            id: credentialId.toString('base64url'),
+            rawId: credentialId.toString('base64url'),
+            type: 'public-key',
+            response: {
+                clientDataJSON: clientData('webauthn.create', challenge).toString('base64url'),
+                attestationObject: encodeCbor(new Map([
+                    ['fmt', 'none'],
+                    ['attStmt', new Map()],
+                    ['authData', authenticatorData({ attested: true, count: signCount })],
+                ])).toString('base64url'),
+            },
+        }),
+        get: (challenge, { count = (signCount += 1) } = {}) => {
+            const authData = authenticatorData({ count });
+            const clientDataJSON = clientData('webauthn.get', challenge);
+            const signature = crypto.sign(
+                'sha256',
+                Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]),
+                privateKey,
+            );
+            return {
+                id: credentialId.toString('base64url'),
+                rawId: credentialId.toString('base64url'),
+                type: 'public-key',
+                response: {
+                    clientDataJSON: clientDataJSON.toString('base64url'),
+                    authenticatorData: authData.toString('base64url'),
+                    signature: signature.toString('base64url'),
+                },
+            };
+        },
+    };
+};
+
+const register = (authenticator) => {
+    const challenge = generateChallenge();
+    return verifyRegistrationResponse({ credential: authenticator.create(challenge), expectedChallenge: challenge });
+};
+
+describe('WebAuthn verification', () => {
+    describe('registration', () => {
+        it('accepts a none attestation and returns the credential key', () => {
+            const authenticator = createAuthenticator();
+            const registered = register(authenticator);
+            assert.equal(registered.credentialId, authenticator.credentialId);
+            assert.equal(registered.alg, -7);
+            assert.equal(registered.publicKeyJwk.crv, 'P-256');
+            assert.equal(registered.signCount, 0);
+            assert.equal(registered.attestationFormat, 'none');
+            assert.equal(registered.userVerified, true);
+        });
+
+        it('rejects a response to another challenge', () => {
+            const authenticator = createAuthenticator();
+            assert.throws(() => verifyRegistrationResponse({
+                credential: authenticator.create(generateChallenge()),
+                expectedChallenge: generateChallenge(),
+            }), /Challenge mismatch/);
+        });
+
+        it('rejects a response from another origin', () => {
+            const authenticator = createAuthenticator({ origin: 'https://evil.example.com' });
+            assert.throws(() => register(authenticator), /origin is not allowed/);
+        });
+
+        it('rejects a credential scoped to another relying party', () => {
+            const authenticator = createAuthenticator({ rpId: 'evil.example.com' });
+            assert.throws(() => register(authenticator), /rpIdHash does not match/);
+        });
+    });
+
+    describe('assertion', () => {
+        let authenticator;
+        let storedCredential;
+
+        beforeEach(() => {
+            authenticator = createAuthenticator();
+            storedCredential = register(authenticator);
+        });
+
+        const verify = (credential, challenge) => verifyAuthenticationResponse({
+            credential,
+            expectedChallenge: challenge,
+            storedCredential,
+        });
+
+        it('accepts a signature with an increased counter', () => {
+            const challenge = generateChallenge();
+            const verified = verify(authenticator.get(challenge), challenge);
+            assert.equal(verified.signCount, 1);
+            assert.equal(verified.cloneSuspected, false);
+        });
+
+        it('flags a counter that did not increase as a cloned credential', () => {
+            storedCredential.signCount = 5;
+            const challenge = generateChallenge();
+            assert.equal(verify(authenticator.get(challenge, { count: 5 }), challenge).cloneSuspected, true);
+            assert.equal(verify(authenticator.get(challenge, { count: 3 }), challenge).cloneSuspected, true);
+            assert.equal(verify(authenticator.get(challenge, { count: 6 }), challenge).cloneSuspected, false);
+        });
+
+        it('accepts authenticators that do not keep a counter', () => {
+            const challenge = generateChallenge();
+            assert.equal(verify(authenticator.get(challenge, { count: 0 }), challenge).cloneSuspected, false);
+        });
+
+        it('rejects a response to another challenge', () => {
+            assert.throws(() => verify(authenticator.get(generateChallenge()), generateChallenge()), /Challenge mismatch/);
+        });
+
+        it('rejects a signature from another key', () => {
+            const challenge = generateChallenge();
+            const other = createAuthenticator();
+            assert.throws(() => verify(other.get(challenge), challenge), /signature is invalid/);
+        });
+
+        it('rejects authenticator data changed after signing', () => {
+            const challenge = generateChallenge();
+            const credential = authenticator.get(challenge, { count: 2 });
+            const authData = Buffer.from(credential.response.authenticatorData, 'base64url');
+            authData.writeUInt32BE(50, 33);
+            credential.response.authenticatorData = authData.toString('base64url');
+            assert.throws(() => verify(credential, challenge), /signature is invalid/);
+        });
+
+        it('rejects a registration response used to sign in', () => {
+            const challenge = generateChallenge();
+            assert.throws(() => verify(authenticator.create(challenge), challenge), /type must be webauthn.get/);
+        });
+    });
+});
+
+describe('passkey sign-in challenges', () => {
+    let server;
+    let baseUrl;
+    let authenticator;
+    let storedCredential;
+    let challengeRecord;
+    let updateOne;
+    let securityEvents;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/users/passkeys', passkeyRoutes);
+        server = http.createServer(app);
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/users/passkeys`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    // No database here: the models the route touches are stubbed for each test.
+    beforeEach(() => {
+        authenticator = createAuthenticator();
+        storedCredential = {
+            _id: new mongoose.Types.ObjectId(),
+            userId: new mongoose.Types.ObjectId(),
+            ...register(authenticator),
+        };
+        challengeRecord = {
+            challenge: generateChallenge(),
+            ceremony: 'authentication',
+            appId: 'crm',
+            expiresAt: new Date(Date.now() + 60_000),
+            consumedAt: null,
+        };
+        securityEvents = [];
+
+        mock.method(FeatureFlag, 'find', () => ({ lean: async () => [] }));
+        mock.method(SecurityEvent, 'create', async (event) => {
+            securityEvents.push(event);
+            return event;
+        });
+        mock.method(WebAuthnChallenge, 'findOneAndUpdate', async (filter) => {
+            if (filter.challenge !== challengeRecord.challenge || filter.consumedAt !== challengeRecord.consumedAt) {
+                return null;
+            }
+            challengeRecord.consumedAt = new Date();
+            return challengeRecord;
+        });
+        mock.method(PasskeyCredential, 'findOne', async ({ credentialId }) => (
+            credentialId === storedCredential.credentialId ? storedCredential : null
+        ));
+        updateOne = mock.method(PasskeyCredential, 'updateOne', async () => ({ modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const postLogin = async (credential) => {
+        const response = await fetch(`${baseUrl}/login/verify`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ credential }),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('rejects an expired challenge', async () => {
+        challengeRecord.expiresAt = new Date(Date.now() - 1000);
+        const { status, body } = await postLogin(authenticator.get(challengeRecord.challenge));
+        assert.equal(status, 400);
+        assert.match(body.message, /invalid or has expired/);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it('rejects a challenge that was already used', async () => {
+        challengeRecord.consumedAt = new Date();
+        const { status } = await postLogin(authenticator.get(challengeRecord.challenge));
+        assert.equal(status, 400);
+        assert.equal(updateOne.mock.callCount(), 0);
+    });
+
+    it('rejects a challenge the server never issued', async () => {
+        const { status } = await postLogin(authenticator.get(generateChallenge()));
+        assert.equal(status, 400);
+    });
+
+    it('rejects a replayed counter and records a clone event', async () => {
+        storedCredential.signCount = 7;
+        const { status } = await postLogin(authenticator.get(challengeRecord.challenge, { count: 7 }));
+        assert.equal(status, 401);
+        assert.equal(updateOne.mock.callCount(), 0);
+        assert.equal(securityEvents.length, 1);
+        assert.equal(securityEvents[0].type, 'passkey_clone_suspected');
+        assert.equal(securityEvents[0].details.presentedSignCount, 7);
+    });
+});